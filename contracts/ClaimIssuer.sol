@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./Identity.sol";
+
+/**
+ * @title ClaimIssuer
+ * @dev Identity of a KYC/AML or accreditation provider that signs claims about investor identities
+ * Claims are signed off-chain by one of the issuer's claim signer keys and can be revoked here.
+ */
+contract ClaimIssuer is IClaimIssuer, Identity {
+
+    // Revoked claims by signature hash
+    mapping(bytes32 => bool) private _revokedClaims;
+
+    constructor(address _initialManagementKey) Identity(_initialManagementKey) {}
+
+    /**
+     * @dev Revoke a claim held by an identity (manager only)
+     * @param _claimId Claim ID on the identity
+     * @param _identity Identity holding the claim
+     * @return True if the claim was revoked
+     */
+    function revokeClaim(bytes32 _claimId, address _identity) external override onlyManager returns (bool) {
+        (, , , bytes memory signature, , ) = IIdentity(_identity).getClaim(_claimId);
+        require(signature.length > 0, "Claim does not exist");
+
+        _revoke(signature);
+        return true;
+    }
+
+    /**
+     * @dev Revoke a claim by its signature (manager only)
+     * @param _signature Claim signature
+     */
+    function revokeClaimBySignature(bytes calldata _signature) external override onlyManager {
+        _revoke(_signature);
+    }
+
+    /**
+     * @dev Check if a claim was revoked
+     * @param _signature Claim signature
+     * @return True if the claim was revoked
+     */
+    function isClaimRevoked(bytes calldata _signature) public view override returns (bool) {
+        return _revokedClaims[keccak256(_signature)];
+    }
+
+    /**
+     * @dev Check if a claim was signed by one of this issuer's claim signer keys and is not revoked
+     * @param _identity Identity the claim is about
+     * @param _topic Claim topic
+     * @param _signature Claim signature
+     * @param _data Claim data
+     * @return True if the claim is valid
+     */
+    function isClaimValid(
+        IIdentity _identity,
+        uint256 _topic,
+        bytes calldata _signature,
+        bytes calldata _data
+    ) public view override(IIdentity, Identity) returns (bool) {
+        return !isClaimRevoked(_signature) && super.isClaimValid(_identity, _topic, _signature, _data);
+    }
+
+    /**
+     * @dev Record a signature as revoked
+     */
+    function _revoke(bytes memory _signature) internal {
+        bytes32 signatureHash = keccak256(_signature);
+        require(!_revokedClaims[signatureHash], "Claim already revoked");
+
+        _revokedClaims[signatureHash] = true;
+        emit ClaimRevoked(_signature);
+    }
+}
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "./interfaces/IClaimTopicsRegistry.sol";
+
+/**
+ * @title ClaimTopicsRegistryBase
+ * @dev Lists the claim topics (e.g. KYC, AML) an identity must hold to be verified
+ * by the IdentityRegistry. Part of the ERC-3643 compliance framework.
+ * Initializer-based, shared by ClaimTopicsRegistry and ClaimTopicsRegistryUpgradeable
+ */
+abstract contract ClaimTopicsRegistryBase is IClaimTopicsRegistry, OwnableUpgradeable {
+
+    // Maximum number of required topics, bounding the cost of isVerified
+    uint256 public constant MAX_CLAIM_TOPICS = 15;
+
+    // Required claim topics
+    uint256[] private _claimTopics;
+
+    /**
+     * @dev Initialize the registry with the caller as owner
+     */
+    function __ClaimTopicsRegistry_init() internal onlyInitializing {
+        __Ownable_init(msg.sender);
+    }
+
+    /**
+     * @dev Require a claim topic for verification (admin only)
+     * @param _claimTopic The claim topic
+     */
+    function addClaimTopic(uint256 _claimTopic) external override onlyOwner {
+        require(_claimTopics.length < MAX_CLAIM_TOPICS, "Too many claim topics");
+        for (uint256 i = 0; i < _claimTopics.length; i++) {
+            require(_claimTopics[i] != _claimTopic, "Claim topic already required");
+        }
+
+        _claimTopics.push(_claimTopic);
+        emit ClaimTopicAdded(_claimTopic);
+    }
+
+    /**
+     * @dev Stop requiring a claim topic (admin only)
+     * @param _claimTopic The claim topic
+     */
+    function removeClaimTopic(uint256 _claimTopic) external override onlyOwner {
+        for (uint256 i = 0; i < _claimTopics.length; i++) {
+            if (_claimTopics[i] == _claimTopic) {
+                _claimTopics[i] = _claimTopics[_claimTopics.length - 1];
+                _claimTopics.pop();
+                emit ClaimTopicRemoved(_claimTopic);
+                return;
+            }
+        }
+        revert("Claim topic not required");
+    }
+
+    /**
+     * @dev Get the required claim topics
+     * @return The claim topics
+     */
+    function getClaimTopics() external view override returns (uint256[] memory) {
+        return _claimTopics;
+    }
+}
+
+/**
+ * @title ClaimTopicsRegistry
+ * @dev Constructor-deployed ClaimTopicsRegistry
+ */
+contract ClaimTopicsRegistry is ClaimTopicsRegistryBase {
+    constructor() initializer {
+        __ClaimTopicsRegistry_init();
+    }
+}
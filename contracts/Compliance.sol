@@ -1,16 +1,23 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "./interfaces/ICompliance.sol";
 import "./interfaces/IIdentityRegistry.sol";
+import "./libraries/TransferRestrictions.sol";
+import "./libraries/InvestorCategories.sol";
 
 /**
- * @title Compliance
+ * @title ComplianceBase
  * @dev Implements compliance rules and transfer validation for ERC-3643 tokens
  * Handles KYC/AML requirements, country restrictions, and blacklists
+ * Initializer-based, shared by Compliance and ComplianceUpgradeable
  */
-contract Compliance is ICompliance, Ownable {
+abstract contract ComplianceBase is ICompliance, OwnableUpgradeable {
+    using Checkpoints for Checkpoints.Trace208;
     
     // Reference to the identity registry
     IIdentityRegistry public identityRegistry;
@@ -21,8 +28,9 @@ contract Compliance is ICompliance, Ownable {
     // Blacklisted addresses
     mapping(address => bool) private _blacklist;
     
-    // Restricted countries (ISO 3166-1 numeric codes)
-    mapping(uint16 => bool) private _restrictedCountries;
+    // Countries restricted on both sides before sided country rules, until migrated or changed
+    // (the slot remains for proxy storage layout)
+    mapping(uint16 => bool) private _legacyRestrictedCountries;
     
     // Maximum token balance per investor (0 = no limit)
     uint256 public maxBalancePerInvestor;
@@ -36,11 +44,128 @@ contract Compliance is ICompliance, Ownable {
     // Track if address is a token holder
     mapping(address => bool) private _isHolder;
     
-    constructor(address _identityRegistry) Ownable(msg.sender) {
+    // Token balance per investor, summed over every wallet linked to the same onchain identity
+    mapping(address => uint256) private _investorBalances;
+    
+    // Token whose balance changes feed the hooks (set once)
+    address public tokenBound;
+    
+    // Enumerable holder list and each holder's position + 1 (0 = not listed)
+    address[] private _holders;
+    mapping(address => uint256) private _holderIndexes;
+    
+    // Holder count history by block number
+    Checkpoints.Trace208 private _holderCountCheckpoints;
+    
+    // Rolling windows of the outbound transfer volume limits
+    uint256 public constant DAILY_WINDOW = 1 days;
+    uint256 public constant MONTHLY_WINDOW = 30 days;
+    
+    // Maximum tokens an investor may transfer out per rolling window (0 = no limit)
+    struct VolumeLimits {
+        uint256 daily;
+        uint256 monthly;
+    }
+    
+    // Volume limits by investor country and by investor category; the stricter one applies
+    mapping(uint16 => VolumeLimits) public countryVolumeLimits;
+    mapping(uint8 => VolumeLimits) public categoryVolumeLimits;
+    
+    // Cumulative tokens each investor has transferred out, by timestamp
+    mapping(address => Checkpoints.Trace208) private _outboundVolume;
+    
+    // Maximum number of holders per country (0 = no limit) and current count
+    mapping(uint16 => uint256) public countryHolderLimit;
+    mapping(uint16 => uint256) public countryHolderCount;
+    
+    // Country each holder was counted under when listed
+    mapping(address => uint16) private _holderCountries;
+    
+    // Investor categories eligible to receive the token; any category is eligible while none is set
+    mapping(uint8 => bool) private _allowedCategories;
+    uint256 public allowedCategoryCount;
+    
+    // Sides on which each country is allowed, enforced only in allowlist mode
+    mapping(uint16 => uint8) private _countryAllowances;
+    bool public countryAllowlistMode;
+    
+    // Countries with a restriction or allowance and each one's position + 1 (0 = not listed)
+    uint16[] private _policyCountries;
+    mapping(uint16 => uint256) private _policyCountryIndexes;
+    
+    // Named country groups (e.g. "EEA", "OFAC") that can be restricted or allowed in one call
+    bytes32[] private _countryGroupNames;
+    mapping(bytes32 => uint16[]) private _countryGroups;
+    
+    // Sides (SENDER_SIDE | RECIPIENT_SIDE) on which each country (ISO 3166-1 numeric) is refused
+    mapping(uint16 => uint8) private _countryRestrictions;
+    
+    // Sides of a transfer a country rule applies to
+    uint8 public constant SENDER_SIDE = 1;
+    uint8 public constant RECIPIENT_SIDE = 2;
+    uint8 public constant BOTH_SIDES = 3;
+    
+    // Events
+    event TokenBound(address indexed _token);
+    event MaxBalancePerInvestorSet(uint256 _maxBalance);
+    event CountryVolumeLimitsSet(uint16 indexed _country, uint256 _daily, uint256 _monthly);
+    event CategoryVolumeLimitsSet(uint8 indexed _category, uint256 _daily, uint256 _monthly);
+    event CountryHolderLimitSet(uint16 indexed _country, uint256 _limit);
+    event CategoryAllowed(uint8 indexed _category);
+    event CategoryDisallowed(uint8 indexed _category);
+    event CountryRestrictionSet(uint16 indexed _country, uint8 _sides);
+    event CountryAllowanceSet(uint16 indexed _country, uint8 _sides);
+    event CountryAllowlistModeSet(bool _enabled);
+    event CountryGroupSet(bytes32 indexed _group, uint16[] _countries);
+    event CountryGroupRemoved(bytes32 indexed _group);
+    
+    modifier onlyToken() {
+        require(msg.sender == tokenBound, "Only bound token");
+        _;
+    }
+    
+    /**
+     * @dev Initialize the compliance contract with the caller as owner
+     * @param _identityRegistry Identity registry address
+     */
+    function __Compliance_init(address _identityRegistry) internal onlyInitializing {
+        __Ownable_init(msg.sender);
+        
         require(_identityRegistry != address(0), "Invalid identity registry");
         identityRegistry = IIdentityRegistry(_identityRegistry);
     }
     
+    /**
+     * @dev Bind the token of a compliance contract deployed before token binding and tally what its holders
+     * already hold, listing holders flagged before the holder list existed
+     * @param _token The token address
+     * @param _wallets Wallets holding the token (empty and already listed wallets are skipped)
+     */
+    function __Compliance_bindExistingToken(address _token, address[] calldata _wallets) internal onlyInitializing {
+        require(_token != address(0), "Invalid token address");
+        require(tokenBound == address(0), "Token already bound");
+        tokenBound = _token;
+        emit TokenBound(_token);
+        
+        for (uint256 i = 0; i < _wallets.length; i++) {
+            address wallet = _wallets[i];
+            uint256 balance = IERC20(_token).balanceOf(wallet);
+            if (balance == 0 || _holderIndexes[wallet] != 0) continue;
+            
+            if (_isHolder[wallet]) {
+                // Already counted in currentHolders
+                _holders.push(wallet);
+                _holderIndexes[wallet] = _holders.length;
+                uint16 country = identityRegistry.investorCountry(wallet);
+                _holderCountries[wallet] = country;
+                countryHolderCount[country]++;
+            } else {
+                _addHolder(wallet);
+            }
+            _investorBalances[_investorOf(wallet)] += balance;
+        }
+    }
+    
     /**
      * @dev Check if a transfer is compliant with all rules
      * @param _from Sender address
@@ -53,55 +178,85 @@ contract Compliance is ICompliance, Ownable {
         address _to, 
         uint256 _amount
     ) external view override returns (bool) {
+        return detectTransferRestriction(_from, _to, _amount) == TransferRestrictions.SUCCESS;
+    }
+    
+    /**
+     * @dev Get the first rule a transfer breaks (ERC-1404)
+     * @param _from Sender address (address(0) for minting)
+     * @param _to Recipient address
+     * @param _amount Transfer amount
+     * @return Restriction code (0 if the transfer is allowed)
+     */
+    function detectTransferRestriction(
+        address _from, 
+        address _to, 
+        uint256 _amount
+    ) public view override returns (uint8) {
         // Check basic requirements
         if (_to == address(0) || _amount == 0) {
-            return false;
+            return TransferRestrictions.INVALID_TRANSFER;
         }
         
-        // Allow minting from address(0) - this is for token creation
-        if (_from == address(0)) {
-            // For minting, only check recipient
-            if (_blacklist[_to]) {
-                return false;
-            }
-            if (!identityRegistry.isVerified(_to)) {
-                return false;
-            }
-            uint16 recipientCountry = identityRegistry.investorCountry(_to);
-            if (_restrictedCountries[recipientCountry]) {
-                return false;
-            }
-            // Check holder limits for new investors
-            if (!_isHolder[_to] && maxHolders > 0 && currentHolders >= maxHolders) {
-                return false;
-            }
-            return true;
-        }
-        
-        // Check blacklist
-        if (_blacklist[_from] || _blacklist[_to]) {
-            return false;
+        // Check blacklist (minting from address(0) only checks the recipient)
+        if (_blacklist[_to] || (_from != address(0) && _blacklist[_from])) {
+            return TransferRestrictions.BLACKLISTED;
         }
         
         // Check identity verification
-        if (!identityRegistry.isVerified(_from) || !identityRegistry.isVerified(_to)) {
-            return false;
+        if (!identityRegistry.isVerified(_to) || (_from != address(0) && !identityRegistry.isVerified(_from))) {
+            return TransferRestrictions.NOT_VERIFIED;
         }
         
-        // Check country restrictions
-        uint16 fromCountry = identityRegistry.investorCountry(_from);
-        uint16 toCountry = identityRegistry.investorCountry(_to);
+        // Check country restrictions, and the allowlist when it is enforced
+        if (
+            !_isCountryPermitted(identityRegistry.investorCountry(_to), RECIPIENT_SIDE) ||
+            (_from != address(0) && !_isCountryPermitted(identityRegistry.investorCountry(_from), SENDER_SIDE))
+        ) {
+            return TransferRestrictions.COUNTRY_RESTRICTED;
+        }
         
-        if (_restrictedCountries[fromCountry] || _restrictedCountries[toCountry]) {
-            return false;
+        // Check the recipient's investor category is eligible
+        if (allowedCategoryCount > 0 && !_allowedCategories[identityRegistry.investorCategory(_to)]) {
+            return TransferRestrictions.CATEGORY_RESTRICTED;
         }
         
         // Check holder limits for new investors
-        if (!_isHolder[_to] && maxHolders > 0 && currentHolders >= maxHolders) {
-            return false;
+        if (_exceedsHolderLimit(_from, _to, _amount)) {
+            return TransferRestrictions.HOLDER_LIMIT;
+        }
+        
+        if (!_withinMaxBalance(_from, _to, _amount)) {
+            return TransferRestrictions.BALANCE_LIMIT;
         }
         
-        return true;
+        if (!_withinVolumeLimits(_from, _to, _amount)) {
+            return TransferRestrictions.VOLUME_LIMIT;
+        }
+        
+        return TransferRestrictions.SUCCESS;
+    }
+    
+    /**
+     * @dev Get the message for a restriction code (ERC-1404)
+     * @param _restrictionCode Restriction code
+     * @return Human-readable reason
+     */
+    function messageForTransferRestriction(uint8 _restrictionCode) external pure override returns (string memory) {
+        return TransferRestrictions.message(_restrictionCode);
+    }
+    
+    /**
+     * @dev Bind the token whose balance change hooks this contract accepts (admin only, once)
+     * Bind before the first mint so investor balances are tracked from the start.
+     * @param _token The token address
+     */
+    function bindToken(address _token) external onlyOwner {
+        require(_token != address(0), "Invalid token address");
+        require(tokenBound == address(0), "Token already bound");
+        
+        tokenBound = _token;
+        emit TokenBound(_token);
     }
     
     /**
@@ -163,12 +318,11 @@ contract Compliance is ICompliance, Ownable {
     }
     
     /**
-     * @dev Add country restriction
+     * @dev Add country restriction on both senders and recipients
      * @param _country Country code to restrict (ISO 3166-1 numeric)
      */
     function addCountryRestriction(uint16 _country) external override onlyOwner {
-        require(_country > 0, "Invalid country code");
-        _restrictedCountries[_country] = true;
+        _setCountryRestriction(_country, BOTH_SIDES);
     }
     
     /**
@@ -176,25 +330,212 @@ contract Compliance is ICompliance, Ownable {
      * @param _country Country code to allow
      */
     function removeCountryRestriction(uint16 _country) external override onlyOwner {
-        require(_restrictedCountries[_country], "Country not restricted");
-        _restrictedCountries[_country] = false;
+        require(_restrictedSides(_country) != 0, "Country not restricted");
+        _setCountryRestriction(_country, 0);
     }
     
     /**
-     * @dev Check if country is restricted
+     * @dev Check if country is restricted on either side
      * @param _country Country code to check
      * @return True if country is restricted
      */
     function isCountryRestricted(uint16 _country) external view override returns (bool) {
-        return _restrictedCountries[_country];
+        return _restrictedSides(_country) != 0;
+    }
+    
+    /**
+     * @dev Set the sides of a transfer on which investors of a country are refused
+     * @param _country Country code (ISO 3166-1 numeric)
+     * @param _sides SENDER_SIDE, RECIPIENT_SIDE, BOTH_SIDES or 0 to lift the restriction
+     */
+    function setCountryRestriction(uint16 _country, uint8 _sides) external onlyOwner {
+        _setCountryRestriction(_country, _sides);
+    }
+    
+    /**
+     * @dev Set the sides of a transfer on which investors of a country are allowed in allowlist mode
+     * @param _country Country code (ISO 3166-1 numeric)
+     * @param _sides SENDER_SIDE, RECIPIENT_SIDE, BOTH_SIDES or 0 to withdraw the allowance
+     */
+    function setCountryAllowance(uint16 _country, uint8 _sides) external onlyOwner {
+        _setCountryAllowance(_country, _sides);
+    }
+    
+    /**
+     * @dev Switch allowlist mode, in which only allowed countries may send or receive on each side
+     * Restrictions keep applying in allowlist mode and take precedence over allowances.
+     * @param _enabled True to enforce the allowlist
+     */
+    function setCountryAllowlistMode(bool _enabled) external onlyOwner {
+        countryAllowlistMode = _enabled;
+        emit CountryAllowlistModeSet(_enabled);
+    }
+    
+    /**
+     * @dev Create or replace a named country group
+     * @param _group Group name (e.g. "EEA")
+     * @param _countries Country codes (ISO 3166-1 numeric)
+     */
+    function setCountryGroup(bytes32 _group, uint16[] calldata _countries) external onlyOwner {
+        require(_group != bytes32(0), "Invalid group name");
+        require(_countries.length > 0, "Empty country group");
+        for (uint256 i = 0; i < _countries.length; i++) {
+            require(_countries[i] > 0, "Invalid country code");
+        }
+        
+        if (_countryGroups[_group].length == 0) {
+            _countryGroupNames.push(_group);
+        }
+        _countryGroups[_group] = _countries;
+        emit CountryGroupSet(_group, _countries);
+    }
+    
+    /**
+     * @dev Delete a named country group; rules already applied from it are kept
+     * @param _group Group name
+     */
+    function removeCountryGroup(bytes32 _group) external onlyOwner {
+        require(_countryGroups[_group].length > 0, "Country group not found");
+        
+        delete _countryGroups[_group];
+        for (uint256 i = 0; i < _countryGroupNames.length; i++) {
+            if (_countryGroupNames[i] == _group) {
+                _countryGroupNames[i] = _countryGroupNames[_countryGroupNames.length - 1];
+                _countryGroupNames.pop();
+                break;
+            }
+        }
+        emit CountryGroupRemoved(_group);
+    }
+    
+    /**
+     * @dev Restrict every country of a group on the given sides
+     * @param _group Group name
+     * @param _sides SENDER_SIDE, RECIPIENT_SIDE, BOTH_SIDES or 0 to lift the restrictions
+     */
+    function setCountryGroupRestriction(bytes32 _group, uint8 _sides) external onlyOwner {
+        uint16[] storage countries = _countryGroups[_group];
+        require(countries.length > 0, "Country group not found");
+        for (uint256 i = 0; i < countries.length; i++) {
+            _setCountryRestriction(countries[i], _sides);
+        }
+    }
+    
+    /**
+     * @dev Allow every country of a group on the given sides
+     * @param _group Group name
+     * @param _sides SENDER_SIDE, RECIPIENT_SIDE, BOTH_SIDES or 0 to withdraw the allowances
+     */
+    function setCountryGroupAllowance(bytes32 _group, uint8 _sides) external onlyOwner {
+        uint16[] storage countries = _countryGroups[_group];
+        require(countries.length > 0, "Country group not found");
+        for (uint256 i = 0; i < countries.length; i++) {
+            _setCountryAllowance(countries[i], _sides);
+        }
+    }
+    
+    /**
+     * @dev Carry over country restrictions from before sided country rules as both-sided ones (admin only)
+     * They are enforced as is, but only listed in the country policy once migrated.
+     * Countries without such a restriction are skipped.
+     * @param _countries Country codes to migrate (ISO 3166-1 numeric)
+     */
+    function migrateLegacyCountryRestrictions(uint16[] calldata _countries) external onlyOwner {
+        for (uint256 i = 0; i < _countries.length; i++) {
+            if (_legacyRestrictedCountries[_countries[i]]) {
+                _setCountryRestriction(_countries[i], BOTH_SIDES);
+            }
+        }
+    }
+    
+    /**
+     * @dev Get the countries of a named group
+     * @param _group Group name
+     * @return Country codes (empty if the group does not exist)
+     */
+    function getCountryGroup(bytes32 _group) external view returns (uint16[] memory) {
+        return _countryGroups[_group];
+    }
+    
+    /**
+     * @dev Get the names of all country groups
+     * @return Group names
+     */
+    function getCountryGroups() external view returns (bytes32[] memory) {
+        return _countryGroupNames;
     }
     
     /**
-     * @dev Set maximum balance per investor
+     * @dev Get every country with an active restriction or allowance
+     * @return countries Country codes
+     * @return restrictedSides Sides each country is refused on
+     * @return allowedSides Sides each country is allowed on (enforced in allowlist mode)
+     */
+    function getCountryPolicy() external view returns (
+        uint16[] memory countries,
+        uint8[] memory restrictedSides,
+        uint8[] memory allowedSides
+    ) {
+        countries = _policyCountries;
+        restrictedSides = new uint8[](countries.length);
+        allowedSides = new uint8[](countries.length);
+        for (uint256 i = 0; i < countries.length; i++) {
+            restrictedSides[i] = _restrictedSides(countries[i]);
+            allowedSides[i] = _countryAllowances[countries[i]];
+        }
+    }
+    
+    /**
+     * @dev Make an investor category eligible to hold and receive the token
+     * Once any category is allowed, recipients in other categories (or whose category expired) are refused.
+     * @param _category Investor category (see InvestorCategories)
+     */
+    function addAllowedCategory(uint8 _category) external onlyOwner {
+        require(InvestorCategories.isValid(_category), "Invalid investor category");
+        require(!_allowedCategories[_category], "Category already allowed");
+        
+        _allowedCategories[_category] = true;
+        allowedCategoryCount++;
+        emit CategoryAllowed(_category);
+    }
+    
+    /**
+     * @dev Stop an investor category from receiving the token
+     * @param _category Investor category
+     */
+    function removeAllowedCategory(uint8 _category) external onlyOwner {
+        require(_allowedCategories[_category], "Category not allowed");
+        
+        _allowedCategories[_category] = false;
+        allowedCategoryCount--;
+        emit CategoryDisallowed(_category);
+    }
+    
+    /**
+     * @dev Check if an investor category may receive the token
+     * @param _category Investor category
+     * @return True if the category is eligible
+     */
+    function isCategoryAllowed(uint8 _category) external view returns (bool) {
+        return allowedCategoryCount == 0 || _allowedCategories[_category];
+    }
+    
+    /**
+     * @dev Set maximum balance per investor, counted across all wallets of an identity
      * @param _maxBalance Maximum balance (0 = no limit)
      */
     function setMaxBalancePerInvestor(uint256 _maxBalance) external onlyOwner {
         maxBalancePerInvestor = _maxBalance;
+        emit MaxBalancePerInvestorSet(_maxBalance);
+    }
+    
+    /**
+     * @dev Get the balance an investor holds across all wallets linked to its identity
+     * @param _wallet Any wallet of the investor
+     * @return Combined token balance
+     */
+    function investorBalance(address _wallet) external view returns (uint256) {
+        return _investorBalances[_investorOf(_wallet)];
     }
     
     /**
@@ -205,37 +546,384 @@ contract Compliance is ICompliance, Ownable {
         maxHolders = _maxHolders;
     }
     
+    /**
+     * @dev Set the maximum number of holders resident in a country
+     * Holders are counted under the country they had when they first received tokens.
+     * @param _country Country code (ISO 3166-1 numeric)
+     * @param _limit Maximum holders (0 = no limit)
+     */
+    function setCountryHolderLimit(uint16 _country, uint256 _limit) external onlyOwner {
+        require(_country > 0, "Invalid country code");
+        countryHolderLimit[_country] = _limit;
+        emit CountryHolderLimitSet(_country, _limit);
+    }
+    
+    /**
+     * @dev Set the outbound transfer volume limits of investors resident in a country
+     * @param _country Country code (ISO 3166-1 numeric)
+     * @param _daily Maximum tokens per rolling day (0 = no limit)
+     * @param _monthly Maximum tokens per rolling 30 days (0 = no limit)
+     */
+    function setCountryVolumeLimits(uint16 _country, uint256 _daily, uint256 _monthly) external onlyOwner {
+        require(_country > 0, "Invalid country code");
+        countryVolumeLimits[_country] = VolumeLimits({daily: _daily, monthly: _monthly});
+        emit CountryVolumeLimitsSet(_country, _daily, _monthly);
+    }
+    
+    /**
+     * @dev Set the outbound transfer volume limits of investors in a category
+     * @param _category Investor category as recorded in the identity registry
+     * @param _daily Maximum tokens per rolling day (0 = no limit)
+     * @param _monthly Maximum tokens per rolling 30 days (0 = no limit)
+     */
+    function setCategoryVolumeLimits(uint8 _category, uint256 _daily, uint256 _monthly) external onlyOwner {
+        categoryVolumeLimits[_category] = VolumeLimits({daily: _daily, monthly: _monthly});
+        emit CategoryVolumeLimitsSet(_category, _daily, _monthly);
+    }
+    
+    /**
+     * @dev Get the volume limits that apply to a wallet, the stricter of its country's and category's
+     * @param _wallet Wallet address
+     * @return daily Maximum tokens per rolling day (0 = no limit)
+     * @return monthly Maximum tokens per rolling 30 days (0 = no limit)
+     */
+    function volumeLimitsOf(address _wallet) public view returns (uint256 daily, uint256 monthly) {
+        VolumeLimits memory countryLimits = countryVolumeLimits[identityRegistry.investorCountry(_wallet)];
+        VolumeLimits memory categoryLimits = categoryVolumeLimits[identityRegistry.investorCategory(_wallet)];
+        daily = _stricterLimit(countryLimits.daily, categoryLimits.daily);
+        monthly = _stricterLimit(countryLimits.monthly, categoryLimits.monthly);
+    }
+    
+    /**
+     * @dev Get the tokens an investor transferred out during a trailing window, across all its wallets
+     * @param _wallet Any wallet of the investor
+     * @param _window Window length in seconds (e.g. DAILY_WINDOW)
+     * @return Tokens transferred out since `block.timestamp - _window`
+     */
+    function transferredVolume(address _wallet, uint256 _window) public view returns (uint256) {
+        Checkpoints.Trace208 storage volume = _outboundVolume[_investorOf(_wallet)];
+        uint256 windowStart = block.timestamp > _window ? block.timestamp - _window : 0;
+        return volume.latest() - volume.upperLookupRecent(SafeCast.toUint48(windowStart));
+    }
+    
+    /**
+     * @dev Check if a wallet currently holds tokens
+     * @param _wallet Wallet address
+     * @return True if the wallet is a holder
+     */
+    function isHolder(address _wallet) external view override returns (bool) {
+        return _isHolder[_wallet];
+    }
+    
+    /**
+     * @dev Get a page of the holder list (order changes as holders exit)
+     * @param _offset Index of the first holder
+     * @param _limit Maximum number of holders to return
+     * @return holders Holder addresses
+     */
+    function getHolders(uint256 _offset, uint256 _limit) external view override returns (address[] memory holders) {
+        uint256 end = _offset + _limit > _holders.length ? _holders.length : _offset + _limit;
+        if (_offset >= end) {
+            return new address[](0);
+        }
+        
+        holders = new address[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            holders[i - _offset] = _holders[i];
+        }
+    }
+    
+    /**
+     * @dev Get the number of holders at the end of a past block
+     * @param _blockNumber Block number (must be in the past)
+     * @return Holder count at the block
+     */
+    function holderCountAtBlock(uint256 _blockNumber) external view override returns (uint256) {
+        require(_blockNumber < block.number, "Block not yet mined");
+        return _holderCountCheckpoints.upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+    
     /**
      * @dev Update holder count (called by token contract)
      * @param _from Address sending tokens (address(0) for minting)
      * @param _to Address receiving tokens (address(0) for burning)
      * @param _amount Amount being transferred
      */
-    function updateHolderCount(address _from, address _to, uint256 _amount) external override {
-        // This should be called by the token contract
-        // In production, add proper access control
+    function updateHolderCount(address _from, address _to, uint256 _amount) external override onlyToken {
+        _updateHolderCount(_from, _to, _amount);
+        _updateInvestorBalances(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a transfer
+     * @param _from Sender address
+     * @param _to Recipient address
+     * @param _amount Amount transferred
+     */
+    function transferred(address _from, address _to, uint256 _amount) external override onlyToken {
+        _updateHolderCount(_from, _to, _amount);
+        _updateInvestorBalances(_from, _to, _amount);
+        _recordOutboundVolume(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a mint
+     * @param _to Recipient address
+     * @param _amount Amount minted
+     */
+    function created(address _to, uint256 _amount) external override onlyToken {
+        _updateHolderCount(address(0), _to, _amount);
+        _updateInvestorBalances(address(0), _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a burn
+     * @param _from Holder address
+     * @param _amount Amount burned
+     */
+    function destroyed(address _from, uint256 _amount) external override onlyToken {
+        _updateHolderCount(_from, address(0), _amount);
+        _updateInvestorBalances(_from, address(0), _amount);
+    }
+    
+    /**
+     * @dev List recipients and drop senders left with a zero balance (hooks run after the balance change)
+     */
+    function _updateHolderCount(address _from, address _to, uint256 _amount) internal {
+        if (_amount == 0) {
+            return;
+        }
+        if (_to != address(0) && !_isHolder[_to]) {
+            _addHolder(_to);
+        }
+        if (_from != address(0) && _isHolder[_from] && IERC20(tokenBound).balanceOf(_from) == 0) {
+            _removeHolder(_from);
+        }
+    }
+    
+    /**
+     * @dev Add a wallet to the holder list
+     */
+    function _addHolder(address _holder) internal {
+        _isHolder[_holder] = true;
+        _holders.push(_holder);
+        _holderIndexes[_holder] = _holders.length;
+        currentHolders++;
         
-        // Handle minting (from == address(0))
-        if (_from == address(0) && _to != address(0) && _amount > 0) {
-            if (!_isHolder[_to]) {
-                _isHolder[_to] = true;
-                currentHolders++;
-            }
+        uint16 country = identityRegistry.investorCountry(_holder);
+        _holderCountries[_holder] = country;
+        countryHolderCount[country]++;
+        
+        _holderCountCheckpoints.push(SafeCast.toUint48(block.number), SafeCast.toUint208(currentHolders));
+        emit HolderAdded(_holder);
+    }
+    
+    /**
+     * @dev Remove a wallet from the holder list by swapping in the last entry
+     */
+    function _removeHolder(address _holder) internal {
+        _isHolder[_holder] = false;
+        currentHolders--;
+        
+        // Holders listed before per-country counts existed were never counted
+        uint16 country = _holderCountries[_holder];
+        if (countryHolderCount[country] > 0) {
+            countryHolderCount[country]--;
         }
+        delete _holderCountries[_holder];
         
-        // Handle burning (to == address(0))
-        if (_to == address(0) && _from != address(0) && _amount > 0) {
-            // Check if holder has any remaining balance after burn
-            // This would need to be called after the burn transaction
+        // Holders flagged before the list existed have no position
+        uint256 index = _holderIndexes[_holder];
+        if (index != 0) {
+            address last = _holders[_holders.length - 1];
+            _holders[index - 1] = last;
+            _holderIndexes[last] = index;
+            _holders.pop();
+            delete _holderIndexes[_holder];
         }
         
-        // Handle regular transfers
-        if (_from != address(0) && _to != address(0) && _amount > 0) {
-            if (!_isHolder[_to]) {
-                _isHolder[_to] = true;
-                currentHolders++;
-            }
+        _holderCountCheckpoints.push(SafeCast.toUint48(block.number), SafeCast.toUint208(currentHolders));
+        emit HolderRemoved(_holder);
+    }
+    
+    /**
+     * @dev Check if a new recipient would exceed the holder limit; a sender moving out its whole
+     * balance frees its slot
+     */
+    function _exceedsHolderLimit(address _from, address _to, uint256 _amount) internal view returns (bool) {
+        if (_isHolder[_to]) {
+            return false;
+        }
+        bool senderExits = _from != address(0) && tokenBound != address(0) && IERC20(tokenBound).balanceOf(_from) == _amount;
+        
+        if (maxHolders != 0 && currentHolders >= maxHolders && !senderExits) {
+            return true;
+        }
+        
+        uint16 country = identityRegistry.investorCountry(_to);
+        uint256 countryLimit = countryHolderLimit[country];
+        return countryLimit != 0 &&
+            countryHolderCount[country] >= countryLimit &&
+            !(senderExits && _holderCountries[_from] == country);
+    }
+    
+    /**
+     * @dev Move the amount between the investors' tallies; reverts if the recipient ends up above
+     * the maximum, which also covers forced transfers that skip canTransfer
+     */
+    function _updateInvestorBalances(address _from, address _to, uint256 _amount) internal {
+        address fromInvestor = _from == address(0) ? address(0) : _investorOf(_from);
+        address toInvestor = _to == address(0) ? address(0) : _investorOf(_to);
+        if (fromInvestor == toInvestor) {
+            return;
+        }
+        
+        if (fromInvestor != address(0)) {
+            // Balances held before tracking started are not in the tally
+            uint256 balance = _investorBalances[fromInvestor];
+            _investorBalances[fromInvestor] = balance > _amount ? balance - _amount : 0;
+        }
+        if (toInvestor != address(0)) {
+            _investorBalances[toInvestor] += _amount;
+            require(
+                maxBalancePerInvestor == 0 || _investorBalances[toInvestor] <= maxBalancePerInvestor,
+                "Exceeds max balance per investor"
+            );
+        }
+    }
+    
+    /**
+     * @dev Add a transfer between different investors to the sender's cumulative outbound volume
+     */
+    function _recordOutboundVolume(address _from, address _to, uint256 _amount) internal {
+        if (_from == address(0)) {
+            return;
+        }
+        address fromInvestor = _investorOf(_from);
+        if (fromInvestor == _investorOf(_to)) {
+            return;
+        }
+        
+        Checkpoints.Trace208 storage volume = _outboundVolume[fromInvestor];
+        volume.push(SafeCast.toUint48(block.timestamp), SafeCast.toUint208(volume.latest() + _amount));
+    }
+    
+    /**
+     * @dev Check that the sender's investor stays within its daily and monthly volume limits;
+     * moves between an investor's own wallets are not counted
+     */
+    function _withinVolumeLimits(address _from, address _to, uint256 _amount) internal view returns (bool) {
+        if (_from == address(0) || _investorOf(_from) == _investorOf(_to)) {
+            return true;
+        }
+        
+        (uint256 daily, uint256 monthly) = volumeLimitsOf(_from);
+        if (daily != 0 && transferredVolume(_from, DAILY_WINDOW) + _amount > daily) {
+            return false;
+        }
+        return monthly == 0 || transferredVolume(_from, MONTHLY_WINDOW) + _amount <= monthly;
+    }
+    
+    /**
+     * @dev Check that a country may take part in a transfer on one side
+     */
+    function _isCountryPermitted(uint16 _country, uint8 _side) internal view returns (bool) {
+        if (_restrictedSides(_country) & _side != 0) {
+            return false;
+        }
+        return !countryAllowlistMode || _countryAllowances[_country] & _side != 0;
+    }
+    
+    /**
+     * @dev Validate and store the restricted sides of a country
+     */
+    function _setCountryRestriction(uint16 _country, uint8 _sides) internal {
+        require(_country > 0, "Invalid country code");
+        require(_sides <= BOTH_SIDES, "Invalid sides");
+        
+        _countryRestrictions[_country] = _sides;
+        delete _legacyRestrictedCountries[_country];
+        _updatePolicyCountry(_country);
+        emit CountryRestrictionSet(_country, _sides);
+    }
+    
+    /**
+     * @dev Get the restricted sides of a country, counting a restriction from before sided rules as both sides
+     */
+    function _restrictedSides(uint16 _country) internal view returns (uint8) {
+        return _legacyRestrictedCountries[_country] ? BOTH_SIDES : _countryRestrictions[_country];
+    }
+    
+    /**
+     * @dev Validate and store the allowed sides of a country
+     */
+    function _setCountryAllowance(uint16 _country, uint8 _sides) internal {
+        require(_country > 0, "Invalid country code");
+        require(_sides <= BOTH_SIDES, "Invalid sides");
+        
+        _countryAllowances[_country] = _sides;
+        _updatePolicyCountry(_country);
+        emit CountryAllowanceSet(_country, _sides);
+    }
+    
+    /**
+     * @dev List a country while it has a restriction or allowance and unlist it once it has neither
+     */
+    function _updatePolicyCountry(uint16 _country) internal {
+        bool active = _countryRestrictions[_country] != 0 || _countryAllowances[_country] != 0;
+        uint256 index = _policyCountryIndexes[_country];
+        
+        if (active && index == 0) {
+            _policyCountries.push(_country);
+            _policyCountryIndexes[_country] = _policyCountries.length;
+        } else if (!active && index != 0) {
+            uint16 last = _policyCountries[_policyCountries.length - 1];
+            _policyCountries[index - 1] = last;
+            _policyCountryIndexes[last] = index;
+            _policyCountries.pop();
+            delete _policyCountryIndexes[_country];
         }
     }
+    
+    /**
+     * @dev Pick the lower of two limits where 0 means no limit
+     */
+    function _stricterLimit(uint256 _a, uint256 _b) internal pure returns (uint256) {
+        if (_a == 0 || (_b != 0 && _b < _a)) {
+            return _b;
+        }
+        return _a;
+    }
+    
+    /**
+     * @dev Check that the recipient's investor stays within the maximum balance
+     */
+    function _withinMaxBalance(address _from, address _to, uint256 _amount) internal view returns (bool) {
+        if (maxBalancePerInvestor == 0) {
+            return true;
+        }
+        address toInvestor = _investorOf(_to);
+        if (_from != address(0) && _investorOf(_from) == toInvestor) {
+            return true;
+        }
+        return _investorBalances[toInvestor] + _amount <= maxBalancePerInvestor;
+    }
+    
+    /**
+     * @dev Key investor balances by onchain identity, falling back to the wallet when unregistered
+     */
+    function _investorOf(address _wallet) internal view returns (address) {
+        address onchainId = identityRegistry.identity(_wallet);
+        return onchainId == address(0) ? _wallet : onchainId;
+    }
 }
 
+/**
+ * @title Compliance
+ * @dev Constructor-deployed Compliance
+ */
+contract Compliance is ComplianceBase {
+    constructor(address _identityRegistry) initializer {
+        __Compliance_init(_identityRegistry);
+    }
+}
@@ -3,8 +3,11 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "./interfaces/ICompliance.sol";
 import "./interfaces/IIdentityRegistry.sol";
+import "./libraries/TransferRestrictions.sol";
 
 /**
  * @title ComplianceOptimized
@@ -12,6 +15,7 @@ import "./interfaces/IIdentityRegistry.sol";
  * Implements ERC-3643 compliance rules with maximum efficiency
  */
 contract ComplianceOptimized is ICompliance, Ownable {
+    using Checkpoints for Checkpoints.Trace208;
     
     // Immutable identity registry for gas savings
     IIdentityRegistry public immutable identityRegistry;
@@ -32,6 +36,14 @@ contract ComplianceOptimized is ICompliance, Ownable {
     mapping(uint16 => bool) private _restrictedCountries;
     mapping(address => bool) private _isHolder;
     
+    // Enumerable holder list, position + 1 per holder, and holder count history by block
+    address[] private _holders;
+    mapping(address => uint256) private _holderIndexes;
+    Checkpoints.Trace208 private _holderCountCheckpoints;
+    
+    // Token balance per investor, summed over every wallet linked to the same onchain identity
+    mapping(address => uint256) private _investorBalances;
+    
     // Immutable token contract (set once for gas efficiency)
     address public immutable tokenContract;
     
@@ -65,52 +77,75 @@ contract ComplianceOptimized is ICompliance, Ownable {
         view 
         override 
         returns (bool) 
+    {
+        return detectTransferRestriction(_from, _to, _amount) == TransferRestrictions.SUCCESS;
+    }
+    
+    /**
+     * @dev First rule a transfer breaks, as an ERC-1404 restriction code
+     */
+    function detectTransferRestriction(address _from, address _to, uint256 _amount) 
+        public 
+        view 
+        override 
+        returns (uint8) 
     {
         // Early validation checks
-        if (_to == address(0) || _amount == 0) return false;
+        if (_to == address(0) || _amount == 0) return TransferRestrictions.INVALID_TRANSFER;
         
         // Handle minting case (from == address(0))
         if (_from == address(0)) {
-            return _canMint(_to);
+            return _mintRestriction(_to, _amount);
         }
         
         // Regular transfer checks
-        return _canRegularTransfer(_from, _to);
+        return _transferRestriction(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Message for an ERC-1404 restriction code
+     */
+    function messageForTransferRestriction(uint8 _restrictionCode) external pure override returns (string memory) {
+        return TransferRestrictions.message(_restrictionCode);
     }
     
     /**
      * @dev Gas-optimized minting check
      */
-    function _canMint(address _to) private view returns (bool) {
+    function _mintRestriction(address _to, uint256 _amount) private view returns (uint8) {
         // Check blacklist first (cheapest check)
-        if (_blacklist[_to]) return false;
+        if (_blacklist[_to]) return TransferRestrictions.BLACKLISTED;
         
         // Check verification
-        if (!identityRegistry.isVerified(_to)) return false;
+        if (!identityRegistry.isVerified(_to)) return TransferRestrictions.NOT_VERIFIED;
         
         // Check country restrictions
         uint16 country = identityRegistry.investorCountry(_to);
-        if (_restrictedCountries[country]) return false;
+        if (_restrictedCountries[country]) return TransferRestrictions.COUNTRY_RESTRICTED;
         
         // Check holder limits only if not already a holder
         ComplianceData memory data = complianceData;
         if (!_isHolder[_to] && data.currentHolders >= data.maxHolders) {
-            return false;
+            return TransferRestrictions.HOLDER_LIMIT;
         }
         
-        return true;
+        if (!_withinMaxBalance(address(0), _to, _amount, data.maxBalancePerInvestor)) {
+            return TransferRestrictions.BALANCE_LIMIT;
+        }
+        
+        return TransferRestrictions.SUCCESS;
     }
     
     /**
      * @dev Gas-optimized regular transfer check
      */
-    function _canRegularTransfer(address _from, address _to) private view returns (bool) {
+    function _transferRestriction(address _from, address _to, uint256 _amount) private view returns (uint8) {
         // Check blacklist for both parties
-        if (_blacklist[_from] || _blacklist[_to]) return false;
+        if (_blacklist[_from] || _blacklist[_to]) return TransferRestrictions.BLACKLISTED;
         
         // Check verification for both parties
         if (!identityRegistry.isVerified(_from) || !identityRegistry.isVerified(_to)) {
-            return false;
+            return TransferRestrictions.NOT_VERIFIED;
         }
         
         // Check country restrictions
@@ -118,45 +153,135 @@ contract ComplianceOptimized is ICompliance, Ownable {
         uint16 toCountry = identityRegistry.investorCountry(_to);
         
         if (_restrictedCountries[fromCountry] || _restrictedCountries[toCountry]) {
-            return false;
+            return TransferRestrictions.COUNTRY_RESTRICTED;
         }
         
-        // Check holder limits for new recipients
+        // Check holder limits for new recipients; a sender moving out its whole balance frees its slot
         ComplianceData memory data = complianceData;
-        if (!_isHolder[_to] && data.currentHolders >= data.maxHolders) {
-            return false;
+        if (
+            !_isHolder[_to] &&
+            data.currentHolders >= data.maxHolders &&
+            IERC20(tokenContract).balanceOf(_from) != _amount
+        ) {
+            return TransferRestrictions.HOLDER_LIMIT;
+        }
+        
+        if (!_withinMaxBalance(_from, _to, _amount, data.maxBalancePerInvestor)) {
+            return TransferRestrictions.BALANCE_LIMIT;
         }
         
-        return true;
+        return TransferRestrictions.SUCCESS;
     }
     
     /**
      * @dev Ultra-optimized holder count update
      */
     function updateHolderCount(address _from, address _to, uint256 _amount) external override {
+        _updateHolderCount(_from, _to, _amount);
+        _updateInvestorBalances(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a transfer
+     */
+    function transferred(address _from, address _to, uint256 _amount) external override {
+        _updateHolderCount(_from, _to, _amount);
+        _updateInvestorBalances(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a mint
+     */
+    function created(address _to, uint256 _amount) external override {
+        _updateHolderCount(address(0), _to, _amount);
+        _updateInvestorBalances(address(0), _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a burn
+     */
+    function destroyed(address _from, uint256 _amount) external override {
+        _updateHolderCount(_from, address(0), _amount);
+        _updateInvestorBalances(_from, address(0), _amount);
+    }
+    
+    /**
+     * @dev Update holder status of both sides (token contract only, after the balance change)
+     */
+    function _updateHolderCount(address _from, address _to, uint256 _amount) internal {
         if (msg.sender != tokenContract) revert("Only token contract");
+        if (_amount == 0) return;
         
-        // Update recipient holder status
-        if (_to != address(0) && !_isHolder[_to] && _amount > 0) {
+        // List new recipients
+        if (_to != address(0) && !_isHolder[_to]) {
             _isHolder[_to] = true;
-            unchecked {
-                ++complianceData.currentHolders;
-            }
+            _holders.push(_to);
+            _holderIndexes[_to] = _holders.length;
+            _checkpointHolders(++complianceData.currentHolders);
+            emit HolderAdded(_to);
         }
         
-        // Update sender holder status if balance becomes 0
-        if (_from != address(0) && _isHolder[_from]) {
-            try IERC20(tokenContract).balanceOf(_from) returns (uint256 balance) {
-                if (balance == 0) {
-                    _isHolder[_from] = false;
-                    unchecked {
-                        --complianceData.currentHolders;
-                    }
-                }
-            } catch {
-                // Balance check failed - don't update holder status
+        // Drop senders left with a zero balance, swapping in the last holder
+        if (_from != address(0) && _isHolder[_from] && IERC20(tokenContract).balanceOf(_from) == 0) {
+            _isHolder[_from] = false;
+            uint256 index = _holderIndexes[_from];
+            address last = _holders[_holders.length - 1];
+            _holders[index - 1] = last;
+            _holderIndexes[last] = index;
+            _holders.pop();
+            delete _holderIndexes[_from];
+            _checkpointHolders(--complianceData.currentHolders);
+            emit HolderRemoved(_from);
+        }
+    }
+    
+    function _checkpointHolders(uint64 _count) private {
+        _holderCountCheckpoints.push(SafeCast.toUint48(block.number), _count);
+    }
+    
+    /**
+     * @dev Move the amount between the investors' tallies; reverts if the recipient ends up above
+     * the maximum, which also covers forced transfers that skip canTransfer
+     */
+    function _updateInvestorBalances(address _from, address _to, uint256 _amount) internal {
+        address fromInvestor = _from == address(0) ? address(0) : _investorOf(_from);
+        address toInvestor = _to == address(0) ? address(0) : _investorOf(_to);
+        if (fromInvestor == toInvestor) return;
+        
+        if (fromInvestor != address(0)) {
+            // Balances held before tracking started are not in the tally
+            uint256 balance = _investorBalances[fromInvestor];
+            unchecked {
+                _investorBalances[fromInvestor] = balance > _amount ? balance - _amount : 0;
             }
         }
+        if (toInvestor != address(0)) {
+            uint256 balance = _investorBalances[toInvestor] + _amount;
+            if (balance > complianceData.maxBalancePerInvestor) revert("Exceeds max balance per investor");
+            _investorBalances[toInvestor] = balance;
+        }
+    }
+    
+    /**
+     * @dev Check that the recipient's investor stays within the maximum balance
+     */
+    function _withinMaxBalance(address _from, address _to, uint256 _amount, uint128 _maxBalance)
+        private
+        view
+        returns (bool)
+    {
+        address toInvestor = _investorOf(_to);
+        if (_from != address(0) && _investorOf(_from) == toInvestor) return true;
+        
+        return _investorBalances[toInvestor] + _amount <= _maxBalance;
+    }
+    
+    /**
+     * @dev Key investor balances by onchain identity, falling back to the wallet when unregistered
+     */
+    function _investorOf(address _wallet) private view returns (address) {
+        address onchainId = identityRegistry.identity(_wallet);
+        return onchainId == address(0) ? _wallet : onchainId;
     }
     
     /**
@@ -240,7 +365,32 @@ contract ComplianceOptimized is ICompliance, Ownable {
         return complianceData.currentHolders;
     }
     
-    function isHolder(address _addr) external view returns (bool) {
+    function isHolder(address _addr) external view override returns (bool) {
         return _isHolder[_addr];
     }
+    
+    /**
+     * @dev Paginated holder list and holder count history
+     */
+    function getHolders(uint256 _offset, uint256 _limit) external view override returns (address[] memory holders) {
+        uint256 length = _holders.length;
+        uint256 end = _offset + _limit > length ? length : _offset + _limit;
+        if (_offset >= end) return new address[](0);
+        
+        holders = new address[](end - _offset);
+        unchecked {
+            for (uint256 i = _offset; i < end; ++i) {
+                holders[i - _offset] = _holders[i];
+            }
+        }
+    }
+    
+    function holderCountAtBlock(uint256 _blockNumber) external view override returns (uint256) {
+        if (_blockNumber >= block.number) revert("Block not yet mined");
+        return _holderCountCheckpoints.upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+    
+    function investorBalance(address _wallet) external view returns (uint256) {
+        return _investorBalances[_investorOf(_wallet)];
+    }
 }
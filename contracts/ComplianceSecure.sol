@@ -4,8 +4,12 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "./interfaces/ICompliance.sol";
 import "./interfaces/IIdentityRegistry.sol";
+import "./libraries/TransferRestrictions.sol";
 
 /**
  * @title ComplianceSecure
@@ -13,6 +17,7 @@ import "./interfaces/IIdentityRegistry.sol";
  * Implements compliance rules and transfer validation for ERC-3643 tokens
  */
 contract ComplianceSecure is ICompliance, Ownable, AccessControl, ReentrancyGuard {
+    using Checkpoints for Checkpoints.Trace208;
     
     bytes32 public constant TOKEN_ROLE = keccak256("TOKEN_ROLE");
     bytes32 public constant COMPLIANCE_OFFICER_ROLE = keccak256("COMPLIANCE_OFFICER_ROLE");
@@ -37,6 +42,17 @@ contract ComplianceSecure is ICompliance, Ownable, AccessControl, ReentrancyGuar
     
     mapping(address => bool) private _isHolder;
     
+    // Enumerable holder list and each holder's position + 1 (0 = not listed)
+    address[] private _holders;
+    mapping(address => uint256) private _holderIndexes;
+    
+    // Holder count history by block number
+    Checkpoints.Trace208 private _holderCountCheckpoints;
+    
+    // Token balance per investor, summed over every wallet linked to the same onchain identity
+    // (tracks a single token; grant TOKEN_ROLE to one token only)
+    mapping(address => uint256) private _investorBalances;
+    
     // Events for better transparency
     event ComplianceRuleUpdated(bytes32 indexed ruleId, bool isActive, string description);
     event BlacklistUpdated(address indexed account, bool isBlacklisted);
@@ -73,50 +89,72 @@ contract ComplianceSecure is ICompliance, Ownable, AccessControl, ReentrancyGuar
         address _to, 
         uint256 _amount
     ) external view override returns (bool) {
+        return detectTransferRestriction(_from, _to, _amount) == TransferRestrictions.SUCCESS;
+    }
+    
+    /**
+     * @dev Get the first rule a transfer breaks (ERC-1404)
+     */
+    function detectTransferRestriction(
+        address _from, 
+        address _to, 
+        uint256 _amount
+    ) public view override returns (uint8) {
         // Basic validation
-        if (_to == address(0) || _amount == 0) return false;
+        if (_to == address(0) || _amount == 0) return TransferRestrictions.INVALID_TRANSFER;
         
         // Handle minting (from address(0))
         if (_from == address(0)) {
-            return _canReceiveTokens(_to, _amount);
+            return _receiveRestriction(_to, _amount);
         }
         
         // Handle regular transfers
-        return _canTransferTokens(_from, _to, _amount);
+        return _transferRestriction(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Get the message for a restriction code (ERC-1404)
+     */
+    function messageForTransferRestriction(uint8 _restrictionCode) external pure override returns (string memory) {
+        return TransferRestrictions.message(_restrictionCode);
     }
     
     /**
      * @dev Internal function to check if address can receive tokens
      */
-    function _canReceiveTokens(address _to, uint256 _amount) internal view returns (bool) {
+    function _receiveRestriction(address _to, uint256 _amount) internal view returns (uint8) {
         // Check blacklist
-        if (_blacklist[_to]) return false;
+        if (_blacklist[_to]) return TransferRestrictions.BLACKLISTED;
         
         // Check KYC verification
-        if (!identityRegistry.isVerified(_to)) return false;
+        if (!identityRegistry.isVerified(_to)) return TransferRestrictions.NOT_VERIFIED;
         
         // Check country restrictions
         uint16 recipientCountry = identityRegistry.investorCountry(_to);
-        if (_restrictedCountries[recipientCountry]) return false;
+        if (_restrictedCountries[recipientCountry]) return TransferRestrictions.COUNTRY_RESTRICTED;
         
         // Check holder limits
         if (!_isHolder[_to] && maxHolders > 0 && currentHolders >= maxHolders) {
-            return false;
+            return TransferRestrictions.HOLDER_LIMIT;
+        }
+        
+        if (!_withinMaxBalance(address(0), _to, _amount)) {
+            return TransferRestrictions.BALANCE_LIMIT;
         }
         
-        return true;
+        return TransferRestrictions.SUCCESS;
     }
     
     /**
      * @dev Internal function to check regular transfers
      */
-    function _canTransferTokens(address _from, address _to, uint256 _amount) internal view returns (bool) {
+    function _transferRestriction(address _from, address _to, uint256 _amount) internal view returns (uint8) {
         // Check blacklist for both parties
-        if (_blacklist[_from] || _blacklist[_to]) return false;
+        if (_blacklist[_from] || _blacklist[_to]) return TransferRestrictions.BLACKLISTED;
         
         // Check KYC verification for both parties
         if (!identityRegistry.isVerified(_from) || !identityRegistry.isVerified(_to)) {
-            return false;
+            return TransferRestrictions.NOT_VERIFIED;
         }
         
         // Check country restrictions
@@ -124,15 +162,19 @@ contract ComplianceSecure is ICompliance, Ownable, AccessControl, ReentrancyGuar
         uint16 toCountry = identityRegistry.investorCountry(_to);
         
         if (_restrictedCountries[fromCountry] || _restrictedCountries[toCountry]) {
-            return false;
+            return TransferRestrictions.COUNTRY_RESTRICTED;
         }
         
         // Check holder limits for new recipients
         if (!_isHolder[_to] && maxHolders > 0 && currentHolders >= maxHolders) {
-            return false;
+            return TransferRestrictions.HOLDER_LIMIT;
         }
         
-        return true;
+        if (!_withinMaxBalance(_from, _to, _amount)) {
+            return TransferRestrictions.BALANCE_LIMIT;
+        }
+        
+        return TransferRestrictions.SUCCESS;
     }
     
     /**
@@ -256,33 +298,164 @@ contract ComplianceSecure is ICompliance, Ownable, AccessControl, ReentrancyGuar
         onlyToken 
         nonReentrant 
     {
+        _updateHolderCount(_from, _to, _amount);
+        _updateInvestorBalances(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a transfer
+     */
+    function transferred(address _from, address _to, uint256 _amount) external override onlyToken nonReentrant {
+        _updateHolderCount(_from, _to, _amount);
+        _updateInvestorBalances(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a mint
+     */
+    function created(address _to, uint256 _amount) external override onlyToken nonReentrant {
+        _updateHolderCount(address(0), _to, _amount);
+        _updateInvestorBalances(address(0), _to, _amount);
+    }
+    
+    /**
+     * @dev Token hook after a burn
+     */
+    function destroyed(address _from, uint256 _amount) external override onlyToken nonReentrant {
+        _updateHolderCount(_from, address(0), _amount);
+        _updateInvestorBalances(_from, address(0), _amount);
+    }
+    
+    /**
+     * @dev List recipients and drop senders left with a zero balance (hooks run after the balance change)
+     */
+    function _updateHolderCount(address _from, address _to, uint256 _amount) internal {
         require(_amount > 0, "ComplianceSecure: invalid amount");
         
-        uint128 newHolderCount = currentHolders;
-        
-        // Handle minting
-        if (_from == address(0) && _to != address(0)) {
-            if (!_isHolder[_to]) {
-                _isHolder[_to] = true;
-                newHolderCount++;
-            }
+        if (_to != address(0) && !_isHolder[_to]) {
+            _addHolder(_to);
         }
+        if (_from != address(0) && _isHolder[_from] && IERC20(msg.sender).balanceOf(_from) == 0) {
+            _removeHolder(_from);
+        }
+    }
+    
+    /**
+     * @dev Add a wallet to the holder list
+     */
+    function _addHolder(address _holder) internal {
+        _isHolder[_holder] = true;
+        _holders.push(_holder);
+        _holderIndexes[_holder] = _holders.length;
         
-        // Handle regular transfers
-        if (_from != address(0) && _to != address(0)) {
-            if (!_isHolder[_to]) {
-                _isHolder[_to] = true;
-                newHolderCount++;
-            }
+        _setHolderCount(currentHolders + 1);
+        emit HolderAdded(_holder);
+    }
+    
+    /**
+     * @dev Remove a wallet from the holder list by swapping in the last entry
+     */
+    function _removeHolder(address _holder) internal {
+        _isHolder[_holder] = false;
+        
+        uint256 index = _holderIndexes[_holder];
+        address last = _holders[_holders.length - 1];
+        _holders[index - 1] = last;
+        _holderIndexes[last] = index;
+        _holders.pop();
+        delete _holderIndexes[_holder];
+        
+        _setHolderCount(currentHolders - 1);
+        emit HolderRemoved(_holder);
+    }
+    
+    /**
+     * @dev Store and checkpoint the holder count
+     */
+    function _setHolderCount(uint128 _count) internal {
+        currentHolders = _count;
+        _holderCountCheckpoints.push(SafeCast.toUint48(block.number), _count);
+        emit HolderCountUpdated(_count);
+    }
+    
+    /**
+     * @dev Move the amount between the investors' tallies; reverts if the recipient ends up above
+     * the maximum, which also covers forced transfers that skip canTransfer
+     */
+    function _updateInvestorBalances(address _from, address _to, uint256 _amount) internal {
+        address fromInvestor = _from == address(0) ? address(0) : _investorOf(_from);
+        address toInvestor = _to == address(0) ? address(0) : _investorOf(_to);
+        if (fromInvestor == toInvestor) return;
+        
+        if (fromInvestor != address(0)) {
+            // Balances held before tracking started are not in the tally
+            uint256 balance = _investorBalances[fromInvestor];
+            _investorBalances[fromInvestor] = balance > _amount ? balance - _amount : 0;
         }
+        if (toInvestor != address(0)) {
+            _investorBalances[toInvestor] += _amount;
+            require(
+                maxBalancePerInvestor == 0 || _investorBalances[toInvestor] <= maxBalancePerInvestor,
+                "ComplianceSecure: exceeds max balance per investor"
+            );
+        }
+    }
+    
+    /**
+     * @dev Check that the recipient's investor stays within the maximum balance
+     */
+    function _withinMaxBalance(address _from, address _to, uint256 _amount) internal view returns (bool) {
+        if (maxBalancePerInvestor == 0) return true;
         
-        // Update holder count if changed
-        if (newHolderCount != currentHolders) {
-            currentHolders = newHolderCount;
-            emit HolderCountUpdated(newHolderCount);
+        address toInvestor = _investorOf(_to);
+        if (_from != address(0) && _investorOf(_from) == toInvestor) return true;
+        
+        return _investorBalances[toInvestor] + _amount <= maxBalancePerInvestor;
+    }
+    
+    /**
+     * @dev Key investor balances by onchain identity, falling back to the wallet when unregistered
+     */
+    function _investorOf(address _wallet) internal view returns (address) {
+        address onchainId = identityRegistry.identity(_wallet);
+        return onchainId == address(0) ? _wallet : onchainId;
+    }
+    
+    /**
+     * @dev Get the balance an investor holds across all wallets linked to its identity
+     */
+    function investorBalance(address _wallet) external view returns (uint256) {
+        return _investorBalances[_investorOf(_wallet)];
+    }
+    
+    /**
+     * @dev Check if a wallet currently holds tokens
+     */
+    function isHolder(address _wallet) external view override returns (bool) {
+        return _isHolder[_wallet];
+    }
+    
+    /**
+     * @dev Get a page of the holder list (order changes as holders exit)
+     */
+    function getHolders(uint256 _offset, uint256 _limit) external view override returns (address[] memory holders) {
+        uint256 end = _offset + _limit > _holders.length ? _holders.length : _offset + _limit;
+        if (_offset >= end) return new address[](0);
+        
+        holders = new address[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            holders[i - _offset] = _holders[i];
         }
     }
     
+    /**
+     * @dev Get the number of holders at the end of a past block
+     */
+    function holderCountAtBlock(uint256 _blockNumber) external view override returns (uint256) {
+        require(_blockNumber < block.number, "ComplianceSecure: block not yet mined");
+        return _holderCountCheckpoints.upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+    
     /**
      * @dev Grant token role to authorized token contracts
      */
@@ -0,0 +1,391 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./interfaces/IIdentity.sol";
+import "./interfaces/IClaimIssuer.sol";
+
+/**
+ * @title Identity
+ * @dev ONCHAINID identity contract for an investor (ERC-734 keys and ERC-735 claims)
+ * Claims are signed by claim issuers over keccak256(abi.encode(identity, topic, data))
+ * and checked against the issuer when added, so an identity only holds claims its issuers vouch for.
+ */
+contract Identity is IIdentity {
+
+    // Key purposes
+    uint256 public constant MANAGEMENT_KEY = 1;
+    uint256 public constant ACTION_KEY = 2;
+    uint256 public constant CLAIM_SIGNER_KEY = 3;
+    uint256 public constant ENCRYPTION_KEY = 4;
+
+    // Key types
+    uint256 public constant ECDSA_TYPE = 1;
+
+    struct Key {
+        uint256[] purposes;
+        uint256 keyType;
+        bytes32 key;
+    }
+
+    struct Execution {
+        address to;
+        uint256 value;
+        bytes data;
+        bool approved;
+        bool executed;
+    }
+
+    struct Claim {
+        uint256 topic;
+        uint256 scheme;
+        address issuer;
+        bytes signature;
+        bytes data;
+        string uri;
+    }
+
+    // Keys by key hash, and key hashes by purpose
+    mapping(bytes32 => Key) private _keys;
+    mapping(uint256 => bytes32[]) private _keysByPurpose;
+
+    // Requested executions
+    mapping(uint256 => Execution) private _executions;
+    uint256 private _executionNonce;
+
+    // Claims by claim ID, and claim IDs by topic
+    mapping(bytes32 => Claim) private _claims;
+    mapping(uint256 => bytes32[]) private _claimsByTopic;
+
+    modifier onlyManager() {
+        require(
+            msg.sender == address(this) || keyHasPurpose(keccak256(abi.encode(msg.sender)), MANAGEMENT_KEY),
+            "Sender does not have management key"
+        );
+        _;
+    }
+
+    modifier onlyClaimKey() {
+        require(
+            msg.sender == address(this) || keyHasPurpose(keccak256(abi.encode(msg.sender)), CLAIM_SIGNER_KEY),
+            "Sender does not have claim signer key"
+        );
+        _;
+    }
+
+    constructor(address _initialManagementKey) {
+        require(_initialManagementKey != address(0), "Invalid management key");
+
+        bytes32 key = keccak256(abi.encode(_initialManagementKey));
+        _keys[key].key = key;
+        _keys[key].purposes.push(MANAGEMENT_KEY);
+        _keys[key].keyType = ECDSA_TYPE;
+        _keysByPurpose[MANAGEMENT_KEY].push(key);
+
+        emit KeyAdded(key, MANAGEMENT_KEY, ECDSA_TYPE);
+    }
+
+    /**
+     * @dev Add a purpose to a key (manager only)
+     * @param _key Key hash (keccak256 of the abi-encoded address for ECDSA keys)
+     * @param _purpose Key purpose
+     * @param _keyType Key type
+     * @return True if the key was added
+     */
+    function addKey(bytes32 _key, uint256 _purpose, uint256 _keyType) public override onlyManager returns (bool) {
+        require(_purpose > 0, "Invalid purpose");
+
+        if (_keys[_key].key == _key) {
+            uint256[] memory purposes = _keys[_key].purposes;
+            for (uint256 i = 0; i < purposes.length; i++) {
+                require(purposes[i] != _purpose, "Key already has purpose");
+            }
+        } else {
+            _keys[_key].key = _key;
+            _keys[_key].keyType = _keyType;
+        }
+
+        _keys[_key].purposes.push(_purpose);
+        _keysByPurpose[_purpose].push(_key);
+
+        emit KeyAdded(_key, _purpose, _keyType);
+        return true;
+    }
+
+    /**
+     * @dev Remove a purpose from a key (manager only)
+     * @param _key Key hash
+     * @param _purpose Key purpose to remove
+     * @return True if the purpose was removed
+     */
+    function removeKey(bytes32 _key, uint256 _purpose) public override onlyManager returns (bool) {
+        require(_keys[_key].key == _key, "Key not registered");
+
+        uint256[] storage purposes = _keys[_key].purposes;
+        uint256 purposeIndex = purposes.length;
+        for (uint256 i = 0; i < purposes.length; i++) {
+            if (purposes[i] == _purpose) {
+                purposeIndex = i;
+                break;
+            }
+        }
+        require(purposeIndex < purposes.length, "Key does not have purpose");
+
+        purposes[purposeIndex] = purposes[purposes.length - 1];
+        purposes.pop();
+
+        bytes32[] storage keys = _keysByPurpose[_purpose];
+        for (uint256 i = 0; i < keys.length; i++) {
+            if (keys[i] == _key) {
+                keys[i] = keys[keys.length - 1];
+                keys.pop();
+                break;
+            }
+        }
+
+        uint256 keyType = _keys[_key].keyType;
+        if (purposes.length == 0) {
+            delete _keys[_key];
+        }
+
+        emit KeyRemoved(_key, _purpose, keyType);
+        return true;
+    }
+
+    /**
+     * @dev Request a call from this identity; executed right away if the sender's key allows it
+     * Management keys may call anything, action keys may call other contracts.
+     * @param _to Call target
+     * @param _value ETH value to send
+     * @param _data Call data
+     * @return Execution ID
+     */
+    function execute(address _to, uint256 _value, bytes calldata _data) external payable override returns (uint256) {
+        uint256 executionId = _executionNonce++;
+        _executions[executionId].to = _to;
+        _executions[executionId].value = _value;
+        _executions[executionId].data = _data;
+
+        emit ExecutionRequested(executionId, _to, _value, _data);
+
+        bytes32 senderKey = keccak256(abi.encode(msg.sender));
+        if (keyHasPurpose(senderKey, MANAGEMENT_KEY) || (_to != address(this) && keyHasPurpose(senderKey, ACTION_KEY))) {
+            _approveExecution(executionId, true);
+        }
+
+        return executionId;
+    }
+
+    /**
+     * @dev Approve or reject a pending execution
+     * Calls to this identity need a management key, other calls an action key.
+     * @param _executionId Execution ID
+     * @param _approve True to approve and run the call
+     * @return True if the call ran successfully (false when rejected or failed)
+     */
+    function approve(uint256 _executionId, bool _approve) external override returns (bool) {
+        require(_executionId < _executionNonce, "Execution does not exist");
+
+        bytes32 senderKey = keccak256(abi.encode(msg.sender));
+        uint256 requiredPurpose = _executions[_executionId].to == address(this) ? MANAGEMENT_KEY : ACTION_KEY;
+        require(keyHasPurpose(senderKey, requiredPurpose), "Sender does not have required key");
+
+        return _approveExecution(_executionId, _approve);
+    }
+
+    /**
+     * @dev Add or update a claim (claim signer key only)
+     * Claims from other issuers must be valid according to that issuer.
+     * @param _topic Claim topic (e.g. KYC)
+     * @param _scheme Signature scheme
+     * @param _issuer Claim issuer identity
+     * @param _signature Issuer signature over keccak256(abi.encode(this, topic, data))
+     * @param _data Claim data
+     * @param _uri Location of off-chain claim details
+     * @return Claim ID
+     */
+    function addClaim(
+        uint256 _topic,
+        uint256 _scheme,
+        address _issuer,
+        bytes calldata _signature,
+        bytes calldata _data,
+        string calldata _uri
+    ) external override onlyClaimKey returns (bytes32) {
+        if (_issuer != address(this)) {
+            require(IClaimIssuer(_issuer).isClaimValid(IIdentity(address(this)), _topic, _signature, _data), "Invalid claim");
+        }
+
+        bytes32 claimId = keccak256(abi.encode(_issuer, _topic));
+        bool exists = _claims[claimId].issuer != address(0);
+
+        _claims[claimId] = Claim({
+            topic: _topic,
+            scheme: _scheme,
+            issuer: _issuer,
+            signature: _signature,
+            data: _data,
+            uri: _uri
+        });
+
+        if (exists) {
+            emit ClaimChanged(claimId, _topic, _scheme, _issuer, _signature, _data, _uri);
+        } else {
+            _claimsByTopic[_topic].push(claimId);
+            emit ClaimAdded(claimId, _topic, _scheme, _issuer, _signature, _data, _uri);
+        }
+
+        return claimId;
+    }
+
+    /**
+     * @dev Remove a claim (claim signer key only)
+     * @param _claimId Claim ID
+     * @return True if the claim was removed
+     */
+    function removeClaim(bytes32 _claimId) external override onlyClaimKey returns (bool) {
+        Claim memory claim = _claims[_claimId];
+        require(claim.issuer != address(0), "Claim does not exist");
+
+        bytes32[] storage claimIds = _claimsByTopic[claim.topic];
+        for (uint256 i = 0; i < claimIds.length; i++) {
+            if (claimIds[i] == _claimId) {
+                claimIds[i] = claimIds[claimIds.length - 1];
+                claimIds.pop();
+                break;
+            }
+        }
+        delete _claims[_claimId];
+
+        emit ClaimRemoved(_claimId, claim.topic, claim.scheme, claim.issuer, claim.signature, claim.data, claim.uri);
+        return true;
+    }
+
+    /**
+     * @dev Check if a claim about an identity was signed by a claim signer key of this identity
+     * @param _identity Identity the claim is about
+     * @param _topic Claim topic
+     * @param _signature Claim signature
+     * @param _data Claim data
+     * @return True if the signer holds a claim signer key here
+     */
+    function isClaimValid(
+        IIdentity _identity,
+        uint256 _topic,
+        bytes calldata _signature,
+        bytes calldata _data
+    ) public view virtual override returns (bool) {
+        bytes32 dataHash = keccak256(abi.encode(_identity, _topic, _data));
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(
+            MessageHashUtils.toEthSignedMessageHash(dataHash),
+            _signature
+        );
+        if (error != ECDSA.RecoverError.NoError) {
+            return false;
+        }
+
+        return keyHasPurpose(keccak256(abi.encode(signer)), CLAIM_SIGNER_KEY);
+    }
+
+    /**
+     * @dev Get a key
+     * @param _key Key hash
+     * @return _purposes Key purposes
+     * @return _keyType Key type
+     * @return _keyValue Key hash (zero if not registered)
+     */
+    function getKey(bytes32 _key) external view override returns (uint256[] memory _purposes, uint256 _keyType, bytes32 _keyValue) {
+        Key storage key = _keys[_key];
+        return (key.purposes, key.keyType, key.key);
+    }
+
+    /**
+     * @dev Get the purposes of a key
+     * @param _key Key hash
+     * @return Key purposes
+     */
+    function getKeyPurposes(bytes32 _key) external view override returns (uint256[] memory) {
+        return _keys[_key].purposes;
+    }
+
+    /**
+     * @dev Get all keys with a purpose
+     * @param _purpose Key purpose
+     * @return Key hashes
+     */
+    function getKeysByPurpose(uint256 _purpose) external view override returns (bytes32[] memory) {
+        return _keysByPurpose[_purpose];
+    }
+
+    /**
+     * @dev Check if a key has a purpose; management keys have every purpose
+     * @param _key Key hash
+     * @param _purpose Key purpose
+     * @return True if the key has the purpose
+     */
+    function keyHasPurpose(bytes32 _key, uint256 _purpose) public view override returns (bool) {
+        uint256[] storage purposes = _keys[_key].purposes;
+        for (uint256 i = 0; i < purposes.length; i++) {
+            if (purposes[i] == MANAGEMENT_KEY || purposes[i] == _purpose) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Get a claim
+     * @param _claimId Claim ID
+     * @return _topic Claim topic
+     * @return _scheme Signature scheme
+     * @return _issuer Claim issuer
+     * @return _signature Issuer signature
+     * @return _data Claim data
+     * @return _uri Off-chain claim location
+     */
+    function getClaim(bytes32 _claimId) external view override returns (
+        uint256 _topic,
+        uint256 _scheme,
+        address _issuer,
+        bytes memory _signature,
+        bytes memory _data,
+        string memory _uri
+    ) {
+        Claim storage claim = _claims[_claimId];
+        return (claim.topic, claim.scheme, claim.issuer, claim.signature, claim.data, claim.uri);
+    }
+
+    /**
+     * @dev Get the claim IDs for a topic
+     * @param _topic Claim topic
+     * @return Claim IDs
+     */
+    function getClaimIdsByTopic(uint256 _topic) external view override returns (bytes32[] memory) {
+        return _claimsByTopic[_topic];
+    }
+
+    /**
+     * @dev Approve or reject an execution and run it if approved
+     */
+    function _approveExecution(uint256 _executionId, bool _approved) internal returns (bool) {
+        Execution storage execution = _executions[_executionId];
+        require(!execution.executed, "Execution already done");
+
+        emit Approved(_executionId, _approved);
+        if (!_approved) {
+            return false;
+        }
+
+        execution.approved = true;
+        (bool success, ) = execution.to.call{value: execution.value}(execution.data);
+
+        if (success) {
+            execution.executed = true;
+            emit Executed(_executionId, execution.to, execution.value, execution.data);
+        } else {
+            emit ExecutionFailed(_executionId, execution.to, execution.value, execution.data);
+        }
+        return success;
+    }
+}
@@ -1,43 +1,77 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "./interfaces/IIdentityRegistry.sol";
+import "./interfaces/IClaimIssuer.sol";
+import "./libraries/InvestorCategories.sol";
 
 /**
- * @title IdentityRegistry
+ * @title IdentityRegistryBase
  * @dev Manages verified identities and KYC status for token holders
  * Core component of ERC-3643 compliance framework
+ * Identities and countries are kept in an IdentityRegistryStorage that several registries (one per
+ * property token) can share, so an investor registered once is known across the portfolio.
+ * Once a ClaimTopicsRegistry requiring topics is set, a wallet is only verified if its ONCHAINID
+ * identity holds a valid claim for every required topic from an issuer the TrustedIssuersRegistry
+ * trusts for that topic.
+ * Initializer-based, shared by IdentityRegistry and IdentityRegistryUpgradeable
  */
-contract IdentityRegistry is IIdentityRegistry, Ownable {
+abstract contract IdentityRegistryBase is IIdentityRegistry, OwnableUpgradeable {
+    
+    // Identities, countries and registrations kept by the registry itself before the shared storage
+    // (read only by migrateLegacyIdentities; the slots remain for proxy storage layout)
+    mapping(address => address) private _legacyIdentities;
+    mapping(address => uint16) private _legacyCountries;
+    mapping(address => bool) private _legacyRegistered;
+    
+    // Agents allowed to manage identities (e.g. tokens performing wallet recovery)
+    mapping(address => bool) private _agents;
+    
+    // Claim topics and trusted issuers (now kept by their registries; the slots remain for proxy storage layout)
+    uint256[] private _unusedClaimTopics;
+    address[] private _unusedTrustedIssuers;
+    mapping(address => bool) private _unusedIsTrustedIssuer;
     
-    // Mapping from wallet address to onchain identity contract
-    mapping(address => address) private _identities;
+    // Claim topics every identity must hold (e.g. KYC, AML)
+    IClaimTopicsRegistry private _topicsRegistry;
     
-    // Mapping from wallet address to country code (ISO 3166-1 numeric)
-    mapping(address => uint16) private _countries;
+    // Claim issuers trusted to sign each topic
+    ITrustedIssuersRegistry private _issuersRegistry;
     
-    // Set of registered wallet addresses for efficient lookup
-    mapping(address => bool) private _registered;
+    // Storage holding identities and countries (ISO 3166-1 numeric), shared with other registries
+    IIdentityRegistryStorage private _identityStorage;
     
-    constructor() Ownable(msg.sender) {}
+    modifier onlyOwnerOrAgent() {
+        require(owner() == msg.sender || _agents[msg.sender], "Not authorized agent");
+        _;
+    }
     
     /**
-     * @dev Self-register identity for KYC compliance (simplified for demo)
+     * @dev Initialize the registry with the caller as owner
+     * @param _identityStorageAddress Identity storage; the registry must be bound to it before writing
+     */
+    function __IdentityRegistry_init(address _identityStorageAddress) internal onlyInitializing {
+        __Ownable_init(msg.sender);
+        _setIdentityStorage(_identityStorageAddress);
+    }
+    
+    /**
+     * @dev Self-register the caller's wallet as its own identity (simplified for demo)
+     * Such a registration is only verified while no claim topics are required.
      */
     function registerIdentity() external {
-        require(!_registered[msg.sender], "Already registered");
+        require(_identityStorage.storedIdentity(msg.sender) == address(0), "Already registered");
         
         // For demo purposes, use sender's address as onchain ID and default country
-        _identities[msg.sender] = msg.sender;
-        _countries[msg.sender] = 840; // United States (ISO 3166-1 numeric)
-        _registered[msg.sender] = true;
+        _identityStorage.addIdentityToStorage(msg.sender, msg.sender, 840); // United States (ISO 3166-1 numeric)
         
         emit IdentityRegistered(msg.sender, msg.sender);
     }
     
     /**
      * @dev Register a new identity for KYC compliance
+     * Re-registering a wallet already in the shared storage replaces its identity and country.
      * @param _wallet The wallet address to register
      * @param _onchainID The onchain identity contract address
      * @param _country The country code (ISO 3166-1 numeric)
@@ -46,28 +80,39 @@ contract IdentityRegistry is IIdentityRegistry, Ownable {
         address _wallet, 
         address _onchainID, 
         uint16 _country
-    ) external override {
-        require(_wallet != address(0), "Invalid wallet address");
-        require(_onchainID != address(0), "Invalid onchain ID");
-        require(_country > 0, "Invalid country code");
-        
-        _identities[_wallet] = _onchainID;
-        _countries[_wallet] = _country;
-        _registered[_wallet] = true;
+    ) external override onlyOwnerOrAgent {
+        _registerIdentity(_wallet, _onchainID, _country);
+    }
+    
+    /**
+     * @dev Register several identities; reverts entirely if any entry fails
+     * @param _wallets The wallet addresses to register
+     * @param _onchainIDs The onchain identity contract addresses
+     * @param _countryCodes The country codes (ISO 3166-1 numeric)
+     */
+    function batchRegisterIdentity(
+        address[] calldata _wallets,
+        address[] calldata _onchainIDs,
+        uint16[] calldata _countryCodes
+    ) external override onlyOwnerOrAgent {
+        require(
+            _wallets.length == _onchainIDs.length && _wallets.length == _countryCodes.length,
+            "Array length mismatch"
+        );
         
-        emit IdentityRegistered(_wallet, _onchainID);
+        for (uint256 i = 0; i < _wallets.length; i++) {
+            _registerIdentity(_wallets[i], _onchainIDs[i], _countryCodes[i]);
+        }
     }
     
     /**
      * @dev Remove an identity from the registry
      * @param _wallet The wallet address to remove
      */
-    function removeIdentity(address _wallet) external override onlyOwner {
-        require(_registered[_wallet], "Identity not registered");
+    function removeIdentity(address _wallet) external override onlyOwnerOrAgent {
+        require(_identityStorage.storedIdentity(_wallet) != address(0), "Identity not registered");
         
-        delete _identities[_wallet];
-        delete _countries[_wallet];
-        delete _registered[_wallet];
+        _identityStorage.removeIdentityFromStorage(_wallet);
         
         emit IdentityRemoved(_wallet);
     }
@@ -77,12 +122,76 @@ contract IdentityRegistry is IIdentityRegistry, Ownable {
      * @param _wallet The wallet address
      * @param _country The new country code
      */
-    function updateCountry(address _wallet, uint16 _country) external override onlyOwner {
-        require(_registered[_wallet], "Identity not registered");
-        require(_country > 0, "Invalid country code");
+    function updateCountry(address _wallet, uint16 _country) external override onlyOwnerOrAgent {
+        _updateCountry(_wallet, _country);
+    }
+    
+    /**
+     * @dev Update the investor category of a registered identity (e.g. after accreditation)
+     * Once the expiry passes the identity counts as unclassified until it is renewed.
+     * @param _wallet The wallet address
+     * @param _category The new investor category (see InvestorCategories)
+     * @param _expiry Timestamp the category lapses at (0 = never)
+     */
+    function updateInvestorCategory(
+        address _wallet,
+        uint8 _category,
+        uint64 _expiry
+    ) external override onlyOwnerOrAgent {
+        require(_identityStorage.storedIdentity(_wallet) != address(0), "Identity not registered");
+        require(InvestorCategories.isValid(_category), "Invalid investor category");
+        require(_expiry == 0 || _expiry > block.timestamp, "Invalid category expiry");
         
-        _countries[_wallet] = _country;
-        emit CountryUpdated(_wallet, _country);
+        _identityStorage.modifyStoredInvestorCategory(_wallet, _category, _expiry);
+        emit InvestorCategoryUpdated(_wallet, _category, _expiry);
+    }
+    
+    /**
+     * @dev Update the country of several identities; reverts entirely if any entry fails
+     * @param _wallets The wallet addresses
+     * @param _countryCodes The new country codes
+     */
+    function batchUpdateCountry(
+        address[] calldata _wallets,
+        uint16[] calldata _countryCodes
+    ) external override onlyOwnerOrAgent {
+        require(_wallets.length == _countryCodes.length, "Array length mismatch");
+        
+        for (uint256 i = 0; i < _wallets.length; i++) {
+            _updateCountry(_wallets[i], _countryCodes[i]);
+        }
+    }
+    
+    /**
+     * @dev Add an agent allowed to remove identities and update countries
+     * @param _agent The agent address
+     */
+    function addAgent(address _agent) external override onlyOwner {
+        require(_agent != address(0), "Invalid agent address");
+        require(!_agents[_agent], "Already an agent");
+        
+        _agents[_agent] = true;
+        emit AgentAdded(_agent);
+    }
+    
+    /**
+     * @dev Remove an agent
+     * @param _agent The agent address
+     */
+    function removeAgent(address _agent) external override onlyOwner {
+        require(_agents[_agent], "Not an agent");
+        
+        delete _agents[_agent];
+        emit AgentRemoved(_agent);
+    }
+    
+    /**
+     * @dev Check if an address is an agent
+     * @param _agent The address to check
+     * @return True if the address is an agent
+     */
+    function isAgent(address _agent) external view override returns (bool) {
+        return _agents[_agent];
     }
     
     /**
@@ -91,7 +200,96 @@ contract IdentityRegistry is IIdentityRegistry, Ownable {
      * @return True if the wallet is verified
      */
     function isVerified(address _wallet) external view override returns (bool) {
-        return _registered[_wallet] && _identities[_wallet] != address(0);
+        address identityAddress = _identityStorage.storedIdentity(_wallet);
+        if (identityAddress == address(0)) {
+            return false;
+        }
+        
+        if (address(_topicsRegistry) == address(0)) {
+            return true;
+        }
+        
+        uint256[] memory topics = _topicsRegistry.getClaimTopics();
+        for (uint256 i = 0; i < topics.length; i++) {
+            if (!_hasValidClaim(identityAddress, topics[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * @dev Set the registry of claim topics required for verification (admin only)
+     * The zero address stops requiring claims, verifying every registered wallet.
+     * @param _claimTopicsRegistry The claim topics registry
+     */
+    function setClaimTopicsRegistry(address _claimTopicsRegistry) external override onlyOwner {
+        _topicsRegistry = IClaimTopicsRegistry(_claimTopicsRegistry);
+        emit ClaimTopicsRegistrySet(_claimTopicsRegistry);
+    }
+    
+    /**
+     * @dev Set the registry of issuers trusted to sign claim topics (admin only)
+     * @param _trustedIssuersRegistry The trusted issuers registry
+     */
+    function setTrustedIssuersRegistry(address _trustedIssuersRegistry) external override onlyOwner {
+        _issuersRegistry = ITrustedIssuersRegistry(_trustedIssuersRegistry);
+        emit TrustedIssuersRegistrySet(_trustedIssuersRegistry);
+    }
+    
+    /**
+     * @dev Point the registry at another identity storage (admin only)
+     * @param _identityStorageAddress The identity storage
+     */
+    function setIdentityRegistryStorage(address _identityStorageAddress) external override onlyOwner {
+        _setIdentityStorage(_identityStorageAddress);
+    }
+    
+    /**
+     * @dev Move identities registered before the registry used a shared identity storage into it (admin only)
+     * Registries upgraded from that version must first be pointed at a storage they are bound to.
+     * Wallets not registered in the old layout, or already present in the storage, are skipped.
+     * @param _wallets The wallet addresses to migrate
+     */
+    function migrateLegacyIdentities(address[] calldata _wallets) external onlyOwner {
+        for (uint256 i = 0; i < _wallets.length; i++) {
+            address wallet = _wallets[i];
+            if (!_legacyRegistered[wallet]) continue;
+            
+            address onchainID = _legacyIdentities[wallet];
+            if (_identityStorage.storedIdentity(wallet) == address(0)) {
+                _identityStorage.addIdentityToStorage(wallet, onchainID, _legacyCountries[wallet]);
+                emit IdentityRegistered(wallet, onchainID);
+            }
+            
+            delete _legacyIdentities[wallet];
+            delete _legacyCountries[wallet];
+            delete _legacyRegistered[wallet];
+        }
+    }
+    
+    /**
+     * @dev Get the identity storage
+     * @return The identity storage
+     */
+    function identityStorage() external view override returns (IIdentityRegistryStorage) {
+        return _identityStorage;
+    }
+    
+    /**
+     * @dev Get the claim topics registry
+     * @return The claim topics registry (zero if no claims are required)
+     */
+    function topicsRegistry() external view override returns (IClaimTopicsRegistry) {
+        return _topicsRegistry;
+    }
+    
+    /**
+     * @dev Get the trusted issuers registry
+     * @return The trusted issuers registry
+     */
+    function issuersRegistry() external view override returns (ITrustedIssuersRegistry) {
+        return _issuersRegistry;
     }
     
     /**
@@ -100,7 +298,7 @@ contract IdentityRegistry is IIdentityRegistry, Ownable {
      * @return The onchain identity contract address
      */
     function identity(address _wallet) external view override returns (address) {
-        return _identities[_wallet];
+        return _identityStorage.storedIdentity(_wallet);
     }
     
     /**
@@ -109,7 +307,29 @@ contract IdentityRegistry is IIdentityRegistry, Ownable {
      * @return The country code (ISO 3166-1 numeric)
      */
     function investorCountry(address _wallet) external view override returns (uint16) {
-        return _countries[_wallet];
+        return _identityStorage.storedInvestorCountry(_wallet);
+    }
+    
+    /**
+     * @dev Get the current investor category for a wallet
+     * @param _wallet The wallet address
+     * @return The investor category (unclassified once the category has expired)
+     */
+    function investorCategory(address _wallet) external view override returns (uint8) {
+        uint64 expiry = _identityStorage.storedInvestorCategoryExpiry(_wallet);
+        if (expiry != 0 && expiry <= block.timestamp) {
+            return InvestorCategories.UNCLASSIFIED;
+        }
+        return _identityStorage.storedInvestorCategory(_wallet);
+    }
+    
+    /**
+     * @dev Get the timestamp the investor category of a wallet lapses at
+     * @param _wallet The wallet address
+     * @return The expiry timestamp (0 = never)
+     */
+    function investorCategoryExpiry(address _wallet) external view override returns (uint64) {
+        return _identityStorage.storedInvestorCategoryExpiry(_wallet);
     }
     
     /**
@@ -118,7 +338,96 @@ contract IdentityRegistry is IIdentityRegistry, Ownable {
      * @return True if the wallet is registered
      */
     function contains(address _wallet) external view override returns (bool) {
-        return _registered[_wallet];
+        return _identityStorage.storedIdentity(_wallet) != address(0);
+    }
+    
+    /**
+     * @dev Check if an identity holds a claim for a topic from an issuer trusted for that topic,
+     * and that the issuer still considers valid
+     * Wallets registered as their own identity hold no claims and never pass.
+     */
+    function _hasValidClaim(address _identity, uint256 _topic) internal view returns (bool) {
+        if (_identity.code.length == 0 || address(_issuersRegistry) == address(0)) {
+            return false;
+        }
+        
+        IClaimIssuer[] memory issuers = _issuersRegistry.getTrustedIssuersForClaimTopic(_topic);
+        for (uint256 i = 0; i < issuers.length; i++) {
+            // Claims are stored under keccak256(issuer, topic)
+            bytes32 claimId = keccak256(abi.encode(address(issuers[i]), _topic));
+            
+            try IIdentity(_identity).getClaim(claimId) returns (
+                uint256 topic,
+                uint256,
+                address issuer,
+                bytes memory signature,
+                bytes memory data,
+                string memory
+            ) {
+                if (topic != _topic || issuer != address(issuers[i])) {
+                    continue;
+                }
+                
+                try issuers[i].isClaimValid(IIdentity(_identity), _topic, signature, data) returns (bool valid) {
+                    if (valid) {
+                        return true;
+                    }
+                } catch {
+                    // Issuer cannot validate claims, try the next one
+                }
+            } catch {
+                // Claim cannot be read, try the next issuer
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Validate and store an identity
+     */
+    function _registerIdentity(address _wallet, address _onchainID, uint16 _country) internal {
+        require(_wallet != address(0), "Invalid wallet address");
+        require(_onchainID != address(0), "Invalid onchain ID");
+        require(_country > 0, "Invalid country code");
+        
+        if (_identityStorage.storedIdentity(_wallet) == address(0)) {
+            _identityStorage.addIdentityToStorage(_wallet, _onchainID, _country);
+        } else {
+            _identityStorage.modifyStoredIdentity(_wallet, _onchainID);
+            _identityStorage.modifyStoredInvestorCountry(_wallet, _country);
+        }
+        
+        emit IdentityRegistered(_wallet, _onchainID);
+    }
+    
+    /**
+     * @dev Validate and store the country of a registered identity
+     */
+    function _updateCountry(address _wallet, uint16 _country) internal {
+        require(_identityStorage.storedIdentity(_wallet) != address(0), "Identity not registered");
+        require(_country > 0, "Invalid country code");
+        
+        _identityStorage.modifyStoredInvestorCountry(_wallet, _country);
+        emit CountryUpdated(_wallet, _country);
+    }
+    
+    /**
+     * @dev Validate and store the identity storage
+     */
+    function _setIdentityStorage(address _identityStorageAddress) internal {
+        require(_identityStorageAddress != address(0), "Invalid identity storage");
+        
+        _identityStorage = IIdentityRegistryStorage(_identityStorageAddress);
+        emit IdentityStorageSet(_identityStorageAddress);
     }
 }
 
+/**
+ * @title IdentityRegistry
+ * @dev Constructor-deployed IdentityRegistry
+ */
+contract IdentityRegistry is IdentityRegistryBase {
+    constructor(address _identityStorageAddress) initializer {
+        __IdentityRegistry_init(_identityStorageAddress);
+    }
+}
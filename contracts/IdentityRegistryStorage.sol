@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "./interfaces/IIdentityRegistryStorage.sol";
+
+/**
+ * @title IdentityRegistryStorageBase
+ * @dev Holds investor identities and countries once for a whole portfolio. Every property's
+ * IdentityRegistry is bound to the same storage, so an investor registered through any of them
+ * is known to all of them. Part of the ERC-3643 compliance framework.
+ * Initializer-based, shared by IdentityRegistryStorage and IdentityRegistryStorageUpgradeable
+ */
+abstract contract IdentityRegistryStorageBase is IIdentityRegistryStorage, OwnableUpgradeable {
+
+    // Maximum number of bound identity registries
+    uint256 public constant MAX_BOUND_REGISTRIES = 300;
+
+    // Stored identity of a wallet
+    struct StoredIdentity {
+        address onchainID;
+        uint16 country;
+        uint8 category;
+        uint64 categoryExpiry;
+    }
+
+    // Mapping from wallet address to its identity
+    mapping(address => StoredIdentity) private _identities;
+
+    // Identity registries allowed to write identities
+    address[] private _identityRegistries;
+    mapping(address => bool) private _boundRegistries;
+
+    // Agents allowed to bind identity registries (e.g. the property factory)
+    mapping(address => bool) private _agents;
+
+    modifier onlyBoundRegistry() {
+        require(_boundRegistries[msg.sender], "Not bound identity registry");
+        _;
+    }
+
+    modifier onlyOwnerOrAgent() {
+        require(owner() == msg.sender || _agents[msg.sender], "Not authorized agent");
+        _;
+    }
+
+    /**
+     * @dev Initialize the storage with the caller as owner
+     */
+    function __IdentityRegistryStorage_init() internal onlyInitializing {
+        __Ownable_init(msg.sender);
+    }
+
+    /**
+     * @dev Store the identity of a new wallet (bound registries only)
+     * @param _wallet The wallet address
+     * @param _onchainID The onchain identity contract address
+     * @param _country The country code (ISO 3166-1 numeric)
+     */
+    function addIdentityToStorage(
+        address _wallet,
+        address _onchainID,
+        uint16 _country
+    ) external override onlyBoundRegistry {
+        require(_wallet != address(0), "Invalid wallet address");
+        require(_onchainID != address(0), "Invalid onchain ID");
+        require(_identities[_wallet].onchainID == address(0), "Identity already stored");
+
+        _identities[_wallet] = StoredIdentity({ onchainID: _onchainID, country: _country, category: 0, categoryExpiry: 0 });
+        emit IdentityStored(_wallet, _onchainID);
+    }
+
+    /**
+     * @dev Remove the identity of a wallet (bound registries only)
+     * @param _wallet The wallet address
+     */
+    function removeIdentityFromStorage(address _wallet) external override onlyBoundRegistry {
+        address onchainID = _identities[_wallet].onchainID;
+        require(onchainID != address(0), "Identity not stored");
+
+        delete _identities[_wallet];
+        emit IdentityUnstored(_wallet, onchainID);
+    }
+
+    /**
+     * @dev Replace the onchain identity of a wallet (bound registries only)
+     * @param _wallet The wallet address
+     * @param _onchainID The new onchain identity contract address
+     */
+    function modifyStoredIdentity(address _wallet, address _onchainID) external override onlyBoundRegistry {
+        address oldOnchainID = _identities[_wallet].onchainID;
+        require(oldOnchainID != address(0), "Identity not stored");
+        require(_onchainID != address(0), "Invalid onchain ID");
+
+        _identities[_wallet].onchainID = _onchainID;
+        emit IdentityModified(oldOnchainID, _onchainID);
+    }
+
+    /**
+     * @dev Replace the country of a wallet (bound registries only)
+     * @param _wallet The wallet address
+     * @param _country The new country code
+     */
+    function modifyStoredInvestorCountry(address _wallet, uint16 _country) external override onlyBoundRegistry {
+        require(_identities[_wallet].onchainID != address(0), "Identity not stored");
+
+        _identities[_wallet].country = _country;
+        emit CountryModified(_wallet, _country);
+    }
+
+    /**
+     * @dev Replace the investor category of a wallet and its expiry (bound registries only)
+     * @param _wallet The wallet address
+     * @param _category The new investor category (0 = unclassified)
+     * @param _expiry Timestamp the category lapses at (0 = never)
+     */
+    function modifyStoredInvestorCategory(
+        address _wallet,
+        uint8 _category,
+        uint64 _expiry
+    ) external override onlyBoundRegistry {
+        require(_identities[_wallet].onchainID != address(0), "Identity not stored");
+
+        _identities[_wallet].category = _category;
+        _identities[_wallet].categoryExpiry = _expiry;
+        emit InvestorCategoryModified(_wallet, _category, _expiry);
+    }
+
+    /**
+     * @dev Allow an identity registry to write identities (admin or agent)
+     * @param _identityRegistry The identity registry
+     */
+    function bindIdentityRegistry(address _identityRegistry) external override onlyOwnerOrAgent {
+        require(_identityRegistry != address(0), "Invalid identity registry");
+        require(!_boundRegistries[_identityRegistry], "Identity registry already bound");
+        require(_identityRegistries.length < MAX_BOUND_REGISTRIES, "Too many identity registries");
+
+        _boundRegistries[_identityRegistry] = true;
+        _identityRegistries.push(_identityRegistry);
+        emit IdentityRegistryBound(_identityRegistry);
+    }
+
+    /**
+     * @dev Stop an identity registry from writing identities (admin or agent)
+     * @param _identityRegistry The identity registry
+     */
+    function unbindIdentityRegistry(address _identityRegistry) external override onlyOwnerOrAgent {
+        require(_boundRegistries[_identityRegistry], "Identity registry not bound");
+
+        delete _boundRegistries[_identityRegistry];
+        for (uint256 i = 0; i < _identityRegistries.length; i++) {
+            if (_identityRegistries[i] == _identityRegistry) {
+                _identityRegistries[i] = _identityRegistries[_identityRegistries.length - 1];
+                _identityRegistries.pop();
+                break;
+            }
+        }
+        emit IdentityRegistryUnbound(_identityRegistry);
+    }
+
+    /**
+     * @dev Get the bound identity registries
+     * @return The identity registries
+     */
+    function linkedIdentityRegistries() external view override returns (address[] memory) {
+        return _identityRegistries;
+    }
+
+    /**
+     * @dev Check if an identity registry is bound
+     * @param _identityRegistry The identity registry
+     * @return True if the registry may write identities
+     */
+    function isBoundRegistry(address _identityRegistry) external view override returns (bool) {
+        return _boundRegistries[_identityRegistry];
+    }
+
+    /**
+     * @dev Add an agent allowed to bind identity registries
+     * @param _agent The agent address
+     */
+    function addAgent(address _agent) external override onlyOwner {
+        require(_agent != address(0), "Invalid agent address");
+        require(!_agents[_agent], "Already an agent");
+
+        _agents[_agent] = true;
+        emit AgentAdded(_agent);
+    }
+
+    /**
+     * @dev Remove an agent
+     * @param _agent The agent address
+     */
+    function removeAgent(address _agent) external override onlyOwner {
+        require(_agents[_agent], "Not an agent");
+
+        delete _agents[_agent];
+        emit AgentRemoved(_agent);
+    }
+
+    /**
+     * @dev Check if an address is an agent
+     * @param _agent The address to check
+     * @return True if the address is an agent
+     */
+    function isAgent(address _agent) external view override returns (bool) {
+        return _agents[_agent];
+    }
+
+    /**
+     * @dev Get the onchain identity of a wallet
+     * @param _wallet The wallet address
+     * @return The onchain identity contract address (zero if not stored)
+     */
+    function storedIdentity(address _wallet) external view override returns (address) {
+        return _identities[_wallet].onchainID;
+    }
+
+    /**
+     * @dev Get the country of a wallet
+     * @param _wallet The wallet address
+     * @return The country code (ISO 3166-1 numeric)
+     */
+    function storedInvestorCountry(address _wallet) external view override returns (uint16) {
+        return _identities[_wallet].country;
+    }
+
+    /**
+     * @dev Get the investor category of a wallet
+     * @param _wallet The wallet address
+     * @return The investor category (0 = unclassified)
+     */
+    function storedInvestorCategory(address _wallet) external view override returns (uint8) {
+        return _identities[_wallet].category;
+    }
+
+    /**
+     * @dev Get the timestamp the investor category of a wallet lapses at
+     * @param _wallet The wallet address
+     * @return The expiry timestamp (0 = never)
+     */
+    function storedInvestorCategoryExpiry(address _wallet) external view override returns (uint64) {
+        return _identities[_wallet].categoryExpiry;
+    }
+}
+
+/**
+ * @title IdentityRegistryStorage
+ * @dev Constructor-deployed IdentityRegistryStorage
+ */
+contract IdentityRegistryStorage is IdentityRegistryStorageBase {
+    constructor() initializer {
+        __IdentityRegistryStorage_init();
+    }
+}
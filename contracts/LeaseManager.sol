@@ -1,17 +1,21 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "./RealEstateToken.sol";
+import "./interfaces/IRentDistributor.sol";
+import "./metatx/ERC2771Recipient.sol";
 
 /**
- * @title LeaseManager
+ * @title LeaseManagerBase
  * @dev Manages lease agreements and rent payments for tokenized real estate
+ * Tenants without ETH can pay through the trusted ERC-2771 forwarder.
+ * Initializer-based, shared by LeaseManager and LeaseManagerUpgradeable
  */
-contract LeaseManager is Ownable, ReentrancyGuard {
+abstract contract LeaseManagerBase is OwnableUpgradeable, ReentrancyGuardUpgradeable, ERC2771Recipient {
     using SafeERC20 for IERC20;
     
     // Lease status enum
@@ -63,6 +67,9 @@ contract LeaseManager is Ownable, ReentrancyGuard {
     // Payment token (could be USDC, DAI, or ETH)
     IERC20 public paymentToken;
     
+    // Distributes rent to property token holders (address(0) = pay landlord directly)
+    IRentDistributor public rentDistributor;
+    
     // Events
     event LeaseCreated(
         uint256 indexed leaseId,
@@ -96,7 +103,16 @@ contract LeaseManager is Ownable, ReentrancyGuard {
         uint256 amount
     );
     
-    constructor(address _paymentToken) Ownable(msg.sender) {
+    event RentDistributorSet(address indexed rentDistributor);
+    
+    /**
+     * @dev Initialize the lease manager with the caller as owner
+     * @param _paymentToken Token rent and deposits are paid in
+     */
+    function __LeaseManager_init(address _paymentToken) internal onlyInitializing {
+        __Ownable_init(_msgSender());
+        __ReentrancyGuard_init();
+        
         paymentToken = IERC20(_paymentToken);
         nextLeaseId = 1;
     }
@@ -133,15 +149,19 @@ contract LeaseManager is Ownable, ReentrancyGuard {
         // Verify landlord owns property tokens
         RealEstateToken propertyTokenContract = RealEstateToken(_propertyToken);
         require(
-            propertyTokenContract.balanceOf(msg.sender) > 0, 
+            propertyTokenContract.balanceOf(_msgSender()) > 0, 
             "Landlord must own property tokens"
         );
         
+        // No new leases once the property is sold or wound down
+        (, , , , bool isActive) = propertyTokenContract.propertyInfo();
+        require(isActive, "Property is not active");
+        
         uint256 leaseId = nextLeaseId++;
         
         LeaseAgreement storage lease = leases[leaseId];
         lease.leaseId = leaseId;
-        lease.landlord = msg.sender;
+        lease.landlord = _msgSender();
         lease.tenant = _tenant;
         lease.propertyToken = _propertyToken;
         lease.monthlyRent = _monthlyRent;
@@ -152,10 +172,10 @@ contract LeaseManager is Ownable, ReentrancyGuard {
         lease.terms = _terms;
         lease.status = LeaseStatus.Pending;
         
-        landlordLeases[msg.sender].push(leaseId);
+        landlordLeases[_msgSender()].push(leaseId);
         tenantLeases[_tenant].push(leaseId);
         
-        emit LeaseCreated(leaseId, msg.sender, _tenant, _monthlyRent, _securityDeposit);
+        emit LeaseCreated(leaseId, _msgSender(), _tenant, _monthlyRent, _securityDeposit);
         
         return leaseId;
     }
@@ -167,7 +187,7 @@ contract LeaseManager is Ownable, ReentrancyGuard {
     function paySecurityDeposit(uint256 _leaseId) external nonReentrant {
         LeaseAgreement storage lease = leases[_leaseId];
         require(lease.leaseId != 0, "Lease does not exist");
-        require(msg.sender == lease.tenant, "Only tenant can pay deposit");
+        require(_msgSender() == lease.tenant, "Only tenant can pay deposit");
         require(lease.status == LeaseStatus.Pending, "Lease not pending");
         require(lease.depositPaid == 0, "Deposit already paid");
         
@@ -176,9 +196,9 @@ contract LeaseManager is Ownable, ReentrancyGuard {
         
         // Transfer security deposit from tenant to contract
         // Transfer deposit from tenant to contract using SafeERC20
-        paymentToken.safeTransferFrom(msg.sender, address(this), lease.securityDeposit);
+        paymentToken.safeTransferFrom(_msgSender(), address(this), lease.securityDeposit);
         
-        emit SecurityDepositPaid(_leaseId, msg.sender, lease.securityDeposit);
+        emit SecurityDepositPaid(_leaseId, _msgSender(), lease.securityDeposit);
         emit LeaseActivated(_leaseId);
     }
     
@@ -195,7 +215,7 @@ contract LeaseManager is Ownable, ReentrancyGuard {
     ) external nonReentrant {
         LeaseAgreement storage lease = leases[_leaseId];
         require(lease.leaseId != 0, "Lease does not exist");
-        require(msg.sender == lease.tenant, "Only tenant can pay rent");
+        require(_msgSender() == lease.tenant, "Only tenant can pay rent");
         require(lease.status == LeaseStatus.Active, "Lease not active");
         require(_forMonth >= 1 && _forMonth <= 12, "Invalid month");
         require(_forYear >= 2024, "Invalid year");
@@ -209,14 +229,19 @@ contract LeaseManager is Ownable, ReentrancyGuard {
             );
         }
         
-        // Transfer rent from tenant to landlord
-        // Transfer rent from tenant to landlord using SafeERC20
-        paymentToken.safeTransferFrom(msg.sender, lease.landlord, lease.monthlyRent);
+        // Transfer rent from tenant to the property token holders, or to the landlord
+        // when the property token cannot take a distribution
+        if (_canDistribute(lease.propertyToken)) {
+            paymentToken.safeTransferFrom(_msgSender(), address(this), lease.monthlyRent);
+            _distributeRent(lease.propertyToken, lease.monthlyRent);
+        } else {
+            paymentToken.safeTransferFrom(_msgSender(), lease.landlord, lease.monthlyRent);
+        }
         
         // Record payment
         RentPayment memory payment = RentPayment({
             leaseId: _leaseId,
-            payer: msg.sender,
+            payer: _msgSender(),
             amount: lease.monthlyRent,
             timestamp: block.timestamp,
             forMonth: _forMonth,
@@ -227,7 +252,7 @@ contract LeaseManager is Ownable, ReentrancyGuard {
         lease.lastRentPayment = block.timestamp;
         lease.totalRentPaid += lease.monthlyRent;
         
-        emit RentPaid(_leaseId, msg.sender, lease.monthlyRent, _forMonth, _forYear);
+        emit RentPaid(_leaseId, _msgSender(), lease.monthlyRent, _forMonth, _forYear);
     }
     
     /**
@@ -238,7 +263,7 @@ contract LeaseManager is Ownable, ReentrancyGuard {
         LeaseAgreement storage lease = leases[_leaseId];
         require(lease.leaseId != 0, "Lease does not exist");
         require(
-            msg.sender == lease.landlord || msg.sender == lease.tenant,
+            _msgSender() == lease.landlord || _msgSender() == lease.tenant,
             "Not authorized"
         );
         require(lease.status == LeaseStatus.Active, "Lease not active");
@@ -259,7 +284,7 @@ contract LeaseManager is Ownable, ReentrancyGuard {
     ) external nonReentrant {
         LeaseAgreement storage lease = leases[_leaseId];
         require(lease.leaseId != 0, "Lease does not exist");
-        require(msg.sender == lease.landlord, "Only landlord can return deposit");
+        require(_msgSender() == lease.landlord, "Only landlord can return deposit");
         require(
             lease.status == LeaseStatus.Terminated || lease.status == LeaseStatus.Expired,
             "Lease must be terminated or expired"
@@ -274,10 +299,14 @@ contract LeaseManager is Ownable, ReentrancyGuard {
             paymentToken.safeTransfer(lease.tenant, _returnAmount);
         }
         
-        // Keep remaining deposit (if any) as landlord compensation
+        // Keep remaining deposit (if any) as compensation for the property owners
         uint256 keepAmount = lease.depositPaid - _returnAmount;
         if (keepAmount > 0) {
-            paymentToken.safeTransfer(lease.landlord, keepAmount);
+            if (_canDistribute(lease.propertyToken)) {
+                _distributeRent(lease.propertyToken, keepAmount);
+            } else {
+                paymentToken.safeTransfer(lease.landlord, keepAmount);
+            }
         }
         
         emit SecurityDepositReturned(_leaseId, lease.tenant, _returnAmount);
@@ -290,7 +319,7 @@ contract LeaseManager is Ownable, ReentrancyGuard {
     function cancelLease(uint256 _leaseId) external {
         LeaseAgreement storage lease = leases[_leaseId];
         require(lease.leaseId != 0, "Lease does not exist");
-        require(msg.sender == lease.landlord, "Only landlord can cancel");
+        require(_msgSender() == lease.landlord, "Only landlord can cancel");
         require(lease.status == LeaseStatus.Pending, "Can only cancel pending lease");
         
         lease.status = LeaseStatus.Cancelled;
@@ -342,9 +371,58 @@ contract LeaseManager is Ownable, ReentrancyGuard {
      */
     function setPaymentToken(address _paymentToken) external onlyOwner {
         require(_paymentToken != address(0), "Invalid payment token");
+        require(
+            address(rentDistributor) == address(0) ||
+                address(rentDistributor.paymentToken()) == _paymentToken,
+            "Payment token mismatch"
+        );
         paymentToken = IERC20(_paymentToken);
     }
     
+    /**
+     * @dev Set the ERC-2771 forwarder whose relayed calls act for their signer (admin only)
+     * @param _forwarder Forwarder address (address(0) to stop accepting relayed calls)
+     */
+    function setTrustedForwarder(address _forwarder) external onlyOwner {
+        _setTrustedForwarder(_forwarder);
+    }
+    
+    /**
+     * @dev Update rent distributor (admin only)
+     * @param _rentDistributor Rent distributor address (address(0) to pay landlords directly)
+     */
+    function setRentDistributor(address _rentDistributor) external onlyOwner {
+        if (_rentDistributor != address(0)) {
+            require(
+                address(IRentDistributor(_rentDistributor).paymentToken()) == address(paymentToken),
+                "Payment token mismatch"
+            );
+        }
+        rentDistributor = IRentDistributor(_rentDistributor);
+        emit RentDistributorSet(_rentDistributor);
+    }
+    
+    /**
+     * @dev Whether rent for a property token goes to its holders: a distributor is set, the token is
+     * registered with it and has holders
+     * @param _propertyToken Property token of the lease
+     */
+    function _canDistribute(address _propertyToken) internal view returns (bool) {
+        return address(rentDistributor) != address(0) &&
+            rentDistributor.isRegistered(_propertyToken) &&
+            IERC20(_propertyToken).totalSupply() > 0;
+    }
+    
+    /**
+     * @dev Accrue payment tokens held by this contract to property token holders
+     * @param _propertyToken Property token whose holders receive the amount
+     * @param _amount Amount to distribute
+     */
+    function _distributeRent(address _propertyToken, uint256 _amount) internal {
+        paymentToken.forceApprove(address(rentDistributor), _amount);
+        rentDistributor.distribute(_propertyToken, _amount);
+    }
+    
     /**
      * @dev Check if lease is expired
      * @param _leaseId Lease ID
@@ -354,5 +432,29 @@ contract LeaseManager is Ownable, ReentrancyGuard {
         LeaseAgreement memory lease = leases[_leaseId];
         return lease.leaseId != 0 && block.timestamp > lease.endDate;
     }
+    
+    /**
+     * @dev Resolve the caller through the trusted forwarder
+     */
+    function _msgSender() internal view override(ContextUpgradeable, ERC2771Recipient) returns (address) {
+        return ERC2771Recipient._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ERC2771Recipient) returns (bytes calldata) {
+        return ERC2771Recipient._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(ContextUpgradeable, ERC2771Recipient) returns (uint256) {
+        return ERC2771Recipient._contextSuffixLength();
+    }
 }
 
+/**
+ * @title LeaseManager
+ * @dev Constructor-deployed LeaseManager
+ */
+contract LeaseManager is LeaseManagerBase {
+    constructor(address _paymentToken) initializer {
+        __LeaseManager_init(_paymentToken);
+    }
+}
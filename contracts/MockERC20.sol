@@ -2,20 +2,22 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title MockERC20
  * @dev Mock ERC20 token for testing purposes (represents USDC/DAI for rent payments)
+ * Supports EIP-2612 permits like USDC, so tenants can approve payments without gas
  */
-contract MockERC20 is ERC20, Ownable {
+contract MockERC20 is ERC20, ERC20Permit, Ownable {
     uint8 private _decimals;
     
     constructor(
         string memory name,
         string memory symbol,
         uint8 decimals_
-    ) ERC20(name, symbol) Ownable(msg.sender) {
+    ) ERC20(name, symbol) ERC20Permit(name) Ownable(msg.sender) {
         _decimals = decimals_;
     }
     
@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "./interfaces/IModularCompliance.sol";
+import "./interfaces/IModule.sol";
+import "./libraries/TransferRestrictions.sol";
+
+/**
+ * @title ModularComplianceBase
+ * @dev Compliance contract whose rules are pluggable modules (max balance, max holders, countries, ...)
+ * A transfer is compliant when every bound module allows it, and the token's balance change hooks are
+ * forwarded to every module so they can keep their state in sync. Compliance officers (the owner) add and
+ * remove modules and configure them through callModuleFunction, so new rules need no token redeploy.
+ * Initializer-based, shared by ModularCompliance and ModularComplianceUpgradeable
+ */
+abstract contract ModularComplianceBase is IModularCompliance, OwnableUpgradeable {
+
+    // Maximum number of bound modules, bounding the cost of every transfer
+    uint256 public constant MAX_MODULES = 25;
+
+    // Token whose transfers this contract checks
+    address private _tokenBound;
+
+    // Bound modules
+    address[] private _modules;
+    mapping(address => bool) private _moduleBound;
+
+    modifier onlyToken() {
+        require(msg.sender == _tokenBound, "Only bound token");
+        _;
+    }
+
+    /**
+     * @dev Initialize the compliance contract with the caller as owner
+     */
+    function __ModularCompliance_init() internal onlyInitializing {
+        __Ownable_init(msg.sender);
+    }
+
+    /**
+     * @dev Bind the token whose transfers are checked (admin, or the token itself while none is bound)
+     * @param _token The token address
+     */
+    function bindToken(address _token) external override {
+        require(
+            owner() == msg.sender || (_tokenBound == address(0) && msg.sender == _token),
+            "Not authorized to bind token"
+        );
+        require(_token != address(0), "Invalid token address");
+
+        _tokenBound = _token;
+        emit TokenBound(_token);
+    }
+
+    /**
+     * @dev Unbind the token (admin or the token itself)
+     * @param _token The token address
+     */
+    function unbindToken(address _token) external override {
+        require(owner() == msg.sender || msg.sender == _token, "Not authorized to unbind token");
+        require(_token == _tokenBound, "Token not bound");
+
+        delete _tokenBound;
+        emit TokenUnbound(_token);
+    }
+
+    /**
+     * @dev Get the bound token
+     * @return The token address (zero if none)
+     */
+    function getTokenBound() external view override returns (address) {
+        return _tokenBound;
+    }
+
+    /**
+     * @dev Bind a rule module (admin only)
+     * Modules that track state from the hooks should be bound before tokens are minted.
+     * @param _module The module address
+     */
+    function addModule(address _module) external override onlyOwner {
+        require(_module != address(0), "Invalid module address");
+        require(!_moduleBound[_module], "Module already bound");
+        require(_modules.length < MAX_MODULES, "Too many modules");
+
+        IModule(_module).bindCompliance(address(this));
+        _moduleBound[_module] = true;
+        _modules.push(_module);
+        emit ModuleAdded(_module);
+    }
+
+    /**
+     * @dev Unbind a rule module (admin only)
+     * @param _module The module address
+     */
+    function removeModule(address _module) external override onlyOwner {
+        require(_moduleBound[_module], "Module not bound");
+
+        IModule(_module).unbindCompliance(address(this));
+        delete _moduleBound[_module];
+        for (uint256 i = 0; i < _modules.length; i++) {
+            if (_modules[i] == _module) {
+                _modules[i] = _modules[_modules.length - 1];
+                _modules.pop();
+                break;
+            }
+        }
+        emit ModuleRemoved(_module);
+    }
+
+    /**
+     * @dev Call a bound module's configuration function on behalf of this compliance (admin only)
+     * Modules key their settings by the calling compliance contract.
+     * @param _callData ABI-encoded module function call
+     * @param _module The module address
+     */
+    function callModuleFunction(bytes calldata _callData, address _module) external override onlyOwner {
+        require(_moduleBound[_module], "Module not bound");
+        require(_callData.length >= 4, "Invalid call data");
+
+        (bool success, bytes memory result) = _module.call(_callData);
+        if (!success) {
+            // Bubble up the module's revert reason
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ModuleInteraction(_module, bytes4(_callData[:4]));
+    }
+
+    /**
+     * @dev Get the bound modules
+     * @return The module addresses
+     */
+    function getModules() external view override returns (address[] memory) {
+        return _modules;
+    }
+
+    /**
+     * @dev Check if a module is bound
+     * @param _module The module address
+     * @return True if the module is bound
+     */
+    function isModuleBound(address _module) external view override returns (bool) {
+        return _moduleBound[_module];
+    }
+
+    /**
+     * @dev Check if a transfer is allowed by every bound module
+     * @param _from Sender address (address(0) for minting)
+     * @param _to Recipient address
+     * @param _amount Transfer amount
+     * @return True if transfer is allowed
+     */
+    function canTransfer(address _from, address _to, uint256 _amount) external view override returns (bool) {
+        return detectTransferRestriction(_from, _to, _amount) == TransferRestrictions.SUCCESS;
+    }
+
+    /**
+     * @dev Get the restriction code of the first bound module that rejects a transfer (ERC-1404)
+     * @param _from Sender address (address(0) for minting)
+     * @param _to Recipient address
+     * @param _amount Transfer amount
+     * @return Restriction code (0 = transfer allowed)
+     */
+    function detectTransferRestriction(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) public view override returns (uint8) {
+        for (uint256 i = 0; i < _modules.length; i++) {
+            if (!IModule(_modules[i]).moduleCheck(_from, _to, _amount, address(this))) {
+                return IModule(_modules[i]).restrictionCode();
+            }
+        }
+        return TransferRestrictions.SUCCESS;
+    }
+
+    /**
+     * @dev Get the message for a restriction code (ERC-1404)
+     * @param _restrictionCode Restriction code
+     * @return Human-readable reason
+     */
+    function messageForTransferRestriction(uint8 _restrictionCode) external pure override returns (string memory) {
+        return TransferRestrictions.message(_restrictionCode);
+    }
+
+    /**
+     * @dev Token hook after a transfer (bound token only)
+     * @param _from Sender address
+     * @param _to Recipient address
+     * @param _amount Amount transferred
+     */
+    function transferred(address _from, address _to, uint256 _amount) external override onlyToken {
+        for (uint256 i = 0; i < _modules.length; i++) {
+            IModule(_modules[i]).moduleTransferAction(_from, _to, _amount);
+        }
+    }
+
+    /**
+     * @dev Token hook after a mint (bound token only)
+     * @param _to Recipient address
+     * @param _amount Amount minted
+     */
+    function created(address _to, uint256 _amount) external override onlyToken {
+        for (uint256 i = 0; i < _modules.length; i++) {
+            IModule(_modules[i]).moduleMintAction(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Token hook after a burn (bound token only)
+     * @param _from Holder address
+     * @param _amount Amount burned
+     */
+    function destroyed(address _from, uint256 _amount) external override onlyToken {
+        for (uint256 i = 0; i < _modules.length; i++) {
+            IModule(_modules[i]).moduleBurnAction(_from, _amount);
+        }
+    }
+}
+
+/**
+ * @title ModularCompliance
+ * @dev Constructor-deployed ModularCompliance
+ */
+contract ModularCompliance is ModularComplianceBase {
+    constructor() initializer {
+        __ModularCompliance_init();
+    }
+}
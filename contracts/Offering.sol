@@ -0,0 +1,253 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./RealEstateToken.sol";
+import "./libraries/TransferRestrictions.sol";
+
+/**
+ * @title Offering
+ * @dev Primary sale of a property token: verified investors subscribe with the payment token (e.g. USDC)
+ * at a fixed price derived from the token's value per token, and tokens are issued once the sale closes
+ * with its soft cap reached. Otherwise subscriptions are refunded.
+ * The offering must be an agent of the token to issue, and checks compliance when investors subscribe.
+ * Subscriptions are held until their tokens are issued, and only issued subscriptions are paid to the
+ * beneficiary: a subscription that can no longer be issued (e.g. the investor was frozen, lost verification
+ * or would break a compliance limit reached by other investors) is skipped and may then be refunded instead.
+ */
+contract Offering is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Sale status
+    enum Status {
+        Open,
+        Succeeded,
+        Failed
+    }
+
+    // Property token sold
+    RealEstateTokenBase public immutable token;
+
+    // Token subscriptions are paid in
+    IERC20 public immutable paymentToken;
+
+    // Receives the proceeds of a successful sale
+    address public immutable beneficiary;
+
+    // Price of one whole property token, in payment token units
+    uint256 public immutable price;
+
+    // Sale size and ticket limits, in payment token units
+    uint256 public immutable softCap;
+    uint256 public immutable hardCap;
+    uint256 public immutable minTicket;
+    uint256 public immutable maxTicket;
+
+    // Subscriptions are accepted until this time
+    uint256 public immutable deadline;
+
+    Status public status;
+
+    // Total subscribed, in payment token units
+    uint256 public totalSubscribed;
+
+    // Total issued and paid to the beneficiary, in payment token units
+    uint256 public totalIssued;
+
+    // Subscription of each investor, in payment token units (cleared once issued or refunded)
+    mapping(address => uint256) public subscriptions;
+
+    // Whether issueTokens skipped an investor's subscription, which makes it refundable
+    mapping(address => bool) public issuanceSkipped;
+
+    // Investors in order of their first subscription
+    address[] private _investors;
+
+    // Events
+    event Subscribed(address indexed investor, uint256 amount, uint256 tokenAmount);
+    event OfferingClosed(bool successful, uint256 totalSubscribed);
+    event TokensIssued(address indexed investor, uint256 amount, uint256 tokenAmount);
+    event IssuanceSkipped(address indexed investor, uint256 amount, uint8 restrictionCode);
+    event Refunded(address indexed investor, uint256 amount);
+
+    /**
+     * @param _token Property token sold (the offering must be made an agent before it closes)
+     * @param _paymentToken Token subscriptions are paid in
+     * @param _beneficiary Receives the proceeds of a successful sale
+     * @param _softCap Minimum raise for the sale to succeed
+     * @param _hardCap Maximum raise
+     * @param _minTicket Minimum total subscription per investor
+     * @param _maxTicket Maximum total subscription per investor (0 = up to the hard cap)
+     * @param _deadline End of the subscription period
+     */
+    constructor(
+        address _token,
+        address _paymentToken,
+        address _beneficiary,
+        uint256 _softCap,
+        uint256 _hardCap,
+        uint256 _minTicket,
+        uint256 _maxTicket,
+        uint256 _deadline
+    ) Ownable(msg.sender) {
+        require(_token != address(0), "Invalid property token");
+        require(_paymentToken != address(0), "Invalid payment token");
+        require(_beneficiary != address(0), "Invalid beneficiary");
+        require(_softCap > 0 && _softCap <= _hardCap, "Invalid caps");
+        require(_maxTicket == 0 || (_minTicket <= _maxTicket && _maxTicket <= _hardCap), "Invalid ticket size");
+        require(_deadline > block.timestamp, "Deadline must be in the future");
+
+        token = RealEstateTokenBase(_token);
+        paymentToken = IERC20(_paymentToken);
+        beneficiary = _beneficiary;
+        softCap = _softCap;
+        hardCap = _hardCap;
+        minTicket = _minTicket;
+        maxTicket = _maxTicket == 0 ? _hardCap : _maxTicket;
+        deadline = _deadline;
+
+        // Property values are recorded with 18 decimals
+        price = token.getValuePerToken() * 10**IERC20Metadata(_paymentToken).decimals() / 1e18;
+        require(price > 0, "Property has no value per token");
+    }
+
+    /**
+     * @dev Subscribe to the sale by depositing payment tokens (needs an allowance)
+     * The investor must be verified and able to receive the tokens their whole subscription buys.
+     * @param _amount Amount of payment token to subscribe
+     */
+    function subscribe(uint256 _amount) external nonReentrant {
+        require(status == Status.Open && block.timestamp <= deadline, "Offering not open");
+        require(_amount > 0, "Invalid amount");
+        require(totalSubscribed + _amount <= hardCap, "Exceeds hard cap");
+
+        uint256 subscription = subscriptions[msg.sender] + _amount;
+        require(subscription >= minTicket, "Below minimum ticket");
+        require(subscription <= maxTicket, "Exceeds maximum ticket");
+
+        require(token.identityRegistry().isVerified(msg.sender), "Investor not verified");
+        uint8 code = token.detectTransferRestriction(address(0), msg.sender, tokensFor(subscription));
+        if (code != TransferRestrictions.SUCCESS) {
+            revert(token.messageForTransferRestriction(code));
+        }
+
+        if (subscriptions[msg.sender] == 0) {
+            _investors.push(msg.sender);
+        }
+        subscriptions[msg.sender] = subscription;
+        totalSubscribed += _amount;
+
+        paymentToken.safeTransferFrom(msg.sender, address(this), _amount);
+
+        emit Subscribed(msg.sender, _amount, tokensFor(_amount));
+    }
+
+    /**
+     * @dev Close the sale once the deadline has passed or the hard cap is reached (anyone)
+     * Tokens of a successful sale are then issued with issueTokens, which pays the beneficiary.
+     */
+    function close() external nonReentrant {
+        require(status == Status.Open, "Offering already closed");
+        require(block.timestamp > deadline || totalSubscribed == hardCap, "Offering still open");
+
+        if (totalSubscribed >= softCap) {
+            status = Status.Succeeded;
+        } else {
+            status = Status.Failed;
+        }
+
+        emit OfferingClosed(status == Status.Succeeded, totalSubscribed);
+    }
+
+    /**
+     * @dev Call off the sale so every investor can be refunded (admin only)
+     */
+    function cancel() external onlyOwner {
+        require(status == Status.Open, "Offering already closed");
+        status = Status.Failed;
+
+        emit OfferingClosed(false, totalSubscribed);
+    }
+
+    /**
+     * @dev Issue the tokens of a successful sale to investors and pay their subscriptions to the beneficiary (anyone)
+     * @param _investorList Investors to issue to; those already issued are skipped, and those whose tokens
+     * cannot be issued now keep their subscription
+     */
+    function issueTokens(address[] calldata _investorList) external nonReentrant {
+        require(status == Status.Succeeded, "Offering not successful");
+
+        uint256 proceeds = 0;
+        for (uint256 i = 0; i < _investorList.length; i++) {
+            address investor = _investorList[i];
+            uint256 amount = subscriptions[investor];
+            if (amount == 0) continue;
+
+            uint8 code = issuanceRestriction(investor);
+            if (code != TransferRestrictions.SUCCESS) {
+                issuanceSkipped[investor] = true;
+                emit IssuanceSkipped(investor, amount, code);
+                continue;
+            }
+
+            subscriptions[investor] = 0;
+            proceeds += amount;
+            uint256 tokenAmount = tokensFor(amount);
+            token.mint(investor, tokenAmount);
+
+            emit TokensIssued(investor, amount, tokenAmount);
+        }
+
+        if (proceeds > 0) {
+            totalIssued += proceeds;
+            paymentToken.safeTransfer(beneficiary, proceeds);
+        }
+    }
+
+    /**
+     * @dev Reclaim the subscription of a failed or cancelled sale, or one issueTokens skipped
+     */
+    function refund() external nonReentrant {
+        require(status != Status.Open, "Offering still open");
+        uint256 amount = subscriptions[msg.sender];
+        require(amount > 0, "Nothing to refund");
+        require(
+            status == Status.Failed || issuanceSkipped[msg.sender],
+            "Subscription can still be issued"
+        );
+
+        subscriptions[msg.sender] = 0;
+        paymentToken.safeTransfer(msg.sender, amount);
+
+        emit Refunded(msg.sender, amount);
+    }
+
+    /**
+     * @dev Get the property tokens an amount of payment token buys
+     * @param _amount Amount of payment token
+     * @return Amount of property token
+     */
+    function tokensFor(uint256 _amount) public view returns (uint256) {
+        return _amount * 10**token.decimals() / price;
+    }
+
+    /**
+     * @dev Check whether an investor's subscription can be issued now
+     * @param _investor Investor address
+     * @return Restriction code of the token (0 if the tokens can be issued)
+     */
+    function issuanceRestriction(address _investor) public view returns (uint8) {
+        return token.detectTransferRestriction(address(0), _investor, tokensFor(subscriptions[_investor]));
+    }
+
+    /**
+     * @dev Get every investor who subscribed
+     * @return Investor addresses
+     */
+    function getInvestors() external view returns (address[] memory) {
+        return _investors;
+    }
+}
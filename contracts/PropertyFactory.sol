@@ -0,0 +1,294 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+import "./upgradeable/RealEstateTokenUpgradeable.sol";
+import "./upgradeable/ComplianceUpgradeable.sol";
+import "./upgradeable/IdentityRegistryUpgradeable.sol";
+import "./interfaces/IPropertyFactory.sol";
+
+/**
+ * @title PropertyFactory
+ * @dev Deploys a RealEstateToken, its IdentityRegistry and its Compliance contract per property,
+ * and keeps an enumerable registry of them
+ * Every property's IdentityRegistry is bound to one shared IdentityRegistryStorage, so investors
+ * registered once are known across the portfolio. The factory must be an agent of that storage.
+ * All three are deployed as TransparentUpgradeableProxy instances of shared implementations,
+ * with the sponsor owning each proxy's ProxyAdmin.
+ * When a rent distributor is set, new tokens report to it and are registered with it, which requires
+ * the distributor to accept this factory (setPropertyFactory).
+ */
+contract PropertyFactory is IPropertyFactory, Ownable {
+
+    // Registry entry for a listed property
+    struct Property {
+        uint256 propertyId;
+        address token;
+        address identityRegistry;
+        address compliance;
+        address sponsor;
+        uint256 listedAt;
+    }
+
+    // Identity storage shared by every property's identity registry
+    IIdentityRegistryStorage public identityStorage;
+
+    // Claim registries new identity registries start out with (zero = no claims required)
+    address public claimTopicsRegistry;
+    address public trustedIssuersRegistry;
+
+    // Rent distributor new tokens are registered with (zero = none)
+    address public rentDistributor;
+
+    // Implementations new property proxies point to
+    address public tokenImplementation;
+    address public complianceImplementation;
+    address public identityRegistryImplementation;
+
+    // Listed properties, indexed by property ID
+    Property[] private _properties;
+
+    // Mapping from token address to property ID + 1 (0 = not listed)
+    mapping(address => uint256) private _propertyIndex;
+
+    // Events
+    event PropertyListed(
+        uint256 indexed propertyId,
+        address indexed token,
+        address indexed compliance,
+        address sponsor,
+        string propertyAddress
+    );
+    event ImplementationsUpdated(
+        address indexed tokenImplementation,
+        address indexed complianceImplementation,
+        address indexed identityRegistryImplementation
+    );
+    event ClaimRegistriesUpdated(address indexed claimTopicsRegistry, address indexed trustedIssuersRegistry);
+    event RentDistributorUpdated(address indexed rentDistributor);
+
+    constructor(
+        address _identityStorage,
+        address _tokenImplementation,
+        address _complianceImplementation,
+        address _identityRegistryImplementation
+    ) Ownable(msg.sender) {
+        require(_identityStorage != address(0), "Invalid identity storage");
+        identityStorage = IIdentityRegistryStorage(_identityStorage);
+        _setImplementations(_tokenImplementation, _complianceImplementation, _identityRegistryImplementation);
+    }
+
+    /**
+     * @dev Set the implementations used for properties listed from now on (admin only)
+     * Existing properties are upgraded by their sponsors through their own ProxyAdmin.
+     * @param _tokenImplementation RealEstateTokenUpgradeable implementation
+     * @param _complianceImplementation ComplianceUpgradeable implementation
+     * @param _identityRegistryImplementation IdentityRegistryUpgradeable implementation
+     */
+    function setImplementations(
+        address _tokenImplementation,
+        address _complianceImplementation,
+        address _identityRegistryImplementation
+    ) external onlyOwner {
+        _setImplementations(_tokenImplementation, _complianceImplementation, _identityRegistryImplementation);
+    }
+
+    /**
+     * @dev Set the claim registries used by identity registries listed from now on (admin only)
+     * @param _claimTopicsRegistry ClaimTopicsRegistry (zero = no claims required)
+     * @param _trustedIssuersRegistry TrustedIssuersRegistry
+     */
+    function setClaimRegistries(address _claimTopicsRegistry, address _trustedIssuersRegistry) external onlyOwner {
+        claimTopicsRegistry = _claimTopicsRegistry;
+        trustedIssuersRegistry = _trustedIssuersRegistry;
+        emit ClaimRegistriesUpdated(_claimTopicsRegistry, _trustedIssuersRegistry);
+    }
+
+    /**
+     * @dev Set the rent distributor used by properties listed from now on (admin only)
+     * @param _rentDistributor RentDistributor (zero = rent paid to landlords directly)
+     */
+    function setRentDistributor(address _rentDistributor) external onlyOwner {
+        rentDistributor = _rentDistributor;
+        emit RentDistributorUpdated(_rentDistributor);
+    }
+
+    /**
+     * @dev Deploy a token, identity registry and compliance contract for a new property (admin only)
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _propertyInfo Property details stored on the token
+     * @return propertyId ID of the property in the registry
+     * @return token Address of the deployed RealEstateToken
+     */
+    function createProperty(
+        string memory _name,
+        string memory _symbol,
+        RealEstateTokenBase.PropertyInfo memory _propertyInfo
+    ) external onlyOwner returns (uint256 propertyId, address token) {
+        IdentityRegistryUpgradeable registryContract = _deployIdentityRegistry();
+        ComplianceUpgradeable complianceContract = ComplianceUpgradeable(address(new TransparentUpgradeableProxy(
+            complianceImplementation,
+            msg.sender,
+            abi.encodeCall(ComplianceUpgradeable.initialize, (address(registryContract)))
+        )));
+        RealEstateTokenUpgradeable tokenContract = RealEstateTokenUpgradeable(address(new TransparentUpgradeableProxy(
+            tokenImplementation,
+            msg.sender,
+            abi.encodeCall(
+                RealEstateTokenUpgradeable.initialize,
+                (_name, _symbol, 18, address(registryContract), address(complianceContract), _propertyInfo)
+            )
+        )));
+
+        // Let the token re-point identities during lost-wallet recovery
+        registryContract.addAgent(address(tokenContract));
+
+        // Only the token may report balance changes to its compliance contract
+        complianceContract.bindToken(address(tokenContract));
+
+        // Route rent to holders before any tokens are minted
+        if (rentDistributor != address(0)) {
+            tokenContract.setRentDistributor(rentDistributor);
+            IRentDistributor(rentDistributor).registerToken(address(tokenContract));
+        }
+
+        // Hand the new contracts over to the sponsor
+        tokenContract.addAgent(msg.sender);
+        tokenContract.addComplianceOfficer(msg.sender);
+        tokenContract.grantRole(tokenContract.DEFAULT_ADMIN_ROLE(), msg.sender);
+        tokenContract.renounceRole(tokenContract.AGENT_ROLE(), address(this));
+        tokenContract.renounceRole(tokenContract.COMPLIANCE_ROLE(), address(this));
+        tokenContract.renounceRole(tokenContract.DEFAULT_ADMIN_ROLE(), address(this));
+        tokenContract.transferOwnership(msg.sender);
+        complianceContract.transferOwnership(msg.sender);
+        registryContract.transferOwnership(msg.sender);
+
+        propertyId = _properties.length;
+        token = address(tokenContract);
+
+        _properties.push(Property({
+            propertyId: propertyId,
+            token: token,
+            identityRegistry: address(registryContract),
+            compliance: address(complianceContract),
+            sponsor: msg.sender,
+            listedAt: block.timestamp
+        }));
+        _propertyIndex[token] = propertyId + 1;
+
+        emit PropertyListed(
+            propertyId,
+            token,
+            address(complianceContract),
+            msg.sender,
+            _propertyInfo.propertyAddress
+        );
+    }
+
+    /**
+     * @dev Get the number of listed properties
+     * @return Number of properties in the registry
+     */
+    function propertyCount() external view returns (uint256) {
+        return _properties.length;
+    }
+
+    /**
+     * @dev Get a registry entry
+     * @param _propertyId Property ID
+     * @return Registry entry for the property
+     */
+    function getProperty(uint256 _propertyId) external view returns (Property memory) {
+        require(_propertyId < _properties.length, "Property does not exist");
+        return _properties[_propertyId];
+    }
+
+    /**
+     * @dev Get all registry entries
+     * @return Array of registry entries
+     */
+    function getProperties() external view returns (Property[] memory) {
+        return _properties;
+    }
+
+    /**
+     * @dev Get the current property information of a listed property
+     * @param _propertyId Property ID
+     * @return Property information as stored on its token
+     */
+    function getPropertyInfo(uint256 _propertyId) external view returns (RealEstateTokenBase.PropertyInfo memory) {
+        require(_propertyId < _properties.length, "Property does not exist");
+        (
+            string memory propertyAddress,
+            uint256 totalValue,
+            uint256 totalShares,
+            string memory description,
+            bool isActive
+        ) = RealEstateTokenBase(_properties[_propertyId].token).propertyInfo();
+
+        return RealEstateTokenBase.PropertyInfo({
+            propertyAddress: propertyAddress,
+            totalValue: totalValue,
+            totalShares: totalShares,
+            description: description,
+            isActive: isActive
+        });
+    }
+
+    /**
+     * @dev Check if a token was deployed by this factory
+     * @param _token Token address
+     * @return True if the token is listed
+     */
+    function isListed(address _token) external view override returns (bool) {
+        return _propertyIndex[_token] != 0;
+    }
+
+    /**
+     * @dev Get the property ID of a listed token
+     * @param _token Token address
+     * @return Property ID
+     */
+    function propertyIdOf(address _token) external view returns (uint256) {
+        require(_propertyIndex[_token] != 0, "Property not listed");
+        return _propertyIndex[_token] - 1;
+    }
+
+    /**
+     * @dev Deploy an identity registry proxy bound to the shared storage, owned by the factory
+     * until handed over to the sponsor
+     */
+    function _deployIdentityRegistry() internal returns (IdentityRegistryUpgradeable registryContract) {
+        registryContract = IdentityRegistryUpgradeable(address(new TransparentUpgradeableProxy(
+            identityRegistryImplementation,
+            msg.sender,
+            abi.encodeCall(IdentityRegistryUpgradeable.initialize, (address(identityStorage)))
+        )));
+        identityStorage.bindIdentityRegistry(address(registryContract));
+
+        if (claimTopicsRegistry != address(0)) {
+            registryContract.setClaimTopicsRegistry(claimTopicsRegistry);
+            registryContract.setTrustedIssuersRegistry(trustedIssuersRegistry);
+        }
+    }
+
+    /**
+     * @dev Validate and store the proxy implementations
+     */
+    function _setImplementations(
+        address _tokenImplementation,
+        address _complianceImplementation,
+        address _identityRegistryImplementation
+    ) internal {
+        require(_tokenImplementation != address(0), "Invalid token implementation");
+        require(_complianceImplementation != address(0), "Invalid compliance implementation");
+        require(_identityRegistryImplementation != address(0), "Invalid identity registry implementation");
+
+        tokenImplementation = _tokenImplementation;
+        complianceImplementation = _complianceImplementation;
+        identityRegistryImplementation = _identityRegistryImplementation;
+        emit ImplementationsUpdated(_tokenImplementation, _complianceImplementation, _identityRegistryImplementation);
+    }
+}
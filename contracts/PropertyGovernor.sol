@@ -0,0 +1,423 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./RealEstateToken.sol";
+
+/**
+ * @title PropertyGovernor
+ * @dev On-chain proposals and voting for the holders of a property token
+ * Each proposal takes a token snapshot, and votes are weighted by balances at that snapshot. Holders may
+ * delegate their votes; the delegate at the snapshot casts them. A proposal passes with enough participation
+ * (quorum, a share of the supply at the snapshot) and enough votes for among those for or against (approval
+ * threshold). Passed proposals are queued in the timelock and executed by it after its delay, so the timelock
+ * must own whatever the proposals call. The governor must be an agent of the token to take snapshots, and a
+ * proposer, canceller and executor of the timelock.
+ */
+contract PropertyGovernor {
+    using Checkpoints for Checkpoints.Trace208;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    enum ProposalState {
+        Active,
+        Defeated,
+        Succeeded,
+        Queued,
+        Executed,
+        Canceled
+    }
+
+    enum VoteType {
+        Against,
+        For,
+        Abstain
+    }
+
+    struct Proposal {
+        uint256 proposalId;
+        address proposer;
+        address[] targets;
+        uint256[] values;
+        bytes[] calldatas;
+        string description;
+        uint256 snapshotId;
+        uint256 voteEnd;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        bool queued;
+        bool executed;
+        bool canceled;
+    }
+
+    // Denominator of the quorum and approval thresholds
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    // Property token holders vote with
+    RealEstateTokenBase public immutable token;
+
+    // Timelock executing passed proposals
+    TimelockController public immutable timelock;
+
+    // Voting settings, changed through proposals
+    uint256 public votingPeriod; // seconds
+    uint256 public quorumBps; // participation needed, of the supply at the snapshot
+    uint256 public approvalBps; // share of for votes needed among for and against votes, exclusive
+    uint256 public proposalThreshold; // balance needed to propose
+
+    // Proposals, indexed by proposal ID
+    Proposal[] private _proposals;
+
+    // Accounts whose votes have been cast, per proposal
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    // Delegate of each account, keyed by block number (0 = the account itself)
+    mapping(address => Checkpoints.Trace208) private _delegateCheckpoints;
+
+    // Accounts currently delegating to each delegate
+    mapping(address => EnumerableSet.AddressSet) private _delegators;
+
+    // Events
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address[] targets,
+        uint256[] values,
+        bytes[] calldatas,
+        string description,
+        uint256 snapshotId,
+        uint256 voteEnd
+    );
+    event VoteCast(
+        uint256 indexed proposalId,
+        address indexed account,
+        address indexed delegate,
+        uint8 support,
+        uint256 weight
+    );
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCanceled(uint256 indexed proposalId);
+    event VotingSettingsUpdated(uint256 votingPeriod, uint256 quorumBps, uint256 approvalBps, uint256 proposalThreshold);
+
+    modifier onlyTimelock() {
+        require(msg.sender == address(timelock), "Only timelock");
+        _;
+    }
+
+    constructor(
+        address _token,
+        address payable _timelock,
+        uint256 _votingPeriod,
+        uint256 _quorumBps,
+        uint256 _approvalBps,
+        uint256 _proposalThreshold
+    ) {
+        require(_token != address(0), "Invalid property token");
+        require(_timelock != address(0), "Invalid timelock");
+        token = RealEstateTokenBase(_token);
+        timelock = TimelockController(_timelock);
+        _setVotingSettings(_votingPeriod, _quorumBps, _approvalBps, _proposalThreshold);
+    }
+
+    /**
+     * @dev Propose calls for the timelock to execute, taking the snapshot votes are weighted by
+     * @param _targets Contracts to call
+     * @param _values ETH sent with each call
+     * @param _calldatas Encoded calls
+     * @param _description Proposal description
+     * @return proposalId ID of the new proposal
+     */
+    function propose(
+        address[] calldata _targets,
+        uint256[] calldata _values,
+        bytes[] calldata _calldatas,
+        string calldata _description
+    ) external returns (uint256 proposalId) {
+        require(_targets.length > 0, "Empty proposal");
+        require(
+            _targets.length == _values.length && _targets.length == _calldatas.length,
+            "Proposal length mismatch"
+        );
+        require(bytes(_description).length > 0, "Invalid description");
+        require(token.balanceOf(msg.sender) >= proposalThreshold, "Below proposal threshold");
+
+        proposalId = _proposals.length;
+        Proposal storage proposal = _proposals.push();
+        proposal.proposalId = proposalId;
+        proposal.proposer = msg.sender;
+        proposal.targets = _targets;
+        proposal.values = _values;
+        proposal.calldatas = _calldatas;
+        proposal.description = _description;
+        proposal.snapshotId = token.snapshot();
+        proposal.voteEnd = block.timestamp + votingPeriod;
+
+        emit ProposalCreated(
+            proposalId,
+            msg.sender,
+            _targets,
+            _values,
+            _calldatas,
+            _description,
+            proposal.snapshotId,
+            proposal.voteEnd
+        );
+    }
+
+    /**
+     * @dev Cast the votes of accounts whose delegate at the snapshot is the caller
+     * Voting opens the block after the proposal, once the snapshot is final.
+     * @param _proposalId Proposal ID
+     * @param _support 0 = against, 1 = for, 2 = abstain
+     * @param _accounts Accounts to vote for: the caller (unless delegated away) and its delegators;
+     * others, and those that have already voted, are skipped
+     * @return weight Votes cast
+     */
+    function castVote(
+        uint256 _proposalId,
+        uint8 _support,
+        address[] calldata _accounts
+    ) external returns (uint256 weight) {
+        require(state(_proposalId) == ProposalState.Active, "Voting closed");
+        require(_support <= uint8(VoteType.Abstain), "Invalid vote type");
+        Proposal storage proposal = _proposals[_proposalId];
+        uint256 snapshotBlock = token.snapshotBlock(proposal.snapshotId);
+        require(block.number > snapshotBlock, "Voting not started");
+
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            address account = _accounts[i];
+            if (hasVoted[_proposalId][account] || delegateAt(account, snapshotBlock) != msg.sender) continue;
+
+            uint256 votes = token.balanceOfAt(account, proposal.snapshotId);
+            hasVoted[_proposalId][account] = true;
+            weight += votes;
+
+            emit VoteCast(_proposalId, account, msg.sender, _support, votes);
+        }
+        require(weight > 0, "No votes to cast");
+
+        if (_support == uint8(VoteType.For)) {
+            proposal.forVotes += weight;
+        } else if (_support == uint8(VoteType.Against)) {
+            proposal.againstVotes += weight;
+        } else {
+            proposal.abstainVotes += weight;
+        }
+    }
+
+    /**
+     * @dev Delegate the caller's votes on proposals created from now on
+     * @param _delegatee Delegate (the caller or address(0) to vote directly again)
+     */
+    function delegate(address _delegatee) external {
+        if (_delegatee == msg.sender) {
+            _delegatee = address(0);
+        }
+        address current = address(uint160(_delegateCheckpoints[msg.sender].latest()));
+        require(_delegatee != current, "Already delegated");
+
+        if (current != address(0)) {
+            _delegators[current].remove(msg.sender);
+        }
+        if (_delegatee != address(0)) {
+            _delegators[_delegatee].add(msg.sender);
+        }
+        _delegateCheckpoints[msg.sender].push(SafeCast.toUint48(block.number), uint208(uint160(_delegatee)));
+
+        emit DelegateChanged(
+            msg.sender,
+            current == address(0) ? msg.sender : current,
+            _delegatee == address(0) ? msg.sender : _delegatee
+        );
+    }
+
+    /**
+     * @dev Queue a passed proposal in the timelock (anyone)
+     * @param _proposalId Proposal ID
+     */
+    function queue(uint256 _proposalId) external {
+        require(state(_proposalId) == ProposalState.Succeeded, "Proposal not successful");
+        Proposal storage proposal = _proposals[_proposalId];
+        proposal.queued = true;
+
+        uint256 delay = timelock.getMinDelay();
+        timelock.scheduleBatch(proposal.targets, proposal.values, proposal.calldatas, 0, _salt(_proposalId), delay);
+
+        emit ProposalQueued(_proposalId, block.timestamp + delay);
+    }
+
+    /**
+     * @dev Execute a queued proposal once the timelock delay has passed (anyone)
+     * @param _proposalId Proposal ID
+     */
+    function execute(uint256 _proposalId) external {
+        require(state(_proposalId) == ProposalState.Queued, "Proposal not queued");
+        Proposal storage proposal = _proposals[_proposalId];
+        proposal.executed = true;
+
+        timelock.executeBatch(proposal.targets, proposal.values, proposal.calldatas, 0, _salt(_proposalId));
+
+        emit ProposalExecuted(_proposalId);
+    }
+
+    /**
+     * @dev Cancel a proposal that has not been executed (proposer only)
+     * @param _proposalId Proposal ID
+     */
+    function cancel(uint256 _proposalId) external {
+        ProposalState current = state(_proposalId);
+        Proposal storage proposal = _proposals[_proposalId];
+        require(proposal.proposer == msg.sender, "Only proposer can cancel");
+        require(current != ProposalState.Executed && current != ProposalState.Canceled, "Proposal already closed");
+
+        proposal.canceled = true;
+        if (current == ProposalState.Queued) {
+            timelock.cancel(
+                timelock.hashOperationBatch(proposal.targets, proposal.values, proposal.calldatas, 0, _salt(_proposalId))
+            );
+        }
+
+        emit ProposalCanceled(_proposalId);
+    }
+
+    /**
+     * @dev Change the voting settings (timelock only, i.e. through a proposal)
+     * @param _votingPeriod Voting period in seconds
+     * @param _quorumBps Participation needed, in basis points of the supply at the snapshot
+     * @param _approvalBps For votes needed, in basis points of for and against votes (exclusive)
+     * @param _proposalThreshold Token balance needed to propose
+     */
+    function updateVotingSettings(
+        uint256 _votingPeriod,
+        uint256 _quorumBps,
+        uint256 _approvalBps,
+        uint256 _proposalThreshold
+    ) external onlyTimelock {
+        _setVotingSettings(_votingPeriod, _quorumBps, _approvalBps, _proposalThreshold);
+    }
+
+    /**
+     * @dev Get the state of a proposal
+     * @param _proposalId Proposal ID
+     * @return Proposal state
+     */
+    function state(uint256 _proposalId) public view returns (ProposalState) {
+        require(_proposalId < _proposals.length, "Proposal does not exist");
+        Proposal storage proposal = _proposals[_proposalId];
+
+        if (proposal.canceled) return ProposalState.Canceled;
+        if (proposal.executed) return ProposalState.Executed;
+        if (proposal.queued) return ProposalState.Queued;
+        if (block.timestamp <= proposal.voteEnd) return ProposalState.Active;
+        return _quorumReached(proposal) && _approved(proposal) ? ProposalState.Succeeded : ProposalState.Defeated;
+    }
+
+    /**
+     * @dev Get the participation a proposal needs
+     * @param _proposalId Proposal ID
+     * @return Votes needed, including abstentions
+     */
+    function quorum(uint256 _proposalId) public view returns (uint256) {
+        require(_proposalId < _proposals.length, "Proposal does not exist");
+        return token.totalSupplyAt(_proposals[_proposalId].snapshotId) * quorumBps / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @dev Get the delegate of an account as of the end of a block
+     * @param _account Account
+     * @param _blockNumber Block number
+     * @return Delegate (the account itself if it has not delegated)
+     */
+    function delegateAt(address _account, uint256 _blockNumber) public view returns (address) {
+        address delegatee = address(uint160(
+            _delegateCheckpoints[_account].upperLookupRecent(SafeCast.toUint48(_blockNumber))
+        ));
+        return delegatee == address(0) ? _account : delegatee;
+    }
+
+    /**
+     * @dev Get the current delegate of an account
+     * @param _account Account
+     * @return Delegate (the account itself if it has not delegated)
+     */
+    function delegates(address _account) external view returns (address) {
+        address delegatee = address(uint160(_delegateCheckpoints[_account].latest()));
+        return delegatee == address(0) ? _account : delegatee;
+    }
+
+    /**
+     * @dev Get the accounts currently delegating to a delegate
+     * @param _delegatee Delegate
+     * @return Delegator addresses
+     */
+    function getDelegators(address _delegatee) external view returns (address[] memory) {
+        return _delegators[_delegatee].values();
+    }
+
+    /**
+     * @dev Get a proposal
+     * @param _proposalId Proposal ID
+     * @return Proposal details
+     */
+    function getProposal(uint256 _proposalId) external view returns (Proposal memory) {
+        require(_proposalId < _proposals.length, "Proposal does not exist");
+        return _proposals[_proposalId];
+    }
+
+    /**
+     * @dev Get the number of proposals ever created
+     * @return Number of proposals
+     */
+    function proposalCount() external view returns (uint256) {
+        return _proposals.length;
+    }
+
+    /**
+     * @dev Validate and store the voting settings
+     */
+    function _setVotingSettings(
+        uint256 _votingPeriod,
+        uint256 _quorumBps,
+        uint256 _approvalBps,
+        uint256 _proposalThreshold
+    ) internal {
+        require(_votingPeriod > 0, "Invalid voting period");
+        require(_quorumBps <= BPS_DENOMINATOR, "Invalid quorum");
+        require(_approvalBps < BPS_DENOMINATOR, "Invalid approval threshold");
+
+        votingPeriod = _votingPeriod;
+        quorumBps = _quorumBps;
+        approvalBps = _approvalBps;
+        proposalThreshold = _proposalThreshold;
+
+        emit VotingSettingsUpdated(_votingPeriod, _quorumBps, _approvalBps, _proposalThreshold);
+    }
+
+    /**
+     * @dev Whether participation reached the quorum
+     */
+    function _quorumReached(Proposal storage _proposal) internal view returns (bool) {
+        uint256 participation = _proposal.forVotes + _proposal.againstVotes + _proposal.abstainVotes;
+        return participation * BPS_DENOMINATOR >= token.totalSupplyAt(_proposal.snapshotId) * quorumBps;
+    }
+
+    /**
+     * @dev Whether for votes exceed the approval threshold among for and against votes
+     */
+    function _approved(Proposal storage _proposal) internal view returns (bool) {
+        uint256 decisive = _proposal.forVotes + _proposal.againstVotes;
+        return _proposal.forVotes * BPS_DENOMINATOR > decisive * approvalBps;
+    }
+
+    /**
+     * @dev Timelock salt of a proposal, unique to this governor
+     */
+    function _salt(uint256 _proposalId) internal view returns (bytes32) {
+        return keccak256(abi.encode(address(this), _proposalId));
+    }
+}
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./RealEstateToken.sol";
+import "./Redemption.sol";
+
+/**
+ * @title PropertySale
+ * @dev Wind-down of property tokens once the building is sold, paying the sale proceeds in the payment token
+ * The property is first marked inactive (updatePropertyInfo with isActive false, e.g. through governance), which
+ * stops every transfer and mint of its token and new leases. An agent of the token then deposits the proceeds
+ * with a claim deadline. Until the deadline each holder's tokens are burned for a pro-rata share of the proceeds,
+ * by the supply when the proceeds were deposited. Proceeds left after the deadline go to the unclaimed recipient
+ * (e.g. a custodian holding them for late holders). The contract must be an agent of every token it winds down.
+ * Frozen wallets and frozen tokens are not redeemed: their share is held until an agent releases them, and is
+ * swept with the rest if that happens after the deadline. Proceeds are refused while the token has a
+ * redemption window that is open or not yet settled, since its requests hold frozen tokens.
+ */
+contract PropertySale is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Proceeds of a property sale
+    struct Sale {
+        address token;
+        address agent;
+        uint256 proceeds;
+        uint256 supply; // token supply when the proceeds were deposited
+        uint256 claimDeadline;
+        address unclaimedRecipient;
+        uint256 claimed;
+        bool swept;
+    }
+
+    // Token proceeds are paid in
+    IERC20 public immutable paymentToken;
+
+    // Redemption windows of the tokens wound down
+    Redemption public immutable redemption;
+
+    // Sales, indexed by property token (a token is wound down once)
+    mapping(address => Sale) private _sales;
+
+    // Events
+    event ProceedsDeposited(
+        address indexed token,
+        address indexed agent,
+        uint256 proceeds,
+        uint256 supply,
+        uint256 claimDeadline,
+        address unclaimedRecipient
+    );
+    event ProceedsClaimed(address indexed token, address indexed holder, uint256 burned, uint256 payment);
+    event UnclaimedSwept(address indexed token, address indexed recipient, uint256 amount);
+
+    constructor(address _paymentToken, address _redemption) {
+        require(_paymentToken != address(0), "Invalid payment token");
+        require(_redemption != address(0), "Invalid redemption");
+        paymentToken = IERC20(_paymentToken);
+        redemption = Redemption(_redemption);
+    }
+
+    /**
+     * @dev Deposit the sale proceeds of an inactive property (token agents and owner only)
+     * @param _token Property token wound down
+     * @param _proceeds Proceeds to distribute to holders
+     * @param _claimDeadline End of the claim period
+     * @param _unclaimedRecipient Receives the proceeds left after the deadline
+     */
+    function depositProceeds(
+        address _token,
+        uint256 _proceeds,
+        uint256 _claimDeadline,
+        address _unclaimedRecipient
+    ) external nonReentrant {
+        require(_token != address(0), "Invalid property token");
+        RealEstateTokenBase token = RealEstateTokenBase(_token);
+        require(
+            token.hasRole(token.AGENT_ROLE(), msg.sender) || token.owner() == msg.sender,
+            "Not authorized agent"
+        );
+        require(_sales[_token].token == address(0), "Proceeds already deposited");
+        (, , , , bool isActive) = token.propertyInfo();
+        require(!isActive, "Property still active");
+        require(redemption.unsettledWindows(_token) == 0, "Redemption window not settled");
+        require(_proceeds > 0, "Invalid proceeds");
+        require(_claimDeadline > block.timestamp, "Deadline must be in the future");
+        require(_unclaimedRecipient != address(0), "Invalid unclaimed recipient");
+        uint256 supply = token.totalSupply();
+        require(supply > 0, "No tokens outstanding");
+
+        _sales[_token] = Sale({
+            token: _token,
+            agent: msg.sender,
+            proceeds: _proceeds,
+            supply: supply,
+            claimDeadline: _claimDeadline,
+            unclaimedRecipient: _unclaimedRecipient,
+            claimed: 0,
+            swept: false
+        });
+
+        paymentToken.safeTransferFrom(msg.sender, address(this), _proceeds);
+
+        emit ProceedsDeposited(_token, msg.sender, _proceeds, supply, _claimDeadline, _unclaimedRecipient);
+    }
+
+    /**
+     * @dev Burn holders' tokens and pay their share of the proceeds until the deadline (anyone)
+     * @param _token Property token wound down
+     * @param _holders Holders to pay; frozen wallets and those without unfrozen tokens are skipped
+     */
+    function claim(address _token, address[] calldata _holders) external nonReentrant {
+        Sale storage sale = _getSale(_token);
+        require(block.timestamp <= sale.claimDeadline, "Claim period over");
+        RealEstateTokenBase token = RealEstateTokenBase(_token);
+
+        for (uint256 i = 0; i < _holders.length; i++) {
+            address holder = _holders[i];
+            uint256 amount = _redeemableBalance(token, holder);
+            if (amount == 0) continue;
+
+            // Capped so a token whose supply grew after the deposit cannot draw on other sales' proceeds
+            uint256 payment = Math.min(
+                Math.mulDiv(amount, sale.proceeds, sale.supply),
+                sale.proceeds - sale.claimed
+            );
+            sale.claimed += payment;
+
+            token.burn(holder, amount);
+            if (payment > 0) {
+                paymentToken.safeTransfer(holder, payment);
+            }
+
+            emit ProceedsClaimed(_token, holder, amount, payment);
+        }
+    }
+
+    /**
+     * @dev Send the proceeds left after the deadline to the unclaimed recipient (anyone)
+     * @param _token Property token wound down
+     */
+    function sweepUnclaimed(address _token) external nonReentrant {
+        Sale storage sale = _getSale(_token);
+        require(block.timestamp > sale.claimDeadline, "Claim period not over");
+        require(!sale.swept, "Already swept");
+
+        sale.swept = true;
+        uint256 unclaimed = sale.proceeds - sale.claimed;
+        if (unclaimed > 0) {
+            paymentToken.safeTransfer(sale.unclaimedRecipient, unclaimed);
+        }
+
+        emit UnclaimedSwept(_token, sale.unclaimedRecipient, unclaimed);
+    }
+
+    /**
+     * @dev Get the proceeds a holder would receive now
+     * @param _token Property token wound down
+     * @param _holder Holder address
+     * @return Payment token amount (0 once the claim period is over; frozen tokens are not counted)
+     */
+    function proceedsOf(address _token, address _holder) external view returns (uint256) {
+        Sale storage sale = _sales[_token];
+        if (sale.token == address(0) || block.timestamp > sale.claimDeadline) return 0;
+        return Math.mulDiv(_redeemableBalance(RealEstateTokenBase(_token), _holder), sale.proceeds, sale.supply);
+    }
+
+    /**
+     * @dev Get the sale of a property token
+     * @param _token Property token
+     * @return Sale details (token is address(0) if no proceeds were deposited)
+     */
+    function getSale(address _token) external view returns (Sale memory) {
+        return _sales[_token];
+    }
+
+    /**
+     * @dev Tokens of a holder that can be redeemed: none for a frozen wallet, otherwise the unfrozen balance
+     */
+    function _redeemableBalance(RealEstateTokenBase _token, address _holder) internal view returns (uint256) {
+        if (_token.isFrozen(_holder)) return 0;
+        uint256 balance = _token.balanceOf(_holder);
+        uint256 frozen = _token.getFrozenTokens(_holder);
+        return balance > frozen ? balance - frozen : 0;
+    }
+
+    /**
+     * @dev Look up a sale, reverting if no proceeds were deposited
+     */
+    function _getSale(address _token) internal view returns (Sale storage) {
+        require(_sales[_token].token != address(0), "No sale for token");
+        return _sales[_token];
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title PropertyTimelock
+ * @dev Timelock executing the calls approved by a property's governor after a minimum delay
+ * Make it the owner of the property token and lease manager to put their admin functions under governance.
+ */
+contract PropertyTimelock is TimelockController {
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors,
+        address _admin
+    ) TimelockController(_minDelay, _proposers, _executors, _admin) {}
+}
@@ -1,19 +1,43 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "./interfaces/IERC3643.sol";
 import "./interfaces/IIdentityRegistry.sol";
 import "./interfaces/ICompliance.sol";
+import "./interfaces/IRentDistributor.sol";
+import "./interfaces/IERC1404.sol";
+import "./libraries/TransferRestrictions.sol";
+import "./libraries/TokenVesting.sol";
+import "./libraries/TokenRecovery.sol";
+import "./metatx/ERC2771Recipient.sol";
 
 /**
- * @title RealEstateToken
+ * @title RealEstateTokenBase
  * @dev ERC-3643 compliant token for real estate tokenization
  * Implements permissioned transfers with KYC/AML compliance
+ * Holders without ETH can approve with EIP-2612 permits and transfer through the trusted ERC-2771 forwarder.
+ * Initializer-based, so the same logic backs the constructor-deployed RealEstateToken
+ * and the proxy-deployed RealEstateTokenUpgradeable. New state variables must be
+ * appended after the existing ones to keep proxy storage compatible.
  */
-contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
+abstract contract RealEstateTokenBase is
+    ERC20Upgradeable,
+    ERC20PermitUpgradeable,
+    IERC3643,
+    IERC1404,
+    OwnableUpgradeable,
+    AccessControlUpgradeable,
+    ERC2771Recipient
+{
+    using Checkpoints for Checkpoints.Trace208;
+    using Math for uint256;
     
     // Roles for access control
     bytes32 public constant AGENT_ROLE = keccak256("AGENT_ROLE");
@@ -21,14 +45,21 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
     
     // Core ERC-3643 components
     IIdentityRegistry public override identityRegistry;
+    // Compliance or ModularCompliance; both expose the ERC-1404 checks and the balance change hooks
     ICompliance public override compliance;
     
     // Mapping from wallet to onchain ID
     mapping(address => address) private _onchainIDs;
     
-    // Token metadata
-    string private _tokenName;
-    string private _tokenSymbol;
+    // Wallets frozen entirely
+    mapping(address => bool) private _frozen;
+    
+    // Amount of tokens frozen per wallet
+    mapping(address => uint256) private _frozenTokens;
+    
+    // Token metadata (name and symbol are kept by ERC20Upgradeable; the two slots remain for proxy storage layout)
+    string private _unusedTokenName;
+    string private _unusedTokenSymbol;
     uint8 private _tokenDecimals;
     
     // Property details
@@ -42,48 +73,83 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
     
     PropertyInfo public propertyInfo;
     
+    // Rent distributor notified of every balance change (address(0) = none)
+    IRentDistributor public rentDistributor;
+    
+    // Balance and total supply history, keyed by block number
+    mapping(address => Checkpoints.Trace208) private _balanceCheckpoints;
+    Checkpoints.Trace208 private _totalSupplyCheckpoints;
+    
+    // Block number of each snapshot (snapshot ID = index + 1)
+    uint256[] private _snapshotBlocks;
+    
+    // Maximum number of pending schedules per wallet, bounding the cost of every transfer
+    uint256 public constant MAX_VESTING_SCHEDULES = TokenVesting.MAX_SCHEDULES;
+    
+    // Lock-up and vesting schedules per wallet
+    mapping(address => TokenVesting.VestingSchedule[]) private _vestingSchedules;
+    
+    // Valuation oracle that alone sets the property value once configured (address(0) = owner sets it)
+    address public valuationOracle;
+    
+    // Events
+    event RentDistributorSet(address indexed _rentDistributor);
+    event Snapshot(uint256 indexed _id, uint256 _blockNumber);
+    event VestingScheduleAdded(address indexed _wallet, uint256 _amount, uint64 _start, uint64 _cliff, uint64 _end);
+    event PropertyInfoUpdated(address indexed _updatedBy, uint256 _totalValue, uint256 _totalShares, bool _isActive);
+    event ValuationOracleSet(address indexed _valuationOracle);
+    
     // Modifiers
+    // Role checks live in internal functions so the modifiers do not inline them into every function
     modifier onlyAgent() {
-        require(hasRole(AGENT_ROLE, msg.sender) || owner() == msg.sender, "Not authorized agent");
+        _checkRoleOrOwner(AGENT_ROLE, "Not authorized agent");
         _;
     }
     
     modifier onlyCompliance() {
-        require(hasRole(COMPLIANCE_ROLE, msg.sender) || owner() == msg.sender, "Not authorized compliance officer");
+        _checkRoleOrOwner(COMPLIANCE_ROLE, "Not authorized compliance officer");
         _;
     }
     
     modifier onlyCompliant(address _from, address _to, uint256 _amount) {
-        require(canTransfer(_from, _to, _amount), "Transfer not compliant");
+        _requireNoRestriction(_from, _to, _amount);
         _;
     }
     
-    constructor(
+    /**
+     * @dev Initialize the token; the caller becomes owner, agent and compliance officer
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _decimals Token decimals
+     * @param _identityRegistry Identity registry address
+     * @param _compliance Compliance contract address
+     * @param _propertyInfo Property details
+     */
+    function __RealEstateToken_init(
         string memory _name,
         string memory _symbol,
         uint8 _decimals,
         address _identityRegistry,
         address _compliance,
         PropertyInfo memory _propertyInfo
-    ) ERC20(_name, _symbol) Ownable(msg.sender) {
+    ) internal onlyInitializing {
+        __ERC20_init(_name, _symbol);
+        __Ownable_init(_msgSender());
+        __AccessControl_init();
+        
         require(_identityRegistry != address(0), "Invalid identity registry");
         require(_compliance != address(0), "Invalid compliance contract");
-        require(bytes(_propertyInfo.propertyAddress).length > 0, "Invalid property address");
-        require(_propertyInfo.totalValue > 0, "Invalid property value");
-        require(_propertyInfo.totalShares > 0, "Invalid total shares");
         
-        _tokenName = _name;
-        _tokenSymbol = _symbol;
         _tokenDecimals = _decimals;
         
         identityRegistry = IIdentityRegistry(_identityRegistry);
         compliance = ICompliance(_compliance);
-        propertyInfo = _propertyInfo;
+        _setPropertyInfo(_propertyInfo);
         
         // Setup roles
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(AGENT_ROLE, msg.sender);
-        _grantRole(COMPLIANCE_ROLE, msg.sender);
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        _grantRole(AGENT_ROLE, _msgSender());
+        _grantRole(COMPLIANCE_ROLE, _msgSender());
         
         emit IdentityRegistryAdded(_identityRegistry);
         emit ComplianceAdded(_compliance);
@@ -102,8 +168,8 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
      */
     function setOnchainID(address _onchainID) external override {
         require(_onchainID != address(0), "Invalid onchain ID");
-        _onchainIDs[msg.sender] = _onchainID;
-        emit OnchainIDSet(msg.sender, _onchainID);
+        _onchainIDs[_msgSender()] = _onchainID;
+        emit OnchainIDSet(_msgSender(), _onchainID);
     }
     
     /**
@@ -126,6 +192,25 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
         emit ComplianceAdded(_compliance);
     }
     
+    /**
+     * @dev Set the ERC-2771 forwarder whose relayed calls act for their signer (admin only)
+     * @param _forwarder Forwarder address (address(0) to stop accepting relayed calls)
+     */
+    function setTrustedForwarder(address _forwarder) external onlyOwner {
+        _setTrustedForwarder(_forwarder);
+    }
+    
+    /**
+     * @dev Set rent distributor (admin only)
+     * Must be set before the first distribution, as the distributor only
+     * tracks balance changes it has been notified of
+     * @param _rentDistributor Rent distributor address (address(0) to disable)
+     */
+    function setRentDistributor(address _rentDistributor) external onlyOwner {
+        rentDistributor = IRentDistributor(_rentDistributor);
+        emit RentDistributorSet(_rentDistributor);
+    }
+    
     /**
      * @dev Get onchain ID for a wallet
      * @param _wallet Wallet address
@@ -147,7 +232,63 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
         address _to, 
         uint256 _amount
     ) public view override returns (bool) {
-        return compliance.canTransfer(_from, _to, _amount);
+        return detectTransferRestriction(_from, _to, _amount) == TransferRestrictions.SUCCESS;
+    }
+    
+    /**
+     * @dev Get the first rule a transfer breaks (ERC-1404)
+     * Property status, wallet freezes, balances and recipient verification are checked here, everything else
+     * by the compliance contract.
+     * @param _from Sender address (address(0) for minting)
+     * @param _to Recipient address
+     * @param _amount Transfer amount
+     * @return Restriction code (0 = transfer allowed)
+     */
+    function detectTransferRestriction(
+        address _from, 
+        address _to, 
+        uint256 _amount
+    ) public view override returns (uint8) {
+        // Nothing moves or is issued once the property is sold or wound down
+        if (!propertyInfo.isActive) {
+            return TransferRestrictions.PROPERTY_INACTIVE;
+        }
+        
+        if (_frozen[_from] || _frozen[_to]) {
+            return TransferRestrictions.FROZEN;
+        }
+        
+        if (_from != address(0)) {
+            if (_amount > balanceOf(_from)) {
+                return TransferRestrictions.INSUFFICIENT_BALANCE;
+            }
+            
+            // Only the unfrozen part of the balance can be transferred
+            if (_amount > balanceOf(_from) - _frozenTokens[_from]) {
+                return TransferRestrictions.FROZEN;
+            }
+            
+            // ... and only once it is released from lock-up and vesting
+            if (_amount > transferableBalanceOf(_from)) {
+                return TransferRestrictions.LOCKED;
+            }
+        }
+        
+        // Recipients must be verified whatever rules the compliance contract applies
+        if (!identityRegistry.isVerified(_to)) {
+            return TransferRestrictions.NOT_VERIFIED;
+        }
+        
+        return compliance.detectTransferRestriction(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Get the message for a restriction code (ERC-1404)
+     * @param _restrictionCode Restriction code
+     * @return Human-readable reason
+     */
+    function messageForTransferRestriction(uint8 _restrictionCode) public view override returns (string memory) {
+        return compliance.messageForTransferRestriction(_restrictionCode);
     }
     
     /**
@@ -161,13 +302,134 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
         address _to, 
         uint256 _amount
     ) external override onlyCompliance {
-        require(_from != address(0), "Invalid from address");
-        require(_to != address(0), "Invalid to address");
+        _forcedTransfer(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Forced transfers in one transaction; reverts entirely if any entry fails (compliance officer only)
+     * @param _fromList Sender addresses
+     * @param _toList Recipient addresses
+     * @param _amounts Transfer amounts
+     */
+    function batchForcedTransfer(
+        address[] calldata _fromList,
+        address[] calldata _toList,
+        uint256[] calldata _amounts
+    ) external onlyCompliance {
+        require(_fromList.length == _toList.length && _fromList.length == _amounts.length, "Array length mismatch");
+        for (uint256 i = 0; i < _fromList.length; i++) {
+            _forcedTransfer(_fromList[i], _toList[i], _amounts[i]);
+        }
+    }
+    
+    /**
+     * @dev Freeze or unfreeze a wallet entirely (compliance officer only)
+     * @param _userAddress Wallet address
+     * @param _freeze True to freeze, false to unfreeze
+     */
+    function setAddressFrozen(address _userAddress, bool _freeze) external override onlyCompliance {
+        _setAddressFrozen(_userAddress, _freeze);
+    }
+    
+    /**
+     * @dev Freeze or unfreeze several wallets; reverts entirely if any entry fails (compliance officer only)
+     * @param _userAddresses Wallet addresses
+     * @param _freeze True to freeze, false to unfreeze, per wallet
+     */
+    function batchFreeze(address[] calldata _userAddresses, bool[] calldata _freeze) external onlyCompliance {
+        require(_userAddresses.length == _freeze.length, "Array length mismatch");
+        for (uint256 i = 0; i < _userAddresses.length; i++) {
+            _setAddressFrozen(_userAddresses[i], _freeze[i]);
+        }
+    }
+    
+    /**
+     * @dev Freeze part of a wallet's tokens (compliance officer only)
+     * @param _userAddress Wallet address
+     * @param _amount Amount of tokens to freeze
+     */
+    function freezePartialTokens(address _userAddress, uint256 _amount) external override onlyCompliance {
         require(_amount > 0, "Invalid amount");
-        require(balanceOf(_from) >= _amount, "Insufficient balance");
+        require(balanceOf(_userAddress) >= _frozenTokens[_userAddress] + _amount, "Amount exceeds available balance");
         
-        _transfer(_from, _to, _amount);
-        emit ForcedTransfer(_from, _to, _amount);
+        _frozenTokens[_userAddress] += _amount;
+        emit TokensFrozen(_userAddress, _amount);
+    }
+    
+    /**
+     * @dev Unfreeze part of a wallet's frozen tokens (compliance officer only)
+     * @param _userAddress Wallet address
+     * @param _amount Amount of tokens to unfreeze
+     */
+    function unfreezePartialTokens(address _userAddress, uint256 _amount) external override onlyCompliance {
+        require(_amount > 0, "Invalid amount");
+        require(_frozenTokens[_userAddress] >= _amount, "Amount exceeds frozen tokens");
+        
+        _frozenTokens[_userAddress] -= _amount;
+        emit TokensUnfrozen(_userAddress, _amount);
+    }
+    
+    /**
+     * @dev Recover the tokens of a lost wallet to a new wallet of the same investor (agent only)
+     * Moves the balance, frozen state and vesting schedules and re-points the identity registry entry, so this
+     * token must be an agent of its identity registry.
+     * @param _lostWallet Wallet the investor lost access to
+     * @param _newWallet New wallet of the investor
+     * @param _investorOnchainID Onchain identity registered for the lost wallet
+     * @return True if the recovery succeeded
+     */
+    function recoveryAddress(
+        address _lostWallet,
+        address _newWallet,
+        address _investorOnchainID
+    ) external override onlyAgent returns (bool) {
+        require(balanceOf(_lostWallet) > 0, "No tokens to recover");
+        TokenRecovery.registerNewWallet(identityRegistry, _lostWallet, _newWallet, _investorOnchainID);
+        
+        uint256 frozenTokens = _frozenTokens[_lostWallet];
+        _frozenTokens[_lostWallet] = 0;
+        _transfer(_lostWallet, _newWallet, balanceOf(_lostWallet));
+        
+        if (frozenTokens > 0) {
+            _frozenTokens[_newWallet] += frozenTokens;
+            emit TokensUnfrozen(_lostWallet, frozenTokens);
+            emit TokensFrozen(_newWallet, frozenTokens);
+        }
+        
+        // Schedules follow the tokens to the new wallet
+        TokenVesting.moveSchedules(_vestingSchedules[_lostWallet], _vestingSchedules[_newWallet]);
+        
+        if (_frozen[_lostWallet]) {
+            _frozen[_lostWallet] = false;
+            _frozen[_newWallet] = true;
+            emit AddressFrozen(_lostWallet, false, _msgSender());
+            emit AddressFrozen(_newWallet, true, _msgSender());
+        }
+        
+        _onchainIDs[_newWallet] = _investorOnchainID;
+        delete _onchainIDs[_lostWallet];
+        identityRegistry.removeIdentity(_lostWallet);
+        
+        emit RecoverySuccess(_lostWallet, _newWallet, _investorOnchainID);
+        return true;
+    }
+    
+    /**
+     * @dev Check if a wallet is frozen
+     * @param _userAddress Wallet address
+     * @return True if the wallet is frozen
+     */
+    function isFrozen(address _userAddress) external view override returns (bool) {
+        return _frozen[_userAddress];
+    }
+    
+    /**
+     * @dev Get the amount of frozen tokens for a wallet
+     * @param _userAddress Wallet address
+     * @return Amount of frozen tokens
+     */
+    function getFrozenTokens(address _userAddress) external view override returns (uint256) {
+        return _frozenTokens[_userAddress];
     }
     
     /**
@@ -176,7 +438,7 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
     function transfer(
         address _to, 
         uint256 _amount
-    ) public override(ERC20, IERC20) onlyCompliant(msg.sender, _to, _amount) returns (bool) {
+    ) public override(ERC20Upgradeable, IERC20) onlyCompliant(_msgSender(), _to, _amount) returns (bool) {
         return super.transfer(_to, _amount);
     }
     
@@ -187,7 +449,7 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
         address _from, 
         address _to, 
         uint256 _amount
-    ) public override(ERC20, IERC20) onlyCompliant(_from, _to, _amount) returns (bool) {
+    ) public override(ERC20Upgradeable, IERC20) onlyCompliant(_from, _to, _amount) returns (bool) {
         _spendAllowance(_from, _msgSender(), _amount);
         _transfer(_from, _to, _amount);
         return true;
@@ -199,12 +461,19 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
      * @param _amount Amount to mint
      */
     function mint(address _to, uint256 _amount) external onlyAgent {
-        require(_to != address(0), "Invalid recipient");
-        require(_amount > 0, "Invalid amount");
-        require(identityRegistry.isVerified(_to), "Recipient not verified");
-        require(canTransfer(address(0), _to, _amount), "Mint not compliant");
-        
-        _mint(_to, _amount);
+        _agentMint(_to, _amount);
+    }
+    
+    /**
+     * @dev Mint to several recipients; reverts entirely if any entry fails (agent only)
+     * @param _toList Recipient addresses
+     * @param _amounts Amounts to mint
+     */
+    function batchMint(address[] calldata _toList, uint256[] calldata _amounts) external onlyAgent {
+        require(_toList.length == _amounts.length, "Array length mismatch");
+        for (uint256 i = 0; i < _toList.length; i++) {
+            _agentMint(_toList[i], _amounts[i]);
+        }
     }
     
     /**
@@ -213,11 +482,85 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
      * @param _amount Amount to burn
      */
     function burn(address _from, uint256 _amount) external onlyAgent {
-        require(_from != address(0), "Invalid address");
-        require(_amount > 0, "Invalid amount");
-        require(balanceOf(_from) >= _amount, "Insufficient balance");
-        
-        _burn(_from, _amount);
+        _agentBurn(_from, _amount);
+    }
+    
+    /**
+     * @dev Burn from several holders; reverts entirely if any entry fails (agent only)
+     * @param _fromList Addresses to burn from
+     * @param _amounts Amounts to burn
+     */
+    function batchBurn(address[] calldata _fromList, uint256[] calldata _amounts) external onlyAgent {
+        require(_fromList.length == _amounts.length, "Array length mismatch");
+        for (uint256 i = 0; i < _fromList.length; i++) {
+            _agentBurn(_fromList[i], _amounts[i]);
+        }
+    }
+    
+    /**
+     * @dev Mint tokens under a lock-up or vesting schedule (agent only)
+     * @param _to Recipient address
+     * @param _amount Amount to mint
+     * @param _start Time vesting starts
+     * @param _cliff Time before which nothing is released
+     * @param _end Time from which everything is released
+     */
+    function mintWithVesting(
+        address _to,
+        uint256 _amount,
+        uint64 _start,
+        uint64 _cliff,
+        uint64 _end
+    ) external onlyAgent {
+        _agentMint(_to, _amount);
+        _addVestingSchedule(_to, _amount, _start, _cliff, _end);
+    }
+    
+    /**
+     * @dev Put part of a wallet's unlocked tokens under a lock-up or vesting schedule (agent only)
+     * For a lock-up, pass the release date as both cliff and end.
+     * @param _wallet Wallet address
+     * @param _amount Amount of tokens covered
+     * @param _start Time vesting starts
+     * @param _cliff Time before which nothing is released
+     * @param _end Time from which everything is released
+     */
+    function addVestingSchedule(
+        address _wallet,
+        uint256 _amount,
+        uint64 _start,
+        uint64 _cliff,
+        uint64 _end
+    ) external onlyAgent {
+        _addVestingSchedule(_wallet, _amount, _start, _cliff, _end);
+    }
+    
+    /**
+     * @dev Get the lock-up and vesting schedules of a wallet
+     * @param _wallet Wallet address
+     * @return Schedules, including fully released ones not yet pruned
+     */
+    function getVestingSchedules(address _wallet) external view returns (TokenVesting.VestingSchedule[] memory) {
+        return _vestingSchedules[_wallet];
+    }
+    
+    /**
+     * @dev Get the amount of a wallet's tokens still locked or unvested
+     * @param _wallet Wallet address
+     * @return Locked amount, capped at the wallet's balance
+     */
+    function lockedBalanceOf(address _wallet) public view returns (uint256) {
+        return Math.min(TokenVesting.lockedAmount(_vestingSchedules[_wallet]), balanceOf(_wallet));
+    }
+    
+    /**
+     * @dev Get the amount a wallet can transfer now, i.e. its balance less frozen and locked tokens
+     * @param _wallet Wallet address
+     * @return Transferable amount
+     */
+    function transferableBalanceOf(address _wallet) public view returns (uint256) {
+        (, uint256 transferable) = balanceOf(_wallet).trySub(_frozenTokens[_wallet] + lockedBalanceOf(_wallet));
+        return transferable;
     }
     
     /**
@@ -225,11 +568,32 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
      * @param _propertyInfo New property information
      */
     function updatePropertyInfo(PropertyInfo memory _propertyInfo) external onlyOwner {
-        require(bytes(_propertyInfo.propertyAddress).length > 0, "Invalid property address");
-        require(_propertyInfo.totalValue > 0, "Invalid property value");
-        require(_propertyInfo.totalShares > 0, "Invalid total shares");
-        
-        propertyInfo = _propertyInfo;
+        require(
+            valuationOracle == address(0) || _propertyInfo.totalValue == propertyInfo.totalValue,
+            "Value set by valuation oracle"
+        );
+        _setPropertyInfo(_propertyInfo);
+    }
+    
+    /**
+     * @dev Set the property value from an appraisal (valuation oracle only)
+     * @param _totalValue New property value
+     */
+    function setPropertyValue(uint256 _totalValue) external {
+        require(_msgSender() == valuationOracle, "Only valuation oracle");
+        PropertyInfo memory info = propertyInfo;
+        info.totalValue = _totalValue;
+        _setPropertyInfo(info);
+    }
+    
+    /**
+     * @dev Set the valuation oracle (admin only)
+     * Once set, the property value can only change through appraisals submitted to the oracle
+     * @param _valuationOracle Valuation oracle address (address(0) to let the owner set the value again)
+     */
+    function setValuationOracle(address _valuationOracle) external onlyOwner {
+        valuationOracle = _valuationOracle;
+        emit ValuationOracleSet(_valuationOracle);
     }
     
     /**
@@ -283,6 +647,163 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
         return propertyInfo.totalValue;
     }
     
+    /**
+     * @dev Take a snapshot of balances for a record date (agent only)
+     * A snapshot captures balances as of the end of the block it is taken in
+     * @return Snapshot ID
+     */
+    function snapshot() external onlyAgent returns (uint256) {
+        _snapshotBlocks.push(block.number);
+        uint256 snapshotId = _snapshotBlocks.length;
+        
+        emit Snapshot(snapshotId, block.number);
+        return snapshotId;
+    }
+    
+    /**
+     * @dev Get the ID of the latest snapshot
+     * @return Latest snapshot ID (0 = no snapshots)
+     */
+    function currentSnapshotId() external view returns (uint256) {
+        return _snapshotBlocks.length;
+    }
+    
+    /**
+     * @dev Get the block number a snapshot was taken at
+     * @param _snapshotId Snapshot ID
+     * @return Block number
+     */
+    function snapshotBlock(uint256 _snapshotId) public view returns (uint256) {
+        require(_snapshotId > 0 && _snapshotId <= _snapshotBlocks.length, "Invalid snapshot ID");
+        return _snapshotBlocks[_snapshotId - 1];
+    }
+    
+    /**
+     * @dev Get the balance of an account at a snapshot
+     * @param _account Account address
+     * @param _snapshotId Snapshot ID
+     * @return Balance at the snapshot
+     */
+    function balanceOfAt(address _account, uint256 _snapshotId) external view returns (uint256) {
+        return _balanceCheckpoints[_account].upperLookupRecent(SafeCast.toUint48(snapshotBlock(_snapshotId)));
+    }
+    
+    /**
+     * @dev Get the total supply at a snapshot
+     * @param _snapshotId Snapshot ID
+     * @return Total supply at the snapshot
+     */
+    function totalSupplyAt(uint256 _snapshotId) external view returns (uint256) {
+        return _totalSupplyCheckpoints.upperLookupRecent(SafeCast.toUint48(snapshotBlock(_snapshotId)));
+    }
+    
+    /**
+     * @dev Get the balance of an account at the end of a past block
+     * @param _account Account address
+     * @param _blockNumber Block number (must be in the past)
+     * @return Balance at the block
+     */
+    function balanceOfAtBlock(address _account, uint256 _blockNumber) external view returns (uint256) {
+        require(_blockNumber < block.number, "Block not yet mined");
+        return _balanceCheckpoints[_account].upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+    
+    /**
+     * @dev Get the total supply at the end of a past block
+     * @param _blockNumber Block number (must be in the past)
+     * @return Total supply at the block
+     */
+    function totalSupplyAtBlock(uint256 _blockNumber) external view returns (uint256) {
+        require(_blockNumber < block.number, "Block not yet mined");
+        return _totalSupplyCheckpoints.upperLookupRecent(SafeCast.toUint48(_blockNumber));
+    }
+    
+    /**
+     * @dev Revert with the reason of the first rule a transfer breaks
+     */
+    function _requireNoRestriction(address _from, address _to, uint256 _amount) internal view {
+        uint8 code = detectTransferRestriction(_from, _to, _amount);
+        if (code != TransferRestrictions.SUCCESS) {
+            revert(messageForTransferRestriction(code));
+        }
+    }
+    
+    /**
+     * @dev Validate and mint tokens on behalf of an agent
+     */
+    function _agentMint(address _to, uint256 _amount) internal {
+        require(_to != address(0), "Invalid recipient");
+        require(_amount > 0, "Invalid amount");
+        require(identityRegistry.isVerified(_to), "Recipient not verified");
+        _requireNoRestriction(address(0), _to, _amount);
+        
+        _mint(_to, _amount);
+    }
+    
+    /**
+     * @dev Validate and burn tokens on behalf of an agent
+     */
+    function _agentBurn(address _from, uint256 _amount) internal {
+        require(_from != address(0), "Invalid address");
+        require(_amount > 0, "Invalid amount");
+        require(balanceOf(_from) >= _amount, "Insufficient balance");
+        
+        _unfreezeForSpend(_from, _amount);
+        _burn(_from, _amount);
+    }
+    
+    /**
+     * @dev Validate and execute a forced transfer
+     */
+    function _forcedTransfer(address _from, address _to, uint256 _amount) internal {
+        require(_from != address(0), "Invalid from address");
+        require(_to != address(0), "Invalid to address");
+        require(_amount > 0, "Invalid amount");
+        require(balanceOf(_from) >= _amount, "Insufficient balance");
+        
+        _unfreezeForSpend(_from, _amount);
+        _transfer(_from, _to, _amount);
+        emit ForcedTransfer(_from, _to, _amount);
+    }
+    
+    /**
+     * @dev Validate and store a lock-up or vesting schedule, pruning fully released ones first
+     */
+    function _addVestingSchedule(address _wallet, uint256 _amount, uint64 _start, uint64 _cliff, uint64 _end) internal {
+        TokenVesting.addSchedule(
+            _vestingSchedules[_wallet],
+            _amount,
+            _start,
+            _cliff,
+            _end,
+            transferableBalanceOf(_wallet)
+        );
+        emit VestingScheduleAdded(_wallet, _amount, _start, _cliff, _end);
+    }
+    
+    /**
+     * @dev Set the frozen flag of a wallet
+     */
+    function _setAddressFrozen(address _userAddress, bool _freeze) internal {
+        require(_userAddress != address(0), "Invalid address");
+        _frozen[_userAddress] = _freeze;
+        emit AddressFrozen(_userAddress, _freeze, _msgSender());
+    }
+    
+    /**
+     * @dev Unfreeze as many frozen tokens as needed for an agent to move `_amount`
+     * @param _from Wallet the tokens leave
+     * @param _amount Amount leaving the wallet
+     */
+    function _unfreezeForSpend(address _from, uint256 _amount) internal {
+        uint256 freeBalance = balanceOf(_from) - _frozenTokens[_from];
+        if (_amount > freeBalance) {
+            uint256 toUnfreeze = _amount - freeBalance;
+            _frozenTokens[_from] -= toUnfreeze;
+            emit TokensUnfrozen(_from, toUnfreeze);
+        }
+    }
+    
     /**
      * @dev Hook called after token transfers to update compliance state
      */
@@ -292,14 +813,93 @@ contract RealEstateToken is ERC20, IERC3643, Ownable, AccessControl {
     {
         super._update(from, to, amount);
         
-        // Update holder count in compliance contract if it supports it
-        if (address(compliance) != address(0)) {
-            try compliance.updateHolderCount(from, to, amount) {
-                // Successfully updated holder count
-            } catch {
-                // Compliance contract doesn't support holder tracking, continue
-            }
+        // Record balance history for snapshots
+        uint48 currentBlock = SafeCast.toUint48(block.number);
+        if (from != address(0)) {
+            _balanceCheckpoints[from].push(currentBlock, SafeCast.toUint208(balanceOf(from)));
+        }
+        if (to != address(0)) {
+            _balanceCheckpoints[to].push(currentBlock, SafeCast.toUint208(balanceOf(to)));
+        }
+        if (from == address(0) || to == address(0)) {
+            _totalSupplyCheckpoints.push(currentBlock, SafeCast.toUint208(totalSupply()));
         }
+        
+        // Keep compliance state (holder counts, module state) in sync
+        if (from == address(0)) {
+            compliance.created(to, amount);
+        } else if (to == address(0)) {
+            compliance.destroyed(from, amount);
+        } else {
+            compliance.transferred(from, to, amount);
+        }
+        
+        // Keep accrued rent unchanged for both sides of the balance change
+        if (address(rentDistributor) != address(0)) {
+            rentDistributor.updateHolderShares(from, to, amount);
+        }
+    }
+    
+    /**
+     * @dev Require the caller to hold a role or own the token
+     */
+    function _checkRoleOrOwner(bytes32 _role, string memory _error) internal view {
+        address sender = _msgSender();
+        require(hasRole(_role, sender) || owner() == sender, _error);
+    }
+    
+    /**
+     * @dev Validate and store the property details
+     */
+    function _setPropertyInfo(PropertyInfo memory _propertyInfo) internal {
+        require(bytes(_propertyInfo.propertyAddress).length > 0, "Invalid property address");
+        require(_propertyInfo.totalValue > 0, "Invalid property value");
+        require(_propertyInfo.totalShares > 0, "Invalid total shares");
+        
+        propertyInfo = _propertyInfo;
+        emit PropertyInfoUpdated(_msgSender(), _propertyInfo.totalValue, _propertyInfo.totalShares, _propertyInfo.isActive);
+    }
+    
+    /**
+     * @dev Sign permits over the current token name, so proxies created before permits need no re-initialization
+     */
+    function _EIP712Name() internal view override returns (string memory) {
+        return name();
+    }
+    
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+    
+    /**
+     * @dev Resolve the caller through the trusted forwarder
+     */
+    function _msgSender() internal view override(ContextUpgradeable, ERC2771Recipient) returns (address) {
+        return ERC2771Recipient._msgSender();
+    }
+    
+    function _msgData() internal view override(ContextUpgradeable, ERC2771Recipient) returns (bytes calldata) {
+        return ERC2771Recipient._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(ContextUpgradeable, ERC2771Recipient) returns (uint256) {
+        return ERC2771Recipient._contextSuffixLength();
     }
 }
 
+/**
+ * @title RealEstateToken
+ * @dev Constructor-deployed RealEstateToken
+ */
+contract RealEstateToken is RealEstateTokenBase {
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals,
+        address _identityRegistry,
+        address _compliance,
+        PropertyInfo memory _propertyInfo
+    ) initializer {
+        __RealEstateToken_init(_name, _symbol, _decimals, _identityRegistry, _compliance, _propertyInfo);
+    }
+}
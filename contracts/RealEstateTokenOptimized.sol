@@ -26,6 +26,10 @@ contract RealEstateTokenOptimized is ERC20, IERC3643, Ownable, AccessControl {
     // Packed onchain IDs mapping
     mapping(address => address) private _onchainIDs;
     
+    // Frozen wallets and partially frozen balances
+    mapping(address => bool) private _frozen;
+    mapping(address => uint256) private _frozenTokens;
+    
     // Gas-optimized property info (packed struct)
     struct PropertyInfo {
         uint128 totalValue;      // Sufficient for most property values
@@ -139,6 +143,8 @@ contract RealEstateTokenOptimized is ERC20, IERC3643, Ownable, AccessControl {
         override 
         returns (bool) 
     {
+        if (_frozen[_from] || _frozen[_to]) return false;
+        if (_from != address(0) && _amount > balanceOf(_from) - _frozenTokens[_from]) return false;
         return compliance.canTransfer(_from, _to, _amount);
     }
     
@@ -150,7 +156,7 @@ contract RealEstateTokenOptimized is ERC20, IERC3643, Ownable, AccessControl {
         override(ERC20, IERC20) 
         returns (bool) 
     {
-        if (!compliance.canTransfer(msg.sender, _to, _amount)) {
+        if (!canTransfer(msg.sender, _to, _amount)) {
             revert("Transfer not compliant");
         }
         return super.transfer(_to, _amount);
@@ -164,7 +170,7 @@ contract RealEstateTokenOptimized is ERC20, IERC3643, Ownable, AccessControl {
         override(ERC20, IERC20)
         returns (bool)
     {
-        if (!compliance.canTransfer(_from, _to, _amount)) {
+        if (!canTransfer(_from, _to, _amount)) {
             revert("Transfer not compliant");
         }
         _spendAllowance(_from, _msgSender(), _amount);
@@ -187,10 +193,104 @@ contract RealEstateTokenOptimized is ERC20, IERC3643, Ownable, AccessControl {
             revert("Insufficient balance");
         }
         
+        _unfreezeForSpend(_from, _amount);
         _transfer(_from, _to, _amount);
         emit ForcedTransfer(_from, _to, _amount);
     }
     
+    /**
+     * @dev Freeze or unfreeze a wallet entirely
+     */
+    function setAddressFrozen(address _userAddress, bool _freeze) external override onlyCompliance {
+        if (_userAddress == address(0)) revert("Invalid address");
+        _frozen[_userAddress] = _freeze;
+        emit AddressFrozen(_userAddress, _freeze, msg.sender);
+    }
+    
+    /**
+     * @dev Freeze part of a wallet's tokens
+     */
+    function freezePartialTokens(address _userAddress, uint256 _amount) external override onlyCompliance {
+        if (_amount == 0) revert("Invalid amount");
+        if (balanceOf(_userAddress) < _frozenTokens[_userAddress] + _amount) revert("Amount exceeds available balance");
+        _frozenTokens[_userAddress] += _amount;
+        emit TokensFrozen(_userAddress, _amount);
+    }
+    
+    /**
+     * @dev Unfreeze part of a wallet's frozen tokens
+     */
+    function unfreezePartialTokens(address _userAddress, uint256 _amount) external override onlyCompliance {
+        if (_amount == 0) revert("Invalid amount");
+        if (_frozenTokens[_userAddress] < _amount) revert("Amount exceeds frozen tokens");
+        _frozenTokens[_userAddress] -= _amount;
+        emit TokensUnfrozen(_userAddress, _amount);
+    }
+    
+    /**
+     * @dev Recover a lost wallet's balance, frozen state and identity to a new wallet
+     */
+    function recoveryAddress(address _lostWallet, address _newWallet, address _investorOnchainID)
+        external
+        override
+        onlyAgent
+        returns (bool)
+    {
+        if (_newWallet == address(0) || _newWallet == _lostWallet) revert("Invalid new wallet");
+        uint256 balance = balanceOf(_lostWallet);
+        if (balance == 0) revert("No tokens to recover");
+        if (identityRegistry.identity(_lostWallet) != _investorOnchainID) revert("Onchain ID mismatch");
+        
+        if (!identityRegistry.contains(_newWallet)) {
+            identityRegistry.registerIdentity(_newWallet, _investorOnchainID, identityRegistry.investorCountry(_lostWallet));
+        }
+        
+        uint256 frozenTokens = _frozenTokens[_lostWallet];
+        _frozenTokens[_lostWallet] = 0;
+        _transfer(_lostWallet, _newWallet, balance);
+        
+        if (frozenTokens > 0) {
+            _frozenTokens[_newWallet] += frozenTokens;
+            emit TokensUnfrozen(_lostWallet, frozenTokens);
+            emit TokensFrozen(_newWallet, frozenTokens);
+        }
+        if (_frozen[_lostWallet]) {
+            _frozen[_lostWallet] = false;
+            _frozen[_newWallet] = true;
+            emit AddressFrozen(_lostWallet, false, msg.sender);
+            emit AddressFrozen(_newWallet, true, msg.sender);
+        }
+        
+        _onchainIDs[_newWallet] = _investorOnchainID;
+        delete _onchainIDs[_lostWallet];
+        identityRegistry.removeIdentity(_lostWallet);
+        
+        emit RecoverySuccess(_lostWallet, _newWallet, _investorOnchainID);
+        return true;
+    }
+    
+    /**
+     * @dev Frozen state getters
+     */
+    function isFrozen(address _userAddress) external view override returns (bool) {
+        return _frozen[_userAddress];
+    }
+    
+    function getFrozenTokens(address _userAddress) external view override returns (uint256) {
+        return _frozenTokens[_userAddress];
+    }
+    
+    /**
+     * @dev Unfreeze just enough tokens for an agent to move `_amount`
+     */
+    function _unfreezeForSpend(address _from, uint256 _amount) internal {
+        uint256 freeBalance = balanceOf(_from) - _frozenTokens[_from];
+        if (_amount > freeBalance) {
+            _frozenTokens[_from] -= _amount - freeBalance;
+            emit TokensUnfrozen(_from, _amount - freeBalance);
+        }
+    }
+    
     /**
      * @dev Gas-optimized minting
      */
@@ -209,6 +309,7 @@ contract RealEstateTokenOptimized is ERC20, IERC3643, Ownable, AccessControl {
         if (_from == address(0) || _amount == 0) revert("Invalid parameters");
         if (balanceOf(_from) < _amount) revert("Insufficient balance");
         
+        _unfreezeForSpend(_from, _amount);
         _burn(_from, _amount);
     }
     
@@ -262,13 +363,13 @@ contract RealEstateTokenOptimized is ERC20, IERC3643, Ownable, AccessControl {
     {
         super._update(from, to, amount);
         
-        // Only call if compliance supports holder tracking
-        if (address(compliance) != address(0)) {
-            try compliance.updateHolderCount(from, to, amount) {
-                // Success - holder count updated
-            } catch {
-                // Compliance doesn't support holder tracking - continue
-            }
+        // Keep compliance state (holder counts, investor balances) in sync
+        if (from == address(0)) {
+            compliance.created(to, amount);
+        } else if (to == address(0)) {
+            compliance.destroyed(from, amount);
+        } else {
+            compliance.transferred(from, to, amount);
         }
     }
 }
@@ -36,6 +36,10 @@ contract RealEstateTokenSecure is
     // Mapping from wallet to onchain ID
     mapping(address => address) private _onchainIDs;
     
+    // Frozen wallets and partially frozen balances
+    mapping(address => bool) private _frozen;
+    mapping(address => uint256) private _frozenTokens;
+    
     // Token metadata (immutable for gas optimization)
     uint8 private immutable _tokenDecimals;
     
@@ -151,6 +155,8 @@ contract RealEstateTokenSecure is
      */
     function _canTransfer(address _from, address _to, uint256 _amount) internal view returns (bool) {
         if (paused()) return false;
+        if (_frozen[_from] || _frozen[_to]) return false;
+        if (_from != address(0) && _amount > balanceOf(_from) - _frozenTokens[_from]) return false;
         return compliance.canTransfer(_from, _to, _amount);
     }
     
@@ -225,10 +231,129 @@ contract RealEstateTokenSecure is
         require(_amount > 0, "RealEstateTokenSecure: invalid amount");
         require(balanceOf(_from) >= _amount, "RealEstateTokenSecure: insufficient balance");
         
+        _unfreezeForSpend(_from, _amount);
         _transfer(_from, _to, _amount);
         emit ForcedTransfer(_from, _to, _amount);
     }
     
+    /**
+     * @dev Freeze or unfreeze a wallet entirely
+     */
+    function setAddressFrozen(address _userAddress, bool _freeze) 
+        external 
+        override 
+        onlyCompliance 
+        validAddress(_userAddress) 
+    {
+        _frozen[_userAddress] = _freeze;
+        emit AddressFrozen(_userAddress, _freeze, msg.sender);
+    }
+    
+    /**
+     * @dev Freeze part of a wallet's tokens
+     */
+    function freezePartialTokens(address _userAddress, uint256 _amount) external override onlyCompliance {
+        require(_amount > 0, "RealEstateTokenSecure: invalid amount");
+        require(
+            balanceOf(_userAddress) >= _frozenTokens[_userAddress] + _amount,
+            "RealEstateTokenSecure: amount exceeds available balance"
+        );
+        
+        _frozenTokens[_userAddress] += _amount;
+        emit TokensFrozen(_userAddress, _amount);
+    }
+    
+    /**
+     * @dev Unfreeze part of a wallet's frozen tokens
+     */
+    function unfreezePartialTokens(address _userAddress, uint256 _amount) external override onlyCompliance {
+        require(_amount > 0, "RealEstateTokenSecure: invalid amount");
+        require(
+            _frozenTokens[_userAddress] >= _amount,
+            "RealEstateTokenSecure: amount exceeds frozen tokens"
+        );
+        
+        _frozenTokens[_userAddress] -= _amount;
+        emit TokensUnfrozen(_userAddress, _amount);
+    }
+    
+    /**
+     * @dev Recover a lost wallet's balance, frozen state and identity to a new wallet
+     */
+    function recoveryAddress(address _lostWallet, address _newWallet, address _investorOnchainID)
+        external
+        override
+        onlyAgent
+        nonReentrant
+        validAddress(_newWallet)
+        returns (bool)
+    {
+        require(_newWallet != _lostWallet, "RealEstateTokenSecure: invalid new wallet");
+        uint256 balance = balanceOf(_lostWallet);
+        require(balance > 0, "RealEstateTokenSecure: no tokens to recover");
+        require(
+            identityRegistry.identity(_lostWallet) == _investorOnchainID,
+            "RealEstateTokenSecure: onchain ID mismatch"
+        );
+        
+        if (!identityRegistry.contains(_newWallet)) {
+            identityRegistry.registerIdentity(
+                _newWallet,
+                _investorOnchainID,
+                identityRegistry.investorCountry(_lostWallet)
+            );
+        }
+        
+        uint256 frozenTokens = _frozenTokens[_lostWallet];
+        _frozenTokens[_lostWallet] = 0;
+        _transfer(_lostWallet, _newWallet, balance);
+        
+        if (frozenTokens > 0) {
+            _frozenTokens[_newWallet] += frozenTokens;
+            emit TokensUnfrozen(_lostWallet, frozenTokens);
+            emit TokensFrozen(_newWallet, frozenTokens);
+        }
+        if (_frozen[_lostWallet]) {
+            _frozen[_lostWallet] = false;
+            _frozen[_newWallet] = true;
+            emit AddressFrozen(_lostWallet, false, msg.sender);
+            emit AddressFrozen(_newWallet, true, msg.sender);
+        }
+        
+        _onchainIDs[_newWallet] = _investorOnchainID;
+        delete _onchainIDs[_lostWallet];
+        identityRegistry.removeIdentity(_lostWallet);
+        
+        emit RecoverySuccess(_lostWallet, _newWallet, _investorOnchainID);
+        return true;
+    }
+    
+    /**
+     * @dev Check if a wallet is frozen
+     */
+    function isFrozen(address _userAddress) external view override returns (bool) {
+        return _frozen[_userAddress];
+    }
+    
+    /**
+     * @dev Get the amount of frozen tokens for a wallet
+     */
+    function getFrozenTokens(address _userAddress) external view override returns (uint256) {
+        return _frozenTokens[_userAddress];
+    }
+    
+    /**
+     * @dev Unfreeze just enough tokens for an agent to move `_amount`
+     */
+    function _unfreezeForSpend(address _from, uint256 _amount) internal {
+        uint256 freeBalance = balanceOf(_from) - _frozenTokens[_from];
+        if (_amount > freeBalance) {
+            uint256 toUnfreeze = _amount - freeBalance;
+            _frozenTokens[_from] -= toUnfreeze;
+            emit TokensUnfrozen(_from, toUnfreeze);
+        }
+    }
+    
     /**
      * @dev Enhanced transfer with compliance and pause checks
      */
@@ -298,6 +423,7 @@ contract RealEstateTokenSecure is
         require(_amount > 0, "RealEstateTokenSecure: invalid amount");
         require(balanceOf(_from) >= _amount, "RealEstateTokenSecure: insufficient balance");
         
+        _unfreezeForSpend(_from, _amount);
         _burn(_from, _amount);
         totalBurned += _amount;
         
@@ -397,14 +523,13 @@ contract RealEstateTokenSecure is
     {
         super._update(from, to, amount);
         
-        // Update compliance holder count if supported
-        if (address(compliance) != address(0)) {
-            try compliance.updateHolderCount(from, to, amount) {
-                // Successfully updated holder count
-            } catch {
-                // Compliance contract doesn't support holder tracking
-                // This is non-critical, so we continue
-            }
+        // Keep compliance state (holder counts, investor balances) in sync
+        if (from == address(0)) {
+            compliance.created(to, amount);
+        } else if (to == address(0)) {
+            compliance.destroyed(from, amount);
+        } else {
+            compliance.transferred(from, to, amount);
         }
     }
     
@@ -0,0 +1,310 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./RealEstateToken.sol";
+
+/**
+ * @title Redemption
+ * @dev Buyback windows for property tokens, paid in the payment token (e.g. USDC)
+ * An agent of a token opens a window with a price per token and deposits a budget; holders request redemption
+ * until the deadline, which freezes the requested tokens. Once the window is closed each request is settled:
+ * the filled part (pro rata when the budget cannot cover every request) is burned and paid for, and the rest
+ * is unfrozen. Tokens an agent unfroze, moved or burned before settlement are left out, and the payment they
+ * would have received is returned with the remainder. The contract must be an agent and a compliance officer of
+ * every token it redeems.
+ */
+contract Redemption is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Redemption window
+    struct Window {
+        uint256 windowId;
+        address token;
+        address agent;
+        uint256 price; // payment token units per whole property token
+        uint256 budget;
+        uint256 deadline;
+        uint256 totalRequested;
+        uint256 totalFilled; // set when the window closes
+        uint256 reserved; // budget kept back for settlements, set when the window closes
+        uint256 paid;
+        uint256 pendingRequests;
+        bool closed;
+    }
+
+    // Token windows are paid in
+    IERC20 public immutable paymentToken;
+
+    // Windows, indexed by window ID
+    Window[] private _windows;
+
+    // Window IDs per property token
+    mapping(address => uint256[]) private _tokenWindows;
+
+    // Windows per property token that are open or still have requests to settle
+    mapping(address => uint256) public unsettledWindows;
+
+    // Requested amount per window and holder (cleared once settled)
+    mapping(uint256 => mapping(address => uint256)) public requests;
+
+    // Events
+    event WindowOpened(
+        uint256 indexed windowId,
+        address indexed token,
+        address indexed agent,
+        uint256 price,
+        uint256 budget,
+        uint256 deadline
+    );
+    event RedemptionRequested(uint256 indexed windowId, address indexed holder, uint256 amount);
+    event RedemptionWithdrawn(uint256 indexed windowId, address indexed holder, uint256 amount);
+    event WindowClosed(uint256 indexed windowId, uint256 totalRequested, uint256 totalFilled, uint256 refund);
+    event RedemptionSettled(
+        uint256 indexed windowId,
+        address indexed holder,
+        uint256 burned,
+        uint256 unfrozen,
+        uint256 payment
+    );
+    event RemainderWithdrawn(uint256 indexed windowId, uint256 amount);
+
+    constructor(address _paymentToken) {
+        require(_paymentToken != address(0), "Invalid payment token");
+        paymentToken = IERC20(_paymentToken);
+    }
+
+    /**
+     * @dev Open a redemption window and deposit its budget (token agents and owner only)
+     * @param _token Property token bought back
+     * @param _price Payment token units per whole property token (0 = the token's value per token)
+     * @param _budget Most the window pays out in total
+     * @param _deadline End of the request period
+     * @return windowId ID of the new window
+     */
+    function openWindow(
+        address _token,
+        uint256 _price,
+        uint256 _budget,
+        uint256 _deadline
+    ) external nonReentrant returns (uint256 windowId) {
+        require(_token != address(0), "Invalid property token");
+        RealEstateTokenBase token = RealEstateTokenBase(_token);
+        require(
+            token.hasRole(token.AGENT_ROLE(), msg.sender) || token.owner() == msg.sender,
+            "Not authorized agent"
+        );
+        (, , , , bool isActive) = token.propertyInfo();
+        require(isActive, "Property is not active");
+        require(_budget > 0, "Invalid budget");
+        require(_deadline > block.timestamp, "Deadline must be in the future");
+
+        if (_price == 0) {
+            // Property values are recorded with 18 decimals
+            _price = token.getValuePerToken() * 10**IERC20Metadata(address(paymentToken)).decimals() / 1e18;
+        }
+        require(_price > 0, "Invalid price");
+
+        windowId = _windows.length;
+        Window storage window = _windows.push();
+        window.windowId = windowId;
+        window.token = _token;
+        window.agent = msg.sender;
+        window.price = _price;
+        window.budget = _budget;
+        window.deadline = _deadline;
+        _tokenWindows[_token].push(windowId);
+        unsettledWindows[_token]++;
+
+        paymentToken.safeTransferFrom(msg.sender, address(this), _budget);
+
+        emit WindowOpened(windowId, _token, msg.sender, _price, _budget, _deadline);
+    }
+
+    /**
+     * @dev Request redemption of tokens, freezing them until the request is settled
+     * @param _windowId Window ID
+     * @param _amount Amount of property token to redeem
+     */
+    function requestRedemption(uint256 _windowId, uint256 _amount) external nonReentrant {
+        Window storage window = _getWindow(_windowId);
+        require(!window.closed && block.timestamp <= window.deadline, "Window not open");
+        require(_amount > 0, "Invalid amount");
+
+        RealEstateTokenBase token = RealEstateTokenBase(window.token);
+        require(!token.isFrozen(msg.sender), "Wallet is frozen");
+        require(token.transferableBalanceOf(msg.sender) >= _amount, "Insufficient transferable balance");
+
+        if (requests[_windowId][msg.sender] == 0) {
+            window.pendingRequests++;
+        }
+        requests[_windowId][msg.sender] += _amount;
+        window.totalRequested += _amount;
+
+        token.freezePartialTokens(msg.sender, _amount);
+
+        emit RedemptionRequested(_windowId, msg.sender, _amount);
+    }
+
+    /**
+     * @dev Withdraw a request while the window is open, unfreezing the tokens
+     * @param _windowId Window ID
+     */
+    function withdrawRequest(uint256 _windowId) external nonReentrant {
+        Window storage window = _getWindow(_windowId);
+        require(!window.closed && block.timestamp <= window.deadline, "Window not open");
+        uint256 amount = requests[_windowId][msg.sender];
+        require(amount > 0, "No redemption request");
+
+        requests[_windowId][msg.sender] = 0;
+        window.totalRequested -= amount;
+        window.pendingRequests--;
+
+        RealEstateTokenBase(window.token).unfreezePartialTokens(msg.sender, amount);
+
+        emit RedemptionWithdrawn(_windowId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Close a window after its deadline and refund the budget it does not need to its agent (anyone)
+     * @param _windowId Window ID
+     */
+    function closeWindow(uint256 _windowId) external nonReentrant {
+        Window storage window = _getWindow(_windowId);
+        require(!window.closed, "Window already closed");
+        require(block.timestamp > window.deadline, "Window still open");
+
+        window.closed = true;
+        if (window.pendingRequests == 0) {
+            unsettledWindows[window.token]--;
+        }
+        window.totalFilled = Math.min(window.totalRequested, _tokensFor(window, window.budget));
+        window.reserved = _paymentFor(window, window.totalFilled, Math.Rounding.Ceil);
+
+        uint256 refund = window.budget - window.reserved;
+        if (refund > 0) {
+            paymentToken.safeTransfer(window.agent, refund);
+        }
+
+        emit WindowClosed(_windowId, window.totalRequested, window.totalFilled, refund);
+    }
+
+    /**
+     * @dev Settle the requests of a closed window: burn and pay for the filled part, unfreeze the rest (anyone)
+     * @param _windowId Window ID
+     * @param _holders Holders to settle; those without a pending request are skipped
+     */
+    function settle(uint256 _windowId, address[] calldata _holders) external nonReentrant {
+        Window storage window = _getWindow(_windowId);
+        require(window.closed, "Window not closed");
+        RealEstateTokenBase token = RealEstateTokenBase(window.token);
+
+        for (uint256 i = 0; i < _holders.length; i++) {
+            address holder = _holders[i];
+            uint256 requested = requests[_windowId][holder];
+            if (requested == 0) continue;
+
+            requests[_windowId][holder] = 0;
+            window.pendingRequests--;
+            if (window.pendingRequests == 0) {
+                unsettledWindows[window.token]--;
+            }
+
+            // An agent may have since unfrozen, moved or burned the requested tokens, so only what is still
+            // frozen is unfrozen and only what is still held is burned and paid for
+            uint256 unfrozen = Math.min(requested, token.getFrozenTokens(holder));
+            uint256 burned = Math.min(filledAmount(_windowId, requested), token.balanceOf(holder));
+            uint256 payment = _paymentFor(window, burned, Math.Rounding.Floor);
+            window.paid += payment;
+
+            // Unfreeze first so the burn takes exactly the redeemed tokens
+            if (unfrozen > 0) {
+                token.unfreezePartialTokens(holder, unfrozen);
+            }
+            if (burned > 0) {
+                token.burn(holder, burned);
+            }
+            if (payment > 0) {
+                paymentToken.safeTransfer(holder, payment);
+            }
+
+            emit RedemptionSettled(_windowId, holder, burned, unfrozen - Math.min(unfrozen, burned), payment);
+        }
+    }
+
+    /**
+     * @dev Return what was reserved but not paid (rounding, or tokens no longer held at settlement) to the
+     * window's agent once every request is settled (anyone)
+     * @param _windowId Window ID
+     */
+    function withdrawRemainder(uint256 _windowId) external nonReentrant {
+        Window storage window = _getWindow(_windowId);
+        require(window.closed && window.pendingRequests == 0, "Requests still pending");
+        uint256 remainder = window.reserved - window.paid;
+        require(remainder > 0, "Nothing to withdraw");
+
+        window.paid = window.reserved;
+        paymentToken.safeTransfer(window.agent, remainder);
+
+        emit RemainderWithdrawn(_windowId, remainder);
+    }
+
+    /**
+     * @dev Get the part of a request a closed window fills (pro rata when oversubscribed)
+     * @param _windowId Window ID
+     * @param _requested Requested amount
+     * @return Amount redeemed
+     */
+    function filledAmount(uint256 _windowId, uint256 _requested) public view returns (uint256) {
+        Window storage window = _getWindow(_windowId);
+        if (window.totalRequested == 0) return 0;
+        return Math.mulDiv(_requested, window.totalFilled, window.totalRequested);
+    }
+
+    /**
+     * @dev Get a window
+     * @param _windowId Window ID
+     * @return Window details
+     */
+    function getWindow(uint256 _windowId) external view returns (Window memory) {
+        return _getWindow(_windowId);
+    }
+
+    /**
+     * @dev Get the IDs of every window opened for a property token
+     * @param _token Property token
+     * @return Window IDs in opening order
+     */
+    function getTokenWindows(address _token) external view returns (uint256[] memory) {
+        return _tokenWindows[_token];
+    }
+
+    /**
+     * @dev Look up a window, reverting if it does not exist
+     */
+    function _getWindow(uint256 _windowId) internal view returns (Window storage) {
+        require(_windowId < _windows.length, "Window does not exist");
+        return _windows[_windowId];
+    }
+
+    /**
+     * @dev Property tokens a payment buys at the window's price (rounded down)
+     */
+    function _tokensFor(Window storage _window, uint256 _payment) internal view returns (uint256) {
+        return Math.mulDiv(_payment, 10**RealEstateTokenBase(_window.token).decimals(), _window.price);
+    }
+
+    /**
+     * @dev Payment for property tokens at the window's price
+     */
+    function _paymentFor(
+        Window storage _window,
+        uint256 _tokenAmount,
+        Math.Rounding _rounding
+    ) internal view returns (uint256) {
+        return Math.mulDiv(_tokenAmount, _window.price, 10**RealEstateTokenBase(_window.token).decimals(), _rounding);
+    }
+}
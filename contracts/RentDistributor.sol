@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./interfaces/IRentDistributor.sol";
+
+/**
+ * @title RentDistributor
+ * @dev Accrues rent to property token holders in proportion to their balances
+ * Uses magnified rent-per-share accounting so holders claim instead of being pushed payments.
+ * Property tokens report every balance change through updateHolderShares, so the
+ * distributor must be set on a token before its first distribution.
+ * Rent is only accepted for tokens registered by the owner or the property factory, and every token's
+ * claims are capped at the rent distributed to it, so one token cannot draw on another's rent.
+ */
+contract RentDistributor is IRentDistributor, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using SafeCast for uint256;
+    using SafeCast for int256;
+
+    // Scaling factor so small rent amounts are not lost to rounding
+    uint256 private constant MAGNITUDE = 2**128;
+
+    // Payment token rent is distributed in (e.g. USDC)
+    IERC20 public override paymentToken;
+
+    // Accumulated rent per token unit, per property token (scaled by MAGNITUDE)
+    mapping(address => uint256) private _magnifiedRentPerShare;
+
+    // Per-holder corrections for balance changes, per property token
+    mapping(address => mapping(address => int256)) private _magnifiedCorrections;
+
+    // Rent already claimed by each holder, per property token
+    mapping(address => mapping(address => uint256)) private _claimed;
+
+    // Total rent distributed, per property token
+    mapping(address => uint256) public override totalDistributed;
+
+    // Total rent claimed, per property token
+    mapping(address => uint256) public totalClaimed;
+
+    // Property tokens rent may be distributed to
+    mapping(address => bool) public override isRegistered;
+
+    // Factory allowed to register the tokens it deploys
+    address public propertyFactory;
+
+    // Events
+    event TokenRegistered(address indexed _token, address indexed _registeredBy);
+    event PropertyFactorySet(address indexed _propertyFactory);
+
+    constructor(address _paymentToken) Ownable(msg.sender) {
+        require(_paymentToken != address(0), "Invalid payment token");
+        paymentToken = IERC20(_paymentToken);
+    }
+
+    /**
+     * @dev Set the factory allowed to register the tokens it deploys (admin only)
+     * @param _propertyFactory PropertyFactory address (address(0) to disable)
+     */
+    function setPropertyFactory(address _propertyFactory) external onlyOwner {
+        propertyFactory = _propertyFactory;
+        emit PropertyFactorySet(_propertyFactory);
+    }
+
+    /**
+     * @dev Accept rent for a property token (owner or property factory only)
+     * @param _token Property token reporting its balance changes to this distributor
+     */
+    function registerToken(address _token) external override {
+        require(msg.sender == owner() || msg.sender == propertyFactory, "Not authorized to register");
+        require(_token != address(0), "Invalid property token");
+        require(!isRegistered[_token], "Token already registered");
+
+        isRegistered[_token] = true;
+        emit TokenRegistered(_token, msg.sender);
+    }
+
+    /**
+     * @dev Distribute rent to the current holders of a property token
+     * @param _token Property token whose holders receive the rent
+     * @param _amount Amount of payment token to distribute
+     */
+    function distribute(address _token, uint256 _amount) external override nonReentrant {
+        require(isRegistered[_token], "Token not registered");
+        require(_amount > 0, "Invalid amount");
+
+        uint256 supply = IERC20(_token).totalSupply();
+        require(supply > 0, "No token holders");
+
+        _magnifiedRentPerShare[_token] += (_amount * MAGNITUDE) / supply;
+        totalDistributed[_token] += _amount;
+
+        paymentToken.safeTransferFrom(msg.sender, address(this), _amount);
+
+        emit RentDistributed(_token, msg.sender, _amount);
+    }
+
+    /**
+     * @dev Claim all accrued rent for a property token
+     * @param _token Property token
+     * @return Amount claimed
+     */
+    function claim(address _token) external override nonReentrant returns (uint256) {
+        // Capped so a token cannot pay out more than was distributed to it
+        uint256 amount = Math.min(
+            claimableRent(_token, msg.sender),
+            totalDistributed[_token] - totalClaimed[_token]
+        );
+        require(amount > 0, "Nothing to claim");
+
+        _claimed[_token][msg.sender] += amount;
+        totalClaimed[_token] += amount;
+        paymentToken.safeTransfer(msg.sender, amount);
+
+        emit RentClaimed(_token, msg.sender, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Get rent a holder can currently claim
+     * @param _token Property token
+     * @param _holder Holder address
+     * @return Claimable amount
+     */
+    function claimableRent(address _token, address _holder) public view override returns (uint256) {
+        return accumulativeRentOf(_token, _holder) - _claimed[_token][_holder];
+    }
+
+    /**
+     * @dev Get total rent ever accrued to a holder (claimed or not)
+     * @param _token Property token
+     * @param _holder Holder address
+     * @return Accrued amount
+     */
+    function accumulativeRentOf(address _token, address _holder) public view returns (uint256) {
+        int256 magnified = (_magnifiedRentPerShare[_token] * IERC20(_token).balanceOf(_holder)).toInt256();
+        return (magnified + _magnifiedCorrections[_token][_holder]).toUint256() / MAGNITUDE;
+    }
+
+    /**
+     * @dev Get rent already claimed by a holder
+     * @param _token Property token
+     * @param _holder Holder address
+     * @return Claimed amount
+     */
+    function claimedRent(address _token, address _holder) external view returns (uint256) {
+        return _claimed[_token][_holder];
+    }
+
+    /**
+     * @dev Keep accrued rent unchanged across balance changes (called by token contract)
+     * @param _from Address sending tokens (address(0) for minting)
+     * @param _to Address receiving tokens (address(0) for burning)
+     * @param _amount Amount being transferred
+     */
+    function updateHolderShares(address _from, address _to, uint256 _amount) external override {
+        // msg.sender is the property token, so a caller can only affect its own ledger
+        int256 correction = (_magnifiedRentPerShare[msg.sender] * _amount).toInt256();
+
+        if (_from != address(0)) {
+            _magnifiedCorrections[msg.sender][_from] += correction;
+        }
+        if (_to != address(0)) {
+            _magnifiedCorrections[msg.sender][_to] -= correction;
+        }
+    }
+}
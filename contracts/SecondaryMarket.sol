@@ -0,0 +1,266 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./RealEstateToken.sol";
+import "./interfaces/IPropertyFactory.sol";
+import "./libraries/TransferRestrictions.sol";
+
+/**
+ * @title SecondaryMarket
+ * @dev Order book for property tokens against the payment token (e.g. USDC) with atomic delivery-versus-payment
+ * Sellers list tokens at a price per whole token, optionally reserved for one buyer (request for quote), and
+ * keep them until a verified buyer fills the order: the tokens and the payment change hands in one transaction.
+ * Listings and fills are checked against the token's transfer restrictions. The market needs an allowance
+ * from the seller for the tokens and from the buyer for the payment.
+ * Only property tokens listed by the property factory, or allowed by the owner, can be listed for sale.
+ */
+contract SecondaryMarket is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Sell order
+    struct Order {
+        uint256 orderId;
+        address token;
+        address seller;
+        address buyer; // address(0) = any verified buyer
+        uint256 amount; // remaining amount for sale
+        uint256 price; // payment token units per whole property token
+        uint256 listedAt;
+        bool active;
+    }
+
+    // Token orders are paid in
+    IERC20 public immutable paymentToken;
+
+    // Factory whose listed property tokens can be traded (address(0) = none)
+    IPropertyFactory public propertyFactory;
+
+    // Property tokens the owner allows besides the factory's
+    mapping(address => bool) public isTokenAllowed;
+
+    // Orders, indexed by order ID
+    Order[] private _orders;
+
+    // Order IDs per property token, in listing order
+    mapping(address => uint256[]) private _tokenOrders;
+
+    // Events
+    event OrderListed(
+        uint256 indexed orderId,
+        address indexed token,
+        address indexed seller,
+        address buyer,
+        uint256 amount,
+        uint256 price
+    );
+    event OrderFilled(uint256 indexed orderId, address indexed buyer, uint256 amount, uint256 payment);
+    event OrderCancelled(uint256 indexed orderId);
+    event PropertyFactorySet(address indexed propertyFactory);
+    event TokenAllowedSet(address indexed token, bool allowed);
+
+    /**
+     * @param _paymentToken Token orders are paid in
+     * @param _propertyFactory Factory whose listed property tokens can be traded (address(0) = none)
+     */
+    constructor(address _paymentToken, address _propertyFactory) Ownable(msg.sender) {
+        require(_paymentToken != address(0), "Invalid payment token");
+        paymentToken = IERC20(_paymentToken);
+        propertyFactory = IPropertyFactory(_propertyFactory);
+    }
+
+    /**
+     * @dev Set the factory whose listed property tokens can be traded (owner only)
+     * @param _propertyFactory PropertyFactory address (address(0) to disable)
+     */
+    function setPropertyFactory(address _propertyFactory) external onlyOwner {
+        propertyFactory = IPropertyFactory(_propertyFactory);
+        emit PropertyFactorySet(_propertyFactory);
+    }
+
+    /**
+     * @dev Allow or disallow a property token not listed by the factory (owner only)
+     * @param _token Property token
+     * @param _allowed Whether the token can be listed for sale
+     */
+    function setTokenAllowed(address _token, bool _allowed) external onlyOwner {
+        require(_token != address(0), "Invalid property token");
+        isTokenAllowed[_token] = _allowed;
+        emit TokenAllowedSet(_token, _allowed);
+    }
+
+    /**
+     * @dev Check whether a property token can be listed for sale
+     * @param _token Property token
+     * @return True if the factory listed the token or the owner allowed it
+     */
+    function isTradable(address _token) public view returns (bool) {
+        return isTokenAllowed[_token] ||
+            (address(propertyFactory) != address(0) && propertyFactory.isListed(_token));
+    }
+
+    /**
+     * @dev List property tokens for sale (needs a token allowance for the market)
+     * Reserved orders are checked against the buyer's compliance now; open orders check that the seller
+     * is verified and the tokens are free to move, and the buyer is checked when filling.
+     * @param _token Property token
+     * @param _amount Amount for sale
+     * @param _price Payment token units per whole property token
+     * @param _buyer Only buyer allowed to fill (address(0) = anyone)
+     * @return orderId ID of the new order
+     */
+    function list(
+        address _token,
+        uint256 _amount,
+        uint256 _price,
+        address _buyer
+    ) external returns (uint256 orderId) {
+        require(_token != address(0), "Invalid property token");
+        require(isTradable(_token), "Token not listed");
+        require(_amount > 0, "Invalid amount");
+        require(_price > 0, "Invalid price");
+        require(_buyer != msg.sender, "Cannot sell to yourself");
+        require(IERC20(_token).allowance(msg.sender, address(this)) >= _amount, "Insufficient token allowance");
+
+        RealEstateTokenBase token = RealEstateTokenBase(_token);
+        if (_buyer != address(0)) {
+            _requireTransferable(token, msg.sender, _buyer, _amount);
+        } else {
+            require(token.identityRegistry().isVerified(msg.sender), "Seller not verified");
+            require(!token.isFrozen(msg.sender), TransferRestrictions.message(TransferRestrictions.FROZEN));
+            require(token.transferableBalanceOf(msg.sender) >= _amount, "Insufficient transferable balance");
+        }
+
+        orderId = _orders.length;
+        _orders.push(Order({
+            orderId: orderId,
+            token: _token,
+            seller: msg.sender,
+            buyer: _buyer,
+            amount: _amount,
+            price: _price,
+            listedAt: block.timestamp,
+            active: true
+        }));
+        _tokenOrders[_token].push(orderId);
+
+        emit OrderListed(orderId, _token, msg.sender, _buyer, _amount, _price);
+    }
+
+    /**
+     * @dev Buy all or part of an order, settling tokens and payment atomically
+     * @param _orderId Order ID
+     * @param _amount Amount of property token to buy
+     */
+    function fill(uint256 _orderId, uint256 _amount) external nonReentrant {
+        require(_orderId < _orders.length, "Order does not exist");
+        Order storage order = _orders[_orderId];
+        require(order.active, "Order not active");
+        require(order.buyer == address(0) || order.buyer == msg.sender, "Order reserved for another buyer");
+        require(msg.sender != order.seller, "Cannot buy your own order");
+        require(_amount > 0 && _amount <= order.amount, "Invalid amount");
+
+        RealEstateTokenBase token = RealEstateTokenBase(order.token);
+        _requireTransferable(token, order.seller, msg.sender, _amount);
+
+        uint256 payment = costOf(_orderId, _amount);
+        order.amount -= _amount;
+        if (order.amount == 0) {
+            order.active = false;
+        }
+
+        // Delivery versus payment: either both legs settle or the whole fill reverts
+        IERC20(address(token)).safeTransferFrom(order.seller, msg.sender, _amount);
+        paymentToken.safeTransferFrom(msg.sender, order.seller, payment);
+
+        emit OrderFilled(_orderId, msg.sender, _amount, payment);
+    }
+
+    /**
+     * @dev Withdraw the remainder of an order (seller only)
+     * @param _orderId Order ID
+     */
+    function cancel(uint256 _orderId) external {
+        require(_orderId < _orders.length, "Order does not exist");
+        Order storage order = _orders[_orderId];
+        require(order.seller == msg.sender, "Only seller can cancel");
+        require(order.active, "Order not active");
+
+        order.active = false;
+
+        emit OrderCancelled(_orderId);
+    }
+
+    /**
+     * @dev Get the payment for buying part of an order (rounded up in the seller's favour)
+     * @param _orderId Order ID
+     * @param _amount Amount of property token
+     * @return Payment token amount
+     */
+    function costOf(uint256 _orderId, uint256 _amount) public view returns (uint256) {
+        Order storage order = _orders[_orderId];
+        uint256 unit = 10**RealEstateTokenBase(order.token).decimals();
+        return Math.mulDiv(_amount, order.price, unit, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @dev Get an order
+     * @param _orderId Order ID
+     * @return Order details
+     */
+    function getOrder(uint256 _orderId) external view returns (Order memory) {
+        require(_orderId < _orders.length, "Order does not exist");
+        return _orders[_orderId];
+    }
+
+    /**
+     * @dev Get the number of orders ever listed for a property token
+     * @param _token Property token
+     * @return Number of orders
+     */
+    function orderCount(address _token) external view returns (uint256) {
+        return _tokenOrders[_token].length;
+    }
+
+    /**
+     * @dev Get a page of a property token's orders, including filled and cancelled ones
+     * @param _token Property token
+     * @param _offset Index of the first order
+     * @param _limit Maximum number of orders
+     * @return page Orders in listing order
+     */
+    function getOrders(
+        address _token,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Order[] memory page) {
+        uint256[] storage ids = _tokenOrders[_token];
+        if (_offset >= ids.length) {
+            return new Order[](0);
+        }
+        uint256 end = Math.min(ids.length, _offset + _limit);
+        page = new Order[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = _orders[ids[i]];
+        }
+    }
+
+    /**
+     * @dev Revert with the token's reason if it would refuse the transfer
+     */
+    function _requireTransferable(
+        RealEstateTokenBase _token,
+        address _from,
+        address _to,
+        uint256 _amount
+    ) internal view {
+        uint8 code = _token.detectTransferRestriction(_from, _to, _amount);
+        if (code != TransferRestrictions.SUCCESS) {
+            revert(_token.messageForTransferRestriction(code));
+        }
+    }
+}
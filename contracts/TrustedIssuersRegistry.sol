@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "./interfaces/ITrustedIssuersRegistry.sol";
+
+/**
+ * @title TrustedIssuersRegistryBase
+ * @dev Lists the claim issuers the IdentityRegistry trusts, and which claim topics each of them
+ * may sign. Part of the ERC-3643 compliance framework.
+ * Initializer-based, shared by TrustedIssuersRegistry and TrustedIssuersRegistryUpgradeable
+ */
+abstract contract TrustedIssuersRegistryBase is ITrustedIssuersRegistry, OwnableUpgradeable {
+
+    // Limits bounding the cost of isVerified
+    uint256 public constant MAX_TRUSTED_ISSUERS = 50;
+    uint256 public constant MAX_ISSUER_CLAIM_TOPICS = 15;
+
+    // Trusted issuers
+    IClaimIssuer[] private _trustedIssuers;
+
+    // Mapping from issuer to the claim topics it may sign (empty = not trusted)
+    mapping(address => uint256[]) private _issuerClaimTopics;
+
+    // Mapping from claim topic to the issuers trusted to sign it
+    mapping(uint256 => IClaimIssuer[]) private _claimTopicIssuers;
+
+    /**
+     * @dev Initialize the registry with the caller as owner
+     */
+    function __TrustedIssuersRegistry_init() internal onlyInitializing {
+        __Ownable_init(msg.sender);
+    }
+
+    /**
+     * @dev Trust a claim issuer to sign some claim topics (admin only)
+     * @param _trustedIssuer The claim issuer identity
+     * @param _claimTopics The claim topics it may sign
+     */
+    function addTrustedIssuer(
+        IClaimIssuer _trustedIssuer,
+        uint256[] calldata _claimTopics
+    ) external override onlyOwner {
+        require(address(_trustedIssuer) != address(0), "Invalid issuer address");
+        require(_issuerClaimTopics[address(_trustedIssuer)].length == 0, "Issuer already trusted");
+        require(_trustedIssuers.length < MAX_TRUSTED_ISSUERS, "Too many trusted issuers");
+
+        _trustedIssuers.push(_trustedIssuer);
+        _setClaimTopics(_trustedIssuer, _claimTopics);
+        emit TrustedIssuerAdded(_trustedIssuer, _claimTopics);
+    }
+
+    /**
+     * @dev Stop trusting a claim issuer (admin only)
+     * @param _trustedIssuer The claim issuer identity
+     */
+    function removeTrustedIssuer(IClaimIssuer _trustedIssuer) external override onlyOwner {
+        require(_issuerClaimTopics[address(_trustedIssuer)].length > 0, "Issuer not trusted");
+
+        _clearClaimTopics(_trustedIssuer);
+        _removeIssuer(_trustedIssuers, _trustedIssuer);
+        emit TrustedIssuerRemoved(_trustedIssuer);
+    }
+
+    /**
+     * @dev Replace the claim topics a trusted issuer may sign (admin only)
+     * @param _trustedIssuer The claim issuer identity
+     * @param _claimTopics The claim topics it may sign
+     */
+    function updateIssuerClaimTopics(
+        IClaimIssuer _trustedIssuer,
+        uint256[] calldata _claimTopics
+    ) external override onlyOwner {
+        require(_issuerClaimTopics[address(_trustedIssuer)].length > 0, "Issuer not trusted");
+
+        _clearClaimTopics(_trustedIssuer);
+        _setClaimTopics(_trustedIssuer, _claimTopics);
+        emit ClaimTopicsUpdated(_trustedIssuer, _claimTopics);
+    }
+
+    /**
+     * @dev Get the trusted claim issuers
+     * @return The claim issuer identities
+     */
+    function getTrustedIssuers() external view override returns (IClaimIssuer[] memory) {
+        return _trustedIssuers;
+    }
+
+    /**
+     * @dev Get the issuers trusted to sign a claim topic
+     * @param _claimTopic The claim topic
+     * @return The claim issuer identities
+     */
+    function getTrustedIssuersForClaimTopic(uint256 _claimTopic) external view override returns (IClaimIssuer[] memory) {
+        return _claimTopicIssuers[_claimTopic];
+    }
+
+    /**
+     * @dev Check if a claim issuer is trusted
+     * @param _issuer The claim issuer identity
+     * @return True if the issuer is trusted
+     */
+    function isTrustedIssuer(address _issuer) external view override returns (bool) {
+        return _issuerClaimTopics[_issuer].length > 0;
+    }
+
+    /**
+     * @dev Get the claim topics a trusted issuer may sign
+     * @param _trustedIssuer The claim issuer identity
+     * @return The claim topics
+     */
+    function getTrustedIssuerClaimTopics(IClaimIssuer _trustedIssuer) external view override returns (uint256[] memory) {
+        require(_issuerClaimTopics[address(_trustedIssuer)].length > 0, "Issuer not trusted");
+        return _issuerClaimTopics[address(_trustedIssuer)];
+    }
+
+    /**
+     * @dev Check if an issuer is trusted to sign a claim topic
+     * @param _issuer The claim issuer identity
+     * @param _claimTopic The claim topic
+     * @return True if the issuer may sign the topic
+     */
+    function hasClaimTopic(address _issuer, uint256 _claimTopic) external view override returns (bool) {
+        uint256[] storage topics = _issuerClaimTopics[_issuer];
+        for (uint256 i = 0; i < topics.length; i++) {
+            if (topics[i] == _claimTopic) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Validate and store the claim topics of an issuer
+     */
+    function _setClaimTopics(IClaimIssuer _trustedIssuer, uint256[] calldata _claimTopics) internal {
+        require(_claimTopics.length > 0, "No claim topics");
+        require(_claimTopics.length <= MAX_ISSUER_CLAIM_TOPICS, "Too many claim topics");
+
+        for (uint256 i = 0; i < _claimTopics.length; i++) {
+            for (uint256 j = 0; j < i; j++) {
+                require(_claimTopics[j] != _claimTopics[i], "Duplicate claim topic");
+            }
+            _issuerClaimTopics[address(_trustedIssuer)].push(_claimTopics[i]);
+            _claimTopicIssuers[_claimTopics[i]].push(_trustedIssuer);
+        }
+    }
+
+    /**
+     * @dev Remove an issuer from the per-topic lists and clear its topics
+     */
+    function _clearClaimTopics(IClaimIssuer _trustedIssuer) internal {
+        uint256[] storage topics = _issuerClaimTopics[address(_trustedIssuer)];
+        for (uint256 i = 0; i < topics.length; i++) {
+            _removeIssuer(_claimTopicIssuers[topics[i]], _trustedIssuer);
+        }
+        delete _issuerClaimTopics[address(_trustedIssuer)];
+    }
+
+    /**
+     * @dev Swap-and-pop an issuer out of a list
+     */
+    function _removeIssuer(IClaimIssuer[] storage _issuers, IClaimIssuer _trustedIssuer) internal {
+        for (uint256 i = 0; i < _issuers.length; i++) {
+            if (_issuers[i] == _trustedIssuer) {
+                _issuers[i] = _issuers[_issuers.length - 1];
+                _issuers.pop();
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * @title TrustedIssuersRegistry
+ * @dev Constructor-deployed TrustedIssuersRegistry
+ */
+contract TrustedIssuersRegistry is TrustedIssuersRegistryBase {
+    constructor() initializer {
+        __TrustedIssuersRegistry_init();
+    }
+}
@@ -0,0 +1,318 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./RealEstateToken.sol";
+
+/**
+ * @title ValuationOracle
+ * @dev Appraisal history and net asset value (NAV) for property tokens
+ * The owner of a token names its appraisers, who submit dated valuations with the hash of the appraisal
+ * document and the method used. Every valuation is kept. By default each valuation sets the property value;
+ * with a quorum, the value is the median of the latest fresh valuation of each appraiser and only changes
+ * once at least the quorum of appraisers have a fresh one. Valuations older than the maximum age are stale.
+ * A backdated valuation stays in the history without rolling the value back: it does not replace a later
+ * valuation of the same appraiser in the median, and without a quorum it is not applied when dated before
+ * the current NAV.
+ * The oracle must be set as the token's valuation oracle to update its property value.
+ */
+contract ValuationOracle {
+    // Appraisal submitted by an appraiser
+    struct Valuation {
+        uint256 valuationId;
+        address appraiser;
+        uint256 value; // property value, 18 decimals like the token's property info
+        uint64 valuationDate;
+        uint64 submittedAt;
+        bytes32 documentHash;
+        string method; // e.g. "income", "sales comparison", "cost"
+    }
+
+    // Property value set from one or more valuations
+    struct NavPoint {
+        uint256 value;
+        uint64 asOf; // date of the oldest valuation the value is based on
+        uint64 updatedAt;
+    }
+
+    // Aggregation settings
+    struct Aggregation {
+        uint256 quorum; // fresh valuations needed for the median (0 = each valuation sets the value)
+        uint256 maxAge; // seconds after its date a valuation turns stale (0 = never)
+    }
+
+    // Maximum number of appraisers per token, bounding the cost of the median
+    uint256 public constant MAX_APPRAISERS = 20;
+
+    // Appraisers per token
+    mapping(address => address[]) private _appraisers;
+    mapping(address => mapping(address => bool)) public isAppraiser;
+
+    // Valuation history per token, in submission order
+    mapping(address => Valuation[]) private _valuations;
+
+    // Most recently dated valuation per token and appraiser (index + 1, 0 = none)
+    mapping(address => mapping(address => uint256)) private _latestValuation;
+
+    // NAV history per token
+    mapping(address => NavPoint[]) private _navHistory;
+
+    // Aggregation settings per token
+    mapping(address => Aggregation) public aggregations;
+
+    // Events
+    event AppraiserAdded(address indexed token, address indexed appraiser);
+    event AppraiserRemoved(address indexed token, address indexed appraiser);
+    event AggregationSet(address indexed token, uint256 quorum, uint256 maxAge);
+    event ValuationSubmitted(
+        address indexed token,
+        uint256 indexed valuationId,
+        address indexed appraiser,
+        uint256 value,
+        uint64 valuationDate,
+        bytes32 documentHash,
+        string method
+    );
+    event NavUpdated(address indexed token, uint256 value, uint64 asOf);
+
+    modifier onlyTokenOwner(address _token) {
+        require(_token != address(0), "Invalid property token");
+        require(RealEstateTokenBase(_token).owner() == msg.sender, "Only token owner");
+        _;
+    }
+
+    /**
+     * @dev Add an appraiser for a token (token owner only)
+     * @param _token Property token
+     * @param _appraiser Appraiser address
+     */
+    function addAppraiser(address _token, address _appraiser) external onlyTokenOwner(_token) {
+        require(_appraiser != address(0), "Invalid appraiser");
+        require(!isAppraiser[_token][_appraiser], "Already an appraiser");
+        require(_appraisers[_token].length < MAX_APPRAISERS, "Too many appraisers");
+
+        isAppraiser[_token][_appraiser] = true;
+        _appraisers[_token].push(_appraiser);
+
+        emit AppraiserAdded(_token, _appraiser);
+    }
+
+    /**
+     * @dev Remove an appraiser for a token; their valuations stay in the history but no longer count (token owner only)
+     * @param _token Property token
+     * @param _appraiser Appraiser address
+     */
+    function removeAppraiser(address _token, address _appraiser) external onlyTokenOwner(_token) {
+        require(isAppraiser[_token][_appraiser], "Not an appraiser");
+
+        isAppraiser[_token][_appraiser] = false;
+        address[] storage appraisers = _appraisers[_token];
+        for (uint256 i = 0; i < appraisers.length; i++) {
+            if (appraisers[i] == _appraiser) {
+                appraisers[i] = appraisers[appraisers.length - 1];
+                appraisers.pop();
+                break;
+            }
+        }
+
+        emit AppraiserRemoved(_token, _appraiser);
+    }
+
+    /**
+     * @dev Set how valuations are aggregated for a token (token owner only)
+     * @param _token Property token
+     * @param _quorum Fresh valuations needed for the median (0 = each valuation sets the value)
+     * @param _maxAge Seconds after its date a valuation turns stale (0 = never)
+     */
+    function setAggregation(address _token, uint256 _quorum, uint256 _maxAge) external onlyTokenOwner(_token) {
+        require(_quorum <= MAX_APPRAISERS, "Quorum too high");
+
+        aggregations[_token] = Aggregation({quorum: _quorum, maxAge: _maxAge});
+
+        emit AggregationSet(_token, _quorum, _maxAge);
+    }
+
+    /**
+     * @dev Submit a valuation, updating the property value when it is reached (token appraisers only)
+     * @param _token Property token
+     * @param _value Property value (18 decimals)
+     * @param _valuationDate Date the property was appraised
+     * @param _documentHash Hash of the appraisal document
+     * @param _method Valuation method
+     * @return valuationId ID of the valuation within the token's history
+     */
+    function submitValuation(
+        address _token,
+        uint256 _value,
+        uint64 _valuationDate,
+        bytes32 _documentHash,
+        string calldata _method
+    ) external returns (uint256 valuationId) {
+        require(isAppraiser[_token][msg.sender], "Not an appraiser");
+        require(_value > 0, "Invalid property value");
+        require(_valuationDate <= block.timestamp, "Valuation date in the future");
+        require(!_isStale(_token, _valuationDate), "Valuation is stale");
+        require(_documentHash != bytes32(0), "Invalid document hash");
+        require(bytes(_method).length > 0, "Invalid valuation method");
+
+        valuationId = _valuations[_token].length;
+        _valuations[_token].push(Valuation({
+            valuationId: valuationId,
+            appraiser: msg.sender,
+            value: _value,
+            valuationDate: _valuationDate,
+            submittedAt: uint64(block.timestamp),
+            documentHash: _documentHash,
+            method: _method
+        }));
+        uint256 latest = _latestValuation[_token][msg.sender];
+        bool current = latest == 0 || _valuations[_token][latest - 1].valuationDate <= _valuationDate;
+        if (current) {
+            _latestValuation[_token][msg.sender] = valuationId + 1;
+        }
+
+        emit ValuationSubmitted(_token, valuationId, msg.sender, _value, _valuationDate, _documentHash, _method);
+
+        if (aggregations[_token].quorum == 0) {
+            NavPoint[] storage history = _navHistory[_token];
+            if (history.length == 0 || _valuationDate >= history[history.length - 1].asOf) {
+                _updateNav(_token, _value, _valuationDate);
+            }
+        } else if (current) {
+            (uint256 median, uint256 count, uint64 asOf) = aggregatedValue(_token);
+            if (count >= aggregations[_token].quorum) {
+                _updateNav(_token, median, asOf);
+            }
+        }
+    }
+
+    /**
+     * @dev Get the median of the latest fresh valuation of each appraiser
+     * @param _token Property token
+     * @return value Median value (0 when there is no fresh valuation)
+     * @return count Number of fresh valuations
+     * @return asOf Date of the oldest valuation counted
+     */
+    function aggregatedValue(address _token) public view returns (uint256 value, uint256 count, uint64 asOf) {
+        address[] storage appraisers = _appraisers[_token];
+        uint256[] memory values = new uint256[](appraisers.length);
+        asOf = type(uint64).max;
+
+        for (uint256 i = 0; i < appraisers.length; i++) {
+            uint256 index = _latestValuation[_token][appraisers[i]];
+            if (index == 0) continue;
+            Valuation storage valuation = _valuations[_token][index - 1];
+            if (_isStale(_token, valuation.valuationDate)) continue;
+
+            // Insertion sort; the list is bounded by MAX_APPRAISERS
+            uint256 j = count;
+            while (j > 0 && values[j - 1] > valuation.value) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = valuation.value;
+            count++;
+            if (valuation.valuationDate < asOf) {
+                asOf = valuation.valuationDate;
+            }
+        }
+
+        if (count == 0) {
+            return (0, 0, 0);
+        }
+        value = count % 2 == 1
+            ? values[count / 2]
+            : Math.average(values[count / 2 - 1], values[count / 2]);
+    }
+
+    /**
+     * @dev Get the latest NAV of a token
+     * @param _token Property token
+     * @return Latest NAV point (all zero before the first one)
+     */
+    function latestNav(address _token) external view returns (NavPoint memory) {
+        NavPoint[] storage history = _navHistory[_token];
+        if (history.length == 0) {
+            return NavPoint(0, 0, 0);
+        }
+        return history[history.length - 1];
+    }
+
+    /**
+     * @dev Check whether a token's NAV is based on a stale valuation (or there is none)
+     * @param _token Property token
+     * @return True if stale
+     */
+    function isStale(address _token) external view returns (bool) {
+        NavPoint[] storage history = _navHistory[_token];
+        return history.length == 0 || _isStale(_token, history[history.length - 1].asOf);
+    }
+
+    /**
+     * @dev Get every NAV a token has had
+     * @param _token Property token
+     * @return NAV points in update order
+     */
+    function getNavHistory(address _token) external view returns (NavPoint[] memory) {
+        return _navHistory[_token];
+    }
+
+    /**
+     * @dev Get the number of valuations submitted for a token
+     * @param _token Property token
+     * @return Number of valuations
+     */
+    function valuationCount(address _token) external view returns (uint256) {
+        return _valuations[_token].length;
+    }
+
+    /**
+     * @dev Get a page of a token's valuation history
+     * @param _token Property token
+     * @param _offset Index of the first valuation
+     * @param _limit Maximum number of valuations
+     * @return page Valuations in submission order
+     */
+    function getValuations(
+        address _token,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Valuation[] memory page) {
+        Valuation[] storage valuations = _valuations[_token];
+        if (_offset >= valuations.length) {
+            return new Valuation[](0);
+        }
+        uint256 end = Math.min(valuations.length, _offset + _limit);
+        page = new Valuation[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = valuations[i];
+        }
+    }
+
+    /**
+     * @dev Get the appraisers of a token
+     * @param _token Property token
+     * @return Appraiser addresses
+     */
+    function getAppraisers(address _token) external view returns (address[] memory) {
+        return _appraisers[_token];
+    }
+
+    /**
+     * @dev Record a new NAV and push it to the token
+     */
+    function _updateNav(address _token, uint256 _value, uint64 _asOf) internal {
+        _navHistory[_token].push(NavPoint({value: _value, asOf: _asOf, updatedAt: uint64(block.timestamp)}));
+        RealEstateTokenBase(_token).setPropertyValue(_value);
+
+        emit NavUpdated(_token, _value, _asOf);
+    }
+
+    /**
+     * @dev Whether a valuation dated `_date` is past the token's maximum age
+     */
+    function _isStale(address _token, uint64 _date) internal view returns (bool) {
+        uint256 maxAge = aggregations[_token].maxAge;
+        return maxAge > 0 && _date + maxAge < block.timestamp;
+    }
+}
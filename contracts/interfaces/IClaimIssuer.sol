@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IIdentity.sol";
+
+/**
+ * @title IClaimIssuer
+ * @dev Interface for identities that sign claims about other identities and can revoke them
+ */
+interface IClaimIssuer is IIdentity {
+    
+    // Events
+    event ClaimRevoked(bytes _signature);
+    
+    // Revocation
+    function revokeClaim(bytes32 _claimId, address _identity) external returns (bool);
+    function revokeClaimBySignature(bytes calldata _signature) external;
+    
+    // Getters
+    function isClaimRevoked(bytes calldata _signature) external view returns (bool);
+}
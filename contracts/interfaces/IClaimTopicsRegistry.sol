@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IClaimTopicsRegistry
+ * @dev Interface for the list of claim topics an identity must hold to be verified
+ */
+interface IClaimTopicsRegistry {
+    
+    // Events
+    event ClaimTopicAdded(uint256 indexed _claimTopic);
+    event ClaimTopicRemoved(uint256 indexed _claimTopic);
+    
+    // Topic management
+    function addClaimTopic(uint256 _claimTopic) external;
+    function removeClaimTopic(uint256 _claimTopic) external;
+    
+    // Getters
+    function getClaimTopics() external view returns (uint256[] memory);
+}
@@ -1,17 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./IERC1404.sol";
+
 /**
  * @title ICompliance
  * @dev Interface for compliance rules and transfer validation
+ * detectTransferRestriction explains what canTransfer rejects.
  */
-interface ICompliance {
+interface ICompliance is IERC1404 {
     
     // Events
     event ComplianceRuleAdded(bytes32 indexed _ruleId);
     event ComplianceRuleRemoved(bytes32 indexed _ruleId);
     event AddressBlacklisted(address indexed _address);
     event AddressWhitelisted(address indexed _address);
+    event HolderAdded(address indexed _holder);
+    event HolderRemoved(address indexed _holder);
     
     // Transfer validation
     function canTransfer(address _from, address _to, uint256 _amount) external view returns (bool);
@@ -33,5 +38,15 @@ interface ICompliance {
     
     // Holder count management
     function updateHolderCount(address _from, address _to, uint256 _amount) external;
+    
+    // Holder registry (wallets with a non-zero balance)
+    function isHolder(address _wallet) external view returns (bool);
+    function getHolders(uint256 _offset, uint256 _limit) external view returns (address[] memory);
+    function holderCountAtBlock(uint256 _blockNumber) external view returns (uint256);
+    
+    // Token hooks, called after every balance change
+    function transferred(address _from, address _to, uint256 _amount) external;
+    function created(address _to, uint256 _amount) external;
+    function destroyed(address _from, uint256 _amount) external;
 }
 
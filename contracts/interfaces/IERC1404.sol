@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IERC1404
+ * @dev Simple restricted token standard: explains why a transfer would be rejected
+ * Codes are defined in TransferRestrictions; 0 means the transfer is allowed.
+ */
+interface IERC1404 {
+    function detectTransferRestriction(address _from, address _to, uint256 _value) external view returns (uint8);
+    function messageForTransferRestriction(uint8 _restrictionCode) external view returns (string memory);
+}
@@ -17,6 +17,10 @@ interface IERC3643 is IERC20 {
     event ComplianceAdded(address indexed _compliance);
     event OnchainIDSet(address indexed _wallet, address indexed _onchainID);
     event ForcedTransfer(address indexed _from, address indexed _to, uint256 _amount);
+    event AddressFrozen(address indexed _userAddress, bool indexed _isFrozen, address indexed _owner);
+    event TokensFrozen(address indexed _userAddress, uint256 _amount);
+    event TokensUnfrozen(address indexed _userAddress, uint256 _amount);
+    event RecoverySuccess(address indexed _lostWallet, address indexed _newWallet, address indexed _investorOnchainID);
     
     // Identity and Compliance Management
     function setOnchainID(address _onchainID) external;
@@ -26,10 +30,20 @@ interface IERC3643 is IERC20 {
     // Forced transfer for compliance
     function forcedTransfer(address _from, address _to, uint256 _amount) external;
     
+    // Freezing
+    function setAddressFrozen(address _userAddress, bool _freeze) external;
+    function freezePartialTokens(address _userAddress, uint256 _amount) external;
+    function unfreezePartialTokens(address _userAddress, uint256 _amount) external;
+    
+    // Lost wallet recovery
+    function recoveryAddress(address _lostWallet, address _newWallet, address _investorOnchainID) external returns (bool);
+    
     // Getters
     function identityRegistry() external view returns (IIdentityRegistry);
     function compliance() external view returns (ICompliance);
     function onchainID(address _wallet) external view returns (address);
+    function isFrozen(address _userAddress) external view returns (bool);
+    function getFrozenTokens(address _userAddress) external view returns (uint256);
     
     // Transfer validation
     function canTransfer(address _from, address _to, uint256 _amount) external view returns (bool);
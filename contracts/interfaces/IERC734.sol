@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IERC734
+ * @dev Interface for ERC-734 key holders
+ * Keys are keccak256 hashes of the key (e.g. of an abi-encoded address) with one or more purposes
+ */
+interface IERC734 {
+    
+    // Events
+    event KeyAdded(bytes32 indexed _key, uint256 indexed _purpose, uint256 indexed _keyType);
+    event KeyRemoved(bytes32 indexed _key, uint256 indexed _purpose, uint256 indexed _keyType);
+    event ExecutionRequested(uint256 indexed _executionId, address indexed _to, uint256 indexed _value, bytes _data);
+    event Executed(uint256 indexed _executionId, address indexed _to, uint256 indexed _value, bytes _data);
+    event ExecutionFailed(uint256 indexed _executionId, address indexed _to, uint256 indexed _value, bytes _data);
+    event Approved(uint256 indexed _executionId, bool _approved);
+    
+    // Key management
+    function addKey(bytes32 _key, uint256 _purpose, uint256 _keyType) external returns (bool);
+    function removeKey(bytes32 _key, uint256 _purpose) external returns (bool);
+    
+    // Execution
+    function execute(address _to, uint256 _value, bytes calldata _data) external payable returns (uint256);
+    function approve(uint256 _executionId, bool _approve) external returns (bool);
+    
+    // Getters
+    function getKey(bytes32 _key) external view returns (uint256[] memory _purposes, uint256 _keyType, bytes32 _keyValue);
+    function getKeyPurposes(bytes32 _key) external view returns (uint256[] memory);
+    function getKeysByPurpose(uint256 _purpose) external view returns (bytes32[] memory);
+    function keyHasPurpose(bytes32 _key, uint256 _purpose) external view returns (bool);
+}
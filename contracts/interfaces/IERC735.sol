@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IERC735
+ * @dev Interface for ERC-735 claim holders
+ * A claim is identified by keccak256(abi.encode(issuer, topic))
+ */
+interface IERC735 {
+    
+    // Events
+    event ClaimAdded(bytes32 indexed _claimId, uint256 indexed _topic, uint256 _scheme, address indexed _issuer, bytes _signature, bytes _data, string _uri);
+    event ClaimRemoved(bytes32 indexed _claimId, uint256 indexed _topic, uint256 _scheme, address indexed _issuer, bytes _signature, bytes _data, string _uri);
+    event ClaimChanged(bytes32 indexed _claimId, uint256 indexed _topic, uint256 _scheme, address indexed _issuer, bytes _signature, bytes _data, string _uri);
+    
+    // Claim management
+    function addClaim(
+        uint256 _topic,
+        uint256 _scheme,
+        address _issuer,
+        bytes calldata _signature,
+        bytes calldata _data,
+        string calldata _uri
+    ) external returns (bytes32);
+    function removeClaim(bytes32 _claimId) external returns (bool);
+    
+    // Getters
+    function getClaim(bytes32 _claimId) external view returns (
+        uint256 _topic,
+        uint256 _scheme,
+        address _issuer,
+        bytes memory _signature,
+        bytes memory _data,
+        string memory _uri
+    );
+    function getClaimIdsByTopic(uint256 _topic) external view returns (bytes32[] memory);
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IERC734.sol";
+import "./IERC735.sol";
+
+/**
+ * @title IIdentity
+ * @dev Interface for ONCHAINID identity contracts (ERC-734 keys and ERC-735 claims)
+ */
+interface IIdentity is IERC734, IERC735 {
+    
+    // Claim validation
+    function isClaimValid(IIdentity _identity, uint256 _topic, bytes calldata _signature, bytes calldata _data) external view returns (bool);
+}
@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./IClaimTopicsRegistry.sol";
+import "./ITrustedIssuersRegistry.sol";
+import "./IIdentityRegistryStorage.sol";
+
 /**
  * @title IIdentityRegistry
  * @dev Interface for managing verified identities and KYC status
@@ -11,16 +15,44 @@ interface IIdentityRegistry {
     event IdentityRegistered(address indexed _wallet, address indexed _onchainID);
     event IdentityRemoved(address indexed _wallet);
     event CountryUpdated(address indexed _wallet, uint16 _country);
+    event InvestorCategoryUpdated(address indexed _wallet, uint8 _category, uint64 _expiry);
+    event AgentAdded(address indexed _agent);
+    event AgentRemoved(address indexed _agent);
+    event ClaimTopicsRegistrySet(address indexed _claimTopicsRegistry);
+    event TrustedIssuersRegistrySet(address indexed _trustedIssuersRegistry);
+    event IdentityStorageSet(address indexed _identityStorage);
     
     // Identity management
     function registerIdentity(address _wallet, address _onchainID, uint16 _country) external;
     function removeIdentity(address _wallet) external;
     function updateCountry(address _wallet, uint16 _country) external;
+    function updateInvestorCategory(address _wallet, uint8 _category, uint64 _expiry) external;
+    
+    // Batch identity management
+    function batchRegisterIdentity(address[] calldata _wallets, address[] calldata _onchainIDs, uint16[] calldata _countryCodes) external;
+    function batchUpdateCountry(address[] calldata _wallets, uint16[] calldata _countryCodes) external;
+    
+    // Agent management
+    function addAgent(address _agent) external;
+    function removeAgent(address _agent) external;
+    function isAgent(address _agent) external view returns (bool);
+    
+    // Verification requirements
+    function setClaimTopicsRegistry(address _claimTopicsRegistry) external;
+    function setTrustedIssuersRegistry(address _trustedIssuersRegistry) external;
+    function topicsRegistry() external view returns (IClaimTopicsRegistry);
+    function issuersRegistry() external view returns (ITrustedIssuersRegistry);
+    
+    // Identity storage
+    function setIdentityRegistryStorage(address _identityStorage) external;
+    function identityStorage() external view returns (IIdentityRegistryStorage);
     
     // Getters
     function isVerified(address _wallet) external view returns (bool);
     function identity(address _wallet) external view returns (address);
     function investorCountry(address _wallet) external view returns (uint16);
+    function investorCategory(address _wallet) external view returns (uint8);
+    function investorCategoryExpiry(address _wallet) external view returns (uint64);
     function contains(address _wallet) external view returns (bool);
 }
 
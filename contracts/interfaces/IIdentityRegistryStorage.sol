@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IIdentityRegistryStorage
+ * @dev Interface for identity storage shared by several IdentityRegistry front-ends
+ */
+interface IIdentityRegistryStorage {
+    
+    // Events
+    event IdentityStored(address indexed _wallet, address indexed _onchainID);
+    event IdentityUnstored(address indexed _wallet, address indexed _onchainID);
+    event IdentityModified(address indexed _oldOnchainID, address indexed _newOnchainID);
+    event CountryModified(address indexed _wallet, uint16 _country);
+    event InvestorCategoryModified(address indexed _wallet, uint8 _category, uint64 _expiry);
+    event IdentityRegistryBound(address indexed _identityRegistry);
+    event IdentityRegistryUnbound(address indexed _identityRegistry);
+    event AgentAdded(address indexed _agent);
+    event AgentRemoved(address indexed _agent);
+    
+    // Storage management (bound identity registries only)
+    function addIdentityToStorage(address _wallet, address _onchainID, uint16 _country) external;
+    function removeIdentityFromStorage(address _wallet) external;
+    function modifyStoredIdentity(address _wallet, address _onchainID) external;
+    function modifyStoredInvestorCountry(address _wallet, uint16 _country) external;
+    function modifyStoredInvestorCategory(address _wallet, uint8 _category, uint64 _expiry) external;
+    
+    // Registry binding
+    function bindIdentityRegistry(address _identityRegistry) external;
+    function unbindIdentityRegistry(address _identityRegistry) external;
+    function linkedIdentityRegistries() external view returns (address[] memory);
+    function isBoundRegistry(address _identityRegistry) external view returns (bool);
+    
+    // Agent management
+    function addAgent(address _agent) external;
+    function removeAgent(address _agent) external;
+    function isAgent(address _agent) external view returns (bool);
+    
+    // Getters
+    function storedIdentity(address _wallet) external view returns (address);
+    function storedInvestorCountry(address _wallet) external view returns (uint16);
+    function storedInvestorCategory(address _wallet) external view returns (uint8);
+    function storedInvestorCategoryExpiry(address _wallet) external view returns (uint64);
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IERC1404.sol";
+
+/**
+ * @title IModularCompliance
+ * @dev Interface for a compliance contract whose rules are pluggable modules
+ * Exposes the same token-facing functions as ICompliance (canTransfer and the balance change hooks),
+ * so a token can point its compliance at either.
+ */
+interface IModularCompliance is IERC1404 {
+    
+    // Events
+    event TokenBound(address indexed _token);
+    event TokenUnbound(address indexed _token);
+    event ModuleAdded(address indexed _module);
+    event ModuleRemoved(address indexed _module);
+    event ModuleInteraction(address indexed _module, bytes4 _selector);
+    
+    // Token binding
+    function bindToken(address _token) external;
+    function unbindToken(address _token) external;
+    function getTokenBound() external view returns (address);
+    
+    // Module management
+    function addModule(address _module) external;
+    function removeModule(address _module) external;
+    function callModuleFunction(bytes calldata _callData, address _module) external;
+    function getModules() external view returns (address[] memory);
+    function isModuleBound(address _module) external view returns (bool);
+    
+    // Transfer validation
+    function canTransfer(address _from, address _to, uint256 _amount) external view returns (bool);
+    
+    // Token hooks, called after every balance change
+    function transferred(address _from, address _to, uint256 _amount) external;
+    function created(address _to, uint256 _amount) external;
+    function destroyed(address _from, uint256 _amount) external;
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IModule
+ * @dev Interface for compliance rule modules plugged into a ModularCompliance
+ * One module instance can serve many compliance contracts; its settings and state are kept per compliance.
+ */
+interface IModule {
+    
+    // Events
+    event ComplianceBound(address indexed _compliance);
+    event ComplianceUnbound(address indexed _compliance);
+    
+    // Binding (called by the compliance contract itself)
+    function bindCompliance(address _compliance) external;
+    function unbindCompliance(address _compliance) external;
+    function isComplianceBound(address _compliance) external view returns (bool);
+    
+    // Transfer validation
+    function moduleCheck(address _from, address _to, uint256 _amount, address _compliance) external view returns (bool);
+    function restrictionCode() external pure returns (uint8);
+    
+    // State updates after balance changes (called by the compliance contract)
+    function moduleTransferAction(address _from, address _to, uint256 _amount) external;
+    function moduleMintAction(address _to, uint256 _amount) external;
+    function moduleBurnAction(address _from, uint256 _amount) external;
+    
+    // Getters
+    function name() external pure returns (string memory);
+}
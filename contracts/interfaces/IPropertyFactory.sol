@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPropertyFactory
+ * @dev Interface for checking which property tokens a PropertyFactory listed
+ */
+interface IPropertyFactory {
+    function isListed(address _token) external view returns (bool);
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IRentDistributor
+ * @dev Interface for distributing rent to property token holders pro rata
+ */
+interface IRentDistributor {
+
+    // Events
+    event RentDistributed(address indexed _token, address indexed _from, uint256 _amount);
+    event RentClaimed(address indexed _token, address indexed _holder, uint256 _amount);
+
+    // Distribution
+    function distribute(address _token, uint256 _amount) external;
+    function claim(address _token) external returns (uint256);
+
+    // Registration
+    function registerToken(address _token) external;
+
+    // Getters
+    function isRegistered(address _token) external view returns (bool);
+    function paymentToken() external view returns (IERC20);
+    function claimableRent(address _token, address _holder) external view returns (uint256);
+    function totalDistributed(address _token) external view returns (uint256);
+
+    // Holder share management
+    function updateHolderShares(address _from, address _to, uint256 _amount) external;
+}
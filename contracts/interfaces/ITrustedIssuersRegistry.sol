@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IClaimIssuer.sol";
+
+/**
+ * @title ITrustedIssuersRegistry
+ * @dev Interface for the claim issuers trusted to sign each claim topic
+ */
+interface ITrustedIssuersRegistry {
+    
+    // Events
+    event TrustedIssuerAdded(IClaimIssuer indexed _trustedIssuer, uint256[] _claimTopics);
+    event TrustedIssuerRemoved(IClaimIssuer indexed _trustedIssuer);
+    event ClaimTopicsUpdated(IClaimIssuer indexed _trustedIssuer, uint256[] _claimTopics);
+    
+    // Issuer management
+    function addTrustedIssuer(IClaimIssuer _trustedIssuer, uint256[] calldata _claimTopics) external;
+    function removeTrustedIssuer(IClaimIssuer _trustedIssuer) external;
+    function updateIssuerClaimTopics(IClaimIssuer _trustedIssuer, uint256[] calldata _claimTopics) external;
+    
+    // Getters
+    function getTrustedIssuers() external view returns (IClaimIssuer[] memory);
+    function getTrustedIssuersForClaimTopic(uint256 _claimTopic) external view returns (IClaimIssuer[] memory);
+    function isTrustedIssuer(address _issuer) external view returns (bool);
+    function getTrustedIssuerClaimTopics(IClaimIssuer _trustedIssuer) external view returns (uint256[] memory);
+    function hasClaimTopic(address _issuer, uint256 _claimTopic) external view returns (bool);
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title InvestorCategories
+ * @dev Investor categories recorded per identity by the identity registry and checked by compliance
+ */
+library InvestorCategories {
+    uint8 internal constant UNCLASSIFIED = 0;
+    uint8 internal constant RETAIL = 1;
+    uint8 internal constant ACCREDITED = 2;
+    uint8 internal constant QUALIFIED_INSTITUTIONAL = 3;
+    uint8 internal constant EMPLOYEE = 4;
+
+    /**
+     * @dev Check if a value is a known investor category
+     * @param _category Investor category
+     * @return True if the category is known
+     */
+    function isValid(uint8 _category) internal pure returns (bool) {
+        return _category <= EMPLOYEE;
+    }
+}
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IIdentityRegistry.sol";
+import "./InvestorCategories.sol";
+
+/**
+ * @title TokenRecovery
+ * @dev Identity registry side of RealEstateToken wallet recovery, linked as an external library
+ */
+library TokenRecovery {
+    /**
+     * @dev Check a recovery and make sure the new wallet is registered to the investor's identity
+     * Registers the new wallet with the lost wallet's country and unlapsed category if it is not registered yet;
+     * called by the token, so the token must be an agent of its identity registry.
+     * @param _identityRegistry Identity registry of the token
+     * @param _lostWallet Wallet the investor lost access to
+     * @param _newWallet New wallet of the investor
+     * @param _investorOnchainID Onchain identity registered for the lost wallet
+     */
+    function registerNewWallet(
+        IIdentityRegistry _identityRegistry,
+        address _lostWallet,
+        address _newWallet,
+        address _investorOnchainID
+    ) external {
+        require(_newWallet != address(0) && _newWallet != _lostWallet, "Invalid new wallet");
+        require(_identityRegistry.identity(_lostWallet) == _investorOnchainID, "Onchain ID mismatch");
+        
+        if (!_identityRegistry.contains(_newWallet)) {
+            _identityRegistry.registerIdentity(
+                _newWallet,
+                _investorOnchainID,
+                _identityRegistry.investorCountry(_lostWallet)
+            );
+            
+            // Carry over a category that has not lapsed
+            uint8 category = _identityRegistry.investorCategory(_lostWallet);
+            if (category != InvestorCategories.UNCLASSIFIED) {
+                _identityRegistry.updateInvestorCategory(
+                    _newWallet,
+                    category,
+                    _identityRegistry.investorCategoryExpiry(_lostWallet)
+                );
+            }
+        } else {
+            require(_identityRegistry.identity(_newWallet) == _investorOnchainID, "New wallet ID mismatch");
+        }
+    }
+}
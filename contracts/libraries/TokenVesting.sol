@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TokenVesting
+ * @dev Lock-up and vesting schedules of RealEstateToken wallets, linked as an external library
+ */
+library TokenVesting {
+    // Lock-up or vesting schedule over part of a wallet's tokens
+    // Nothing is released before the cliff, everything from the end, linearly from the start in between;
+    // a lock-up is a schedule whose cliff and end are both the release date
+    struct VestingSchedule {
+        uint256 amount;
+        uint64 start;
+        uint64 cliff;
+        uint64 end;
+    }
+    
+    // Maximum number of pending schedules per wallet, bounding the cost of every transfer
+    uint256 internal constant MAX_SCHEDULES = 10;
+    
+    /**
+     * @dev Get the amount still locked or unvested under a wallet's schedules
+     * @param _schedules Schedules of the wallet
+     * @return locked Locked amount, not capped at the wallet's balance
+     */
+    function lockedAmount(VestingSchedule[] storage _schedules) external view returns (uint256 locked) {
+        for (uint256 i = 0; i < _schedules.length; i++) {
+            VestingSchedule memory schedule = _schedules[i];
+            if (block.timestamp < schedule.cliff) {
+                locked += schedule.amount;
+            } else if (block.timestamp < schedule.end) {
+                locked += schedule.amount -
+                    (schedule.amount * (block.timestamp - schedule.start)) / (schedule.end - schedule.start);
+            }
+        }
+    }
+    
+    /**
+     * @dev Validate and store a schedule, pruning fully released ones first
+     * @param _schedules Schedules of the wallet
+     * @param _amount Amount of tokens covered
+     * @param _start Time vesting starts
+     * @param _cliff Time before which nothing is released
+     * @param _end Time from which everything is released
+     * @param _unlocked Amount of the wallet's tokens not yet frozen or locked
+     */
+    function addSchedule(
+        VestingSchedule[] storage _schedules,
+        uint256 _amount,
+        uint64 _start,
+        uint64 _cliff,
+        uint64 _end,
+        uint256 _unlocked
+    ) external {
+        require(_amount > 0, "Invalid amount");
+        require(_start <= _cliff && _cliff <= _end, "Invalid vesting schedule");
+        require(_end > block.timestamp, "Schedule already released");
+        
+        for (uint256 i = _schedules.length; i > 0; i--) {
+            if (_schedules[i - 1].end <= block.timestamp) {
+                _schedules[i - 1] = _schedules[_schedules.length - 1];
+                _schedules.pop();
+            }
+        }
+        require(_schedules.length < MAX_SCHEDULES, "Too many vesting schedules");
+        require(_amount <= _unlocked, "Amount exceeds unlocked balance");
+        
+        _schedules.push(VestingSchedule({amount: _amount, start: _start, cliff: _cliff, end: _end}));
+    }
+    
+    /**
+     * @dev Move all schedules of a wallet onto another wallet's
+     * @param _from Schedules to move, left empty
+     * @param _to Schedules to append to
+     */
+    function moveSchedules(VestingSchedule[] storage _from, VestingSchedule[] storage _to) external {
+        for (uint256 i = 0; i < _from.length; i++) {
+            _to.push(_from[i]);
+        }
+        while (_from.length > 0) {
+            _from.pop();
+        }
+    }
+}
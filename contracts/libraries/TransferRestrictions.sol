@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TransferRestrictions
+ * @dev ERC-1404 restriction codes shared by the token, the compliance contracts and the rule modules
+ */
+library TransferRestrictions {
+    uint8 internal constant SUCCESS = 0;
+    uint8 internal constant BLACKLISTED = 1;
+    uint8 internal constant NOT_VERIFIED = 2;
+    uint8 internal constant COUNTRY_RESTRICTED = 3;
+    uint8 internal constant HOLDER_LIMIT = 4;
+    uint8 internal constant BALANCE_LIMIT = 5;
+    uint8 internal constant FROZEN = 6;
+    uint8 internal constant LOCKED = 7;
+    uint8 internal constant VOLUME_LIMIT = 8;
+    uint8 internal constant INSUFFICIENT_BALANCE = 9;
+    uint8 internal constant INVALID_TRANSFER = 10;
+    uint8 internal constant NOT_COMPLIANT = 11;
+    uint8 internal constant CATEGORY_RESTRICTED = 12;
+    uint8 internal constant PROPERTY_INACTIVE = 13;
+
+    /**
+     * @dev Get the human-readable message for a restriction code
+     * @param _code Restriction code
+     * @return The message
+     */
+    function message(uint8 _code) internal pure returns (string memory) {
+        if (_code == SUCCESS) return "No restriction";
+        if (_code == BLACKLISTED) return "Sender or recipient is blacklisted";
+        if (_code == NOT_VERIFIED) return "Sender or recipient is not verified";
+        if (_code == COUNTRY_RESTRICTED) return "Sender or recipient country is restricted";
+        if (_code == HOLDER_LIMIT) return "Maximum number of holders reached";
+        if (_code == BALANCE_LIMIT) return "Exceeds max balance per investor";
+        if (_code == FROZEN) return "Wallet or tokens are frozen";
+        if (_code == LOCKED) return "Tokens are locked";
+        if (_code == VOLUME_LIMIT) return "Transfer volume limit reached";
+        if (_code == INSUFFICIENT_BALANCE) return "Insufficient balance";
+        if (_code == INVALID_TRANSFER) return "Invalid recipient or amount";
+        if (_code == CATEGORY_RESTRICTED) return "Recipient investor category is not eligible";
+        if (_code == PROPERTY_INACTIVE) return "Property is no longer active";
+        return "Transfer not compliant";
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/utils/ContextUpgradeable.sol";
+
+/**
+ * @title ERC2771Recipient
+ * @dev Accepts ERC-2771 calls relayed by a trusted forwarder, which appends the original signer to the calldata.
+ * Unlike OpenZeppelin's ERC2771Context the forwarder is kept in storage so the owner can set it after deployment;
+ * the slot is namespaced (ERC-7201) to leave the storage layout of inheriting proxies untouched.
+ */
+abstract contract ERC2771Recipient is ContextUpgradeable {
+
+    /// @custom:storage-location erc7201:realestate.storage.ERC2771Recipient
+    struct ERC2771RecipientStorage {
+        address trustedForwarder;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("realestate.storage.ERC2771Recipient")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant ERC2771_RECIPIENT_STORAGE =
+        0xa3c84b10b9e6d49539a4ebb0c78714e0425a67e1d1e3adc5fe6ea008667f5200;
+
+    // Events
+    event TrustedForwarderSet(address indexed _forwarder);
+
+    /**
+     * @dev Get the forwarder whose calls are attributed to the signer they carry
+     * @return The trusted forwarder (address(0) = none)
+     */
+    function trustedForwarder() public view returns (address) {
+        return _getERC2771RecipientStorage().trustedForwarder;
+    }
+
+    /**
+     * @dev Check if an address is the trusted forwarder
+     * @param _forwarder Address to check
+     * @return True if calls from the address are relayed calls
+     */
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder();
+    }
+
+    /**
+     * @dev Set the trusted forwarder (address(0) stops accepting relayed calls)
+     */
+    function _setTrustedForwarder(address _forwarder) internal {
+        _getERC2771RecipientStorage().trustedForwarder = _forwarder;
+        emit TrustedForwarderSet(_forwarder);
+    }
+
+    /**
+     * @dev The signer appended by the trusted forwarder, otherwise msg.sender
+     */
+    function _msgSender() internal view virtual override returns (address) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev The calldata without the signer appended by the trusted forwarder, otherwise msg.data
+     */
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    /**
+     * @dev ERC-2771 context is a single address
+     */
+    function _contextSuffixLength() internal view virtual override returns (uint256) {
+        return 20;
+    }
+
+    function _getERC2771RecipientStorage() private pure returns (ERC2771RecipientStorage storage $) {
+        assembly {
+            $.slot := ERC2771_RECIPIENT_STORAGE
+        }
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title Forwarder
+ * @dev ERC-2771 forwarder that relays EIP-712 signed requests to RealEstateToken and LeaseManager,
+ * so investors without ETH can act through a relayer (see scripts/relayer.js)
+ */
+contract Forwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("Forwarder") {}
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IModule.sol";
+import "../interfaces/IModularCompliance.sol";
+import "../interfaces/IERC3643.sol";
+import "../libraries/TransferRestrictions.sol";
+
+/**
+ * @title AbstractModule
+ * @dev Binding and access control shared by compliance rule modules
+ * Settings are written through ModularCompliance.callModuleFunction, so msg.sender is the compliance
+ * contract whose settings change.
+ */
+abstract contract AbstractModule is IModule {
+
+    // Compliance contracts using this module
+    mapping(address => bool) private _complianceBound;
+
+    modifier onlyComplianceCall() {
+        require(_complianceBound[msg.sender], "Only bound compliance");
+        _;
+    }
+
+    /**
+     * @dev Bind a compliance contract (called by the compliance itself)
+     * @param _compliance The compliance address
+     */
+    function bindCompliance(address _compliance) external override {
+        require(_compliance != address(0), "Invalid compliance address");
+        require(msg.sender == _compliance, "Only compliance can bind");
+        require(!_complianceBound[_compliance], "Compliance already bound");
+
+        _complianceBound[_compliance] = true;
+        emit ComplianceBound(_compliance);
+    }
+
+    /**
+     * @dev Unbind a compliance contract (called by the compliance itself)
+     * @param _compliance The compliance address
+     */
+    function unbindCompliance(address _compliance) external override onlyComplianceCall {
+        require(msg.sender == _compliance, "Only compliance can unbind");
+
+        delete _complianceBound[_compliance];
+        emit ComplianceUnbound(_compliance);
+    }
+
+    /**
+     * @dev Check if a compliance contract is bound
+     * @param _compliance The compliance address
+     * @return True if the compliance uses this module
+     */
+    function isComplianceBound(address _compliance) external view override returns (bool) {
+        return _complianceBound[_compliance];
+    }
+
+    /**
+     * @dev Update state after a transfer; stateless modules keep this no-op
+     */
+    function moduleTransferAction(address, address, uint256) external virtual override onlyComplianceCall {}
+
+    /**
+     * @dev Update state after a mint; stateless modules keep this no-op
+     */
+    function moduleMintAction(address, uint256) external virtual override onlyComplianceCall {}
+
+    /**
+     * @dev Update state after a burn; stateless modules keep this no-op
+     */
+    function moduleBurnAction(address, uint256) external virtual override onlyComplianceCall {}
+
+    /**
+     * @dev Get the token bound to a compliance contract
+     */
+    function _tokenOf(address _compliance) internal view returns (IERC3643) {
+        return IERC3643(IModularCompliance(_compliance).getTokenBound());
+    }
+}
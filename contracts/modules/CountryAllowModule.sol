@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./AbstractModule.sol";
+
+/**
+ * @title CountryAllowModule
+ * @dev Only lets investors in allowed countries receive the token (allowlist)
+ */
+contract CountryAllowModule is AbstractModule {
+
+    // Allowed countries (ISO 3166-1 numeric), per compliance
+    mapping(address => mapping(uint16 => bool)) private _allowedCountries;
+
+    // Events
+    event CountryAllowed(address indexed _compliance, uint16 _country);
+    event CountryUnallowed(address indexed _compliance, uint16 _country);
+
+    /**
+     * @dev Allow a country for the calling compliance
+     * @param _country Country code (ISO 3166-1 numeric)
+     */
+    function addAllowedCountry(uint16 _country) external onlyComplianceCall {
+        _allow(_country);
+    }
+
+    /**
+     * @dev Allow several countries for the calling compliance
+     * @param _countries Country codes (ISO 3166-1 numeric)
+     */
+    function batchAllowCountries(uint16[] calldata _countries) external onlyComplianceCall {
+        for (uint256 i = 0; i < _countries.length; i++) {
+            _allow(_countries[i]);
+        }
+    }
+
+    /**
+     * @dev Stop allowing a country for the calling compliance
+     * @param _country Country code
+     */
+    function removeAllowedCountry(uint16 _country) external onlyComplianceCall {
+        require(_allowedCountries[msg.sender][_country], "Country not allowed");
+
+        delete _allowedCountries[msg.sender][_country];
+        emit CountryUnallowed(msg.sender, _country);
+    }
+
+    /**
+     * @dev Check if a country is allowed for a compliance
+     * @param _compliance Compliance contract
+     * @param _country Country code
+     * @return True if the country is allowed
+     */
+    function isCountryAllowed(address _compliance, uint16 _country) external view returns (bool) {
+        return _allowedCountries[_compliance][_country];
+    }
+
+    /**
+     * @dev Check that the recipient is in an allowed country
+     * @param _to Recipient address
+     * @param _compliance Compliance contract asking
+     * @return True if the transfer is allowed
+     */
+    function moduleCheck(
+        address,
+        address _to,
+        uint256,
+        address _compliance
+    ) external view override returns (bool) {
+        uint16 country = _tokenOf(_compliance).identityRegistry().investorCountry(_to);
+        return _allowedCountries[_compliance][country];
+    }
+
+    /**
+     * @dev Get the module name
+     * @return The module name
+     */
+    function name() external pure override returns (string memory) {
+        return "CountryAllowModule";
+    }
+
+    /**
+     * @dev Get the restriction code reported when this module rejects a transfer
+     * @return The ERC-1404 restriction code
+     */
+    function restrictionCode() external pure override returns (uint8) {
+        return TransferRestrictions.COUNTRY_RESTRICTED;
+    }
+
+    /**
+     * @dev Validate and store an allowed country
+     */
+    function _allow(uint16 _country) internal {
+        require(_country > 0, "Invalid country code");
+        require(!_allowedCountries[msg.sender][_country], "Country already allowed");
+
+        _allowedCountries[msg.sender][_country] = true;
+        emit CountryAllowed(msg.sender, _country);
+    }
+}
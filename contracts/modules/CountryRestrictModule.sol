@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./AbstractModule.sol";
+
+/**
+ * @title CountryRestrictModule
+ * @dev Blocks transfers to and from investors in restricted countries (denylist)
+ */
+contract CountryRestrictModule is AbstractModule {
+
+    // Restricted countries (ISO 3166-1 numeric), per compliance
+    mapping(address => mapping(uint16 => bool)) private _restrictedCountries;
+
+    // Events
+    event CountryRestricted(address indexed _compliance, uint16 _country);
+    event CountryUnrestricted(address indexed _compliance, uint16 _country);
+
+    /**
+     * @dev Restrict a country for the calling compliance
+     * @param _country Country code (ISO 3166-1 numeric)
+     */
+    function addCountryRestriction(uint16 _country) external onlyComplianceCall {
+        _restrict(_country);
+    }
+
+    /**
+     * @dev Restrict several countries for the calling compliance
+     * @param _countries Country codes (ISO 3166-1 numeric)
+     */
+    function batchRestrictCountries(uint16[] calldata _countries) external onlyComplianceCall {
+        for (uint256 i = 0; i < _countries.length; i++) {
+            _restrict(_countries[i]);
+        }
+    }
+
+    /**
+     * @dev Lift a country restriction for the calling compliance
+     * @param _country Country code
+     */
+    function removeCountryRestriction(uint16 _country) external onlyComplianceCall {
+        require(_restrictedCountries[msg.sender][_country], "Country not restricted");
+
+        delete _restrictedCountries[msg.sender][_country];
+        emit CountryUnrestricted(msg.sender, _country);
+    }
+
+    /**
+     * @dev Check if a country is restricted for a compliance
+     * @param _compliance Compliance contract
+     * @param _country Country code
+     * @return True if the country is restricted
+     */
+    function isCountryRestricted(address _compliance, uint16 _country) external view returns (bool) {
+        return _restrictedCountries[_compliance][_country];
+    }
+
+    /**
+     * @dev Check that neither side is in a restricted country
+     * @param _from Sender address (address(0) for minting)
+     * @param _to Recipient address
+     * @param _compliance Compliance contract asking
+     * @return True if the transfer is allowed
+     */
+    function moduleCheck(
+        address _from,
+        address _to,
+        uint256,
+        address _compliance
+    ) external view override returns (bool) {
+        IIdentityRegistry registry = _tokenOf(_compliance).identityRegistry();
+        if (_restrictedCountries[_compliance][registry.investorCountry(_to)]) {
+            return false;
+        }
+        return _from == address(0) || !_restrictedCountries[_compliance][registry.investorCountry(_from)];
+    }
+
+    /**
+     * @dev Get the module name
+     * @return The module name
+     */
+    function name() external pure override returns (string memory) {
+        return "CountryRestrictModule";
+    }
+
+    /**
+     * @dev Get the restriction code reported when this module rejects a transfer
+     * @return The ERC-1404 restriction code
+     */
+    function restrictionCode() external pure override returns (uint8) {
+        return TransferRestrictions.COUNTRY_RESTRICTED;
+    }
+
+    /**
+     * @dev Validate and store a restriction
+     */
+    function _restrict(uint16 _country) internal {
+        require(_country > 0, "Invalid country code");
+        require(!_restrictedCountries[msg.sender][_country], "Country already restricted");
+
+        _restrictedCountries[msg.sender][_country] = true;
+        emit CountryRestricted(msg.sender, _country);
+    }
+}
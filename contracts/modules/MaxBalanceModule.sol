@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./AbstractModule.sol";
+
+/**
+ * @title MaxBalanceModule
+ * @dev Caps the token balance an investor may reach, counted across all wallets linked to its identity
+ * Balances are tallied from the token's balance change hooks, so the module must be bound before
+ * any tokens are minted.
+ */
+contract MaxBalanceModule is AbstractModule {
+
+    // Maximum balance per investor, per compliance (0 = no limit)
+    mapping(address => uint256) public maxBalance;
+
+    // Investor balances per compliance, keyed by onchain identity
+    mapping(address => mapping(address => uint256)) private _investorBalances;
+
+    // Events
+    event MaxBalanceSet(address indexed _compliance, uint256 _maxBalance);
+
+    /**
+     * @dev Set the maximum balance for the calling compliance
+     * @param _maxBalance Maximum balance (0 = no limit)
+     */
+    function setMaxBalance(uint256 _maxBalance) external onlyComplianceCall {
+        maxBalance[msg.sender] = _maxBalance;
+        emit MaxBalanceSet(msg.sender, _maxBalance);
+    }
+
+    /**
+     * @dev Get the balance an investor holds across all wallets linked to its identity
+     * @param _compliance Compliance contract
+     * @param _wallet Any wallet of the investor
+     * @return Combined token balance
+     */
+    function investorBalance(address _compliance, address _wallet) external view returns (uint256) {
+        return _investorBalances[_compliance][_investorOf(_compliance, _wallet)];
+    }
+
+    /**
+     * @dev Check that the recipient's investor stays within the maximum balance
+     * @param _from Sender address
+     * @param _to Recipient address
+     * @param _amount Transfer amount
+     * @param _compliance Compliance contract asking
+     * @return True if the transfer is allowed
+     */
+    function moduleCheck(
+        address _from,
+        address _to,
+        uint256 _amount,
+        address _compliance
+    ) external view override returns (bool) {
+        uint256 limit = maxBalance[_compliance];
+        if (limit == 0) {
+            return true;
+        }
+
+        address toInvestor = _investorOf(_compliance, _to);
+        if (_from != address(0) && _investorOf(_compliance, _from) == toInvestor) {
+            return true;
+        }
+        return _investorBalances[_compliance][toInvestor] + _amount <= limit;
+    }
+
+    /**
+     * @dev Move the amount between the investors' tallies
+     */
+    function moduleTransferAction(address _from, address _to, uint256 _amount) external override onlyComplianceCall {
+        address fromInvestor = _investorOf(msg.sender, _from);
+        address toInvestor = _investorOf(msg.sender, _to);
+        if (fromInvestor != toInvestor) {
+            _decrease(fromInvestor, _amount);
+            _increase(toInvestor, _amount);
+        }
+    }
+
+    /**
+     * @dev Add minted tokens to the recipient's tally
+     */
+    function moduleMintAction(address _to, uint256 _amount) external override onlyComplianceCall {
+        _increase(_investorOf(msg.sender, _to), _amount);
+    }
+
+    /**
+     * @dev Remove burned tokens from the holder's tally
+     */
+    function moduleBurnAction(address _from, uint256 _amount) external override onlyComplianceCall {
+        _decrease(_investorOf(msg.sender, _from), _amount);
+    }
+
+    /**
+     * @dev Get the module name
+     * @return The module name
+     */
+    function name() external pure override returns (string memory) {
+        return "MaxBalanceModule";
+    }
+
+    /**
+     * @dev Get the restriction code reported when this module rejects a transfer
+     * @return The ERC-1404 restriction code
+     */
+    function restrictionCode() external pure override returns (uint8) {
+        return TransferRestrictions.BALANCE_LIMIT;
+    }
+
+    /**
+     * @dev Add to a tally; reverts above the maximum, which also covers forced transfers that skip checks
+     */
+    function _increase(address _investor, uint256 _amount) internal {
+        uint256 balance = _investorBalances[msg.sender][_investor] + _amount;
+        uint256 limit = maxBalance[msg.sender];
+        require(limit == 0 || balance <= limit, "Exceeds max balance per investor");
+        _investorBalances[msg.sender][_investor] = balance;
+    }
+
+    /**
+     * @dev Subtract from a tally (balances held before the module was bound are not in it)
+     */
+    function _decrease(address _investor, uint256 _amount) internal {
+        uint256 balance = _investorBalances[msg.sender][_investor];
+        _investorBalances[msg.sender][_investor] = balance > _amount ? balance - _amount : 0;
+    }
+
+    /**
+     * @dev Key investor balances by onchain identity, falling back to the wallet when unregistered
+     */
+    function _investorOf(address _compliance, address _wallet) internal view returns (address) {
+        address onchainId = _tokenOf(_compliance).identityRegistry().identity(_wallet);
+        return onchainId == address(0) ? _wallet : onchainId;
+    }
+}
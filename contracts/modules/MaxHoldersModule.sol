@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./AbstractModule.sol";
+
+/**
+ * @title MaxHoldersModule
+ * @dev Caps the number of wallets holding the token
+ * Holders are counted from the token's balance change hooks, so wallets already holding tokens when
+ * the module is bound are not counted.
+ */
+contract MaxHoldersModule is AbstractModule {
+
+    // Maximum number of holders, per compliance (0 = no limit)
+    mapping(address => uint256) public maxHolders;
+
+    // Current number of holders, per compliance
+    mapping(address => uint256) public holderCount;
+
+    // Events
+    event MaxHoldersSet(address indexed _compliance, uint256 _maxHolders);
+
+    /**
+     * @dev Set the maximum number of holders for the calling compliance
+     * @param _maxHolders Maximum holders (0 = no limit)
+     */
+    function setMaxHolders(uint256 _maxHolders) external onlyComplianceCall {
+        maxHolders[msg.sender] = _maxHolders;
+        emit MaxHoldersSet(msg.sender, _maxHolders);
+    }
+
+    /**
+     * @dev Check that a new holder fits under the cap
+     * @param _from Sender address
+     * @param _to Recipient address
+     * @param _amount Transfer amount
+     * @param _compliance Compliance contract asking
+     * @return True if the transfer is allowed
+     */
+    function moduleCheck(
+        address _from,
+        address _to,
+        uint256 _amount,
+        address _compliance
+    ) external view override returns (bool) {
+        uint256 limit = maxHolders[_compliance];
+        if (limit == 0 || _amount == 0 || _from == _to) {
+            return true;
+        }
+
+        IERC3643 token = _tokenOf(_compliance);
+        if (token.balanceOf(_to) > 0) {
+            return true;
+        }
+
+        // A sender moving its whole balance frees its slot for the recipient
+        uint256 holders = holderCount[_compliance];
+        if (_from != address(0) && token.balanceOf(_from) == _amount && holders > 0) {
+            holders--;
+        }
+        return holders < limit;
+    }
+
+    /**
+     * @dev Count the recipient in and an emptied sender out
+     */
+    function moduleTransferAction(address _from, address _to, uint256 _amount) external override onlyComplianceCall {
+        if (_amount == 0 || _from == _to) {
+            return;
+        }
+        _countIn(_to, _amount);
+        _countOut(_from);
+    }
+
+    /**
+     * @dev Count the recipient in
+     */
+    function moduleMintAction(address _to, uint256 _amount) external override onlyComplianceCall {
+        if (_amount > 0) {
+            _countIn(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Count an emptied holder out
+     */
+    function moduleBurnAction(address _from, uint256 _amount) external override onlyComplianceCall {
+        if (_amount > 0) {
+            _countOut(_from);
+        }
+    }
+
+    /**
+     * @dev Get the module name
+     * @return The module name
+     */
+    function name() external pure override returns (string memory) {
+        return "MaxHoldersModule";
+    }
+
+    /**
+     * @dev Get the restriction code reported when this module rejects a transfer
+     * @return The ERC-1404 restriction code
+     */
+    function restrictionCode() external pure override returns (uint8) {
+        return TransferRestrictions.HOLDER_LIMIT;
+    }
+
+    /**
+     * @dev Hooks run after the balance change: a wallet whose balance equals the amount received was empty
+     */
+    function _countIn(address _to, uint256 _amount) internal {
+        if (_tokenOf(msg.sender).balanceOf(_to) == _amount) {
+            holderCount[msg.sender]++;
+        }
+    }
+
+    /**
+     * @dev Stop counting a wallet left with no balance (holders from before binding were never counted)
+     */
+    function _countOut(address _from) internal {
+        if (_tokenOf(msg.sender).balanceOf(_from) == 0 && holderCount[msg.sender] > 0) {
+            holderCount[msg.sender]--;
+        }
+    }
+}
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./AbstractModule.sol";
+
+/**
+ * @title TimeLockModule
+ * @dev Blocks transfers between holders until a release date; minting stays possible
+ */
+contract TimeLockModule is AbstractModule {
+
+    // Timestamp until which transfers are locked, per compliance (0 = unlocked)
+    mapping(address => uint256) public lockedUntil;
+
+    // Events
+    event LockedUntilSet(address indexed _compliance, uint256 _lockedUntil);
+
+    /**
+     * @dev Set the release date for the calling compliance
+     * @param _lockedUntil Timestamp until which transfers are locked (0 = unlocked)
+     */
+    function setLockedUntil(uint256 _lockedUntil) external onlyComplianceCall {
+        lockedUntil[msg.sender] = _lockedUntil;
+        emit LockedUntilSet(msg.sender, _lockedUntil);
+    }
+
+    /**
+     * @dev Check that holder transfers are released
+     * @param _from Sender address (address(0) for minting)
+     * @param _compliance Compliance contract asking
+     * @return True if the transfer is allowed
+     */
+    function moduleCheck(
+        address _from,
+        address,
+        uint256,
+        address _compliance
+    ) external view override returns (bool) {
+        return _from == address(0) || block.timestamp >= lockedUntil[_compliance];
+    }
+
+    /**
+     * @dev Get the module name
+     * @return The module name
+     */
+    function name() external pure override returns (string memory) {
+        return "TimeLockModule";
+    }
+
+    /**
+     * @dev Get the restriction code reported when this module rejects a transfer
+     * @return The ERC-1404 restriction code
+     */
+    function restrictionCode() external pure override returns (uint8) {
+        return TransferRestrictions.LOCKED;
+    }
+}
@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./AbstractModule.sol";
+
+/**
+ * @title VolumeLimitModule
+ * @dev Caps how many tokens a wallet can transfer out within a time window
+ * Windows are fixed: a wallet's window starts with its first transfer after the previous one ended.
+ */
+contract VolumeLimitModule is AbstractModule {
+
+    // Volume limit settings of a compliance contract
+    struct VolumeLimit {
+        uint256 windowLength;
+        uint256 maxVolume;
+    }
+
+    // Transfers made by a wallet in its current window
+    struct VolumeCounter {
+        uint256 windowStart;
+        uint256 volume;
+    }
+
+    // Limit per compliance (maxVolume 0 = no limit)
+    mapping(address => VolumeLimit) public volumeLimits;
+
+    // Counters per compliance and wallet
+    mapping(address => mapping(address => VolumeCounter)) private _counters;
+
+    // Events
+    event VolumeLimitSet(address indexed _compliance, uint256 _windowLength, uint256 _maxVolume);
+
+    /**
+     * @dev Set the volume limit for the calling compliance
+     * @param _windowLength Window length in seconds
+     * @param _maxVolume Maximum volume per window (0 = no limit)
+     */
+    function setVolumeLimit(uint256 _windowLength, uint256 _maxVolume) external onlyComplianceCall {
+        require(_windowLength > 0, "Invalid window length");
+
+        volumeLimits[msg.sender] = VolumeLimit({windowLength: _windowLength, maxVolume: _maxVolume});
+        emit VolumeLimitSet(msg.sender, _windowLength, _maxVolume);
+    }
+
+    /**
+     * @dev Get the volume a wallet has transferred in its current window
+     * @param _compliance Compliance contract
+     * @param _wallet Wallet address
+     * @return Volume transferred in the current window
+     */
+    function currentVolume(address _compliance, address _wallet) public view returns (uint256) {
+        VolumeCounter storage counter = _counters[_compliance][_wallet];
+        if (block.timestamp >= counter.windowStart + volumeLimits[_compliance].windowLength) {
+            return 0;
+        }
+        return counter.volume;
+    }
+
+    /**
+     * @dev Check that the sender stays within its volume limit
+     * @param _from Sender address (address(0) for minting)
+     * @param _amount Transfer amount
+     * @param _compliance Compliance contract asking
+     * @return True if the transfer is allowed
+     */
+    function moduleCheck(
+        address _from,
+        address,
+        uint256 _amount,
+        address _compliance
+    ) external view override returns (bool) {
+        uint256 maxVolume = volumeLimits[_compliance].maxVolume;
+        if (_from == address(0) || maxVolume == 0) {
+            return true;
+        }
+        return currentVolume(_compliance, _from) + _amount <= maxVolume;
+    }
+
+    /**
+     * @dev Add a transfer to the sender's counter, starting a new window if the last one ended
+     */
+    function moduleTransferAction(address _from, address, uint256 _amount) external override onlyComplianceCall {
+        VolumeCounter storage counter = _counters[msg.sender][_from];
+        if (block.timestamp >= counter.windowStart + volumeLimits[msg.sender].windowLength) {
+            counter.windowStart = block.timestamp;
+            counter.volume = 0;
+        }
+        counter.volume += _amount;
+    }
+
+    /**
+     * @dev Get the module name
+     * @return The module name
+     */
+    function name() external pure override returns (string memory) {
+        return "VolumeLimitModule";
+    }
+
+    /**
+     * @dev Get the restriction code reported when this module rejects a transfer
+     * @return The ERC-1404 restriction code
+     */
+    function restrictionCode() external pure override returns (uint8) {
+        return TransferRestrictions.VOLUME_LIMIT;
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ClaimTopicsRegistry.sol";
+
+/**
+ * @title ClaimTopicsRegistryUpgradeable
+ * @dev ClaimTopicsRegistry implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract ClaimTopicsRegistryUpgradeable is ClaimTopicsRegistryBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy with the caller as owner
+     */
+    function initialize() external initializer {
+        __ClaimTopicsRegistry_init();
+    }
+}
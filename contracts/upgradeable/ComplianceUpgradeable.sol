@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.sol";
+import "../Compliance.sol";
+
+/**
+ * @title ComplianceUpgradeable
+ * @dev Compliance implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract ComplianceUpgradeable is ComplianceBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy with the caller as owner
+     * New proxies start at version 2, so initializeV2 only ever runs on proxies upgraded from version 1.
+     * @param _identityRegistry Identity registry address
+     */
+    function initialize(address _identityRegistry) external reinitializer(2) {
+        __Compliance_init(_identityRegistry);
+    }
+    
+    /**
+     * @dev Upgrade a proxy deployed before token binding, whose hooks would otherwise reject the token:
+     * bind the token and tally the balances already held (proxy admin through upgradeAndCall, or owner)
+     * @param _token Token the compliance contract serves
+     * @param _wallets Wallets holding the token
+     */
+    function initializeV2(address _token, address[] calldata _wallets) external reinitializer(2) {
+        require(msg.sender == ERC1967Utils.getAdmin() || msg.sender == owner(), "Not authorized");
+        __Compliance_bindExistingToken(_token, _wallets);
+    }
+}
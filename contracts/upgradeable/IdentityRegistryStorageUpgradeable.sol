@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../IdentityRegistryStorage.sol";
+
+/**
+ * @title IdentityRegistryStorageUpgradeable
+ * @dev IdentityRegistryStorage implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract IdentityRegistryStorageUpgradeable is IdentityRegistryStorageBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy with the caller as owner
+     */
+    function initialize() external initializer {
+        __IdentityRegistryStorage_init();
+    }
+}
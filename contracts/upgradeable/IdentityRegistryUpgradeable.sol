@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../IdentityRegistry.sol";
+
+/**
+ * @title IdentityRegistryUpgradeable
+ * @dev IdentityRegistry implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract IdentityRegistryUpgradeable is IdentityRegistryBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy with the caller as owner
+     * @param _identityStorageAddress Identity storage shared with other registries
+     */
+    function initialize(address _identityStorageAddress) external initializer {
+        __IdentityRegistry_init(_identityStorageAddress);
+    }
+}
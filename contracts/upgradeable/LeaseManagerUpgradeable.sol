@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LeaseManager.sol";
+
+/**
+ * @title LeaseManagerUpgradeable
+ * @dev LeaseManager implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract LeaseManagerUpgradeable is LeaseManagerBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy with the caller as owner
+     * @param _paymentToken Token rent and deposits are paid in
+     */
+    function initialize(address _paymentToken) external initializer {
+        __LeaseManager_init(_paymentToken);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ModularCompliance.sol";
+
+/**
+ * @title ModularComplianceUpgradeable
+ * @dev ModularCompliance implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract ModularComplianceUpgradeable is ModularComplianceBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy with the caller as owner
+     */
+    function initialize() external initializer {
+        __ModularCompliance_init();
+    }
+}
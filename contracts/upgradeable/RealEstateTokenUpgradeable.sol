@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../RealEstateToken.sol";
+
+/**
+ * @title RealEstateTokenUpgradeable
+ * @dev RealEstateToken implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract RealEstateTokenUpgradeable is RealEstateTokenBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy; the caller becomes owner, agent and compliance officer
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _decimals Token decimals
+     * @param _identityRegistry Identity registry address
+     * @param _compliance Compliance contract address
+     * @param _propertyInfo Property details
+     */
+    function initialize(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals,
+        address _identityRegistry,
+        address _compliance,
+        PropertyInfo memory _propertyInfo
+    ) external initializer {
+        __RealEstateToken_init(_name, _symbol, _decimals, _identityRegistry, _compliance, _propertyInfo);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../TrustedIssuersRegistry.sol";
+
+/**
+ * @title TrustedIssuersRegistryUpgradeable
+ * @dev TrustedIssuersRegistry implementation for deployment behind a TransparentUpgradeableProxy
+ */
+contract TrustedIssuersRegistryUpgradeable is TrustedIssuersRegistryBase {
+    
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Initialize the proxy with the caller as owner
+     */
+    function initialize() external initializer {
+        __TrustedIssuersRegistry_init();
+    }
+}
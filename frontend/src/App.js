@@ -7,9 +7,11 @@ import { Web3Provider } from './context/Web3ContextSepolia';
 import Navbar from './components/Navbar';
 import Dashboard from './pages/Dashboard';
 import TokenManagement from './pages/TokenManagement';
+import Market from './pages/Market';
 import LeaseManagement from './pages/LeaseManagement';
 import ComplianceManagement from './pages/ComplianceManagement';
 import PropertyDetails from './pages/PropertyDetails';
+import Governance from './pages/Governance';
 
 function App() {
   return (
@@ -21,9 +23,11 @@ function App() {
             <Routes>
               <Route path="/" element={<Dashboard />} />
               <Route path="/tokens" element={<TokenManagement />} />
+              <Route path="/market" element={<Market />} />
               <Route path="/leases" element={<LeaseManagement />} />
               <Route path="/compliance" element={<ComplianceManagement />} />
               <Route path="/property" element={<PropertyDetails />} />
+              <Route path="/governance" element={<Governance />} />
             </Routes>
           </main>
           <ToastContainer
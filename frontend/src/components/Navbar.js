@@ -58,6 +58,18 @@ const Navbar = () => {
               Tokens
             </Link>
             
+            <Link
+              to="/market"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/market') 
+                  ? 'bg-primary text-white' 
+                  : 'text-gray-700 hover:text-primary hover:bg-gray-100'
+              }`}
+            >
+              <i className="fas fa-store mr-2"></i>
+              Market
+            </Link>
+            
             <Link
               to="/leases"
               className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -93,6 +105,18 @@ const Navbar = () => {
               <i className="fas fa-home mr-2"></i>
               Property
             </Link>
+            
+            <Link
+              to="/governance"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/governance') 
+                  ? 'bg-primary text-white' 
+                  : 'text-gray-700 hover:text-primary hover:bg-gray-100'
+              }`}
+            >
+              <i className="fas fa-landmark mr-2"></i>
+              Governance
+            </Link>
           </div>
 
           {/* Wallet Connection */}
@@ -189,6 +213,16 @@ const Navbar = () => {
             >
               Tokens
             </Link>
+            <Link
+              to="/market"
+              className={`px-3 py-1 rounded-md text-xs font-medium ${
+                isActive('/market') 
+                  ? 'bg-primary text-white' 
+                  : 'text-gray-700 hover:text-primary'
+              }`}
+            >
+              Market
+            </Link>
             <Link
               to="/leases"
               className={`px-3 py-1 rounded-md text-xs font-medium ${
@@ -219,6 +253,16 @@ const Navbar = () => {
             >
               Property
             </Link>
+            <Link
+              to="/governance"
+              className={`px-3 py-1 rounded-md text-xs font-medium ${
+                isActive('/governance') 
+                  ? 'bg-primary text-white' 
+                  : 'text-gray-700 hover:text-primary'
+              }`}
+            >
+              Governance
+            </Link>
           </div>
         </div>
       </div>
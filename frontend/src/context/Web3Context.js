@@ -9,9 +9,20 @@ import IdentityRegistryABI from '../contracts/IdentityRegistry.json';
 import ComplianceABI from '../contracts/Compliance.json';
 import LeaseManagerABI from '../contracts/LeaseManager.json';
 import MockERC20ABI from '../contracts/MockERC20.json';
+import PropertyFactoryABI from '../contracts/PropertyFactory.json';
+import RentDistributorABI from '../contracts/RentDistributor.json';
+import ClaimTopicsRegistryABI from '../contracts/ClaimTopicsRegistry.json';
+import TrustedIssuersRegistryABI from '../contracts/TrustedIssuersRegistry.json';
+import OfferingABI from '../contracts/Offering.json';
+import SecondaryMarketABI from '../contracts/SecondaryMarket.json';
+import ValuationOracleABI from '../contracts/ValuationOracle.json';
+import PropertyGovernorABI from '../contracts/PropertyGovernor.json';
+import PropertySaleABI from '../contracts/PropertySale.json';
 
 const Web3Context = createContext();
 
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
 export const useWeb3 = () => {
   const context = useContext(Web3Context);
   if (!context) {
@@ -27,6 +38,8 @@ export const Web3Provider = ({ children }) => {
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [contracts, setContracts] = useState({});
+  const [properties, setProperties] = useState([]);
+  const [selectedProperty, setSelectedProperty] = useState(null);
   const [balances, setBalances] = useState({
     eth: '0',
     tokens: '0',
@@ -50,7 +63,8 @@ export const Web3Provider = ({ children }) => {
       setWeb3(web3Instance);
 
       // Initialize contracts with error handling
-      let realEstateToken, identityRegistry, compliance, leaseManager, mockUSDC;
+      let realEstateToken, identityRegistry, compliance, leaseManager, mockUSDC, propertyFactory, rentDistributor,
+        claimTopicsRegistry, trustedIssuersRegistry, offering, secondaryMarket, valuationOracle, governor, propertySale;
       
       try {
         realEstateToken = new web3Instance.eth.Contract(
@@ -102,12 +116,127 @@ export const Web3Provider = ({ children }) => {
         console.error('❌ Error initializing MockUSDC:', error);
       }
 
+      // Property factory is optional; without it the static token address is used
+      if (contractAddresses.propertyFactory && contractAddresses.propertyFactory !== ZERO_ADDRESS) {
+        try {
+          propertyFactory = new web3Instance.eth.Contract(
+            PropertyFactoryABI.abi,
+            contractAddresses.propertyFactory
+          );
+          console.log('✅ PropertyFactory contract initialized');
+        } catch (error) {
+          console.error('❌ Error initializing PropertyFactory:', error);
+        }
+      }
+
+      if (contractAddresses.rentDistributor && contractAddresses.rentDistributor !== ZERO_ADDRESS) {
+        try {
+          rentDistributor = new web3Instance.eth.Contract(
+            RentDistributorABI.abi,
+            contractAddresses.rentDistributor
+          );
+          console.log('✅ RentDistributor contract initialized');
+        } catch (error) {
+          console.error('❌ Error initializing RentDistributor:', error);
+        }
+      }
+
+      // Claim registries are optional; without them the registry verifies on registration alone
+      if (contractAddresses.claimTopicsRegistry && contractAddresses.claimTopicsRegistry !== ZERO_ADDRESS) {
+        try {
+          claimTopicsRegistry = new web3Instance.eth.Contract(
+            ClaimTopicsRegistryABI.abi,
+            contractAddresses.claimTopicsRegistry
+          );
+          trustedIssuersRegistry = new web3Instance.eth.Contract(
+            TrustedIssuersRegistryABI.abi,
+            contractAddresses.trustedIssuersRegistry
+          );
+          console.log('✅ Claim registries initialized');
+        } catch (error) {
+          console.error('❌ Error initializing claim registries:', error);
+        }
+      }
+
+      // Primary offering of the first property, if one is running
+      if (contractAddresses.offering && contractAddresses.offering !== ZERO_ADDRESS) {
+        try {
+          offering = new web3Instance.eth.Contract(
+            OfferingABI.abi,
+            contractAddresses.offering
+          );
+          console.log('✅ Offering contract initialized');
+        } catch (error) {
+          console.error('❌ Error initializing Offering:', error);
+        }
+      }
+
+      if (contractAddresses.secondaryMarket && contractAddresses.secondaryMarket !== ZERO_ADDRESS) {
+        try {
+          secondaryMarket = new web3Instance.eth.Contract(
+            SecondaryMarketABI.abi,
+            contractAddresses.secondaryMarket
+          );
+          console.log('✅ SecondaryMarket contract initialized');
+        } catch (error) {
+          console.error('❌ Error initializing SecondaryMarket:', error);
+        }
+      }
+
+      // Appraisal history and NAV of the property tokens
+      if (contractAddresses.valuationOracle && contractAddresses.valuationOracle !== ZERO_ADDRESS) {
+        try {
+          valuationOracle = new web3Instance.eth.Contract(
+            ValuationOracleABI.abi,
+            contractAddresses.valuationOracle
+          );
+          console.log('✅ ValuationOracle contract initialized');
+        } catch (error) {
+          console.error('❌ Error initializing ValuationOracle:', error);
+        }
+      }
+
+      // Holder governance of the first property
+      if (contractAddresses.governor && contractAddresses.governor !== ZERO_ADDRESS) {
+        try {
+          governor = new web3Instance.eth.Contract(
+            PropertyGovernorABI.abi,
+            contractAddresses.governor
+          );
+          console.log('✅ PropertyGovernor contract initialized');
+        } catch (error) {
+          console.error('❌ Error initializing PropertyGovernor:', error);
+        }
+      }
+
+      // Sale proceeds of wound-down properties
+      if (contractAddresses.propertySale && contractAddresses.propertySale !== ZERO_ADDRESS) {
+        try {
+          propertySale = new web3Instance.eth.Contract(
+            PropertySaleABI.abi,
+            contractAddresses.propertySale
+          );
+          console.log('✅ PropertySale contract initialized');
+        } catch (error) {
+          console.error('❌ Error initializing PropertySale:', error);
+        }
+      }
+
       setContracts({
         realEstateToken,
         identityRegistry,
         compliance,
         leaseManager,
-        mockUSDC
+        mockUSDC,
+        propertyFactory,
+        rentDistributor,
+        claimTopicsRegistry,
+        trustedIssuersRegistry,
+        offering,
+        secondaryMarket,
+        valuationOracle,
+        governor,
+        propertySale
       });
 
       return web3Instance;
@@ -268,6 +397,43 @@ export const Web3Provider = ({ children }) => {
     }
   }, [web3, account, contracts]);
 
+  // Load listed properties from the property factory registry
+  const loadProperties = useCallback(async () => {
+    if (!contracts.propertyFactory) return [];
+
+    try {
+      const entries = await contracts.propertyFactory.methods.getProperties().call();
+      const listed = await Promise.all(entries.map(async (entry) => {
+        const info = await contracts.propertyFactory.methods.getPropertyInfo(entry.propertyId).call();
+        return {
+          propertyId: Number(entry.propertyId),
+          token: entry.token,
+          compliance: entry.compliance,
+          sponsor: entry.sponsor,
+          info
+        };
+      }));
+      setProperties(listed);
+      return listed;
+    } catch (error) {
+      console.error('Error loading properties:', error);
+      return [];
+    }
+  }, [contracts.propertyFactory]);
+
+  // Point the token and compliance contracts at a listed property
+  const selectProperty = useCallback((propertyId) => {
+    const property = properties.find((p) => p.propertyId === Number(propertyId));
+    if (!web3 || !property) return;
+
+    setSelectedProperty(property);
+    setContracts((prev) => ({
+      ...prev,
+      realEstateToken: new web3.eth.Contract(RealEstateTokenABI.abi, property.token),
+      compliance: new web3.eth.Contract(ComplianceABI.abi, property.compliance)
+    }));
+  }, [web3, properties]);
+
   // Check if user is verified (has KYC)
   const isUserVerified = useCallback(async (userAddress = account) => {
     if (!contracts.identityRegistry || !userAddress) return false;
@@ -404,6 +570,18 @@ export const Web3Provider = ({ children }) => {
     }
   }, [isConnected, account, updateBalances]);
 
+  // Discover properties once the factory is available
+  useEffect(() => {
+    loadProperties();
+  }, [loadProperties]);
+
+  // Default to the first listed property
+  useEffect(() => {
+    if (!selectedProperty && properties.length > 0) {
+      selectProperty(properties[0].propertyId);
+    }
+  }, [properties, selectedProperty, selectProperty]);
+
   // Initialize on mount
   useEffect(() => {
     if (isMetaMaskInstalled()) {
@@ -419,6 +597,10 @@ export const Web3Provider = ({ children }) => {
     isLoading,
     contracts,
     balances,
+    properties,
+    selectedProperty,
+    loadProperties,
+    selectProperty,
     connectWallet,
     disconnectWallet,
     switchToLocalNetwork,
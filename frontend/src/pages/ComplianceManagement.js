@@ -1,9 +1,46 @@
 import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../context/Web3ContextSepolia';
 import { toast } from 'react-toastify';
+import IdentityABI from '../contracts/Identity.json';
+import ModularComplianceABI from '../contracts/ModularCompliance.json';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Claim topics issued by the platform's claim issuer
+const CLAIM_TOPIC_NAMES = {
+  1: 'KYC',
+  2: 'AML',
+  3: 'Accreditation'
+};
+
+// Investor categories recorded by the identity registry
+const INVESTOR_CATEGORY_NAMES = {
+  0: 'Unclassified',
+  1: 'Retail',
+  2: 'Accredited',
+  3: 'Qualified Institutional',
+  4: 'Employee'
+};
+
+// Sides of a transfer a country rule applies to (Compliance.SENDER_SIDE | RECIPIENT_SIDE)
+const COUNTRY_SIDE_NAMES = {
+  1: 'Senders',
+  2: 'Recipients',
+  3: 'Senders & recipients'
+};
+
+// Every rule module reports its name
+const MODULE_NAME_ABI = [{
+  name: 'name',
+  type: 'function',
+  stateMutability: 'pure',
+  inputs: [],
+  outputs: [{ name: '', type: 'string' }]
+}];
 
 const ComplianceManagement = () => {
   const { 
+    web3,
     account, 
     isConnected, 
     contracts, 
@@ -15,7 +52,13 @@ const ComplianceManagement = () => {
   const [complianceData, setComplianceData] = useState({
     isVerified: false,
     country: 0,
+    category: 0,
+    categoryExpiry: 0,
     isBlacklisted: false,
+    onchainId: ZERO_ADDRESS,
+    claims: [],
+    maxBalance: '0',
+    investorBalance: '0',
     canTransferTo: {},
     complianceRules: []
   });
@@ -24,6 +67,31 @@ const ComplianceManagement = () => {
   const [testAddress, setTestAddress] = useState('');
   const [testAmount, setTestAmount] = useState('');
 
+  // Claim topics and trusted issuers required by the identity registry
+  const [registryData, setRegistryData] = useState({
+    claimTopics: [],
+    trustedIssuers: [],
+    isRegistryOwner: false
+  });
+  const [topicForm, setTopicForm] = useState('');
+  const [issuerForm, setIssuerForm] = useState({ address: '', topics: '' });
+
+  // Rule modules bound to the token's compliance, when it is a ModularCompliance
+  const [moduleData, setModuleData] = useState({
+    isModular: false,
+    modules: [],
+    isComplianceOwner: false
+  });
+  const [moduleForm, setModuleForm] = useState('');
+
+  // Country restrictions, allowances and groups of the token's compliance (not available on ModularCompliance)
+  const [countryPolicy, setCountryPolicy] = useState({
+    available: false,
+    allowlistMode: false,
+    countries: [],
+    groups: []
+  });
+
   // Load compliance data
   const loadComplianceData = async () => {
     if (!isConnected || !contracts.identityRegistry || !contracts.compliance) return;
@@ -34,6 +102,8 @@ const ComplianceManagement = () => {
       const verified = await isUserVerified();
       
       let country = 0;
+      let category = 0;
+      let categoryExpiry = 0;
       let isBlacklisted = false;
 
       if (verified) {
@@ -42,16 +112,62 @@ const ComplianceManagement = () => {
           .investorCountry(account)
           .call();
 
+        // Investor category; reads as unclassified once it has expired
+        category = await contracts.identityRegistry.methods
+          .investorCategory(account)
+          .call();
+        categoryExpiry = await contracts.identityRegistry.methods
+          .investorCategoryExpiry(account)
+          .call();
+
         // Check if blacklisted
         isBlacklisted = await contracts.compliance.methods
           .isBlacklisted(account)
           .call();
       }
 
+      // Onchain identity and the claims held for each required topic
+      const onchainId = await contracts.identityRegistry.methods
+        .identity(account)
+        .call();
+      const claims = [];
+
+      if (onchainId !== ZERO_ADDRESS && contracts.claimTopicsRegistry) {
+        const topics = await contracts.claimTopicsRegistry.methods.getClaimTopics().call();
+        const code = await web3.eth.getCode(onchainId);
+
+        for (const topic of topics) {
+          let hasClaim = false;
+          // Legacy registrations use the wallet itself as identity and hold no claims
+          if (code !== '0x') {
+            const identity = new web3.eth.Contract(IdentityABI.abi, onchainId);
+            const claimIds = await identity.methods.getClaimIdsByTopic(topic).call();
+            hasClaim = claimIds.length > 0;
+          }
+          claims.push({ topic: parseInt(topic), hasClaim });
+        }
+      }
+
+      // Per-investor cap, counted across every wallet linked to the onchain identity
+      let maxBalance = '0';
+      let investorBalance = '0';
+      try {
+        maxBalance = (await contracts.compliance.methods.maxBalancePerInvestor().call()).toString();
+        investorBalance = (await contracts.compliance.methods.investorBalance(account).call()).toString();
+      } catch (error) {
+        // Compliance contract without a per-investor cap
+      }
+
       setComplianceData({
         isVerified: verified,
         country: parseInt(country),
+        category: parseInt(category),
+        categoryExpiry: parseInt(categoryExpiry),
         isBlacklisted,
+        onchainId,
+        claims,
+        maxBalance,
+        investorBalance,
         canTransferTo: {},
         complianceRules: []
       });
@@ -76,15 +192,19 @@ const ComplianceManagement = () => {
     try {
       const amount = testAmount; // Keep as string for display
       
-      // Check if transfer would be compliant
-      const canTransfer = await contracts.compliance.methods
-        .canTransfer(account, testAddress, amount)
+      // Ask the token for the first rule the transfer would break (0 = none)
+      const restrictionCode = Number(await contracts.realEstateToken.methods
+        .detectTransferRestriction(account, testAddress, amount)
+        .call());
+      const canTransfer = restrictionCode === 0;
+      const reason = canTransfer ? '' : await contracts.realEstateToken.methods
+        .messageForTransferRestriction(restrictionCode)
         .call();
 
       if (canTransfer) {
         toast.success('Transfer would be compliant ✓');
       } else {
-        toast.warning('Transfer would NOT be compliant ✗');
+        toast.warning(`Transfer would NOT be compliant ✗ ${reason}`);
       }
 
       // Update the test result in state
@@ -92,7 +212,7 @@ const ComplianceManagement = () => {
         ...prev,
         canTransferTo: {
           ...prev.canTransferTo,
-          [testAddress]: canTransfer
+          [testAddress]: { canTransfer, reason }
         }
       }));
     } catch (error) {
@@ -103,6 +223,181 @@ const ComplianceManagement = () => {
     }
   };
 
+  // Load required claim topics and the issuers trusted for them
+  const loadRegistryData = async () => {
+    if (!contracts.claimTopicsRegistry || !contracts.trustedIssuersRegistry) return;
+
+    try {
+      const claimTopics = await contracts.claimTopicsRegistry.methods.getClaimTopics().call();
+      const issuers = await contracts.trustedIssuersRegistry.methods.getTrustedIssuers().call();
+      const trustedIssuers = await Promise.all(issuers.map(async (address) => {
+        const topics = await contracts.trustedIssuersRegistry.methods
+          .getTrustedIssuerClaimTopics(address)
+          .call();
+        return { address, topics: topics.map(topic => parseInt(topic)) };
+      }));
+      const owner = await contracts.claimTopicsRegistry.methods.owner().call();
+
+      setRegistryData({
+        claimTopics: claimTopics.map(topic => parseInt(topic)),
+        trustedIssuers,
+        isRegistryOwner: owner.toLowerCase() === account.toLowerCase()
+      });
+    } catch (error) {
+      console.error('Error loading claim registries:', error);
+    }
+  };
+
+  // Get the token's compliance as a ModularCompliance
+  const modularCompliance = () =>
+    new web3.eth.Contract(ModularComplianceABI.abi, contracts.compliance.options.address);
+
+  // Load the bound rule modules (legacy compliance contracts have none)
+  const loadModuleData = async () => {
+    if (!web3 || !contracts.compliance) return;
+
+    try {
+      const addresses = await modularCompliance().methods.getModules().call();
+      const modules = await Promise.all(addresses.map(async (address) => {
+        const name = await new web3.eth.Contract(MODULE_NAME_ABI, address).methods.name().call();
+        return { address, name };
+      }));
+      const owner = await contracts.compliance.methods.owner().call();
+
+      setModuleData({
+        isModular: true,
+        modules,
+        isComplianceOwner: owner.toLowerCase() === account.toLowerCase()
+      });
+    } catch (error) {
+      setModuleData({ isModular: false, modules: [], isComplianceOwner: false });
+    }
+  };
+
+  // Load the active country policy and the named country groups
+  const loadCountryPolicy = async () => {
+    if (!web3 || !contracts.compliance) return;
+
+    try {
+      const methods = contracts.compliance.methods;
+      const policy = await methods.getCountryPolicy().call();
+      const allowlistMode = await methods.countryAllowlistMode().call();
+      const groupIds = await methods.getCountryGroups().call();
+      const groups = await Promise.all(groupIds.map(async (id) => ({
+        name: web3.utils.hexToUtf8(id).replace(/\0/g, ''),
+        countries: (await methods.getCountryGroup(id).call()).map(code => parseInt(code))
+      })));
+
+      setCountryPolicy({
+        available: true,
+        allowlistMode,
+        countries: policy.countries.map((code, i) => ({
+          code: parseInt(code),
+          restrictedSides: parseInt(policy.restrictedSides[i]),
+          allowedSides: parseInt(policy.allowedSides[i])
+        })),
+        groups
+      });
+    } catch (error) {
+      // Compliance contract without a country policy
+      setCountryPolicy({ available: false, allowlistMode: false, countries: [], groups: [] });
+    }
+  };
+
+  // Bind or unbind a rule module
+  const handleModuleAction = async (action, address = moduleForm) => {
+    if (!address) {
+      toast.error('Please enter a module address');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const methods = modularCompliance().methods;
+      const tx = action === 'add' ? methods.addModule(address) : methods.removeModule(address);
+      await tx.send({ from: account });
+
+      toast.success(action === 'add' ? 'Rule module bound!' : 'Rule module unbound!');
+      setModuleForm('');
+      await loadModuleData();
+      loadComplianceData();
+    } catch (error) {
+      console.error('Rule module update failed:', error);
+      toast.error('Rule module update failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Parse a comma-separated list of claim topics
+  const parseTopics = (value) => value
+    .split(',')
+    .map(topic => topic.trim())
+    .filter(topic => topic !== '')
+    .map(topic => parseInt(topic));
+
+  // Add or remove a required claim topic
+  const handleTopicAction = async (action, topic = topicForm) => {
+    if (topic === '' || isNaN(parseInt(topic))) {
+      toast.error('Please enter a claim topic');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const methods = contracts.claimTopicsRegistry.methods;
+      const tx = action === 'add' ? methods.addClaimTopic(topic) : methods.removeClaimTopic(topic);
+      await tx.send({ from: account });
+
+      toast.success(action === 'add' ? 'Claim topic required!' : 'Claim topic removed!');
+      setTopicForm('');
+      await loadRegistryData();
+      loadComplianceData();
+    } catch (error) {
+      console.error('Claim topic update failed:', error);
+      toast.error('Claim topic update failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Trust an issuer, change the topics it may sign, or stop trusting it
+  const handleIssuerAction = async (action, address = issuerForm.address) => {
+    const topics = parseTopics(issuerForm.topics);
+    if (!address) {
+      toast.error('Please enter an issuer address');
+      return;
+    }
+    if (action !== 'remove' && (topics.length === 0 || topics.some(isNaN))) {
+      toast.error('Please enter the claim topics the issuer may sign');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const methods = contracts.trustedIssuersRegistry.methods;
+      let tx;
+      if (action === 'add') {
+        tx = methods.addTrustedIssuer(address, topics);
+      } else if (action === 'update') {
+        tx = methods.updateIssuerClaimTopics(address, topics);
+      } else {
+        tx = methods.removeTrustedIssuer(address);
+      }
+      await tx.send({ from: account });
+
+      toast.success('Trusted issuers updated!');
+      setIssuerForm({ address: '', topics: '' });
+      await loadRegistryData();
+      loadComplianceData();
+    } catch (error) {
+      console.error('Trusted issuer update failed:', error);
+      toast.error('Trusted issuer update failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Handle identity registration
   const handleRegisterIdentity = async () => {
     try {
@@ -130,6 +425,9 @@ const ComplianceManagement = () => {
 
   useEffect(() => {
     loadComplianceData();
+    loadRegistryData();
+    loadModuleData();
+    loadCountryPolicy();
   }, [isConnected, account, contracts]);
 
   if (!isConnected) {
@@ -217,6 +515,64 @@ const ComplianceManagement = () => {
                 </div>
               )}
 
+              {complianceData.isVerified && (
+                <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <span className="text-gray-600">Investor Category</span>
+                  <div className="text-right">
+                    <span className="font-medium">
+                      {INVESTOR_CATEGORY_NAMES[complianceData.category] || `Category ${complianceData.category}`}
+                    </span>
+                    {complianceData.categoryExpiry > 0 && (
+                      <p className="text-xs text-gray-500">
+                        {complianceData.categoryExpiry * 1000 > Date.now() ? 'Expires' : 'Expired'}{' '}
+                        {new Date(complianceData.categoryExpiry * 1000).toLocaleDateString()}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {complianceData.onchainId !== ZERO_ADDRESS && (
+                <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <span className="text-gray-600">Onchain Identity</span>
+                  <span className="font-mono text-sm">
+                    {complianceData.onchainId.slice(0, 6)}...{complianceData.onchainId.slice(-4)}
+                  </span>
+                </div>
+              )}
+
+              {complianceData.claims.map(({ topic, hasClaim }) => (
+                <div key={topic} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <span className="text-gray-600">
+                    {CLAIM_TOPIC_NAMES[topic] || `Topic ${topic}`} Claim
+                  </span>
+                  <div className={`flex items-center gap-2 px-3 py-1 rounded-lg ${
+                    hasClaim 
+                      ? 'bg-success/10 text-success' 
+                      : 'bg-warning/10 text-warning'
+                  }`}>
+                    <i className={`fas ${hasClaim ? 'fa-check-circle' : 'fa-clock'}`}></i>
+                    <span className="font-medium">
+                      {hasClaim ? 'Issued' : 'Missing'}
+                    </span>
+                  </div>
+                </div>
+              ))}
+
+              {complianceData.maxBalance !== '0' && (
+                <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <span className="text-gray-600">Holding Headroom</span>
+                  <span className="font-medium">
+                    {web3.utils.fromWei(
+                      (BigInt(complianceData.maxBalance) > BigInt(complianceData.investorBalance)
+                        ? BigInt(complianceData.maxBalance) - BigInt(complianceData.investorBalance)
+                        : BigInt(0)).toString(),
+                      'ether'
+                    )} of {web3.utils.fromWei(complianceData.maxBalance, 'ether')} tokens
+                  </span>
+                </div>
+              )}
+
               <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                 <span className="text-gray-600">Blacklist Status</span>
                 <div className={`flex items-center gap-2 px-3 py-1 rounded-lg ${
@@ -246,8 +602,10 @@ const ComplianceManagement = () => {
               <h3 className="font-semibold text-info-dark mb-2">ERC-3643 Requirements</h3>
               <ul className="text-sm text-info-dark/80 space-y-1">
                 <li>• Both sender and recipient must be KYC verified</li>
+                <li>• Required claims must be issued by a trusted claim issuer</li>
                 <li>• Neither party can be blacklisted</li>
                 <li>• Country restrictions must be respected</li>
+                <li>• Holdings across an investor's wallets must stay within the per-investor limit</li>
                 <li>• All compliance rules must pass</li>
               </ul>
             </div>
@@ -336,11 +694,16 @@ const ComplianceManagement = () => {
           <div className="mt-6 pt-6 border-t border-gray-200">
             <h3 className="font-semibold text-gray-800 mb-3">Test Results</h3>
             <div className="space-y-2">
-              {Object.entries(complianceData.canTransferTo).map(([address, canTransfer]) => (
+              {Object.entries(complianceData.canTransferTo).map(([address, { canTransfer, reason }]) => (
                 <div key={address} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                  <span className="text-sm font-mono">
-                    {address.slice(0, 10)}...{address.slice(-8)}
-                  </span>
+                  <div>
+                    <span className="text-sm font-mono">
+                      {address.slice(0, 10)}...{address.slice(-8)}
+                    </span>
+                    {reason && (
+                      <p className="text-xs text-gray-500">{reason}</p>
+                    )}
+                  </div>
                   <div className={`flex items-center gap-2 px-3 py-1 rounded-lg ${
                     canTransfer 
                       ? 'bg-success/10 text-success' 
@@ -358,6 +721,243 @@ const ComplianceManagement = () => {
         )}
       </div>
 
+      {/* Rule Modules */}
+      {moduleData.isModular && (
+        <div className="card">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">
+            <i className="fas fa-puzzle-piece mr-2 text-primary"></i>
+            Rule Modules
+          </h2>
+
+          <div className="space-y-2 mb-4">
+            {moduleData.modules.length === 0 ? (
+              <p className="text-gray-600">No rule modules bound; verified investors can transfer freely.</p>
+            ) : (
+              moduleData.modules.map(module => (
+                <div key={module.address} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div>
+                    <div className="font-medium">{module.name}</div>
+                    <div className="font-mono text-sm text-gray-600">
+                      {module.address.slice(0, 10)}...{module.address.slice(-8)}
+                    </div>
+                  </div>
+                  {moduleData.isComplianceOwner && (
+                    <button
+                      onClick={() => handleModuleAction('remove', module.address)}
+                      disabled={loading}
+                      className="btn btn-secondary"
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+
+          {moduleData.isComplianceOwner && (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Module address (0x...)"
+                value={moduleForm}
+                onChange={(e) => setModuleForm(e.target.value)}
+              />
+              <button
+                onClick={() => handleModuleAction('add')}
+                disabled={loading}
+                className="btn btn-primary"
+              >
+                <i className="fas fa-plus mr-2"></i>
+                Bind
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Country Policy */}
+      {countryPolicy.available && (
+        <div className="card">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">
+            <i className="fas fa-globe mr-2 text-primary"></i>
+            Country Policy
+          </h2>
+
+          <p className="text-gray-600 mb-4">
+            {countryPolicy.allowlistMode
+              ? 'Allowlist mode: only countries allowed on a side may send or receive.'
+              : 'Denylist mode: every country may transfer unless restricted.'}
+          </p>
+
+          <div className="space-y-2 mb-4">
+            {countryPolicy.countries.length === 0 ? (
+              <p className="text-gray-600">No country rules set.</p>
+            ) : (
+              countryPolicy.countries.map(({ code, restrictedSides, allowedSides }) => (
+                <div key={code} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <span className="font-medium">{getCountryName(code)}</span>
+                  <div className="text-sm text-right">
+                    {restrictedSides > 0 && (
+                      <div className="text-danger">Restricted: {COUNTRY_SIDE_NAMES[restrictedSides]}</div>
+                    )}
+                    {allowedSides > 0 && (
+                      <div className="text-success">Allowed: {COUNTRY_SIDE_NAMES[allowedSides]}</div>
+                    )}
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+
+          {countryPolicy.groups.length > 0 && (
+            <div className="space-y-1 text-sm text-gray-600">
+              {countryPolicy.groups.map(group => (
+                <div key={group.name}>
+                  <span className="font-medium">{group.name}</span>: {group.countries.map(getCountryName).join(', ')}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Claim Registries */}
+      {contracts.claimTopicsRegistry && (
+        <div className="grid md:grid-2 gap-6">
+          {/* Required Claim Topics */}
+          <div className="card">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">
+              <i className="fas fa-list-check mr-2 text-primary"></i>
+              Required Claim Topics
+            </h2>
+
+            <div className="space-y-2 mb-4">
+              {registryData.claimTopics.length === 0 ? (
+                <p className="text-gray-600">No claims required; registered wallets are verified.</p>
+              ) : (
+                registryData.claimTopics.map(topic => (
+                  <div key={topic} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <span className="font-medium">
+                      {CLAIM_TOPIC_NAMES[topic] || 'Custom'} ({topic})
+                    </span>
+                    {registryData.isRegistryOwner && (
+                      <button
+                        onClick={() => handleTopicAction('remove', topic)}
+                        disabled={loading}
+                        className="btn btn-secondary"
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+
+            {registryData.isRegistryOwner && (
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  className="form-input"
+                  placeholder="Claim topic (e.g. 3)"
+                  value={topicForm}
+                  onChange={(e) => setTopicForm(e.target.value)}
+                />
+                <button
+                  onClick={() => handleTopicAction('add')}
+                  disabled={loading}
+                  className="btn btn-primary"
+                >
+                  <i className="fas fa-plus mr-2"></i>
+                  Require
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Trusted Issuers */}
+          <div className="card">
+            <h2 className="text-xl font-bold text-gray-900 mb-4">
+              <i className="fas fa-stamp mr-2 text-primary"></i>
+              Trusted Claim Issuers
+            </h2>
+
+            <div className="space-y-2 mb-4">
+              {registryData.trustedIssuers.length === 0 ? (
+                <p className="text-gray-600">No trusted issuers.</p>
+              ) : (
+                registryData.trustedIssuers.map(issuer => (
+                  <div key={issuer.address} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <div>
+                      <div className="font-mono text-sm">
+                        {issuer.address.slice(0, 10)}...{issuer.address.slice(-8)}
+                      </div>
+                      <div className="text-sm text-gray-600">
+                        {issuer.topics.map(topic => CLAIM_TOPIC_NAMES[topic] || topic).join(', ')}
+                      </div>
+                    </div>
+                    {registryData.isRegistryOwner && (
+                      <button
+                        onClick={() => handleIssuerAction('remove', issuer.address)}
+                        disabled={loading}
+                        className="btn btn-secondary"
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+
+            {registryData.isRegistryOwner && (
+              <div className="space-y-4">
+                <div className="form-group">
+                  <label className="form-label">Issuer Address</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    placeholder="0x..."
+                    value={issuerForm.address}
+                    onChange={(e) => setIssuerForm({ ...issuerForm, address: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Claim Topics</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    placeholder="1, 2, 3"
+                    value={issuerForm.topics}
+                    onChange={(e) => setIssuerForm({ ...issuerForm, topics: e.target.value })}
+                  />
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleIssuerAction('add')}
+                    disabled={loading}
+                    className="btn btn-primary"
+                  >
+                    <i className="fas fa-plus mr-2"></i>
+                    Trust Issuer
+                  </button>
+                  <button
+                    onClick={() => handleIssuerAction('update')}
+                    disabled={loading}
+                    className="btn btn-secondary"
+                  >
+                    <i className="fas fa-edit mr-2"></i>
+                    Update Topics
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* ERC-3643 Information */}
       <div className="card">
         <h2 className="text-xl font-bold text-gray-900 mb-4">
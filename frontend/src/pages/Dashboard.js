@@ -15,7 +15,11 @@ const Dashboard = () => {
     balances, 
     isUserVerified, 
     registerIdentity,
-    isLoading 
+    isLoading,
+    properties,
+    selectedProperty,
+    selectProperty,
+    updateBalances
   } = useWeb3();
 
   const [dashboardData, setDashboardData] = useState({
@@ -23,6 +27,7 @@ const Dashboard = () => {
     isVerified: false,
     totalSupply: '0',
     userLeases: [],
+    claimableRent: '0',
     recentTransactions: []
   });
   const [loading, setLoading] = useState(false);
@@ -55,6 +60,19 @@ const Dashboard = () => {
         }
       }
 
+      // Get rent accrued to the user's token holdings
+      let claimableRent = '0';
+
+      if (contracts.rentDistributor) {
+        try {
+          claimableRent = await contracts.rentDistributor.methods
+            .claimableRent(contracts.realEstateToken.options.address, account)
+            .call();
+        } catch (error) {
+          console.log('Error loading claimable rent:', error);
+        }
+      }
+
       setDashboardData({
         propertyInfo: {
           ...propertyInfo,
@@ -64,6 +82,7 @@ const Dashboard = () => {
         isVerified: verified,
         totalSupply: totalSupply,
         userLeases: [...landlordLeases, ...tenantLeases],
+        claimableRent: claimableRent.toString(),
         recentTransactions: [] // TODO: Implement transaction history
       });
     } catch (error) {
@@ -85,6 +104,25 @@ const Dashboard = () => {
     }
   };
 
+  // Handle rent claim
+  const handleClaimRent = async () => {
+    setLoading(true);
+    try {
+      await contracts.rentDistributor.methods
+        .claim(contracts.realEstateToken.options.address)
+        .send({ from: account });
+
+      toast.success('Rent claimed successfully!');
+      updateBalances();
+      loadDashboardData();
+    } catch (error) {
+      console.error('Rent claim failed:', error);
+      toast.error('Rent claim failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   useEffect(() => {
     loadDashboardData();
   }, [isConnected, account, contracts, loadDashboardData]);
@@ -252,6 +290,46 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Property Registry */}
+      {properties.length > 0 && (
+        <div className="card">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">
+            <i className="fas fa-city mr-2 text-primary"></i>
+            Properties
+          </h2>
+
+          <div className="space-y-2">
+            {properties.map((property) => (
+              <div key={property.token} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div>
+                  <p className="font-medium">{property.info.propertyAddress}</p>
+                  <p className="text-sm text-gray-600">
+                    {(parseFloat(property.info.totalValue) / 1e18).toLocaleString()} ETH
+                    {' · '}
+                    <span className="font-mono">
+                      {property.token.slice(0, 10)}...{property.token.slice(-8)}
+                    </span>
+                  </p>
+                </div>
+                {selectedProperty && selectedProperty.propertyId === property.propertyId ? (
+                  <span className="px-3 py-1 rounded-lg bg-primary/10 text-primary font-medium">
+                    <i className="fas fa-check mr-2"></i>
+                    Selected
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => selectProperty(property.propertyId)}
+                    className="btn btn-secondary"
+                  >
+                    Select
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Property Information */}
       {dashboardData.propertyInfo && (
         <div className="card">
@@ -330,6 +408,33 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Rental Income */}
+      {contracts.rentDistributor && (
+        <div className="card">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">
+            <i className="fas fa-hand-holding-usd mr-2 text-primary"></i>
+            Rental Income
+          </h2>
+
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600">Claimable Rent</p>
+              <p className="text-xl font-bold text-gray-900">
+                ${(parseInt(dashboardData.claimableRent) / 1000000).toFixed(2)}
+              </p>
+            </div>
+            <button
+              onClick={handleClaimRent}
+              disabled={loading || parseInt(dashboardData.claimableRent) === 0}
+              className="btn btn-success"
+            >
+              <i className="fas fa-download mr-2"></i>
+              Claim Rent
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div className="grid md:grid-3 gap-6">
         <Link to="/tokens" className="card hover:shadow-md transition-shadow">
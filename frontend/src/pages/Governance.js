@@ -0,0 +1,444 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../context/Web3ContextSepolia';
+import { toast } from 'react-toastify';
+
+// PropertyGovernor.ProposalState
+const PROPOSAL_STATE = ['Active', 'Defeated', 'Succeeded', 'Queued', 'Executed', 'Canceled'];
+
+// PropertyGovernor.VoteType
+const VOTE = { Against: 0, For: 1, Abstain: 2 };
+
+const Governance = () => {
+  const {
+    web3,
+    account,
+    isConnected,
+    contracts,
+    balances
+  } = useWeb3();
+
+  const [loading, setLoading] = useState(false);
+  const [proposals, setProposals] = useState([]);
+  const [settings, setSettings] = useState(null);
+
+  // Who casts the user's votes, and whose votes the user casts
+  const [delegation, setDelegation] = useState({ delegate: '', delegators: [] });
+  const [delegateInput, setDelegateInput] = useState('');
+
+  const [proposalForm, setProposalForm] = useState({
+    target: 'realEstateToken',
+    method: '',
+    args: '[]',
+    description: ''
+  });
+
+  // Contracts a proposal can call, as owned by the timelock
+  const targets = {
+    realEstateToken: { label: 'Property Token', contract: contracts.realEstateToken },
+    leaseManager: { label: 'Lease Manager', contract: contracts.leaseManager },
+    governor: { label: 'Governor (voting settings)', contract: contracts.governor }
+  };
+
+  // State-changing functions of the selected target
+  const targetMethods = () => {
+    const contract = targets[proposalForm.target].contract;
+    if (!contract) return [];
+    return contract.options.jsonInterface
+      .filter(item => item.type === 'function' && item.stateMutability === 'nonpayable')
+      .map(item => item.name)
+      .sort();
+  };
+
+  // Load the proposals, voting settings and the user's delegation
+  const loadGovernance = async () => {
+    if (!isConnected || !contracts.governor) return;
+
+    try {
+      const methods = contracts.governor.methods;
+      const [count, votingPeriod, quorumBps, approvalBps, proposalThreshold, delegate, delegators] =
+        await Promise.all([
+          methods.proposalCount().call(),
+          methods.votingPeriod().call(),
+          methods.quorumBps().call(),
+          methods.approvalBps().call(),
+          methods.proposalThreshold().call(),
+          methods.delegates(account).call(),
+          methods.getDelegators(account).call()
+        ]);
+
+      setSettings({
+        votingPeriod: parseInt(votingPeriod),
+        quorumBps: parseInt(quorumBps),
+        approvalBps: parseInt(approvalBps),
+        proposalThreshold: proposalThreshold.toString()
+      });
+      setDelegation({ delegate, delegators });
+
+      const ids = [...Array(parseInt(count)).keys()].reverse();
+      setProposals(await Promise.all(ids.map(async (id) => {
+        const [proposal, state, quorum, hasVoted] = await Promise.all([
+          methods.getProposal(id).call(),
+          methods.state(id).call(),
+          methods.quorum(id).call(),
+          methods.hasVoted(id, account).call()
+        ]);
+        return {
+          proposalId: id.toString(),
+          proposer: proposal.proposer,
+          description: proposal.description,
+          targets: proposal.targets,
+          voteEnd: parseInt(proposal.voteEnd),
+          forVotes: proposal.forVotes.toString(),
+          againstVotes: proposal.againstVotes.toString(),
+          abstainVotes: proposal.abstainVotes.toString(),
+          state: parseInt(state),
+          quorum: quorum.toString(),
+          hasVoted
+        };
+      })));
+    } catch (error) {
+      console.error('Error loading governance:', error);
+      toast.error('Failed to load proposals');
+    }
+  };
+
+  // Run a governance action, then refresh
+  const runAction = async (action, successMessage) => {
+    setLoading(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      loadGovernance();
+    } catch (error) {
+      console.error('Governance action failed:', error);
+      toast.error(error.message || 'Transaction failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Create a proposal calling one function of a target through the timelock
+  const handlePropose = async (e) => {
+    e.preventDefault();
+    if (!proposalForm.method || !proposalForm.description) {
+      toast.error('Please choose a function and describe the proposal');
+      return;
+    }
+
+    await runAction(async () => {
+      const args = JSON.parse(proposalForm.args || '[]');
+      if (!Array.isArray(args)) {
+        throw new Error('Arguments must be a JSON array');
+      }
+      const contract = targets[proposalForm.target].contract;
+      const calldata = contract.methods[proposalForm.method](...args).encodeABI();
+
+      await contracts.governor.methods
+        .propose([contract._address], [0], [calldata], proposalForm.description)
+        .send({ from: account });
+      setProposalForm({ ...proposalForm, method: '', args: '[]', description: '' });
+    }, 'Proposal created!');
+  };
+
+  // Cast the user's own votes and those delegated to them
+  const handleVote = async (proposal, support) => {
+    await runAction(
+      () => contracts.governor.methods
+        .castVote(proposal.proposalId, support, [account, ...delegation.delegators])
+        .send({ from: account }),
+      'Vote cast!'
+    );
+  };
+
+  // Delegate the user's votes (their own address to vote directly again)
+  const handleDelegate = async (delegatee) => {
+    if (!web3.utils.isAddress(delegatee)) {
+      toast.error('Please enter a valid address');
+      return;
+    }
+    await runAction(async () => {
+      await contracts.governor.methods.delegate(delegatee).send({ from: account });
+      setDelegateInput('');
+    }, 'Delegation updated');
+  };
+
+  const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+  const formatVotes = (votes) => parseFloat(web3.utils.fromWei(votes, 'ether')).toLocaleString();
+  const isSelf = (address) => address.toLowerCase() === account.toLowerCase();
+
+  useEffect(() => {
+    loadGovernance();
+  }, [isConnected, account, contracts]);
+
+  if (!isConnected) {
+    return (
+      <div className="text-center py-12">
+        <div className="card max-w-md mx-auto">
+          <i className="fas fa-wallet text-6xl text-gray-300 mb-4"></i>
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Connect Your Wallet</h2>
+          <p className="text-gray-600">
+            Connect your wallet to vote on property proposals.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!contracts.governor) {
+    return (
+      <div className="card text-center py-12">
+        <i className="fas fa-landmark text-6xl text-gray-300 mb-4"></i>
+        <p className="text-gray-600">No governor is deployed on this network.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Governance</h1>
+          <p className="text-gray-600 mt-1">
+            Propose and vote on property decisions, weighted by your tokens at each proposal's snapshot
+          </p>
+        </div>
+
+        <button
+          onClick={loadGovernance}
+          disabled={loading}
+          className="btn btn-secondary mt-4 md:mt-0"
+        >
+          <i className="fas fa-sync-alt mr-2"></i>
+          Refresh Proposals
+        </button>
+      </div>
+
+      <div className="grid md:grid-2 gap-6">
+        {/* Voting Power */}
+        <div className="card">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">
+            <i className="fas fa-user-friends mr-2 text-primary"></i>
+            Voting Power
+          </h2>
+
+          <div className="text-sm text-gray-600 space-y-2 mb-4">
+            <div className="flex justify-between">
+              <span>Your tokens:</span>
+              <span className="font-medium">{balances.tokens}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Your votes are cast by:</span>
+              <span className="font-medium">
+                {delegation.delegate && (isSelf(delegation.delegate) ? 'you' : formatAddress(delegation.delegate))}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span>Delegated to you by:</span>
+              <span className="font-medium">
+                {delegation.delegators.length === 0 ? 'nobody' : delegation.delegators.map(formatAddress).join(', ')}
+              </span>
+            </div>
+            {settings && (
+              <p>
+                Proposals are open for {Math.round(settings.votingPeriod / 86400)} days and pass with{' '}
+                {settings.quorumBps / 100}% of the supply taking part and more than {settings.approvalBps / 100}%
+                of for and against votes in favour. Delegations apply to proposals created afterwards.
+              </p>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Delegate address 0x..."
+              value={delegateInput}
+              onChange={(e) => setDelegateInput(e.target.value)}
+            />
+            <button
+              onClick={() => handleDelegate(delegateInput)}
+              disabled={loading || !delegateInput}
+              className="btn btn-primary"
+            >
+              Delegate
+            </button>
+          </div>
+          {delegation.delegate && !isSelf(delegation.delegate) && (
+            <button
+              onClick={() => handleDelegate(account)}
+              disabled={loading}
+              className="btn btn-secondary mt-2"
+            >
+              <i className="fas fa-undo mr-2"></i>
+              Vote Directly
+            </button>
+          )}
+        </div>
+
+        {/* New Proposal */}
+        <div className="card">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">
+            <i className="fas fa-file-alt mr-2 text-primary"></i>
+            New Proposal
+          </h2>
+
+          <form onSubmit={handlePropose} className="space-y-4">
+            <div className="grid md:grid-2 gap-4">
+              <div className="form-group">
+                <label className="form-label">Contract</label>
+                <select
+                  className="form-input"
+                  value={proposalForm.target}
+                  onChange={(e) => setProposalForm({ ...proposalForm, target: e.target.value, method: '' })}
+                >
+                  {Object.entries(targets).map(([key, target]) => (
+                    <option key={key} value={key} disabled={!target.contract}>{target.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Function</label>
+                <select
+                  className="form-input"
+                  value={proposalForm.method}
+                  onChange={(e) => setProposalForm({ ...proposalForm, method: e.target.value })}
+                  required
+                >
+                  <option value="">Select...</option>
+                  {targetMethods().map(method => (
+                    <option key={method} value={method}>{method}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Arguments (JSON array)</label>
+              <input
+                type="text"
+                className="form-input font-mono"
+                placeholder='e.g. ["0x..."]'
+                value={proposalForm.args}
+                onChange={(e) => setProposalForm({ ...proposalForm, args: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Description</label>
+              <textarea
+                className="form-input"
+                rows="2"
+                placeholder="e.g. Refinance the mortgage with a 5-year fixed loan"
+                value={proposalForm.description}
+                onChange={(e) => setProposalForm({ ...proposalForm, description: e.target.value })}
+                required
+              />
+            </div>
+            <button type="submit" disabled={loading} className="btn btn-primary">
+              <i className="fas fa-paper-plane mr-2"></i>
+              {loading ? 'Submitting...' : 'Submit Proposal'}
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {/* Proposals */}
+      <div className="card">
+        <h2 className="text-xl font-bold text-gray-900 mb-4">
+          <i className="fas fa-landmark mr-2 text-primary"></i>
+          Proposals
+        </h2>
+
+        {proposals.length === 0 ? (
+          <p className="text-gray-600">No proposals yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {proposals.map(proposal => {
+              const state = PROPOSAL_STATE[proposal.state];
+              const closed = state === 'Executed' || state === 'Canceled';
+
+              return (
+                <div key={proposal.proposalId} className="p-4 bg-gray-50 rounded-lg">
+                  <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                    <div className="text-sm space-y-1">
+                      <div className="font-medium">
+                        #{proposal.proposalId}: {proposal.description}
+                      </div>
+                      <div className="text-gray-600">
+                        {state} · proposed by {formatAddress(proposal.proposer)}{isSelf(proposal.proposer) && ' (you)'}
+                        {state === 'Active' && ` · voting ends ${new Date(proposal.voteEnd * 1000).toLocaleString()}`}
+                      </div>
+                      <div className="text-gray-600">
+                        For {formatVotes(proposal.forVotes)} · Against {formatVotes(proposal.againstVotes)} ·
+                        Abstain {formatVotes(proposal.abstainVotes)} · Quorum {formatVotes(proposal.quorum)}
+                      </div>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      {state === 'Active' && !proposal.hasVoted && Object.entries(VOTE).map(([label, support]) => (
+                        <button
+                          key={label}
+                          onClick={() => handleVote(proposal, support)}
+                          disabled={loading}
+                          className={`btn btn-sm ${support === VOTE.For ? 'btn-success' : 'btn-secondary'}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                      {state === 'Active' && proposal.hasVoted && (
+                        <span className="text-sm text-gray-600">You have voted</span>
+                      )}
+
+                      {state === 'Succeeded' && (
+                        <button
+                          onClick={() => runAction(
+                            () => contracts.governor.methods.queue(proposal.proposalId).send({ from: account }),
+                            'Proposal queued in the timelock'
+                          )}
+                          disabled={loading}
+                          className="btn btn-primary btn-sm"
+                        >
+                          <i className="fas fa-hourglass-half mr-2"></i>
+                          Queue
+                        </button>
+                      )}
+
+                      {state === 'Queued' && (
+                        <button
+                          onClick={() => runAction(
+                            () => contracts.governor.methods.execute(proposal.proposalId).send({ from: account }),
+                            'Proposal executed!'
+                          )}
+                          disabled={loading}
+                          className="btn btn-success btn-sm"
+                        >
+                          <i className="fas fa-play mr-2"></i>
+                          Execute
+                        </button>
+                      )}
+
+                      {isSelf(proposal.proposer) && !closed && (
+                        <button
+                          onClick={() => runAction(
+                            () => contracts.governor.methods.cancel(proposal.proposalId).send({ from: account }),
+                            'Proposal cancelled'
+                          )}
+                          disabled={loading}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          <i className="fas fa-times mr-2"></i>
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Governance;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../context/Web3ContextSepolia';
 import { toast } from 'react-toastify';
 import { format } from 'date-fns';
+import { sendGasless, signPermit } from '../utils/metaTransactions';
 
 const LeaseManagement = () => {
   const { 
@@ -35,6 +36,9 @@ const LeaseManagement = () => {
     year: new Date().getFullYear().toString()
   });
 
+  // Pay with signatures only: a USDC permit and a forwarded call, submitted by the relayer
+  const [gasless, setGasless] = useState(false);
+
   const leaseStatusLabels = {
     0: 'Pending',
     1: 'Active', 
@@ -147,21 +151,27 @@ const LeaseManagement = () => {
     }
   };
 
+  // Approve `amount` USDC to the lease manager and call `method` on it, or sign both for the relayer
+  const payLeaseManager = async (amount, method) => {
+    if (gasless) {
+      const permit = await signPermit(web3, account, contracts.mockUSDC, contracts.leaseManager._address, amount);
+      return sendGasless(web3, account, contracts.leaseManager, method, permit);
+    }
+
+    await contracts.mockUSDC.methods
+      .approve(contracts.leaseManager._address, amount)
+      .send({ from: account });
+    return method.send({ from: account });
+  };
+
   // Handle pay security deposit
   const handlePayDeposit = async (lease) => {
     setLoading(true);
     try {
-      // First approve USDC spending
-      const depositAmount = lease.securityDeposit;
-      
-      await contracts.mockUSDC.methods
-        .approve(contracts.leaseManager._address, depositAmount)
-        .send({ from: account });
-
-      // Then pay the deposit
-      const tx = await contracts.leaseManager.methods
-        .paySecurityDeposit(lease.leaseId)
-        .send({ from: account });
+      await payLeaseManager(
+        lease.securityDeposit,
+        contracts.leaseManager.methods.paySecurityDeposit(lease.leaseId)
+      );
 
       toast.success('Security deposit paid successfully!');
       updateBalances();
@@ -191,19 +201,14 @@ const LeaseManagement = () => {
         return;
       }
 
-      // First approve USDC spending
-      await contracts.mockUSDC.methods
-        .approve(contracts.leaseManager._address, lease.monthlyRent)
-        .send({ from: account });
-
-      // Then pay rent
-      const tx = await contracts.leaseManager.methods
-        .payRent(
+      await payLeaseManager(
+        lease.monthlyRent,
+        contracts.leaseManager.methods.payRent(
           paymentForm.leaseId,
           parseInt(paymentForm.month),
           parseInt(paymentForm.year)
         )
-        .send({ from: account });
+      );
 
       toast.success('Rent payment successful!');
       setPaymentForm({
@@ -497,6 +502,14 @@ const LeaseManagement = () => {
                           <i className="fas fa-credit-card mr-2"></i>
                           Pay Security Deposit
                         </button>
+                        <label className="flex items-center gap-2 text-sm text-gray-700 mt-2">
+                          <input
+                            type="checkbox"
+                            checked={gasless}
+                            onChange={(e) => setGasless(e.target.checked)}
+                          />
+                          Gasless (sign only, the relayer pays the gas)
+                        </label>
                       </div>
                     )}
 
@@ -590,6 +603,14 @@ const LeaseManagement = () => {
                   </select>
                 </div>
               </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={gasless}
+                  onChange={(e) => setGasless(e.target.checked)}
+                />
+                Gasless (sign only, the relayer pays the gas)
+              </label>
 
               <button
                 type="submit"
@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../context/Web3ContextSepolia';
+import { toast } from 'react-toastify';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const Market = () => {
+  const {
+    web3,
+    account,
+    isConnected,
+    contracts,
+    balances,
+    updateBalances
+  } = useWeb3();
+
+  const [loading, setLoading] = useState(false);
+  const [symbol, setSymbol] = useState('');
+  const [orders, setOrders] = useState([]);
+
+  // Amount to buy, per order ID
+  const [fillAmounts, setFillAmounts] = useState({});
+
+  const [listForm, setListForm] = useState({
+    amount: '',
+    price: '',
+    buyer: ''
+  });
+
+  // Load the open orders of the selected property token
+  const loadOrders = async () => {
+    if (!isConnected || !contracts.secondaryMarket || !contracts.realEstateToken) return;
+
+    try {
+      const token = contracts.realEstateToken._address;
+      setSymbol(await contracts.realEstateToken.methods.symbol().call());
+
+      const count = await contracts.secondaryMarket.methods.orderCount(token).call();
+      const page = await contracts.secondaryMarket.methods.getOrders(token, 0, count).call();
+      setOrders(page
+        .filter(order => order.active)
+        .map(order => ({
+          orderId: order.orderId.toString(),
+          seller: order.seller,
+          buyer: order.buyer,
+          amount: order.amount.toString(),
+          price: order.price.toString(),
+          listedAt: order.listedAt.toString()
+        }))
+        .reverse());
+    } catch (error) {
+      console.error('Error loading orders:', error);
+      toast.error('Failed to load market orders');
+    }
+  };
+
+  // Revert with the token's reason when it would refuse a transfer
+  const checkRestriction = async (from, to, amount) => {
+    const restrictionCode = Number(await contracts.realEstateToken.methods
+      .detectTransferRestriction(from, to, amount)
+      .call());
+    if (restrictionCode !== 0) {
+      const reason = await contracts.realEstateToken.methods
+        .messageForTransferRestriction(restrictionCode)
+        .call();
+      throw new Error('Transfer not compliant: ' + reason);
+    }
+  };
+
+  // Run a market action, then refresh orders and balances
+  const runAction = async (action, successMessage) => {
+    setLoading(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      updateBalances();
+      loadOrders();
+    } catch (error) {
+      console.error('Market action failed:', error);
+      toast.error(error.message || 'Transaction failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // List tokens for sale
+  const handleList = async (e) => {
+    e.preventDefault();
+    if (!listForm.amount || !listForm.price) {
+      toast.error('Please fill in amount and price');
+      return;
+    }
+
+    const amount = web3.utils.toWei(listForm.amount, 'ether');
+    const price = web3.utils.toWei(listForm.price, 'mwei'); // USDC has 6 decimals
+    const buyer = listForm.buyer || ZERO_ADDRESS;
+
+    await runAction(async () => {
+      // A quote for a named buyer can be checked in full before listing
+      if (buyer !== ZERO_ADDRESS) {
+        await checkRestriction(account, buyer, amount);
+      }
+
+      // Keep the allowance of earlier listings so they stay fillable
+      const allowance = await contracts.realEstateToken.methods
+        .allowance(account, contracts.secondaryMarket._address)
+        .call();
+      await contracts.realEstateToken.methods
+        .approve(contracts.secondaryMarket._address, (BigInt(allowance) + BigInt(amount)).toString())
+        .send({ from: account });
+      await contracts.secondaryMarket.methods
+        .list(contracts.realEstateToken._address, amount, price, buyer)
+        .send({ from: account });
+      setListForm({ amount: '', price: '', buyer: '' });
+    }, 'Order listed!');
+  };
+
+  // Buy from an order, paying USDC in the same transaction
+  const handleFill = async (order) => {
+    const input = fillAmounts[order.orderId];
+    const amount = input ? web3.utils.toWei(input, 'ether') : order.amount;
+
+    await runAction(async () => {
+      await checkRestriction(order.seller, account, amount);
+
+      const cost = await contracts.secondaryMarket.methods.costOf(order.orderId, amount).call();
+      await contracts.mockUSDC.methods
+        .approve(contracts.secondaryMarket._address, cost)
+        .send({ from: account });
+      await contracts.secondaryMarket.methods
+        .fill(order.orderId, amount)
+        .send({ from: account });
+      setFillAmounts({ ...fillAmounts, [order.orderId]: '' });
+    }, 'Purchase settled!');
+  };
+
+  // Withdraw an order
+  const handleCancel = async (order) => {
+    await runAction(
+      () => contracts.secondaryMarket.methods.cancel(order.orderId).send({ from: account }),
+      'Order cancelled'
+    );
+  };
+
+  const formatAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+  useEffect(() => {
+    loadOrders();
+  }, [isConnected, account, contracts]);
+
+  if (!isConnected) {
+    return (
+      <div className="text-center py-12">
+        <div className="card max-w-md mx-auto">
+          <i className="fas fa-wallet text-6xl text-gray-300 mb-4"></i>
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Connect Your Wallet</h2>
+          <p className="text-gray-600">
+            Connect your wallet to trade property tokens.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!contracts.secondaryMarket) {
+    return (
+      <div className="card text-center py-12">
+        <i className="fas fa-store text-6xl text-gray-300 mb-4"></i>
+        <p className="text-gray-600">No secondary market is deployed on this network.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Market</h1>
+          <p className="text-gray-600 mt-1">
+            Buy and sell property tokens for USDC, settled in a single compliant transaction
+          </p>
+        </div>
+
+        <button
+          onClick={loadOrders}
+          disabled={loading}
+          className="btn btn-secondary mt-4 md:mt-0"
+        >
+          <i className="fas fa-sync-alt mr-2"></i>
+          Refresh Orders
+        </button>
+      </div>
+
+      {/* Sell */}
+      <div className="card">
+        <h2 className="text-xl font-bold text-gray-900 mb-4">
+          <i className="fas fa-tag mr-2 text-primary"></i>
+          Sell Tokens
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Your balance: {balances.tokens} {symbol}. Tokens stay in your wallet until a buyer fills the order.
+        </p>
+
+        <form onSubmit={handleList} className="space-y-4">
+          <div className="grid md:grid-3 gap-4">
+            <div className="form-group">
+              <label className="form-label">Amount</label>
+              <input
+                type="number"
+                step="0.0001"
+                className="form-input"
+                placeholder="0.0"
+                value={listForm.amount}
+                onChange={(e) => setListForm({ ...listForm, amount: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Price per Token (USDC)</label>
+              <input
+                type="number"
+                step="0.01"
+                className="form-input"
+                placeholder="0.00"
+                value={listForm.price}
+                onChange={(e) => setListForm({ ...listForm, price: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Reserved for Buyer (optional)</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="0x... (anyone)"
+                value={listForm.buyer}
+                onChange={(e) => setListForm({ ...listForm, buyer: e.target.value })}
+              />
+            </div>
+          </div>
+          <button type="submit" disabled={loading} className="btn btn-primary">
+            <i className="fas fa-tag mr-2"></i>
+            {loading ? 'Submitting...' : 'List for Sale'}
+          </button>
+        </form>
+      </div>
+
+      {/* Order Book */}
+      <div className="card">
+        <h2 className="text-xl font-bold text-gray-900 mb-4">
+          <i className="fas fa-list mr-2 text-primary"></i>
+          Open Orders
+        </h2>
+
+        {orders.length === 0 ? (
+          <p className="text-gray-600">No open orders for {symbol}.</p>
+        ) : (
+          <div className="space-y-3">
+            {orders.map(order => {
+              const isSeller = order.seller.toLowerCase() === account.toLowerCase();
+              const reserved = order.buyer !== ZERO_ADDRESS;
+              const canBuy = !isSeller && (!reserved || order.buyer.toLowerCase() === account.toLowerCase());
+
+              return (
+                <div key={order.orderId} className="p-4 bg-gray-50 rounded-lg">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div className="text-sm space-y-1">
+                      <div className="font-medium">
+                        #{order.orderId}: {web3.utils.fromWei(order.amount, 'ether')} {symbol} at{' '}
+                        {web3.utils.fromWei(order.price, 'mwei')} USDC
+                      </div>
+                      <div className="text-gray-600">
+                        Seller {formatAddress(order.seller)}{isSeller && ' (you)'}
+                        {reserved && ` · reserved for ${formatAddress(order.buyer)}`}
+                      </div>
+                    </div>
+
+                    {canBuy && (
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          step="0.0001"
+                          className="form-input"
+                          placeholder={web3.utils.fromWei(order.amount, 'ether')}
+                          value={fillAmounts[order.orderId] || ''}
+                          onChange={(e) => setFillAmounts({ ...fillAmounts, [order.orderId]: e.target.value })}
+                        />
+                        <button
+                          onClick={() => handleFill(order)}
+                          disabled={loading}
+                          className="btn btn-success btn-sm"
+                        >
+                          <i className="fas fa-shopping-cart mr-2"></i>
+                          Buy
+                        </button>
+                      </div>
+                    )}
+
+                    {isSeller && (
+                      <button
+                        onClick={() => handleCancel(order)}
+                        disabled={loading}
+                        className="btn btn-secondary btn-sm"
+                      >
+                        <i className="fas fa-times mr-2"></i>
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Market;
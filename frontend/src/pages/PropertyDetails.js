@@ -1,6 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../context/Web3ContextSepolia';
 import { toast } from 'react-toastify';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+
+// Holders shown per cap table page
+const HOLDERS_PAGE_SIZE = 10;
+
+// Offering.Status
+const OFFERING_STATUS = ['Open', 'Succeeded', 'Failed'];
+
+// Most recent appraisals listed under the NAV chart
+const APPRAISALS_SHOWN = 5;
 
 const PropertyDetails = () => {
   const { 
@@ -8,7 +18,8 @@ const PropertyDetails = () => {
     account, 
     isConnected, 
     contracts, 
-    balances 
+    balances,
+    updateBalances
   } = useWeb3();
 
   const [propertyData, setPropertyData] = useState({
@@ -30,6 +41,33 @@ const PropertyDetails = () => {
   
   const [loading, setLoading] = useState(false);
 
+  // Current holders from the compliance contract's holder registry
+  const [capTable, setCapTable] = useState({
+    holders: [],
+    holderCount: 0,
+    maxHolders: 0,
+    page: 0
+  });
+
+  // Primary offering of this property, if one is running
+  const [offeringData, setOfferingData] = useState(null);
+  const [investAmount, setInvestAmount] = useState('');
+  const [investing, setInvesting] = useState(false);
+
+  // NAV history and appraisals from the valuation oracle
+  const [valuationData, setValuationData] = useState(null);
+  const [valuationForm, setValuationForm] = useState({
+    value: '',
+    date: '',
+    method: 'income',
+    document: null
+  });
+  const [submittingValuation, setSubmittingValuation] = useState(false);
+
+  // Sale proceeds, once the property is sold and wound down
+  const [saleData, setSaleData] = useState(null);
+  const [claiming, setClaiming] = useState(false);
+
   // Load property data
   const loadPropertyData = async () => {
     if (!isConnected || !contracts.realEstateToken) return;
@@ -83,6 +121,266 @@ const PropertyDetails = () => {
     }
   };
 
+  // Load one page of the cap table
+  const loadCapTable = async (page = 0) => {
+    if (!isConnected || !contracts.compliance || !contracts.realEstateToken) return;
+
+    try {
+      const holderCount = parseInt(await contracts.compliance.methods.currentHolders().call());
+      const maxHolders = parseInt(await contracts.compliance.methods.maxHolders().call());
+      const addresses = await contracts.compliance.methods
+        .getHolders(page * HOLDERS_PAGE_SIZE, HOLDERS_PAGE_SIZE)
+        .call();
+      const holders = await Promise.all(addresses.map(async (address) => ({
+        address,
+        balance: (await contracts.realEstateToken.methods.balanceOf(address).call()).toString()
+      })));
+
+      setCapTable({ holders, holderCount, maxHolders, page });
+    } catch (error) {
+      // Compliance contract without a holder registry
+      console.error('Error loading cap table:', error);
+    }
+  };
+
+  // Load the offering state and the user's subscription
+  const loadOffering = async () => {
+    if (!isConnected || !contracts.offering || !contracts.realEstateToken) {
+      setOfferingData(null);
+      return;
+    }
+
+    try {
+      const token = await contracts.offering.methods.token().call();
+      if (token.toLowerCase() !== contracts.realEstateToken._address.toLowerCase()) {
+        setOfferingData(null);
+        return;
+      }
+
+      const methods = contracts.offering.methods;
+      const [
+        price, softCap, hardCap, minTicket, maxTicket, deadline, status, totalSubscribed, subscription, issuanceSkipped
+      ] = await Promise.all([
+        methods.price().call(),
+        methods.softCap().call(),
+        methods.hardCap().call(),
+        methods.minTicket().call(),
+        methods.maxTicket().call(),
+        methods.deadline().call(),
+        methods.status().call(),
+        methods.totalSubscribed().call(),
+        methods.subscriptions(account).call(),
+        methods.issuanceSkipped(account).call()
+      ]);
+
+      // Explain why a subscription of a successful sale cannot be issued
+      let issuanceRestriction = '';
+      if (parseInt(status) === 1 && subscription.toString() !== '0') {
+        const restrictionCode = Number(await methods.issuanceRestriction(account).call());
+        if (restrictionCode !== 0) {
+          issuanceRestriction = await contracts.realEstateToken.methods
+            .messageForTransferRestriction(restrictionCode)
+            .call();
+        }
+      }
+
+      setOfferingData({
+        price: price.toString(),
+        softCap: softCap.toString(),
+        hardCap: hardCap.toString(),
+        minTicket: minTicket.toString(),
+        maxTicket: maxTicket.toString(),
+        deadline: parseInt(deadline),
+        status: parseInt(status),
+        totalSubscribed: totalSubscribed.toString(),
+        subscription: subscription.toString(),
+        issuanceRestriction,
+        issuanceSkipped
+      });
+    } catch (error) {
+      console.error('Error loading offering:', error);
+      setOfferingData(null);
+    }
+  };
+
+  // Run an offering action, then refresh the offering and balances
+  const runOfferingAction = async (action, successMessage) => {
+    setInvesting(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      updateBalances();
+      loadOffering();
+    } catch (error) {
+      console.error('Offering action failed:', error);
+      toast.error('Transaction failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setInvesting(false);
+    }
+  };
+
+  // Subscribe to the offering with USDC
+  const handleInvest = async (e) => {
+    e.preventDefault();
+    if (!investAmount) {
+      toast.error('Please enter an amount');
+      return;
+    }
+
+    const amount = web3.utils.toWei(investAmount, 'mwei'); // USDC has 6 decimals
+    await runOfferingAction(async () => {
+      // Explain a compliance refusal before asking for an approval
+      const tokenAmount = await contracts.offering.methods.tokensFor(amount).call();
+      const restrictionCode = Number(await contracts.realEstateToken.methods
+        .detectTransferRestriction('0x0000000000000000000000000000000000000000', account, tokenAmount)
+        .call());
+      if (restrictionCode !== 0) {
+        const reason = await contracts.realEstateToken.methods
+          .messageForTransferRestriction(restrictionCode)
+          .call();
+        throw new Error(reason);
+      }
+
+      await contracts.mockUSDC.methods
+        .approve(contracts.offering._address, amount)
+        .send({ from: account });
+      await contracts.offering.methods.subscribe(amount).send({ from: account });
+      setInvestAmount('');
+    }, 'Subscription received!');
+  };
+
+  // Load the sale proceeds of the property and the user's share
+  const loadSale = async () => {
+    if (!isConnected || !contracts.propertySale || !contracts.realEstateToken) {
+      setSaleData(null);
+      return;
+    }
+
+    try {
+      const token = contracts.realEstateToken._address;
+      const [sale, share] = await Promise.all([
+        contracts.propertySale.methods.getSale(token).call(),
+        contracts.propertySale.methods.proceedsOf(token, account).call()
+      ]);
+      if (sale.token.toLowerCase() !== token.toLowerCase()) {
+        setSaleData(null);
+        return;
+      }
+
+      setSaleData({
+        proceeds: sale.proceeds.toString(),
+        claimed: sale.claimed.toString(),
+        claimDeadline: parseInt(sale.claimDeadline),
+        unclaimedRecipient: sale.unclaimedRecipient,
+        swept: sale.swept,
+        share: share.toString()
+      });
+    } catch (error) {
+      console.error('Error loading sale:', error);
+      setSaleData(null);
+    }
+  };
+
+  // Redeem the user's tokens for their share of the sale proceeds
+  const handleClaimProceeds = async () => {
+    setClaiming(true);
+    try {
+      await contracts.propertySale.methods
+        .claim(contracts.realEstateToken._address, [account])
+        .send({ from: account });
+      toast.success('Sale proceeds claimed!');
+      updateBalances();
+      loadSale();
+    } catch (error) {
+      console.error('Error claiming proceeds:', error);
+      toast.error('Transaction failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  // Load the NAV history, latest appraisals and whether the user is an appraiser
+  const loadValuations = async () => {
+    if (!isConnected || !contracts.valuationOracle || !contracts.realEstateToken) {
+      setValuationData(null);
+      return;
+    }
+
+    try {
+      const token = contracts.realEstateToken._address;
+      const methods = contracts.valuationOracle.methods;
+      const [navHistory, count, stale, aggregation, isAppraiser] = await Promise.all([
+        methods.getNavHistory(token).call(),
+        methods.valuationCount(token).call(),
+        methods.isStale(token).call(),
+        methods.aggregations(token).call(),
+        methods.isAppraiser(token, account).call()
+      ]);
+      const offset = Math.max(parseInt(count) - APPRAISALS_SHOWN, 0);
+      const appraisals = await methods.getValuations(token, offset, APPRAISALS_SHOWN).call();
+
+      setValuationData({
+        navHistory: navHistory.map(point => ({
+          date: new Date(parseInt(point.updatedAt) * 1000).toLocaleDateString(),
+          value: parseFloat(web3.utils.fromWei(point.value, 'ether'))
+        })),
+        appraisals: appraisals.map(valuation => ({
+          valuationId: valuation.valuationId.toString(),
+          appraiser: valuation.appraiser,
+          value: valuation.value.toString(),
+          valuationDate: parseInt(valuation.valuationDate),
+          documentHash: valuation.documentHash,
+          method: valuation.method
+        })).reverse(),
+        stale,
+        quorum: parseInt(aggregation.quorum),
+        maxAge: parseInt(aggregation.maxAge),
+        isAppraiser
+      });
+    } catch (error) {
+      console.error('Error loading valuations:', error);
+      setValuationData(null);
+    }
+  };
+
+  // Submit an appraisal, hashing the appraisal document in the browser
+  const handleSubmitValuation = async (e) => {
+    e.preventDefault();
+    if (!valuationForm.value || !valuationForm.date || !valuationForm.document) {
+      toast.error('Please fill in value, date and appraisal document');
+      return;
+    }
+
+    setSubmittingValuation(true);
+    try {
+      const documentHash = web3.utils.keccak256(new Uint8Array(await valuationForm.document.arrayBuffer()));
+      const valuationDate = Math.floor(new Date(valuationForm.date).getTime() / 1000);
+
+      await contracts.valuationOracle.methods
+        .submitValuation(
+          contracts.realEstateToken._address,
+          web3.utils.toWei(valuationForm.value, 'ether'),
+          valuationDate,
+          documentHash,
+          valuationForm.method
+        )
+        .send({ from: account });
+
+      toast.success('Valuation submitted!');
+      setValuationForm({ ...valuationForm, value: '', date: '', document: null });
+      loadPropertyData();
+      loadValuations();
+    } catch (error) {
+      console.error('Error submitting valuation:', error);
+      toast.error('Transaction failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setSubmittingValuation(false);
+    }
+  };
+
+  // Format USDC amounts (6 decimals)
+  const formatUSDC = (amount) => formatCurrency(amount, 6);
+
   // Format currency
   const formatCurrency = (amount, decimals = 18) => {
     const value = parseFloat(amount) / Math.pow(10, decimals);
@@ -101,6 +399,10 @@ const PropertyDetails = () => {
 
   useEffect(() => {
     loadPropertyData();
+    loadCapTable();
+    loadOffering();
+    loadValuations();
+    loadSale();
   }, [isConnected, account, contracts, balances]);
 
   if (!isConnected) {
@@ -224,6 +526,123 @@ const PropertyDetails = () => {
             </div>
           )}
 
+          {/* Valuation */}
+          {valuationData && (
+            <div className="card">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-bold text-gray-900">
+                  <i className="fas fa-chart-line mr-2 text-primary"></i>
+                  Net Asset Value
+                </h2>
+                {valuationData.stale && (
+                  <span className="px-3 py-1 rounded-full text-sm font-medium bg-error/10 text-error">
+                    Valuation stale
+                  </span>
+                )}
+              </div>
+
+              {valuationData.navHistory.length === 0 ? (
+                <p className="text-gray-600 mb-6">No appraisals yet.</p>
+              ) : (
+                <div className="w-full h-64 mb-6">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={valuationData.navHistory}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="date" />
+                      <YAxis tickFormatter={(value) => `$${(value / 1000).toLocaleString()}k`} />
+                      <Tooltip formatter={(value) => formatCurrency(value, 0)} />
+                      <Line type="monotone" dataKey="value" name="NAV" stroke="#3b82f6" strokeWidth={2} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              <p className="text-sm text-gray-600 mb-4">
+                {valuationData.quorum > 0
+                  ? `Median of the latest appraisal of each appraiser, once ${valuationData.quorum} are fresh.`
+                  : 'Each appraisal sets the property value.'}
+                {valuationData.maxAge > 0 &&
+                  ` Appraisals turn stale ${Math.round(valuationData.maxAge / 86400)} days after their date.`}
+              </p>
+
+              <div className="grid md:grid-2 gap-8">
+                <div>
+                  <h3 className="font-semibold text-gray-800 mb-4">Recent Appraisals</h3>
+                  <div className="space-y-2">
+                    {valuationData.appraisals.map(appraisal => (
+                      <div key={appraisal.valuationId} className="p-3 bg-gray-50 rounded-lg text-sm">
+                        <div className="flex justify-between font-medium">
+                          <span>{formatCurrency(appraisal.value)}</span>
+                          <span>{new Date(appraisal.valuationDate * 1000).toLocaleDateString()}</span>
+                        </div>
+                        <div className="text-gray-600">
+                          {appraisal.method} by {appraisal.appraiser.slice(0, 6)}...{appraisal.appraiser.slice(-4)}
+                        </div>
+                        <div className="font-mono text-xs text-gray-500 truncate" title={appraisal.documentHash}>
+                          {appraisal.documentHash}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {valuationData.isAppraiser && (
+                  <form onSubmit={handleSubmitValuation} className="space-y-4">
+                    <h3 className="font-semibold text-gray-800">Submit Appraisal</h3>
+                    <div className="form-group">
+                      <label className="form-label">Property Value (USD)</label>
+                      <input
+                        type="number"
+                        step="1"
+                        className="form-input"
+                        placeholder="0"
+                        value={valuationForm.value}
+                        onChange={(e) => setValuationForm({ ...valuationForm, value: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label className="form-label">Valuation Date</label>
+                      <input
+                        type="date"
+                        className="form-input"
+                        value={valuationForm.date}
+                        onChange={(e) => setValuationForm({ ...valuationForm, date: e.target.value })}
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label className="form-label">Method</label>
+                      <select
+                        className="form-input"
+                        value={valuationForm.method}
+                        onChange={(e) => setValuationForm({ ...valuationForm, method: e.target.value })}
+                      >
+                        <option value="income">Income</option>
+                        <option value="sales comparison">Sales comparison</option>
+                        <option value="cost">Cost</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label className="form-label">Appraisal Document</label>
+                      <input
+                        type="file"
+                        className="form-input"
+                        onChange={(e) => setValuationForm({ ...valuationForm, document: e.target.files[0] || null })}
+                        required
+                      />
+                      <p className="text-sm text-gray-600 mt-1">Only the document's hash is stored on-chain.</p>
+                    </div>
+                    <button type="submit" disabled={submittingValuation} className="btn btn-primary">
+                      <i className="fas fa-file-signature mr-2"></i>
+                      {submittingValuation ? 'Submitting...' : 'Submit Appraisal'}
+                    </button>
+                  </form>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Token Information */}
           <div className="card">
             <h2 className="text-xl font-bold text-gray-900 mb-6">
@@ -336,6 +755,250 @@ const PropertyDetails = () => {
             </div>
           </div>
 
+          {/* Primary Offering */}
+          {offeringData && (
+            <div className="card">
+              <h2 className="text-xl font-bold text-gray-900 mb-6">
+                <i className="fas fa-hand-holding-usd mr-2 text-primary"></i>
+                Invest
+              </h2>
+
+              <div className="grid md:grid-2 gap-8">
+                <div className="text-sm text-gray-600 space-y-2">
+                  <div className="flex justify-between">
+                    <span>Status:</span>
+                    <span className="font-medium">{OFFERING_STATUS[offeringData.status]}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Price per Token:</span>
+                    <span>{formatUSDC(offeringData.price)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Raised:</span>
+                    <span>{formatUSDC(offeringData.totalSubscribed)} of {formatUSDC(offeringData.hardCap)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Soft Cap:</span>
+                    <span>{formatUSDC(offeringData.softCap)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Ticket Size:</span>
+                    <span>{formatUSDC(offeringData.minTicket)} - {formatUSDC(offeringData.maxTicket)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Closes:</span>
+                    <span>{new Date(offeringData.deadline * 1000).toLocaleString()}</span>
+                  </div>
+                  <div className="flex justify-between font-medium">
+                    <span>Your Subscription:</span>
+                    <span>{formatUSDC(offeringData.subscription)}</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-3">
+                    <div
+                      className="bg-primary h-3 rounded-full transition-all duration-500"
+                      style={{ width: `${Math.min(parseFloat(offeringData.totalSubscribed) / parseFloat(offeringData.hardCap) * 100, 100)}%` }}
+                    ></div>
+                  </div>
+                </div>
+
+                <div>
+                  {offeringData.status === 0 && Date.now() / 1000 <= offeringData.deadline && (
+                    <form onSubmit={handleInvest} className="space-y-4">
+                      <div className="form-group">
+                        <label className="form-label">Amount (USDC)</label>
+                        <input
+                          type="number"
+                          step="0.01"
+                          className="form-input"
+                          placeholder="0.00"
+                          value={investAmount}
+                          onChange={(e) => setInvestAmount(e.target.value)}
+                          required
+                        />
+                        {investAmount && parseFloat(offeringData.price) > 0 && (
+                          <p className="text-sm text-gray-600 mt-1">
+                            ≈ {formatNumber(parseFloat(investAmount) * 1e6 / parseFloat(offeringData.price))} {propertyData.tokenInfo.symbol}
+                          </p>
+                        )}
+                      </div>
+                      <button type="submit" disabled={investing} className="btn btn-primary">
+                        <i className="fas fa-hand-holding-usd mr-2"></i>
+                        {investing ? 'Subscribing...' : 'Invest'}
+                      </button>
+                    </form>
+                  )}
+
+                  {offeringData.status === 0 && (Date.now() / 1000 > offeringData.deadline ||
+                    offeringData.totalSubscribed === offeringData.hardCap) && (
+                    <button
+                      onClick={() => runOfferingAction(
+                        () => contracts.offering.methods.close().send({ from: account }),
+                        'Offering closed'
+                      )}
+                      disabled={investing}
+                      className="btn btn-secondary"
+                    >
+                      <i className="fas fa-flag-checkered mr-2"></i>
+                      Close Offering
+                    </button>
+                  )}
+
+                  {offeringData.status === 1 && offeringData.subscription !== '0' && !offeringData.issuanceRestriction && (
+                    <button
+                      onClick={() => runOfferingAction(
+                        () => contracts.offering.methods.issueTokens([account]).send({ from: account }),
+                        'Tokens issued!'
+                      )}
+                      disabled={investing}
+                      className="btn btn-success"
+                    >
+                      <i className="fas fa-coins mr-2"></i>
+                      Claim Tokens
+                    </button>
+                  )}
+
+                  {offeringData.issuanceRestriction && (
+                    <p className="text-sm text-gray-600 mb-4">
+                      Your tokens cannot be issued: {offeringData.issuanceRestriction}
+                    </p>
+                  )}
+
+                  {(offeringData.status === 2 || offeringData.issuanceSkipped) && offeringData.subscription !== '0' && (
+                    <button
+                      onClick={() => runOfferingAction(
+                        () => contracts.offering.methods.refund().send({ from: account }),
+                        'Subscription refunded'
+                      )}
+                      disabled={investing}
+                      className="btn btn-secondary"
+                    >
+                      <i className="fas fa-undo mr-2"></i>
+                      Claim Refund
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Sale Proceeds */}
+          {saleData && (
+            <div className="card">
+              <h2 className="text-xl font-bold text-gray-900 mb-6">
+                <i className="fas fa-sign mr-2 text-primary"></i>
+                Property Sold
+              </h2>
+
+              <div className="grid md:grid-2 gap-8">
+                <div className="text-sm text-gray-600 space-y-2">
+                  <p>
+                    The property has been sold and its tokens no longer trade. Each token is redeemed for an
+                    equal share of the sale proceeds until the claim deadline.
+                  </p>
+                  <div className="flex justify-between">
+                    <span>Sale Proceeds:</span>
+                    <span>{formatUSDC(saleData.proceeds)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Claimed:</span>
+                    <span>{formatUSDC(saleData.claimed)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Claim Deadline:</span>
+                    <span>{new Date(saleData.claimDeadline * 1000).toLocaleString()}</span>
+                  </div>
+                  <div className="flex justify-between font-medium">
+                    <span>Your Share:</span>
+                    <span>{formatUSDC(saleData.share)}</span>
+                  </div>
+                </div>
+
+                <div>
+                  {Date.now() / 1000 <= saleData.claimDeadline ? (
+                    <button
+                      onClick={handleClaimProceeds}
+                      disabled={claiming || saleData.share === '0'}
+                      className="btn btn-success"
+                    >
+                      <i className="fas fa-money-bill-wave mr-2"></i>
+                      {claiming ? 'Claiming...' : 'Redeem Tokens for Proceeds'}
+                    </button>
+                  ) : (
+                    <p className="text-sm text-gray-600">
+                      The claim period is over; unclaimed proceeds {saleData.swept ? 'were' : 'will be'} sent to{' '}
+                      {saleData.unclaimedRecipient.slice(0, 6)}...{saleData.unclaimedRecipient.slice(-4)}.
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Cap Table */}
+          <div className="card">
+            <h2 className="text-xl font-bold text-gray-900 mb-6">
+              <i className="fas fa-users mr-2 text-primary"></i>
+              Cap Table
+            </h2>
+
+            <div className="flex justify-between text-sm text-gray-600 mb-4">
+              <span>
+                {capTable.holderCount} holder{capTable.holderCount === 1 ? '' : 's'}
+                {capTable.maxHolders > 0 && ` of ${capTable.maxHolders} allowed`}
+              </span>
+              {capTable.holderCount > HOLDERS_PAGE_SIZE && (
+                <span>
+                  Page {capTable.page + 1} of {Math.ceil(capTable.holderCount / HOLDERS_PAGE_SIZE)}
+                </span>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              {capTable.holders.length === 0 ? (
+                <p className="text-gray-600">No holders yet.</p>
+              ) : (
+                capTable.holders.map(holder => {
+                  const share = parseFloat(propertyData.tokenInfo.totalSupply) > 0
+                    ? (parseFloat(holder.balance) / parseFloat(propertyData.tokenInfo.totalSupply)) * 100
+                    : 0;
+                  return (
+                    <div key={holder.address} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                      <span className="font-mono text-sm">
+                        {holder.address.slice(0, 10)}...{holder.address.slice(-8)}
+                        {holder.address.toLowerCase() === account.toLowerCase() && ' (you)'}
+                      </span>
+                      <span className="font-medium">
+                        {formatNumber(web3.utils.fromWei(holder.balance, 'ether'))} {propertyData.tokenInfo.symbol}
+                        <span className="text-gray-600 ml-2">({share.toFixed(2)}%)</span>
+                      </span>
+                    </div>
+                  );
+                })
+              )}
+            </div>
+
+            {capTable.holderCount > HOLDERS_PAGE_SIZE && (
+              <div className="flex justify-between mt-4">
+                <button
+                  onClick={() => loadCapTable(capTable.page - 1)}
+                  disabled={capTable.page === 0}
+                  className="btn btn-secondary"
+                >
+                  <i className="fas fa-chevron-left mr-2"></i>
+                  Previous
+                </button>
+                <button
+                  onClick={() => loadCapTable(capTable.page + 1)}
+                  disabled={(capTable.page + 1) * HOLDERS_PAGE_SIZE >= capTable.holderCount}
+                  className="btn btn-secondary"
+                >
+                  Next
+                  <i className="fas fa-chevron-right ml-2"></i>
+                </button>
+              </div>
+            )}
+          </div>
+
           {/* ERC-3643 Compliance Info */}
           <div className="card">
             <h2 className="text-xl font-bold text-gray-900 mb-6">
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../context/Web3ContextSepolia';
 import { toast } from 'react-toastify';
+import { sendGasless } from '../utils/metaTransactions';
 
 const TokenManagement = () => {
   const { 
@@ -20,18 +21,25 @@ const TokenManagement = () => {
     symbol: '',
     decimals: 0,
     totalSupply: '0',
-    userBalance: '0'
+    userBalance: '0',
+    frozenTokens: '0',
+    lockedTokens: '0',
+    transferableTokens: '0',
+    isFrozen: false
   });
 
   // Form states
   const [transferForm, setTransferForm] = useState({
     to: '',
-    amount: ''
+    amount: '',
+    gasless: false
   });
   
   const [mintForm, setMintForm] = useState({
     to: '',
-    amount: ''
+    amount: '',
+    cliffDate: '',
+    releaseDate: ''
   });
 
   const [burnForm, setBurnForm] = useState({
@@ -39,6 +47,18 @@ const TokenManagement = () => {
     amount: ''
   });
 
+  const [freezeForm, setFreezeForm] = useState({
+    address: '',
+    amount: ''
+  });
+  const [freezeStatus, setFreezeStatus] = useState(null);
+
+  const [recoveryForm, setRecoveryForm] = useState({
+    lostWallet: '',
+    newWallet: '',
+    onchainID: ''
+  });
+
   // Load token data
   const loadTokenData = async () => {
     if (!isConnected || !contracts.realEstateToken) return;
@@ -49,13 +69,21 @@ const TokenManagement = () => {
       const decimals = await contracts.realEstateToken.methods.decimals().call();
       const totalSupply = await contracts.realEstateToken.methods.totalSupply().call();
       const userBalance = await contracts.realEstateToken.methods.balanceOf(account).call();
+      const frozenTokens = await contracts.realEstateToken.methods.getFrozenTokens(account).call();
+      const isFrozen = await contracts.realEstateToken.methods.isFrozen(account).call();
+      const lockedTokens = await contracts.realEstateToken.methods.lockedBalanceOf(account).call();
+      const transferableTokens = await contracts.realEstateToken.methods.transferableBalanceOf(account).call();
 
       setTokenData({
         name,
         symbol,
         decimals: parseInt(decimals),
         totalSupply,
-        userBalance
+        userBalance,
+        frozenTokens,
+        lockedTokens,
+        transferableTokens,
+        isFrozen
       });
     } catch (error) {
       console.error('Error loading token data:', error);
@@ -89,22 +117,29 @@ const TokenManagement = () => {
 
       const amount = web3.utils.toWei(transferForm.amount, 'ether');
       
-      // Check if transfer is compliant
-      const canTransfer = await contracts.realEstateToken.methods
-        .canTransfer(account, transferForm.to, amount)
-        .call();
+      // Check if transfer is compliant and explain why not
+      const restrictionCode = Number(await contracts.realEstateToken.methods
+        .detectTransferRestriction(account, transferForm.to, amount)
+        .call());
       
-      if (!canTransfer) {
-        toast.error('Transfer not compliant with current rules');
+      if (restrictionCode !== 0) {
+        const reason = await contracts.realEstateToken.methods
+          .messageForTransferRestriction(restrictionCode)
+          .call();
+        toast.error('Transfer not compliant: ' + reason);
         return;
       }
 
-      const tx = await contracts.realEstateToken.methods
-        .transfer(transferForm.to, amount)
-        .send({ from: account });
+      const transfer = contracts.realEstateToken.methods.transfer(transferForm.to, amount);
+      if (transferForm.gasless) {
+        // Signed by the holder, paid for by the relayer
+        await sendGasless(web3, account, contracts.realEstateToken, transfer);
+      } else {
+        await transfer.send({ from: account });
+      }
 
       toast.success('Transfer successful!');
-      setTransferForm({ to: '', amount: '' });
+      setTransferForm({ to: '', amount: '', gasless: false });
       updateBalances();
       loadTokenData();
     } catch (error) {
@@ -127,12 +162,24 @@ const TokenManagement = () => {
     try {
       const amount = web3.utils.toWei(mintForm.amount, 'ether');
       
-      const tx = await contracts.realEstateToken.methods
-        .mint(mintForm.to, amount)
-        .send({ from: account });
+      if (mintForm.releaseDate) {
+        // Vest linearly from now between the cliff and the release date; without a cliff it is a plain lock-up
+        const toTimestamp = (date) => Math.floor(new Date(date).getTime() / 1000);
+        const start = Math.floor(Date.now() / 1000);
+        const end = toTimestamp(mintForm.releaseDate);
+        const cliff = mintForm.cliffDate ? toTimestamp(mintForm.cliffDate) : end;
+
+        await contracts.realEstateToken.methods
+          .mintWithVesting(mintForm.to, amount, mintForm.cliffDate ? start : end, cliff, end)
+          .send({ from: account });
+      } else {
+        await contracts.realEstateToken.methods
+          .mint(mintForm.to, amount)
+          .send({ from: account });
+      }
 
       toast.success('Tokens minted successfully!');
-      setMintForm({ to: '', amount: '' });
+      setMintForm({ to: '', amount: '', cliffDate: '', releaseDate: '' });
       updateBalances();
       loadTokenData();
     } catch (error) {
@@ -171,6 +218,80 @@ const TokenManagement = () => {
     }
   };
 
+  // Handle lost wallet recovery (agents only)
+  const handleRecovery = async (e) => {
+    e.preventDefault();
+    if (!recoveryForm.lostWallet || !recoveryForm.newWallet) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      // Default to the onchain ID registered for the lost wallet
+      const onchainID = recoveryForm.onchainID ||
+        await contracts.identityRegistry.methods.identity(recoveryForm.lostWallet).call();
+
+      await contracts.realEstateToken.methods
+        .recoveryAddress(recoveryForm.lostWallet, recoveryForm.newWallet, onchainID)
+        .send({ from: account });
+
+      toast.success('Wallet recovered successfully!');
+      setRecoveryForm({ lostWallet: '', newWallet: '', onchainID: '' });
+      updateBalances();
+      loadTokenData();
+    } catch (error) {
+      console.error('Recovery failed:', error);
+      toast.error('Recovery failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Look up the frozen state of an address
+  const loadFreezeStatus = async (address) => {
+    const isFrozen = await contracts.realEstateToken.methods.isFrozen(address).call();
+    const frozenTokens = await contracts.realEstateToken.methods.getFrozenTokens(address).call();
+    const balance = await contracts.realEstateToken.methods.balanceOf(address).call();
+    setFreezeStatus({ address, isFrozen, frozenTokens, balance });
+  };
+
+  // Handle freeze actions (compliance officers only)
+  const handleFreezeAction = async (action) => {
+    if (!freezeForm.address) {
+      toast.error('Please enter an address');
+      return;
+    }
+    if ((action === 'freezeTokens' || action === 'unfreezeTokens') && !freezeForm.amount) {
+      toast.error('Please enter an amount');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const methods = contracts.realEstateToken.methods;
+      let tx;
+      if (action === 'freezeWallet' || action === 'unfreezeWallet') {
+        tx = methods.setAddressFrozen(freezeForm.address, action === 'freezeWallet');
+      } else {
+        const amount = web3.utils.toWei(freezeForm.amount, 'ether');
+        tx = action === 'freezeTokens'
+          ? methods.freezePartialTokens(freezeForm.address, amount)
+          : methods.unfreezePartialTokens(freezeForm.address, amount);
+      }
+      await tx.send({ from: account });
+
+      toast.success('Freeze status updated!');
+      await loadFreezeStatus(freezeForm.address);
+      loadTokenData();
+    } catch (error) {
+      console.error('Freeze action failed:', error);
+      toast.error('Freeze action failed: ' + (error.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   useEffect(() => {
     loadTokenData();
   }, [isConnected, account, contracts]);
@@ -240,6 +361,27 @@ const TokenManagement = () => {
                   {balances.tokens} {tokenData.symbol}
                 </span>
               </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Frozen:</span>
+                <span className="font-medium">
+                  {(parseFloat(tokenData.frozenTokens) / 1e18).toLocaleString()} {tokenData.symbol}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Locked / Unvested:</span>
+                <span className="font-medium">
+                  {(parseFloat(tokenData.lockedTokens) / 1e18).toLocaleString()} {tokenData.symbol}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Transferable:</span>
+                <span className="font-medium">
+                  {tokenData.isFrozen
+                    ? 0
+                    : (parseFloat(tokenData.transferableTokens) / 1e18).toLocaleString()
+                  } {tokenData.symbol}
+                </span>
+              </div>
             </div>
           </div>
           
@@ -260,6 +402,20 @@ const TokenManagement = () => {
         </div>
       </div>
 
+      {tokenData.isFrozen && (
+        <div className="card bg-error/10 border-error/20">
+          <div className="flex items-center gap-3">
+            <i className="fas fa-snowflake text-error text-xl"></i>
+            <div>
+              <h3 className="font-semibold text-error-dark">Wallet Frozen</h3>
+              <p className="text-sm text-error-dark/80">
+                A compliance officer has frozen this wallet. Transfers to and from it are blocked.
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Tab Navigation */}
       <div className="card">
         <div className="border-b border-gray-200 mb-6">
@@ -297,6 +453,28 @@ const TokenManagement = () => {
               <i className="fas fa-fire mr-2"></i>
               Burn
             </button>
+            <button
+              onClick={() => setActiveTab('freeze')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'freeze'
+                  ? 'border-primary text-primary'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <i className="fas fa-snowflake mr-2"></i>
+              Freeze
+            </button>
+            <button
+              onClick={() => setActiveTab('recovery')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'recovery'
+                  ? 'border-primary text-primary'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <i className="fas fa-key mr-2"></i>
+              Recovery
+            </button>
           </nav>
         </div>
 
@@ -330,6 +508,14 @@ const TokenManagement = () => {
                   />
                 </div>
               </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={transferForm.gasless}
+                  onChange={(e) => setTransferForm({ ...transferForm, gasless: e.target.checked })}
+                />
+                Gasless (sign only, the relayer pays the gas)
+              </label>
               <button
                 type="submit"
                 disabled={loading}
@@ -388,6 +574,27 @@ const TokenManagement = () => {
                     required
                   />
                 </div>
+                <div className="form-group">
+                  <label className="form-label">Release Date (optional)</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={mintForm.releaseDate}
+                    onChange={(e) => setMintForm({ ...mintForm, releaseDate: e.target.value })}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Tokens stay locked until this date</p>
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Vesting Cliff (optional)</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={mintForm.cliffDate}
+                    onChange={(e) => setMintForm({ ...mintForm, cliffDate: e.target.value })}
+                    disabled={!mintForm.releaseDate}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Vest linearly from today, releasing nothing before the cliff</p>
+                </div>
               </div>
               <button
                 type="submit"
@@ -468,6 +675,151 @@ const TokenManagement = () => {
             </form>
           </div>
         )}
+
+        {/* Freeze Tab */}
+        {activeTab === 'freeze' && (
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">Freeze Wallets and Tokens</h3>
+            <div className="bg-warning/10 border border-warning/20 rounded-lg p-4 mb-4">
+              <div className="flex items-center gap-2">
+                <i className="fas fa-exclamation-triangle text-warning"></i>
+                <span className="text-sm text-warning-dark">
+                  Only compliance officers can freeze wallets or tokens
+                </span>
+              </div>
+            </div>
+            <div className="space-y-4">
+              <div className="grid md:grid-2 gap-4">
+                <div className="form-group">
+                  <label className="form-label">Wallet Address</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    placeholder="0x..."
+                    value={freezeForm.address}
+                    onChange={(e) => setFreezeForm({ ...freezeForm, address: e.target.value })}
+                    onBlur={(e) => web3.utils.isAddress(e.target.value) && loadFreezeStatus(e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Amount (for partial freeze)</label>
+                  <input
+                    type="number"
+                    step="0.0001"
+                    className="form-input"
+                    placeholder="0.0"
+                    value={freezeForm.amount}
+                    onChange={(e) => setFreezeForm({ ...freezeForm, amount: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              {freezeStatus && freezeStatus.address === freezeForm.address && (
+                <div className="p-3 bg-gray-50 rounded-lg text-sm space-y-1">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Wallet:</span>
+                    <span className={`font-medium ${freezeStatus.isFrozen ? 'text-error' : 'text-success'}`}>
+                      {freezeStatus.isFrozen ? 'Frozen' : 'Active'}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Frozen Tokens:</span>
+                    <span className="font-medium">
+                      {(parseFloat(freezeStatus.frozenTokens) / 1e18).toLocaleString()} / {(parseFloat(freezeStatus.balance) / 1e18).toLocaleString()} {tokenData.symbol}
+                    </span>
+                  </div>
+                </div>
+              )}
+
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => handleFreezeAction('freezeWallet')} disabled={loading} className="btn btn-danger">
+                  <i className="fas fa-lock mr-2"></i>
+                  Freeze Wallet
+                </button>
+                <button onClick={() => handleFreezeAction('unfreezeWallet')} disabled={loading} className="btn btn-secondary">
+                  <i className="fas fa-lock-open mr-2"></i>
+                  Unfreeze Wallet
+                </button>
+                <button onClick={() => handleFreezeAction('freezeTokens')} disabled={loading} className="btn btn-warning">
+                  <i className="fas fa-snowflake mr-2"></i>
+                  Freeze Tokens
+                </button>
+                <button onClick={() => handleFreezeAction('unfreezeTokens')} disabled={loading} className="btn btn-success">
+                  <i className="fas fa-sun mr-2"></i>
+                  Unfreeze Tokens
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Recovery Tab */}
+        {activeTab === 'recovery' && (
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">Recover Lost Wallet</h3>
+            <div className="bg-warning/10 border border-warning/20 rounded-lg p-4 mb-4">
+              <div className="flex items-center gap-2">
+                <i className="fas fa-exclamation-triangle text-warning"></i>
+                <span className="text-sm text-warning-dark">
+                  Only authorized agents can recover wallets. The balance, frozen state and identity move to the new wallet.
+                </span>
+              </div>
+            </div>
+            <form onSubmit={handleRecovery} className="space-y-4">
+              <div className="grid md:grid-2 gap-4">
+                <div className="form-group">
+                  <label className="form-label">Lost Wallet</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    placeholder="0x..."
+                    value={recoveryForm.lostWallet}
+                    onChange={(e) => setRecoveryForm({ ...recoveryForm, lostWallet: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">New Wallet</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    placeholder="0x..."
+                    value={recoveryForm.newWallet}
+                    onChange={(e) => setRecoveryForm({ ...recoveryForm, newWallet: e.target.value })}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Investor Onchain ID (optional)</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="Defaults to the lost wallet's registered identity"
+                  value={recoveryForm.onchainID}
+                  onChange={(e) => setRecoveryForm({ ...recoveryForm, onchainID: e.target.value })}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary"
+              >
+                {loading ? (
+                  <>
+                    <div className="spinner"></div>
+                    Recovering...
+                  </>
+                ) : (
+                  <>
+                    <i className="fas fa-key mr-2"></i>
+                    Recover Wallet
+                  </>
+                )}
+              </button>
+            </form>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,153 @@
+// Gasless transactions through the local relayer (scripts/relayer.js): the user signs an ERC-2771
+// forward request, and optionally an EIP-2612 permit, and the relayer pays the gas.
+
+export const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || 'http://localhost:8787';
+
+// Gas the forwarder passes on to the relayed call
+const DEFAULT_GAS = 600000;
+
+// Signatures stay valid for an hour
+const SIGNATURE_LIFETIME = 3600;
+
+const FORWARDER_ABI = [
+  {
+    inputs: [{ name: 'owner', type: 'address' }],
+    name: 'nonces',
+    outputs: [{ name: '', type: 'uint256' }],
+    stateMutability: 'view',
+    type: 'function'
+  }
+];
+
+const deadline = () => Math.floor(Date.now() / 1000) + SIGNATURE_LIFETIME;
+
+async function signTypedData(web3, account, typedData) {
+  return web3.currentProvider.request({
+    method: 'eth_signTypedData_v4',
+    params: [account, JSON.stringify(typedData)]
+  });
+}
+
+let relayerInfo = null;
+
+// Relayer address, forwarder and chain, or null when no relayer is running
+export async function getRelayerInfo() {
+  if (relayerInfo) {
+    return relayerInfo;
+  }
+  try {
+    const response = await fetch(RELAYER_URL);
+    relayerInfo = response.ok ? await response.json() : null;
+  } catch (error) {
+    relayerInfo = null;
+  }
+  return relayerInfo;
+}
+
+// Sign an EIP-2612 permit letting `spender` take `value` of `token` (a web3 contract)
+export async function signPermit(web3, account, token, spender, value) {
+  const { chainId } = await getRelayerInfo();
+  const [name, nonce] = await Promise.all([
+    token.methods.name().call(),
+    token.methods.nonces(account).call()
+  ]);
+  const message = {
+    owner: account,
+    spender,
+    value: value.toString(),
+    nonce: nonce.toString(),
+    deadline: deadline()
+  };
+  const signature = await signTypedData(web3, account, {
+    types: {
+      EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' }
+      ],
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    },
+    primaryType: 'Permit',
+    domain: { name, version: '1', chainId: Number(chainId), verifyingContract: token._address },
+    message
+  });
+  return {
+    token: token._address,
+    owner: account,
+    spender,
+    value: message.value,
+    deadline: message.deadline,
+    r: '0x' + signature.slice(2, 66),
+    s: '0x' + signature.slice(66, 130),
+    v: parseInt(signature.slice(130, 132), 16)
+  };
+}
+
+// Sign a forward request for `method` (a web3 contract method call, e.g. token.methods.transfer(to, amount))
+// on `target` and have the relayer execute it, submitting `permit` first when given
+export async function sendGasless(web3, account, target, method, permit) {
+  const info = await getRelayerInfo();
+  if (!info) {
+    throw new Error('Relayer is not running at ' + RELAYER_URL);
+  }
+  const forwarder = new web3.eth.Contract(FORWARDER_ABI, info.forwarder);
+  const nonce = await forwarder.methods.nonces(account).call();
+  const message = {
+    from: account,
+    to: target._address,
+    value: '0',
+    gas: DEFAULT_GAS,
+    nonce: nonce.toString(),
+    deadline: deadline(),
+    data: method.encodeABI()
+  };
+  const signature = await signTypedData(web3, account, {
+    types: {
+      EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' }
+      ],
+      ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint48' },
+        { name: 'data', type: 'bytes' }
+      ]
+    },
+    primaryType: 'ForwardRequest',
+    domain: { name: 'Forwarder', version: '1', chainId: Number(info.chainId), verifyingContract: info.forwarder },
+    message
+  });
+
+  const request = {
+    from: message.from,
+    to: message.to,
+    value: message.value,
+    gas: message.gas,
+    deadline: message.deadline,
+    data: message.data,
+    signature
+  };
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ request, permit })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || 'Relayer rejected the request');
+  }
+  return result;
+}
@@ -7,7 +7,18 @@ const contracts = [
   'IdentityRegistry', 
   'Compliance',
   'LeaseManager',
-  'MockERC20'
+  'MockERC20',
+  'PropertyFactory',
+  'RentDistributor',
+  'Identity',
+  'ClaimTopicsRegistry',
+  'TrustedIssuersRegistry',
+  'ModularCompliance',
+  'Offering',
+  'SecondaryMarket',
+  'ValuationOracle',
+  'PropertyGovernor',
+  'PropertySale'
 ];
 
 // Create frontend contracts directory if it doesn't exist
@@ -0,0 +1,26 @@
+const { ethers } = require("hardhat");
+
+// Named country groups (ISO 3166-1 numeric codes) defined on every compliance contract at deployment
+const COUNTRY_GROUPS = {
+  // EU member states plus Iceland, Liechtenstein and Norway
+  EEA: [
+    40, 56, 100, 191, 196, 203, 208, 233, 246, 250, 276, 300, 348, 372, 380, 428, 440, 442, 470, 528,
+    616, 620, 642, 703, 705, 724, 752, 352, 438, 578
+  ],
+  // Jurisdictions under comprehensive OFAC sanctions: Cuba, Iran, North Korea, Syria
+  OFAC: [192, 364, 408, 760]
+};
+
+// Sides of a transfer a country rule applies to (see Compliance.SENDER_SIDE / RECIPIENT_SIDE)
+const SIDES = { SENDER: 1, RECIPIENT: 2, BOTH: 3 };
+
+const groupId = (name) => ethers.encodeBytes32String(name);
+
+// Define every group on a compliance contract (the caller must own it)
+async function defineCountryGroups(compliance) {
+  for (const [name, countries] of Object.entries(COUNTRY_GROUPS)) {
+    await (await compliance.setCountryGroup(groupId(name), countries)).wait();
+  }
+}
+
+module.exports = { COUNTRY_GROUPS, SIDES, groupId, defineCountryGroups };
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { identityStorageFor, deployIdentityRegistry } = require("./identity-storage");
 const fs = require("fs");
 const path = require("path");
 
@@ -25,9 +26,8 @@ async function main() {
   console.log("User wallet address:", userWalletAddress);
 
   console.log("\n1. Deploying Identity Registry...");
-  const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
-  const identityRegistry = await IdentityRegistry.deploy();
-  await identityRegistry.waitForDeployment();
+  const identityStorage = await identityStorageFor();
+  const identityRegistry = await deployIdentityRegistry(identityStorage);
   const identityRegistryAddress = await identityRegistry.getAddress();
   console.log("✅ Identity Registry deployed to:", identityRegistryAddress);
 
@@ -114,6 +114,7 @@ async function main() {
   console.log("\n7. Saving contract addresses...");
   const contractAddresses = {
     identityRegistry: identityRegistryAddress,
+    identityStorage: await identityStorage.getAddress(),
     compliance: complianceAddress,
     realEstateToken: realEstateTokenAddress,
     mockUSDC: mockUSDCAddress,
@@ -168,7 +169,7 @@ async function main() {
   console.log("5. Test the dApp functionality");
 
   console.log("\n🌐 Verification Commands:");
-  console.log(`npx hardhat verify --network sepolia ${identityRegistryAddress}`);
+  console.log(`npx hardhat verify --network sepolia ${identityRegistryAddress} ${await identityStorage.getAddress()}`);
   console.log(`npx hardhat verify --network sepolia ${complianceAddress} ${identityRegistryAddress}`);
   console.log(`npx hardhat verify --network sepolia ${realEstateTokenAddress} "Luxury Property Token" "LPT" 18 ${identityRegistryAddress} ${complianceAddress} '${JSON.stringify(propertyInfo)}'`);
   console.log(`npx hardhat verify --network sepolia ${mockUSDCAddress} "USD Coin (Test)" "USDC" 6 ${ethers.parseUnits("1000000000", 6)}`);
@@ -1,4 +1,6 @@
 const { ethers } = require("hardhat");
+const { identityStorageFor, deployIdentityRegistry } = require("./identity-storage");
+const { getLinkedContractFactory } = require("./linked-factory");
 const fs = require("fs");
 const path = require("path");
 
@@ -25,9 +27,8 @@ async function main() {
   console.log("User wallet address:", userWalletAddress);
 
   console.log("\n1. Deploying Identity Registry...");
-  const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
-  const identityRegistry = await IdentityRegistry.deploy();
-  await identityRegistry.waitForDeployment();
+  const identityStorage = await identityStorageFor();
+  const identityRegistry = await deployIdentityRegistry(identityStorage);
   const identityRegistryAddress = await identityRegistry.getAddress();
   console.log("✅ Identity Registry deployed to:", identityRegistryAddress);
 
@@ -47,7 +48,7 @@ async function main() {
     isActive: true
   };
 
-  const RealEstateToken = await ethers.getContractFactory("RealEstateToken");
+  const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
   const realEstateToken = await RealEstateToken.deploy(
     "Luxury Property Token",
     "LPT",
@@ -59,6 +60,7 @@ async function main() {
   await realEstateToken.waitForDeployment();
   const realEstateTokenAddress = await realEstateToken.getAddress();
   console.log("✅ Real Estate Token deployed to:", realEstateTokenAddress);
+  await (await compliance.bindToken(realEstateTokenAddress)).wait();
 
   console.log("\n4. Deploying Mock USDC for payments...");
   const MockERC20 = await ethers.getContractFactory("MockERC20");
@@ -108,6 +110,7 @@ async function main() {
   console.log("\n7. Saving contract addresses...");
   const contractAddresses = {
     identityRegistry: identityRegistryAddress,
+    identityStorage: await identityStorage.getAddress(),
     compliance: complianceAddress,
     realEstateToken: realEstateTokenAddress,
     mockUSDC: mockUSDCAddress,
@@ -1,4 +1,6 @@
 const { ethers } = require("hardhat");
+const { identityStorageFor, deployIdentityRegistry } = require("./identity-storage");
+const { getLinkedContractFactory } = require("./linked-factory");
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -10,9 +12,8 @@ async function main() {
 
   // Deploy Identity Registry
   console.log("\n1. Deploying Identity Registry...");
-  const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
-  const identityRegistry = await IdentityRegistry.deploy();
-  await identityRegistry.waitForDeployment();
+  const identityStorage = await identityStorageFor();
+  const identityRegistry = await deployIdentityRegistry(identityStorage);
   console.log("Identity Registry deployed to:", await identityRegistry.getAddress());
 
   // Deploy Compliance Contract
@@ -33,7 +34,7 @@ async function main() {
 
   // Deploy Real Estate Token
   console.log("\n3. Deploying Real Estate Token...");
-  const RealEstateToken = await ethers.getContractFactory("RealEstateToken");
+  const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
   const realEstateToken = await RealEstateToken.deploy(
     "Sepolia Property Token",
     "SPT",
@@ -44,6 +45,7 @@ async function main() {
   );
   await realEstateToken.waitForDeployment();
   console.log("Real Estate Token deployed to:", await realEstateToken.getAddress());
+  await (await compliance.bindToken(await realEstateToken.getAddress())).wait();
 
   // Deploy Mock USDC for payments (in production, use real USDC)
   console.log("\n4. Deploying Mock USDC...");
@@ -99,6 +101,7 @@ async function main() {
   // Save addresses to a file for frontend use
   const addresses = {
     identityRegistry: await identityRegistry.getAddress(),
+    identityStorage: await identityStorage.getAddress(),
     compliance: await compliance.getAddress(),
     realEstateToken: await realEstateToken.getAddress(),
     mockUSDC: await mockUSDC.getAddress(),
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { identityStorageFor, deployIdentityRegistry } = require("./identity-storage");
 const fs = require('fs');
 const path = require('path');
 
@@ -11,9 +12,8 @@ async function main() {
 
   // 1. Deploy Identity Registry
   console.log("\n1. Deploying Identity Registry...");
-  const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
-  const identityRegistry = await IdentityRegistry.deploy();
-  await identityRegistry.waitForDeployment();
+  const identityStorage = await identityStorageFor();
+  const identityRegistry = await deployIdentityRegistry(identityStorage);
   console.log("✅ Identity Registry:", await identityRegistry.getAddress());
 
   // 2. Deploy Mock USDC
@@ -75,6 +75,7 @@ async function main() {
   // Save deployment addresses
   const addresses = {
     identityRegistry: await identityRegistry.getAddress(),
+    identityStorage: await identityStorage.getAddress(),
     compliance: await compliance.getAddress(),
     realEstateToken: await realEstateToken.getAddress(),
     mockUSDC: await mockUSDC.getAddress(),
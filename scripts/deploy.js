@@ -1,4 +1,23 @@
 const { ethers } = require("hardhat");
+const { CLAIM_TOPICS, CLAIM_SIGNER_KEY, ECDSA_TYPE, keyOf, onboardInvestor } = require("./onboard-investor");
+const { identityStorageFor } = require("./identity-storage");
+const { SIDES, groupId, defineCountryGroups } = require("./country-groups");
+const { getLinkedContractFactory } = require("./linked-factory");
+
+// Deploy `<name>Upgradeable` behind a TransparentUpgradeableProxy administered by `admin`
+// and return the proxy with the `<name>` ABI
+async function deployProxy(name, args, admin) {
+  const Implementation = await getLinkedContractFactory(`${name}Upgradeable`);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+
+  const initData = Implementation.interface.encodeFunctionData("initialize", args);
+  const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+  const proxy = await Proxy.deploy(await implementation.getAddress(), admin, initData);
+  await proxy.waitForDeployment();
+
+  return ethers.getContractAt(name, await proxy.getAddress());
+}
 
 async function main() {
   const [deployer] = await ethers.getSigners();
@@ -6,19 +25,73 @@ async function main() {
   console.log("Deploying contracts with account:", deployer.address);
   console.log("Account balance:", (await deployer.provider.getBalance(deployer.address)).toString());
 
-  // Deploy Identity Registry
+  // Deploy Identity Registry (upgradeable proxy; see scripts/upgrade.js) on the portfolio's identity storage
   console.log("\n1. Deploying Identity Registry...");
-  const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
-  const identityRegistry = await IdentityRegistry.deploy();
-  await identityRegistry.waitForDeployment();
+  const identityStorage = await identityStorageFor(() => deployProxy("IdentityRegistryStorage", [], deployer.address));
+  const identityRegistry = await deployProxy("IdentityRegistry", [await identityStorage.getAddress()], deployer.address);
+  await (await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress())).wait();
   console.log("Identity Registry deployed to:", await identityRegistry.getAddress());
 
-  // Deploy Compliance Contract
-  console.log("\n2. Deploying Compliance Contract...");
-  const Compliance = await ethers.getContractFactory("Compliance");
-  const compliance = await Compliance.deploy(await identityRegistry.getAddress());
-  await compliance.waitForDeployment();
-  console.log("Compliance Contract deployed to:", await compliance.getAddress());
+  // Deploy the registries of required claim topics and of issuers trusted to sign them
+  const claimTopicsRegistry = await deployProxy("ClaimTopicsRegistry", [], deployer.address);
+  const trustedIssuersRegistry = await deployProxy("TrustedIssuersRegistry", [], deployer.address);
+  await identityRegistry.setClaimTopicsRegistry(await claimTopicsRegistry.getAddress());
+  await identityRegistry.setTrustedIssuersRegistry(await trustedIssuersRegistry.getAddress());
+  console.log("Claim Topics Registry deployed to:", await claimTopicsRegistry.getAddress());
+  console.log("Trusted Issuers Registry deployed to:", await trustedIssuersRegistry.getAddress());
+
+  // Deploy Claim Issuer (the deployer signs KYC/AML claims for local testing)
+  console.log("\nDeploying Claim Issuer...");
+  const ClaimIssuer = await ethers.getContractFactory("ClaimIssuer");
+  const claimIssuer = await ClaimIssuer.deploy(deployer.address);
+  await claimIssuer.waitForDeployment();
+  await (await claimIssuer.addKey(keyOf(deployer.address), CLAIM_SIGNER_KEY, ECDSA_TYPE)).wait();
+  await claimTopicsRegistry.addClaimTopic(CLAIM_TOPICS.KYC);
+  await claimTopicsRegistry.addClaimTopic(CLAIM_TOPICS.AML);
+  await trustedIssuersRegistry.addTrustedIssuer(
+    await claimIssuer.getAddress(),
+    [CLAIM_TOPICS.KYC, CLAIM_TOPICS.AML, CLAIM_TOPICS.ACCREDITATION]
+  );
+  console.log("Claim Issuer deployed to:", await claimIssuer.getAddress());
+
+  // Deploy Property Factory with the implementations its property proxies point to
+  console.log("\n2. Deploying Property Factory...");
+  const RealEstateTokenUpgradeable = await getLinkedContractFactory("RealEstateTokenUpgradeable");
+  const tokenImplementation = await RealEstateTokenUpgradeable.deploy();
+  await tokenImplementation.waitForDeployment();
+  const ComplianceUpgradeable = await ethers.getContractFactory("ComplianceUpgradeable");
+  const complianceImplementation = await ComplianceUpgradeable.deploy();
+  await complianceImplementation.waitForDeployment();
+  const IdentityRegistryUpgradeable = await ethers.getContractFactory("IdentityRegistryUpgradeable");
+  const identityRegistryImplementation = await IdentityRegistryUpgradeable.deploy();
+  await identityRegistryImplementation.waitForDeployment();
+  const PropertyFactory = await ethers.getContractFactory("PropertyFactory");
+  const propertyFactory = await PropertyFactory.deploy(
+    await identityStorage.getAddress(),
+    await tokenImplementation.getAddress(),
+    await complianceImplementation.getAddress(),
+    await identityRegistryImplementation.getAddress()
+  );
+  await propertyFactory.waitForDeployment();
+
+  // Each listed property gets its own identity registry bound to the shared storage
+  await (await identityStorage.addAgent(await propertyFactory.getAddress())).wait();
+  await (await propertyFactory.setClaimRegistries(
+    await claimTopicsRegistry.getAddress(),
+    await trustedIssuersRegistry.getAddress()
+  )).wait();
+  console.log("Property Factory deployed to:", await propertyFactory.getAddress());
+
+  // Deploy the rule modules any ModularCompliance can bind (see scripts/use-modular-compliance.js)
+  console.log("\nDeploying compliance rule modules...");
+  const modules = {};
+  for (const name of ["MaxBalance", "MaxHolders", "CountryRestrict", "CountryAllow", "TimeLock", "VolumeLimit"]) {
+    const Module = await ethers.getContractFactory(`${name}Module`);
+    const module = await Module.deploy();
+    await module.waitForDeployment();
+    modules[`${name.charAt(0).toLowerCase()}${name.slice(1)}Module`] = await module.getAddress();
+    console.log(`${name}Module deployed to:`, await module.getAddress());
+  }
 
   // Property Information
   const propertyInfo = {
@@ -29,18 +102,13 @@ async function main() {
     isActive: true
   };
 
-  // Deploy Real Estate Token
-  console.log("\n3. Deploying Real Estate Token...");
-  const RealEstateToken = await ethers.getContractFactory("RealEstateToken");
-  const realEstateToken = await RealEstateToken.deploy(
-    "Luxury Property Token",
-    "LPT",
-    18,
-    await identityRegistry.getAddress(),
-    await compliance.getAddress(),
-    propertyInfo
-  );
-  await realEstateToken.waitForDeployment();
+  // List the first property through the factory (deploys its token, identity registry and compliance contract)
+  console.log("\n3. Listing property through factory...");
+  await (await propertyFactory.createProperty("Luxury Property Token", "LPT", propertyInfo)).wait();
+  const property = await propertyFactory.getProperty(0);
+  const compliance = await ethers.getContractAt("Compliance", property.compliance);
+  const realEstateToken = await ethers.getContractAt("RealEstateToken", property.token);
+  console.log("Compliance Contract deployed to:", await compliance.getAddress());
   console.log("Real Estate Token deployed to:", await realEstateToken.getAddress());
 
   // Deploy Mock USDC for payments (in production, use real USDC)
@@ -52,21 +120,131 @@ async function main() {
 
   // Deploy Lease Manager
   console.log("\n5. Deploying Lease Manager...");
-  const LeaseManager = await ethers.getContractFactory("LeaseManager");
-  const leaseManager = await LeaseManager.deploy(await mockUSDC.getAddress());
-  await leaseManager.waitForDeployment();
+  const leaseManager = await deployProxy("LeaseManager", [await mockUSDC.getAddress()], deployer.address);
   console.log("Lease Manager deployed to:", await leaseManager.getAddress());
 
+  // Deploy Rent Distributor
+  console.log("\n6. Deploying Rent Distributor...");
+  const RentDistributor = await ethers.getContractFactory("RentDistributor");
+  const rentDistributor = await RentDistributor.deploy(await mockUSDC.getAddress());
+  await rentDistributor.waitForDeployment();
+  console.log("Rent Distributor deployed to:", await rentDistributor.getAddress());
+
+  // Deploy the ERC-2771 forwarder relaying gasless token transfers and lease payments
+  console.log("\n7. Deploying Forwarder...");
+  const Forwarder = await ethers.getContractFactory("Forwarder");
+  const forwarder = await Forwarder.deploy();
+  await forwarder.waitForDeployment();
+  console.log("Forwarder deployed to:", await forwarder.getAddress());
+
+  // Deploy the secondary market, shared by every property token the factory lists
+  console.log("\n8. Deploying Secondary Market...");
+  const SecondaryMarket = await ethers.getContractFactory("SecondaryMarket");
+  const secondaryMarket = await SecondaryMarket.deploy(await mockUSDC.getAddress(), await propertyFactory.getAddress());
+  await secondaryMarket.waitForDeployment();
+  console.log("Secondary Market deployed to:", await secondaryMarket.getAddress());
+
+  // Deploy the redemption contract running buyback windows for every property token
+  console.log("\n9. Deploying Redemption...");
+  const Redemption = await ethers.getContractFactory("Redemption");
+  const redemption = await Redemption.deploy(await mockUSDC.getAddress());
+  await redemption.waitForDeployment();
+  console.log("Redemption deployed to:", await redemption.getAddress());
+
+  // Deploy the valuation oracle keeping the appraisal history of every property token
+  console.log("\n10. Deploying Valuation Oracle...");
+  const ValuationOracle = await ethers.getContractFactory("ValuationOracle");
+  const valuationOracle = await ValuationOracle.deploy();
+  await valuationOracle.waitForDeployment();
+  console.log("Valuation Oracle deployed to:", await valuationOracle.getAddress());
+
+  // Deploy holder governance of the property: a 2-day timelock executing what the governor passes
+  console.log("\n11. Deploying Governance...");
+  const PropertyTimelock = await ethers.getContractFactory("PropertyTimelock");
+  const timelock = await PropertyTimelock.deploy(2 * 86400, [], [], deployer.address);
+  await timelock.waitForDeployment();
+  const PropertyGovernor = await ethers.getContractFactory("PropertyGovernor");
+  const governor = await PropertyGovernor.deploy(
+    await realEstateToken.getAddress(),
+    await timelock.getAddress(),
+    3 * 86400, // voting period
+    2000, // 20% quorum
+    5000, // simple majority
+    ethers.parseEther("1") // proposal threshold
+  );
+  await governor.waitForDeployment();
+  console.log("Timelock deployed to:", await timelock.getAddress());
+  console.log("Governor deployed to:", await governor.getAddress());
+
+  // Deploy the contract paying out sale proceeds when a property is wound down
+  console.log("\n12. Deploying Property Sale...");
+  const PropertySale = await ethers.getContractFactory("PropertySale");
+  const propertySale = await PropertySale.deploy(await mockUSDC.getAddress(), await redemption.getAddress());
+  await propertySale.waitForDeployment();
+  console.log("Property Sale deployed to:", await propertySale.getAddress());
+
   // Setup initial configurations
-  console.log("\n6. Setting up initial configurations...");
-  
-  // Register deployer identity for testing
-  await identityRegistry.registerIdentity(
-    deployer.address,
-    deployer.address, // Using deployer as onchain ID for simplicity
-    840 // USA country code
+  console.log("\n13. Setting up initial configurations...");
+
+  // Route rent to token holders (must happen before any tokens are minted)
+  await realEstateToken.setRentDistributor(await rentDistributor.getAddress());
+  await rentDistributor.registerToken(await realEstateToken.getAddress());
+  await leaseManager.setRentDistributor(await rentDistributor.getAddress());
+
+  // Properties listed from now on report to the distributor and are registered by the factory
+  await rentDistributor.setPropertyFactory(await propertyFactory.getAddress());
+  await propertyFactory.setRentDistributor(await rentDistributor.getAddress());
+  console.log("Rent distribution enabled");
+
+  // Accept meta-transactions relayed through the forwarder (see scripts/relayer.js)
+  await realEstateToken.setTrustedForwarder(await forwarder.getAddress());
+  await leaseManager.setTrustedForwarder(await forwarder.getAddress());
+  console.log("Meta-transactions enabled");
+
+  // Let redemption windows freeze requested tokens and burn redeemed ones
+  await realEstateToken.addAgent(await redemption.getAddress());
+  await realEstateToken.addComplianceOfficer(await redemption.getAddress());
+  console.log("Redemption enabled");
+
+  // Let appraisals set the property value, starting the NAV history from the listing value
+  await realEstateToken.setValuationOracle(await valuationOracle.getAddress());
+  await valuationOracle.addAppraiser(await realEstateToken.getAddress(), deployer.address);
+  await valuationOracle.submitValuation(
+    await realEstateToken.getAddress(),
+    (await realEstateToken.propertyInfo()).totalValue,
+    (await ethers.provider.getBlock("latest")).timestamp,
+    ethers.id("initial-listing-appraisal"),
+    "sales comparison"
   );
-  console.log("Deployer identity registered");
+  console.log("Valuation oracle enabled, deployer added as appraiser");
+
+  // Only the governor schedules, executes and cancels timelock operations, and it snapshots balances for votes.
+  // The deployer keeps ownership of the token and lease manager; transfer it to the timelock to govern them.
+  for (const role of [await timelock.PROPOSER_ROLE(), await timelock.EXECUTOR_ROLE(), await timelock.CANCELLER_ROLE()]) {
+    await timelock.grantRole(role, await governor.getAddress());
+  }
+  await timelock.renounceRole(await timelock.DEFAULT_ADMIN_ROLE(), deployer.address);
+  await realEstateToken.addAgent(await governor.getAddress());
+  console.log("Governance enabled");
+
+  // Let the sale contract burn the tokens it pays proceeds for
+  await realEstateToken.addAgent(await propertySale.getAddress());
+  console.log("Property sale enabled");
+
+  // Name the EEA and OFAC country groups and keep sanctioned jurisdictions out on both sides
+  await defineCountryGroups(compliance);
+  await (await compliance.setCountryGroupRestriction(groupId("OFAC"), SIDES.BOTH)).wait();
+  console.log("Country groups defined, OFAC jurisdictions restricted");
+
+  // Give the deployer an identity with KYC/AML claims (other wallets: scripts/onboard-investor.js)
+  const deployerIdentity = await onboardInvestor({
+    identityRegistry,
+    claimIssuer,
+    issuerSigner: deployer,
+    wallet: deployer.address,
+    country: 840 // USA country code
+  });
+  console.log("Deployer identity registered:", await deployerIdentity.getAddress());
 
   // Mint some mock USDC for testing
   await mockUSDC.mint(deployer.address, ethers.parseUnits("1000000", 6)); // 1M USDC
@@ -76,20 +254,65 @@ async function main() {
   await realEstateToken.mint(deployer.address, ethers.parseEther("100")); // 100 tokens
   console.log("Property tokens minted for testing");
 
+  // Open a 30-day primary offering of the property, paid in USDC to the deployer
+  const Offering = await ethers.getContractFactory("Offering");
+  const offering = await Offering.deploy(
+    await realEstateToken.getAddress(),
+    await mockUSDC.getAddress(),
+    deployer.address,
+    ethers.parseUnits("10000", 6), // soft cap
+    ethers.parseUnits("100000", 6), // hard cap
+    ethers.parseUnits("100", 6), // min ticket
+    ethers.parseUnits("50000", 6), // max ticket
+    (await ethers.provider.getBlock("latest")).timestamp + 30 * 86400
+  );
+  await offering.waitForDeployment();
+  await realEstateToken.addAgent(await offering.getAddress());
+  console.log("Offering opened:", await offering.getAddress());
+
   console.log("\n=== Deployment Summary ===");
+  console.log("Identity Registry Storage:", await identityStorage.getAddress());
   console.log("Identity Registry:", await identityRegistry.getAddress());
+  console.log("Claim Topics Registry:", await claimTopicsRegistry.getAddress());
+  console.log("Trusted Issuers Registry:", await trustedIssuersRegistry.getAddress());
+  console.log("Claim Issuer:", await claimIssuer.getAddress());
+  console.log("Property Factory:", await propertyFactory.getAddress());
   console.log("Compliance Contract:", await compliance.getAddress());
   console.log("Real Estate Token:", await realEstateToken.getAddress());
   console.log("Mock USDC:", await mockUSDC.getAddress());
   console.log("Lease Manager:", await leaseManager.getAddress());
+  console.log("Rent Distributor:", await rentDistributor.getAddress());
+  console.log("Forwarder:", await forwarder.getAddress());
+  console.log("Offering:", await offering.getAddress());
+  console.log("Secondary Market:", await secondaryMarket.getAddress());
+  console.log("Redemption:", await redemption.getAddress());
+  console.log("Valuation Oracle:", await valuationOracle.getAddress());
+  console.log("Timelock:", await timelock.getAddress());
+  console.log("Governor:", await governor.getAddress());
+  console.log("Property Sale:", await propertySale.getAddress());
 
   // Save addresses to a file for frontend use
   const addresses = {
     identityRegistry: await identityRegistry.getAddress(),
+    identityStorage: await identityStorage.getAddress(),
+    claimTopicsRegistry: await claimTopicsRegistry.getAddress(),
+    trustedIssuersRegistry: await trustedIssuersRegistry.getAddress(),
+    claimIssuer: await claimIssuer.getAddress(),
+    propertyFactory: await propertyFactory.getAddress(),
     compliance: await compliance.getAddress(),
     realEstateToken: await realEstateToken.getAddress(),
     mockUSDC: await mockUSDC.getAddress(),
     leaseManager: await leaseManager.getAddress(),
+    rentDistributor: await rentDistributor.getAddress(),
+    forwarder: await forwarder.getAddress(),
+    offering: await offering.getAddress(),
+    secondaryMarket: await secondaryMarket.getAddress(),
+    redemption: await redemption.getAddress(),
+    valuationOracle: await valuationOracle.getAddress(),
+    timelock: await timelock.getAddress(),
+    governor: await governor.getAddress(),
+    propertySale: await propertySale.getAddress(),
+    ...modules,
     deployer: deployer.address
   };
 
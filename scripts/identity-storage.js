@@ -0,0 +1,32 @@
+const { ethers } = require("hardhat");
+
+// Identity storage shared by the whole portfolio. Reusing an existing one (IDENTITY_STORAGE=0x...) keeps
+// every investor registered for earlier deployments verified for the new one.
+async function identityStorageFor(deployNew = deployIdentityStorage) {
+  if (process.env.IDENTITY_STORAGE) {
+    console.log("Using shared Identity Registry Storage:", process.env.IDENTITY_STORAGE);
+    return ethers.getContractAt("IdentityRegistryStorage", process.env.IDENTITY_STORAGE);
+  }
+  const identityStorage = await deployNew();
+  console.log("Identity Registry Storage deployed to:", await identityStorage.getAddress());
+  return identityStorage;
+}
+
+async function deployIdentityStorage() {
+  const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+  const identityStorage = await IdentityRegistryStorage.deploy();
+  await identityStorage.waitForDeployment();
+  return identityStorage;
+}
+
+// Deploy an IdentityRegistry front-end and bind it to the storage
+// (the deployer must own the storage or be one of its agents)
+async function deployIdentityRegistry(identityStorage) {
+  const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+  const identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+  await identityRegistry.waitForDeployment();
+  await (await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress())).wait();
+  return identityRegistry;
+}
+
+module.exports = { identityStorageFor, deployIdentityRegistry };
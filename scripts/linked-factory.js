@@ -0,0 +1,19 @@
+const { ethers, artifacts } = require("hardhat");
+
+// Contract factory with the external libraries the contract links freshly deployed and linked
+// (RealEstateToken keeps vesting and recovery in libraries to stay under the 24 KB contract size limit)
+async function getLinkedContractFactory(name) {
+  const { linkReferences } = await artifacts.readArtifact(name);
+  const libraries = {};
+  for (const [sourceName, names] of Object.entries(linkReferences)) {
+    for (const library of Object.keys(names)) {
+      const Library = await ethers.getContractFactory(`${sourceName}:${library}`);
+      const deployed = await Library.deploy();
+      await deployed.waitForDeployment();
+      libraries[`${sourceName}:${library}`] = await deployed.getAddress();
+    }
+  }
+  return ethers.getContractFactory(name, { libraries });
+}
+
+module.exports = { getLinkedContractFactory };
@@ -0,0 +1,93 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Claim topics the identity registry can require
+const CLAIM_TOPICS = {
+  KYC: 1,
+  AML: 2,
+  ACCREDITATION: 3
+};
+
+// ERC-734 key purposes and types
+const MANAGEMENT_KEY = 1;
+const CLAIM_SIGNER_KEY = 3;
+const ECDSA_TYPE = 1;
+
+const keyOf = (address) => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [address]));
+
+// Sign a claim the way Identity/ClaimIssuer verify it: keccak256(abi.encode(identity, topic, data))
+async function signClaim(issuerSigner, identityAddress, topic, data) {
+  const dataHash = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256", "bytes"], [identityAddress, topic, data])
+  );
+  return issuerSigner.signMessage(ethers.getBytes(dataHash));
+}
+
+// Claim topics the identity registry currently requires (none without a claim topics registry)
+async function requiredClaimTopics(identityRegistry) {
+  const topicsRegistryAddress = await identityRegistry.topicsRegistry();
+  if (topicsRegistryAddress === ethers.ZeroAddress) {
+    return [];
+  }
+  const topicsRegistry = await ethers.getContractAt("ClaimTopicsRegistry", topicsRegistryAddress);
+  return (await topicsRegistry.getClaimTopics()).map(Number);
+}
+
+// Deploy an ONCHAINID identity for `wallet`, attach claims signed by `issuerSigner` (a claim signer key
+// of `claimIssuer`) and register it. The issuer manages the identity while adding the claims and then
+// hands management over to the wallet.
+async function onboardInvestor({ identityRegistry, claimIssuer, issuerSigner, wallet, country = 840, topics }) {
+  const Identity = await ethers.getContractFactory("Identity", issuerSigner);
+  const identity = await Identity.deploy(issuerSigner.address);
+  await identity.waitForDeployment();
+  const identityAddress = await identity.getAddress();
+
+  const claimTopics = topics || await requiredClaimTopics(identityRegistry);
+  for (const topic of claimTopics) {
+    const name = Object.keys(CLAIM_TOPICS).find(key => CLAIM_TOPICS[key] === topic) || `TOPIC_${topic}`;
+    const data = ethers.toUtf8Bytes(`${name} verified`);
+    const signature = await signClaim(issuerSigner, identityAddress, topic, data);
+    await (await identity.addClaim(topic, 1, await claimIssuer.getAddress(), signature, data, "")).wait();
+  }
+
+  if (wallet.toLowerCase() !== issuerSigner.address.toLowerCase()) {
+    await (await identity.addKey(keyOf(wallet), MANAGEMENT_KEY, ECDSA_TYPE)).wait();
+    await (await identity.removeKey(keyOf(issuerSigner.address), MANAGEMENT_KEY)).wait();
+  }
+
+  await (await identityRegistry.registerIdentity(wallet, identityAddress, country)).wait();
+  return identity;
+}
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const wallet = process.env.INVESTOR;
+  const country = Number(process.env.COUNTRY || 840);
+  if (!wallet || !ethers.isAddress(wallet)) {
+    throw new Error("Set INVESTOR to the wallet address to onboard");
+  }
+
+  const addresses = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../frontend/src/contracts/addresses.json"), "utf8")
+  );
+  const identityRegistry = await ethers.getContractAt("IdentityRegistry", addresses.identityRegistry);
+  const claimIssuer = await ethers.getContractAt("ClaimIssuer", addresses.claimIssuer);
+
+  console.log("Onboarding investor:", wallet);
+  const identity = await onboardInvestor({ identityRegistry, claimIssuer, issuerSigner: deployer, wallet, country });
+
+  console.log("Identity deployed to:", await identity.getAddress());
+  console.log("Verified:", await identityRegistry.isVerified(wallet));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { CLAIM_TOPICS, CLAIM_SIGNER_KEY, ECDSA_TYPE, keyOf, signClaim, onboardInvestor };
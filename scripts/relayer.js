@@ -0,0 +1,133 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+
+// Largest request body accepted (a forward request with a permit is well under this)
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function reply(res, status, payload) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type"
+  });
+  res.end(JSON.stringify(payload));
+}
+
+// Minimal local relayer: pays gas for ERC-2771 forward requests signed by users and, when one comes
+// with an EIP-2612 permit, submits the permit first so a single signature-only flow can approve and
+// pay. Only the deployed property token, lease manager and their known tokens are relayed to.
+async function main() {
+  const [relayer] = await ethers.getSigners();
+  const addresses = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../frontend/src/contracts/addresses.json"), "utf8")
+  );
+  if (!addresses.forwarder) {
+    throw new Error("No forwarder in addresses.json, redeploy with scripts/deploy.js");
+  }
+  const forwarder = await ethers.getContractAt("Forwarder", addresses.forwarder);
+  const { chainId } = await ethers.provider.getNetwork();
+
+  // Contracts that accept forwarded calls, and tokens whose permits may be submitted
+  const targets = new Set();
+  for (const key of ["realEstateToken", "leaseManager"]) {
+    if (addresses[key]) {
+      targets.add(addresses[key].toLowerCase());
+    }
+  }
+  if (addresses.propertyFactory) {
+    const factory = await ethers.getContractAt("PropertyFactory", addresses.propertyFactory);
+    for (const property of await factory.getProperties()) {
+      targets.add(property.token.toLowerCase());
+    }
+  }
+  const permitTokens = new Set([...targets, addresses.mockUSDC.toLowerCase()]);
+
+  const info = {
+    relayer: relayer.address,
+    forwarder: addresses.forwarder,
+    chainId: chainId.toString(),
+    targets: [...targets]
+  };
+
+  async function relay({ request, permit }) {
+    if (!request || !targets.has(String(request.to).toLowerCase())) {
+      throw new Error("Target does not accept relayed calls");
+    }
+    if (BigInt(request.value || 0) !== 0n) {
+      throw new Error("Relayed calls cannot carry ETH");
+    }
+
+    if (permit) {
+      if (!permitTokens.has(String(permit.token).toLowerCase())) {
+        throw new Error("Unknown permit token");
+      }
+      if (!targets.has(String(permit.spender).toLowerCase())) {
+        throw new Error("Permit spender does not accept relayed calls");
+      }
+      if (String(permit.owner).toLowerCase() !== String(request.from).toLowerCase()) {
+        throw new Error("Permit owner must sign the request");
+      }
+      const token = await ethers.getContractAt("MockERC20", permit.token);
+      await (await token.permit(
+        permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s
+      )).wait();
+    }
+
+    if (!(await forwarder.verify(request))) {
+      throw new Error("Invalid or expired forward request");
+    }
+    const tx = await forwarder.execute(request);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      return reply(res, 204, {});
+    }
+    if (req.method === "GET") {
+      return reply(res, 200, info);
+    }
+    if (req.method !== "POST" || req.url !== "/relay") {
+      return reply(res, 404, { error: "Not found" });
+    }
+    try {
+      const result = await relay(JSON.parse(await readBody(req)));
+      console.log("Relayed", result.transactionHash);
+      reply(res, 200, result);
+    } catch (error) {
+      console.error("Relay failed:", error.shortMessage || error.message);
+      reply(res, 400, { error: error.shortMessage || error.message });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relayer ${relayer.address} listening on http://localhost:${PORT}`);
+    console.log("Forwarder:", addresses.forwarder);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -34,8 +34,7 @@ async function main() {
     
     // 2. Setup Real Estate Token
     console.log("\n2. Setting up Real Estate Token...");
-    const RealEstateToken = await ethers.getContractFactory("RealEstateToken");
-    const realEstateToken = RealEstateToken.attach(addresses.realEstateToken);
+    const realEstateToken = await ethers.getContractAt("RealEstateToken", addresses.realEstateToken);
     
     // Mint tokens to user
     await realEstateToken.mint(userAccount, ethers.parseEther("50")); // 50 REPT tokens
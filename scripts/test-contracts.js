@@ -26,8 +26,7 @@ async function main() {
     
     // 2. Test Real Estate Token
     console.log("\n2. Testing Real Estate Token...");
-    const RealEstateToken = await ethers.getContractFactory("RealEstateToken");
-    const realEstateToken = RealEstateToken.attach(addresses.realEstateToken);
+    const realEstateToken = await ethers.getContractAt("RealEstateToken", addresses.realEstateToken);
     
     const tokenBalance = await realEstateToken.balanceOf(deployer.address);
     console.log(`✅ Token Balance:`, ethers.formatEther(tokenBalance), "REPT");
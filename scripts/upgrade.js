@@ -0,0 +1,155 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { getLinkedContractFactory } = require("./linked-factory");
+
+// ERC-1967 storage slots of a TransparentUpgradeableProxy
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Proxied contracts in addresses.json and the implementation each one runs
+const PROXIES = {
+  identityStorage: "IdentityRegistryStorageUpgradeable",
+  identityRegistry: "IdentityRegistryUpgradeable",
+  claimTopicsRegistry: "ClaimTopicsRegistryUpgradeable",
+  trustedIssuersRegistry: "TrustedIssuersRegistryUpgradeable",
+  compliance: "ComplianceUpgradeable",
+  realEstateToken: "RealEstateTokenUpgradeable",
+  leaseManager: "LeaseManagerUpgradeable"
+};
+
+// Wallets or countries migrated per transaction
+const MIGRATION_BATCH = 100;
+
+// Every ISO 3166-1 numeric country code, searched for restrictions from before sided country rules
+const COUNTRY_CODES = Array.from({ length: 999 }, (_, i) => i + 1);
+
+// Address files written by the deploy scripts, per network
+const ADDRESS_FILES = {
+  sepolia: "addresses.sepolia.json"
+};
+
+async function readSlotAddress(proxy, slot) {
+  return ethers.getAddress("0x" + (await ethers.provider.getStorage(proxy, slot)).slice(-40));
+}
+
+// Wallets that ever received the token
+async function tokenRecipients(tokenAddress) {
+  const token = await ethers.getContractAt("RealEstateToken", tokenAddress);
+  const transfers = await token.queryFilter(token.filters.Transfer());
+  return [...new Set(transfers.map(event => event.args.to))].filter(wallet => wallet !== ethers.ZeroAddress);
+}
+
+// Call run with the upgrade. A compliance contract from before token binding rejects the token's hooks,
+// so it binds its token and tallies the balances already held.
+async function upgradeCall(key, proxy, addresses) {
+  if (key !== "compliance") {
+    return "0x";
+  }
+  const compliance = await ethers.getContractAt("ComplianceUpgradeable", proxy);
+  const tokenBound = await compliance.tokenBound().catch(() => ethers.ZeroAddress);
+  if (tokenBound !== ethers.ZeroAddress) {
+    return "0x";
+  }
+  console.log("Binding", addresses.realEstateToken, "and tallying its holders");
+  const holders = await tokenRecipients(addresses.realEstateToken);
+  return compliance.interface.encodeFunctionData("initializeV2", [addresses.realEstateToken, holders]);
+}
+
+// Whether a compliance contract has sided country rules (getCountryPolicy reverts on earlier versions)
+async function hasCountryPolicy(proxy) {
+  const compliance = await ethers.getContractAt("Compliance", proxy);
+  return compliance.getCountryPolicy().then(() => true, () => false);
+}
+
+// Country restrictions from before sided country rules are enforced on both sides but left out of the
+// country policy until migrated
+async function migrateCountryRestrictions(proxy) {
+  const compliance = await ethers.getContractAt("Compliance", proxy);
+  for (let i = 0; i < COUNTRY_CODES.length; i += MIGRATION_BATCH) {
+    await (await compliance.migrateLegacyCountryRestrictions(COUNTRY_CODES.slice(i, i + MIGRATION_BATCH))).wait();
+  }
+  console.log("Migrated country restrictions into the country policy");
+}
+
+// An identity registry from before the shared identity storage kept identities itself: point it at the
+// storage and move them there
+async function migrateIdentityRegistry(proxy, addresses) {
+  const registry = await ethers.getContractAt("IdentityRegistry", proxy);
+  if ((await registry.identityStorage()) !== ethers.ZeroAddress) {
+    return;
+  }
+
+  const storageAddress = process.env.IDENTITY_STORAGE || addresses.identityStorage;
+  if (!storageAddress) {
+    throw new Error("The identity registry has no identity storage, deploy one and set IDENTITY_STORAGE=0x...");
+  }
+  const identityStorage = await ethers.getContractAt("IdentityRegistryStorage", storageAddress);
+  if (!(await identityStorage.isBoundRegistry(proxy))) {
+    await (await identityStorage.bindIdentityRegistry(proxy)).wait();
+  }
+  await (await registry.setIdentityRegistryStorage(storageAddress)).wait();
+
+  const registrations = await registry.queryFilter(registry.filters.IdentityRegistered());
+  const wallets = [...new Set(registrations.map(event => event.args._wallet))];
+  for (let i = 0; i < wallets.length; i += MIGRATION_BATCH) {
+    await (await registry.migrateLegacyIdentities(wallets.slice(i, i + MIGRATION_BATCH))).wait();
+  }
+  console.log("Migrated", wallets.length, "identities to", storageAddress);
+}
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const addressFile = path.join(__dirname, "../frontend/src/contracts", ADDRESS_FILES[network.name] || "addresses.json");
+  const addresses = JSON.parse(fs.readFileSync(addressFile, "utf8"));
+
+  // Upgrade a subset with e.g. UPGRADE_CONTRACTS=realEstateToken,compliance
+  const keys = process.env.UPGRADE_CONTRACTS
+    ? process.env.UPGRADE_CONTRACTS.split(",").map(key => key.trim())
+    : Object.keys(PROXIES).filter(key => addresses[key]);
+
+  console.log("Upgrading contracts with account:", deployer.address);
+  console.log("Addresses from:", addressFile);
+
+  for (const key of keys) {
+    const implementationName = PROXIES[key];
+    const proxy = addresses[key];
+    if (!implementationName || !proxy) {
+      throw new Error(`Unknown or undeployed contract: ${key}`);
+    }
+
+    const proxyAdminAddress = await readSlotAddress(proxy, ADMIN_SLOT);
+    if (proxyAdminAddress === ethers.ZeroAddress) {
+      console.log(`\n${key} at ${proxy} is not a proxy, skipping`);
+      continue;
+    }
+
+    console.log(`\nUpgrading ${key} at ${proxy}...`);
+    const Implementation = await getLinkedContractFactory(implementationName);
+    const implementation = await Implementation.deploy();
+    await implementation.waitForDeployment();
+
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", proxyAdminAddress);
+    const data = await upgradeCall(key, proxy, addresses);
+    const legacyCountryRules = key === "compliance" && !(await hasCountryPolicy(proxy));
+    await (await proxyAdmin.upgradeAndCall(proxy, await implementation.getAddress(), data)).wait();
+
+    console.log("New implementation:", await readSlotAddress(proxy, IMPLEMENTATION_SLOT));
+    if (key === "identityRegistry") {
+      await migrateIdentityRegistry(proxy, addresses);
+    }
+    if (legacyCountryRules) {
+      await migrateCountryRestrictions(proxy);
+    }
+  }
+
+  // Proxy addresses are unchanged, so the address file and frontend keep working as is
+  console.log("\nUpgrade complete, addresses in", path.basename(addressFile), "are unchanged");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
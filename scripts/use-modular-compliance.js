@@ -0,0 +1,61 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Rule modules deployed by scripts/deploy.js, by addresses.json key
+const MODULES = [
+  "maxBalanceModule",
+  "maxHoldersModule",
+  "countryRestrictModule",
+  "countryAllowModule",
+  "timeLockModule",
+  "volumeLimitModule"
+];
+
+// Switch a token to a new ModularCompliance proxy (administered by the deployer) and bind the
+// requested modules. The deployer must own the token. Modules that count holders should be bound
+// before any tokens are minted.
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  const addresses = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "../frontend/src/contracts/addresses.json"), "utf8")
+  );
+  const token = await ethers.getContractAt("RealEstateToken", process.env.TOKEN || addresses.realEstateToken);
+
+  // Bind a subset with e.g. MODULES=maxBalanceModule,countryRestrictModule
+  const keys = process.env.MODULES
+    ? process.env.MODULES.split(",").map(key => key.trim()).filter(key => key !== "")
+    : [];
+
+  console.log("Switching token to modular compliance:", await token.getAddress());
+  const Implementation = await ethers.getContractFactory("ModularComplianceUpgradeable");
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+  const proxy = await Proxy.deploy(
+    await implementation.getAddress(),
+    deployer.address,
+    Implementation.interface.encodeFunctionData("initialize", [])
+  );
+  await proxy.waitForDeployment();
+  const compliance = await ethers.getContractAt("ModularCompliance", await proxy.getAddress());
+
+  await (await compliance.bindToken(await token.getAddress())).wait();
+  for (const key of keys) {
+    if (!MODULES.includes(key) || !addresses[key]) {
+      throw new Error(`Unknown rule module: ${key}`);
+    }
+    await (await compliance.addModule(addresses[key])).wait();
+    console.log("Bound module:", key, addresses[key]);
+  }
+  await (await token.setComplianceContract(await compliance.getAddress())).wait();
+
+  console.log("Modular Compliance deployed to:", await compliance.getAddress());
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
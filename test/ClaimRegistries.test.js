@@ -0,0 +1,83 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Claim registries", function () {
+  let claimTopicsRegistry, trustedIssuersRegistry;
+  let owner, issuerA, issuerB, other;
+
+  const KYC = 1;
+  const AML = 2;
+  const ACCREDITATION = 3;
+
+  beforeEach(async function () {
+    [owner, issuerA, issuerB, other] = await ethers.getSigners();
+
+    const ClaimTopicsRegistry = await ethers.getContractFactory("ClaimTopicsRegistry");
+    claimTopicsRegistry = await ClaimTopicsRegistry.deploy();
+
+    const TrustedIssuersRegistry = await ethers.getContractFactory("TrustedIssuersRegistry");
+    trustedIssuersRegistry = await TrustedIssuersRegistry.deploy();
+  });
+
+  it("Should manage required claim topics", async function () {
+    await expect(claimTopicsRegistry.addClaimTopic(KYC))
+      .to.emit(claimTopicsRegistry, "ClaimTopicAdded")
+      .withArgs(KYC);
+    await claimTopicsRegistry.addClaimTopic(AML);
+    expect(await claimTopicsRegistry.getClaimTopics()).to.deep.equal([KYC, AML]);
+
+    await expect(claimTopicsRegistry.addClaimTopic(KYC)).to.be.revertedWith("Claim topic already required");
+
+    await expect(claimTopicsRegistry.removeClaimTopic(KYC))
+      .to.emit(claimTopicsRegistry, "ClaimTopicRemoved")
+      .withArgs(KYC);
+    expect(await claimTopicsRegistry.getClaimTopics()).to.deep.equal([AML]);
+    await expect(claimTopicsRegistry.removeClaimTopic(KYC)).to.be.revertedWith("Claim topic not required");
+
+    await expect(
+      claimTopicsRegistry.connect(other).addClaimTopic(ACCREDITATION)
+    ).to.be.revertedWithCustomError(claimTopicsRegistry, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should track which topics each issuer may sign", async function () {
+    await expect(trustedIssuersRegistry.addTrustedIssuer(issuerA.address, [KYC, AML]))
+      .to.emit(trustedIssuersRegistry, "TrustedIssuerAdded")
+      .withArgs(issuerA.address, [KYC, AML]);
+    await trustedIssuersRegistry.addTrustedIssuer(issuerB.address, [KYC]);
+
+    expect(await trustedIssuersRegistry.getTrustedIssuers()).to.deep.equal([issuerA.address, issuerB.address]);
+    expect(await trustedIssuersRegistry.getTrustedIssuersForClaimTopic(KYC)).to.deep.equal([issuerA.address, issuerB.address]);
+    expect(await trustedIssuersRegistry.getTrustedIssuersForClaimTopic(AML)).to.deep.equal([issuerA.address]);
+    expect(await trustedIssuersRegistry.hasClaimTopic(issuerB.address, AML)).to.be.false;
+
+    await expect(trustedIssuersRegistry.updateIssuerClaimTopics(issuerB.address, [AML, ACCREDITATION]))
+      .to.emit(trustedIssuersRegistry, "ClaimTopicsUpdated")
+      .withArgs(issuerB.address, [AML, ACCREDITATION]);
+    expect(await trustedIssuersRegistry.getTrustedIssuersForClaimTopic(KYC)).to.deep.equal([issuerA.address]);
+    expect(await trustedIssuersRegistry.getTrustedIssuerClaimTopics(issuerB.address)).to.deep.equal([AML, ACCREDITATION]);
+
+    await expect(trustedIssuersRegistry.removeTrustedIssuer(issuerA.address))
+      .to.emit(trustedIssuersRegistry, "TrustedIssuerRemoved")
+      .withArgs(issuerA.address);
+    expect(await trustedIssuersRegistry.isTrustedIssuer(issuerA.address)).to.be.false;
+    expect(await trustedIssuersRegistry.getTrustedIssuersForClaimTopic(AML)).to.deep.equal([issuerB.address]);
+  });
+
+  it("Should validate trusted issuer updates", async function () {
+    await expect(trustedIssuersRegistry.addTrustedIssuer(issuerA.address, [])).to.be.revertedWith("No claim topics");
+    await expect(
+      trustedIssuersRegistry.addTrustedIssuer(issuerA.address, [KYC, KYC])
+    ).to.be.revertedWith("Duplicate claim topic");
+
+    await trustedIssuersRegistry.addTrustedIssuer(issuerA.address, [KYC]);
+    await expect(
+      trustedIssuersRegistry.addTrustedIssuer(issuerA.address, [AML])
+    ).to.be.revertedWith("Issuer already trusted");
+    await expect(
+      trustedIssuersRegistry.updateIssuerClaimTopics(issuerB.address, [AML])
+    ).to.be.revertedWith("Issuer not trusted");
+    await expect(
+      trustedIssuersRegistry.connect(other).removeTrustedIssuer(issuerA.address)
+    ).to.be.revertedWithCustomError(trustedIssuersRegistry, "OwnableUnauthorizedAccount");
+  });
+});
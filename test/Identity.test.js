@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Identity", function () {
+  let identityRegistry, claimTopicsRegistry, trustedIssuersRegistry, claimIssuer, identity;
+  let owner, issuerKey, investor, other;
+
+  const KYC = 1;
+  const AML = 2;
+  const CLAIM_SIGNER_KEY = 3;
+  const ECDSA_TYPE = 1;
+  const claimData = ethers.toUtf8Bytes("KYC passed");
+
+  const keyOf = (address) => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [address]));
+
+  // Claim signature over keccak256(abi.encode(identity, topic, data))
+  async function signClaim(signer, identityAddress, topic, data) {
+    const dataHash = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256", "bytes"], [identityAddress, topic, data])
+    );
+    return signer.signMessage(ethers.getBytes(dataHash));
+  }
+
+  async function addClaim(topic) {
+    const identityAddress = await identity.getAddress();
+    const signature = await signClaim(issuerKey, identityAddress, topic, claimData);
+    await identity.connect(investor).addClaim(topic, 1, await claimIssuer.getAddress(), signature, claimData, "");
+    return signature;
+  }
+
+  beforeEach(async function () {
+    [owner, issuerKey, investor, other] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const ClaimTopicsRegistry = await ethers.getContractFactory("ClaimTopicsRegistry");
+    claimTopicsRegistry = await ClaimTopicsRegistry.deploy();
+    const TrustedIssuersRegistry = await ethers.getContractFactory("TrustedIssuersRegistry");
+    trustedIssuersRegistry = await TrustedIssuersRegistry.deploy();
+    await identityRegistry.setClaimTopicsRegistry(await claimTopicsRegistry.getAddress());
+    await identityRegistry.setTrustedIssuersRegistry(await trustedIssuersRegistry.getAddress());
+
+    const ClaimIssuer = await ethers.getContractFactory("ClaimIssuer");
+    claimIssuer = await ClaimIssuer.deploy(owner.address);
+    await claimIssuer.addKey(keyOf(issuerKey.address), CLAIM_SIGNER_KEY, ECDSA_TYPE);
+
+    const Identity = await ethers.getContractFactory("Identity");
+    identity = await Identity.deploy(investor.address);
+
+    await identityRegistry.registerIdentity(investor.address, await identity.getAddress(), 840);
+    await claimTopicsRegistry.addClaimTopic(KYC);
+    await trustedIssuersRegistry.addTrustedIssuer(await claimIssuer.getAddress(), [KYC, AML]);
+  });
+
+  it("Should manage keys", async function () {
+    expect(await identity.keyHasPurpose(keyOf(investor.address), CLAIM_SIGNER_KEY)).to.be.true;
+    expect(await identity.keyHasPurpose(keyOf(other.address), CLAIM_SIGNER_KEY)).to.be.false;
+
+    await expect(identity.connect(investor).addKey(keyOf(other.address), CLAIM_SIGNER_KEY, ECDSA_TYPE))
+      .to.emit(identity, "KeyAdded")
+      .withArgs(keyOf(other.address), CLAIM_SIGNER_KEY, ECDSA_TYPE);
+    expect(await identity.getKeysByPurpose(CLAIM_SIGNER_KEY)).to.deep.equal([keyOf(other.address)]);
+
+    await identity.connect(investor).removeKey(keyOf(other.address), CLAIM_SIGNER_KEY);
+    expect(await identity.keyHasPurpose(keyOf(other.address), CLAIM_SIGNER_KEY)).to.be.false;
+
+    await expect(
+      identity.connect(other).addKey(keyOf(other.address), CLAIM_SIGNER_KEY, ECDSA_TYPE)
+    ).to.be.revertedWith("Sender does not have management key");
+  });
+
+  it("Should only accept claims signed by the issuer", async function () {
+    const identityAddress = await identity.getAddress();
+    const forged = await signClaim(other, identityAddress, KYC, claimData);
+
+    await expect(
+      identity.connect(investor).addClaim(KYC, 1, await claimIssuer.getAddress(), forged, claimData, "")
+    ).to.be.revertedWith("Invalid claim");
+
+    await addClaim(KYC);
+    const [claimId] = await identity.getClaimIdsByTopic(KYC);
+    const claim = await identity.getClaim(claimId);
+    expect(claim._issuer).to.equal(await claimIssuer.getAddress());
+  });
+
+  it("Should verify wallets through claims from trusted issuers", async function () {
+    expect(await identityRegistry.isVerified(investor.address)).to.be.false;
+
+    await addClaim(KYC);
+    expect(await identityRegistry.isVerified(investor.address)).to.be.true;
+
+    // Every required topic must be covered
+    await claimTopicsRegistry.addClaimTopic(AML);
+    expect(await identityRegistry.isVerified(investor.address)).to.be.false;
+    await addClaim(AML);
+    expect(await identityRegistry.isVerified(investor.address)).to.be.true;
+
+    // Claims from issuers that are no longer trusted do not count
+    await trustedIssuersRegistry.removeTrustedIssuer(await claimIssuer.getAddress());
+    expect(await identityRegistry.isVerified(investor.address)).to.be.false;
+  });
+
+  it("Should stop verifying revoked claims", async function () {
+    const signature = await addClaim(KYC);
+    expect(await identityRegistry.isVerified(investor.address)).to.be.true;
+
+    await expect(claimIssuer.revokeClaimBySignature(signature))
+      .to.emit(claimIssuer, "ClaimRevoked");
+    expect(await claimIssuer.isClaimRevoked(signature)).to.be.true;
+    expect(await identityRegistry.isVerified(investor.address)).to.be.false;
+  });
+
+  it("Should not verify wallets registered as their own identity", async function () {
+    await identityRegistry.registerIdentity(other.address, other.address, 840);
+    expect(await identityRegistry.isVerified(other.address)).to.be.false;
+
+    await claimTopicsRegistry.removeClaimTopic(KYC);
+    expect(await identityRegistry.isVerified(other.address)).to.be.true;
+  });
+
+  it("Should only count claims from issuers trusted for the topic", async function () {
+    await claimTopicsRegistry.addClaimTopic(AML);
+    await addClaim(KYC);
+    await addClaim(AML);
+    expect(await identityRegistry.isVerified(investor.address)).to.be.true;
+
+    // The issuer may no longer sign AML claims
+    await trustedIssuersRegistry.updateIssuerClaimTopics(await claimIssuer.getAddress(), [KYC]);
+    expect(await identityRegistry.isVerified(investor.address)).to.be.false;
+
+    // Without a claim topics registry, registration alone verifies
+    await identityRegistry.setClaimTopicsRegistry(ethers.ZeroAddress);
+    expect(await identityRegistry.isVerified(investor.address)).to.be.true;
+  });
+
+  it("Should only allow agents to register identities for others", async function () {
+    await expect(
+      identityRegistry.connect(other).registerIdentity(other.address, await identity.getAddress(), 840)
+    ).to.be.revertedWith("Not authorized agent");
+    await expect(
+      identityRegistry.connect(other).setClaimTopicsRegistry(ethers.ZeroAddress)
+    ).to.be.revertedWithCustomError(identityRegistry, "OwnableUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("IdentityRegistryStorage", function () {
+  let identityStorage, registryA, registryB;
+  let owner, agent, investor, other;
+
+  beforeEach(async function () {
+    [owner, agent, investor, other] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    registryA = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    registryB = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await registryA.getAddress());
+    await identityStorage.bindIdentityRegistry(await registryB.getAddress());
+  });
+
+  it("Should share identities between bound registries", async function () {
+    await expect(registryA.registerIdentity(investor.address, investor.address, 840))
+      .to.emit(identityStorage, "IdentityStored")
+      .withArgs(investor.address, investor.address);
+
+    expect(await registryB.isVerified(investor.address)).to.be.true;
+    expect(await registryB.investorCountry(investor.address)).to.equal(840);
+
+    // Re-registering through another registry updates the stored identity
+    await expect(registryB.registerIdentity(investor.address, other.address, 826))
+      .to.emit(identityStorage, "IdentityModified")
+      .withArgs(investor.address, other.address);
+    expect(await registryA.identity(investor.address)).to.equal(other.address);
+    expect(await registryA.investorCountry(investor.address)).to.equal(826);
+
+    await registryB.removeIdentity(investor.address);
+    expect(await registryA.contains(investor.address)).to.be.false;
+  });
+
+  it("Should only accept writes from bound registries", async function () {
+    await expect(
+      identityStorage.addIdentityToStorage(investor.address, investor.address, 840)
+    ).to.be.revertedWith("Not bound identity registry");
+
+    await expect(identityStorage.unbindIdentityRegistry(await registryB.getAddress()))
+      .to.emit(identityStorage, "IdentityRegistryUnbound")
+      .withArgs(await registryB.getAddress());
+    expect(await identityStorage.linkedIdentityRegistries()).to.deep.equal([await registryA.getAddress()]);
+
+    await expect(
+      registryB.registerIdentity(investor.address, investor.address, 840)
+    ).to.be.revertedWith("Not bound identity registry");
+  });
+
+  it("Should let agents bind registries", async function () {
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    const registryC = await IdentityRegistry.deploy(await identityStorage.getAddress());
+
+    await expect(
+      identityStorage.connect(agent).bindIdentityRegistry(await registryC.getAddress())
+    ).to.be.revertedWith("Not authorized agent");
+
+    await identityStorage.addAgent(agent.address);
+    await identityStorage.connect(agent).bindIdentityRegistry(await registryC.getAddress());
+    expect(await identityStorage.isBoundRegistry(await registryC.getAddress())).to.be.true;
+
+    await expect(
+      identityStorage.connect(agent).bindIdentityRegistry(await registryC.getAddress())
+    ).to.be.revertedWith("Identity registry already bound");
+  });
+});
@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("Meta-transactions", function () {
+  let identityRegistry, compliance, realEstateToken, mockUSDC, leaseManager, forwarder;
+  let owner, landlord, tenant, investor, relayer;
+  let leaseId;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+  // Sign an EIP-2612 permit for `value` of `token` and split it into v, r, s
+  async function signPermit(token, signer, spender, value) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const permitDeadline = await deadline();
+    const signature = await signer.signTypedData(
+      { name: await token.name(), version: "1", chainId, verifyingContract: await token.getAddress() },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      },
+      { owner: signer.address, spender, value, nonce: await token.nonces(signer.address), deadline: permitDeadline }
+    );
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { deadline: permitDeadline, v, r, s };
+  }
+
+  // Build a signed ERC-2771 forward request calling `data` on `to` on behalf of `signer`
+  async function signForwardRequest(signer, to, data) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to,
+      value: 0,
+      gas: 500000,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: await deadline(),
+      data
+    };
+    const signature = await signer.signTypedData(
+      { name: "Forwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() },
+      {
+        ForwardRequest: [
+          { name: "from", type: "address" },
+          { name: "to", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "gas", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint48" },
+          { name: "data", type: "bytes" }
+        ]
+      },
+      request
+    );
+    return { ...request, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, landlord, tenant, investor, relayer] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+    const LeaseManager = await ethers.getContractFactory("LeaseManager");
+    leaseManager = await LeaseManager.deploy(await mockUSDC.getAddress());
+
+    const Forwarder = await ethers.getContractFactory("Forwarder");
+    forwarder = await Forwarder.deploy();
+
+    await realEstateToken.setTrustedForwarder(await forwarder.getAddress());
+    await leaseManager.setTrustedForwarder(await forwarder.getAddress());
+
+    await identityRegistry.registerIdentity(landlord.address, landlord.address, 840);
+    await identityRegistry.registerIdentity(investor.address, investor.address, 840);
+
+    await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+    await mockUSDC.mint(tenant.address, usdc("10000"));
+
+    const startDate = Math.floor(Date.now() / 1000) + 86400;
+    const tx = await leaseManager.connect(landlord).createLease(
+      tenant.address,
+      await realEstateToken.getAddress(),
+      usdc("1000"),
+      usdc("2000"),
+      startDate,
+      startDate + (365 * 86400),
+      "123 Test Property, Test City",
+      "Standard lease terms"
+    );
+    const receipt = await tx.wait();
+    leaseId = receipt.logs.find(log => log.fragment && log.fragment.name === 'LeaseCreated').args[0];
+  });
+
+  describe("Permits", function () {
+    it("Should approve property tokens with an EIP-2612 permit", async function () {
+      const amount = ethers.parseEther("10");
+      const { deadline: permitDeadline, v, r, s } = await signPermit(realEstateToken, landlord, investor.address, amount);
+
+      // Anyone may submit the permit
+      await realEstateToken.connect(relayer).permit(landlord.address, investor.address, amount, permitDeadline, v, r, s);
+
+      expect(await realEstateToken.allowance(landlord.address, investor.address)).to.equal(amount);
+      expect(await realEstateToken.nonces(landlord.address)).to.equal(1);
+
+      await realEstateToken.connect(investor).transferFrom(landlord.address, investor.address, amount);
+      expect(await realEstateToken.balanceOf(investor.address)).to.equal(amount);
+    });
+
+    it("Should sign permits under the token name", async function () {
+      const domain = await realEstateToken.eip712Domain();
+      expect(domain.name).to.equal("Test Property Token");
+      expect(domain.version).to.equal("1");
+      expect(domain.verifyingContract).to.equal(await realEstateToken.getAddress());
+    });
+
+    it("Should reject a permit signed by someone else", async function () {
+      const amount = ethers.parseEther("10");
+      const { deadline: permitDeadline, v, r, s } = await signPermit(realEstateToken, investor, investor.address, amount);
+
+      await expect(
+        realEstateToken.permit(landlord.address, investor.address, amount, permitDeadline, v, r, s)
+      ).to.be.revertedWithCustomError(realEstateToken, "ERC2612InvalidSigner");
+    });
+
+    it("Should approve USDC with a permit", async function () {
+      const amount = usdc("2000");
+      const spender = await leaseManager.getAddress();
+      const { deadline: permitDeadline, v, r, s } = await signPermit(mockUSDC, tenant, spender, amount);
+
+      await mockUSDC.connect(relayer).permit(tenant.address, spender, amount, permitDeadline, v, r, s);
+
+      expect(await mockUSDC.allowance(tenant.address, spender)).to.equal(amount);
+    });
+  });
+
+  describe("Forwarded calls", function () {
+    it("Should transfer property tokens for the signer", async function () {
+      const amount = ethers.parseEther("10");
+      const request = await signForwardRequest(
+        landlord,
+        await realEstateToken.getAddress(),
+        realEstateToken.interface.encodeFunctionData("transfer", [investor.address, amount])
+      );
+
+      expect(await forwarder.verify(request)).to.be.true;
+      await forwarder.connect(relayer).execute(request);
+
+      expect(await realEstateToken.balanceOf(landlord.address)).to.equal(ethers.parseEther("90"));
+      expect(await realEstateToken.balanceOf(investor.address)).to.equal(amount);
+    });
+
+    it("Should still apply compliance to forwarded transfers", async function () {
+      const request = await signForwardRequest(
+        landlord,
+        await realEstateToken.getAddress(),
+        realEstateToken.interface.encodeFunctionData("transfer", [tenant.address, ethers.parseEther("10")])
+      );
+
+      // The forwarder reverts without the reason, which the token reports on its own
+      expect(await realEstateToken.detectTransferRestriction(landlord.address, tenant.address, ethers.parseEther("10")))
+        .to.equal(2);
+      await expect(forwarder.connect(relayer).execute(request)).to.be.revertedWithCustomError(forwarder, "FailedCall");
+    });
+
+    it("Should pay the deposit and rent with a permit and forwarded calls", async function () {
+      const leaseManagerAddress = await leaseManager.getAddress();
+      const { deadline: permitDeadline, v, r, s } = await signPermit(mockUSDC, tenant, leaseManagerAddress, usdc("3000"));
+      await mockUSDC.connect(relayer).permit(tenant.address, leaseManagerAddress, usdc("3000"), permitDeadline, v, r, s);
+
+      const deposit = await signForwardRequest(
+        tenant,
+        leaseManagerAddress,
+        leaseManager.interface.encodeFunctionData("paySecurityDeposit", [leaseId])
+      );
+      await expect(forwarder.connect(relayer).execute(deposit))
+        .to.emit(leaseManager, "SecurityDepositPaid")
+        .withArgs(leaseId, tenant.address, usdc("2000"));
+
+      const rent = await signForwardRequest(
+        tenant,
+        leaseManagerAddress,
+        leaseManager.interface.encodeFunctionData("payRent", [leaseId, 1, 2024])
+      );
+      await forwarder.connect(relayer).execute(rent);
+
+      expect(await mockUSDC.balanceOf(tenant.address)).to.equal(usdc("7000"));
+      expect(await mockUSDC.balanceOf(landlord.address)).to.equal(usdc("1000"));
+      expect(await leaseManager.getRentPayments(leaseId)).to.have.lengthOf(1);
+    });
+
+    it("Should not replay a forward request", async function () {
+      const request = await signForwardRequest(
+        landlord,
+        await realEstateToken.getAddress(),
+        realEstateToken.interface.encodeFunctionData("transfer", [investor.address, ethers.parseEther("10")])
+      );
+      await forwarder.connect(relayer).execute(request);
+
+      expect(await forwarder.verify(request)).to.be.false;
+      await expect(forwarder.connect(relayer).execute(request)).to.be.reverted;
+    });
+
+    it("Should refuse requests for contracts that do not trust the forwarder", async function () {
+      await realEstateToken.setTrustedForwarder(ethers.ZeroAddress);
+
+      const request = await signForwardRequest(
+        landlord,
+        await realEstateToken.getAddress(),
+        realEstateToken.interface.encodeFunctionData("transfer", [investor.address, ethers.parseEther("10")])
+      );
+
+      expect(await forwarder.verify(request)).to.be.false;
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+    });
+
+    it("Should treat calls from an untrusted sender as its own", async function () {
+      // Appending an address to the calldata does not impersonate anyone: the relayer spends its own (empty) balance
+      const data = realEstateToken.interface.encodeFunctionData("transfer", [investor.address, ethers.parseEther("10")]);
+      await expect(
+        relayer.sendTransaction({
+          to: await realEstateToken.getAddress(),
+          data: ethers.concat([data, landlord.address])
+        })
+      ).to.be.revertedWith("Insufficient balance");
+    });
+  });
+
+  describe("Trusted forwarder", function () {
+    it("Should let only the owner set the forwarder", async function () {
+      const forwarderAddress = await forwarder.getAddress();
+
+      expect(await realEstateToken.trustedForwarder()).to.equal(forwarderAddress);
+      expect(await realEstateToken.isTrustedForwarder(forwarderAddress)).to.be.true;
+      expect(await leaseManager.trustedForwarder()).to.equal(forwarderAddress);
+
+      await expect(realEstateToken.connect(landlord).setTrustedForwarder(landlord.address))
+        .to.be.revertedWithCustomError(realEstateToken, "OwnableUnauthorizedAccount");
+      await expect(leaseManager.connect(landlord).setTrustedForwarder(landlord.address))
+        .to.be.revertedWithCustomError(leaseManager, "OwnableUnauthorizedAccount");
+
+      await expect(leaseManager.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(leaseManager, "TrustedForwarderSet")
+        .withArgs(ethers.ZeroAddress);
+    });
+  });
+});
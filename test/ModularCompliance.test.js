@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("ModularCompliance", function () {
+  let identityRegistry, modularCompliance, realEstateToken;
+  let maxBalanceModule, maxHoldersModule, countryRestrictModule, countryAllowModule;
+  let owner, investor1, investor2, investor3;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  // Configure a module through the compliance contract, which is how modules know whose settings change
+  const configure = (module, functionName, args) =>
+    module.getAddress().then(address =>
+      modularCompliance.callModuleFunction(module.interface.encodeFunctionData(functionName, args), address)
+    );
+
+  // Time-based modules move the chain clock; rewind it for the suites that follow
+  let snapshot;
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [owner, investor1, investor2, investor3] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const ModularCompliance = await ethers.getContractFactory("ModularCompliance");
+    modularCompliance = await ModularCompliance.deploy();
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await modularCompliance.getAddress(),
+      propertyInfo
+    );
+    await modularCompliance.bindToken(await realEstateToken.getAddress());
+
+    maxBalanceModule = await (await ethers.getContractFactory("MaxBalanceModule")).deploy();
+    maxHoldersModule = await (await ethers.getContractFactory("MaxHoldersModule")).deploy();
+    countryRestrictModule = await (await ethers.getContractFactory("CountryRestrictModule")).deploy();
+    countryAllowModule = await (await ethers.getContractFactory("CountryAllowModule")).deploy();
+
+    await identityRegistry.registerIdentity(investor1.address, investor1.address, 840); // USA
+    await identityRegistry.registerIdentity(investor2.address, investor2.address, 826); // UK
+    await identityRegistry.registerIdentity(investor3.address, investor3.address, 276); // Germany
+  });
+
+  it("Should allow verified transfers with no modules bound", async function () {
+    await realEstateToken.mint(investor1.address, ethers.parseEther("100"));
+    await realEstateToken.connect(investor1).transfer(investor2.address, ethers.parseEther("40"));
+    expect(await realEstateToken.balanceOf(investor2.address)).to.equal(ethers.parseEther("40"));
+
+    // Identity verification is enforced by the token whatever modules are bound
+    expect(await realEstateToken.canTransfer(investor1.address, owner.address, 1)).to.be.false;
+    await expect(
+      realEstateToken.mint(owner.address, ethers.parseEther("1"))
+    ).to.be.revertedWith("Recipient not verified");
+  });
+
+  it("Should bind and unbind modules", async function () {
+    const moduleAddress = await maxBalanceModule.getAddress();
+    await expect(modularCompliance.addModule(moduleAddress))
+      .to.emit(modularCompliance, "ModuleAdded")
+      .withArgs(moduleAddress);
+
+    expect(await modularCompliance.getModules()).to.deep.equal([moduleAddress]);
+    expect(await maxBalanceModule.isComplianceBound(await modularCompliance.getAddress())).to.be.true;
+    await expect(modularCompliance.addModule(moduleAddress)).to.be.revertedWith("Module already bound");
+
+    await configure(maxBalanceModule, "setMaxBalance", [ethers.parseEther("50")]);
+    await expect(
+      realEstateToken.mint(investor1.address, ethers.parseEther("60"))
+    ).to.be.revertedWith("Exceeds max balance per investor");
+
+    await modularCompliance.removeModule(moduleAddress);
+    expect(await modularCompliance.getModules()).to.deep.equal([]);
+    expect(await maxBalanceModule.isComplianceBound(await modularCompliance.getAddress())).to.be.false;
+
+    await realEstateToken.mint(investor1.address, ethers.parseEther("60"));
+    expect(await realEstateToken.balanceOf(investor1.address)).to.equal(ethers.parseEther("60"));
+  });
+
+  it("Should cap balances per identity", async function () {
+    await modularCompliance.addModule(await maxBalanceModule.getAddress());
+    await configure(maxBalanceModule, "setMaxBalance", [ethers.parseEther("100")]);
+
+    // investor3 re-registered as a second wallet of investor1's identity
+    await identityRegistry.registerIdentity(investor3.address, investor1.address, 840);
+    await realEstateToken.mint(investor1.address, ethers.parseEther("70"));
+    await realEstateToken.mint(investor2.address, ethers.parseEther("70"));
+    expect(
+      await maxBalanceModule.investorBalance(await modularCompliance.getAddress(), investor3.address)
+    ).to.equal(ethers.parseEther("70"));
+
+    await expect(
+      realEstateToken.mint(investor3.address, ethers.parseEther("40"))
+    ).to.be.revertedWith("Exceeds max balance per investor");
+    await expect(
+      realEstateToken.forcedTransfer(investor2.address, investor3.address, ethers.parseEther("40"))
+    ).to.be.revertedWith("Exceeds max balance per investor");
+  });
+
+  it("Should only let the owner manage modules and the bound compliance configure them", async function () {
+    await expect(
+      modularCompliance.connect(investor1).addModule(await maxBalanceModule.getAddress())
+    ).to.be.revertedWithCustomError(modularCompliance, "OwnableUnauthorizedAccount");
+
+    await modularCompliance.addModule(await maxBalanceModule.getAddress());
+    await expect(
+      maxBalanceModule.connect(investor1).setMaxBalance(1)
+    ).to.be.revertedWith("Only bound compliance");
+    await expect(
+      modularCompliance.connect(investor1).callModuleFunction(
+        maxBalanceModule.interface.encodeFunctionData("setMaxBalance", [1]),
+        await maxBalanceModule.getAddress()
+      )
+    ).to.be.revertedWithCustomError(modularCompliance, "OwnableUnauthorizedAccount");
+
+    // Only the bound token may call the hooks
+    await expect(
+      modularCompliance.transferred(investor1.address, investor2.address, 1)
+    ).to.be.revertedWith("Only bound token");
+  });
+
+  it("Should cap the number of holders", async function () {
+    await modularCompliance.addModule(await maxHoldersModule.getAddress());
+    await configure(maxHoldersModule, "setMaxHolders", [2]);
+    const complianceAddress = await modularCompliance.getAddress();
+
+    await realEstateToken.mint(investor1.address, ethers.parseEther("100"));
+    await realEstateToken.mint(investor2.address, ethers.parseEther("100"));
+    expect(await maxHoldersModule.holderCount(complianceAddress)).to.equal(2);
+
+    await expect(
+      realEstateToken.mint(investor3.address, ethers.parseEther("100"))
+    ).to.be.revertedWith("Maximum number of holders reached");
+    await expect(
+      realEstateToken.connect(investor1).transfer(investor3.address, ethers.parseEther("50"))
+    ).to.be.revertedWith("Maximum number of holders reached");
+
+    // Selling out entirely frees a slot for the buyer
+    await realEstateToken.connect(investor1).transfer(investor3.address, ethers.parseEther("100"));
+    expect(await maxHoldersModule.holderCount(complianceAddress)).to.equal(2);
+
+    await realEstateToken.burn(investor2.address, ethers.parseEther("100"));
+    expect(await maxHoldersModule.holderCount(complianceAddress)).to.equal(1);
+  });
+
+  it("Should let holders from before the holder cap was bound exit", async function () {
+    await realEstateToken.mint(investor1.address, ethers.parseEther("100"));
+    await realEstateToken.mint(investor2.address, ethers.parseEther("100"));
+
+    await modularCompliance.addModule(await maxHoldersModule.getAddress());
+    await configure(maxHoldersModule, "setMaxHolders", [2]);
+    const complianceAddress = await modularCompliance.getAddress();
+
+    // Existing holders are not counted, so emptying them leaves the count at zero instead of underflowing
+    await realEstateToken.connect(investor1).transfer(investor3.address, ethers.parseEther("100"));
+    expect(await maxHoldersModule.holderCount(complianceAddress)).to.equal(0);
+
+    await realEstateToken.burn(investor2.address, ethers.parseEther("100"));
+    expect(await maxHoldersModule.holderCount(complianceAddress)).to.equal(0);
+    expect(await realEstateToken.balanceOf(investor3.address)).to.equal(ethers.parseEther("100"));
+  });
+
+  it("Should block restricted countries", async function () {
+    await modularCompliance.addModule(await countryRestrictModule.getAddress());
+    await realEstateToken.mint(investor1.address, ethers.parseEther("100"));
+    await realEstateToken.mint(investor2.address, ethers.parseEther("100"));
+
+    await configure(countryRestrictModule, "batchRestrictCountries", [[826, 276]]);
+    expect(await countryRestrictModule.isCountryRestricted(await modularCompliance.getAddress(), 826)).to.be.true;
+
+    await expect(
+      realEstateToken.connect(investor1).transfer(investor3.address, ethers.parseEther("10"))
+    ).to.be.revertedWith("Sender or recipient country is restricted");
+    await expect(
+      realEstateToken.connect(investor2).transfer(investor1.address, ethers.parseEther("10"))
+    ).to.be.revertedWith("Sender or recipient country is restricted");
+
+    await configure(countryRestrictModule, "removeCountryRestriction", [276]);
+    await realEstateToken.connect(investor1).transfer(investor3.address, ethers.parseEther("10"));
+    expect(await realEstateToken.balanceOf(investor3.address)).to.equal(ethers.parseEther("10"));
+  });
+
+  it("Should only let allowed countries receive tokens", async function () {
+    await modularCompliance.addModule(await countryAllowModule.getAddress());
+    await configure(countryAllowModule, "addAllowedCountry", [840]);
+
+    await realEstateToken.mint(investor1.address, ethers.parseEther("100"));
+    await expect(
+      realEstateToken.mint(investor2.address, ethers.parseEther("100"))
+    ).to.be.revertedWith("Sender or recipient country is restricted");
+    expect(await realEstateToken.canTransfer(investor1.address, investor2.address, 1)).to.be.false;
+
+    await configure(countryAllowModule, "addAllowedCountry", [826]);
+    expect(await realEstateToken.canTransfer(investor1.address, investor2.address, 1)).to.be.true;
+  });
+
+  it("Should lock transfers until the release date", async function () {
+    const timeLockModule = await (await ethers.getContractFactory("TimeLockModule")).deploy();
+    await modularCompliance.addModule(await timeLockModule.getAddress());
+    const releaseDate = (await time.latest()) + 30 * 86400;
+    await configure(timeLockModule, "setLockedUntil", [releaseDate]);
+
+    await realEstateToken.mint(investor1.address, ethers.parseEther("100"));
+    await expect(
+      realEstateToken.connect(investor1).transfer(investor2.address, ethers.parseEther("10"))
+    ).to.be.revertedWith("Tokens are locked");
+    expect(
+      await modularCompliance.detectTransferRestriction(investor1.address, investor2.address, ethers.parseEther("10"))
+    ).to.equal(await timeLockModule.restrictionCode());
+
+    await time.increaseTo(releaseDate);
+    await realEstateToken.connect(investor1).transfer(investor2.address, ethers.parseEther("10"));
+    expect(await realEstateToken.balanceOf(investor2.address)).to.equal(ethers.parseEther("10"));
+  });
+
+  it("Should limit the volume transferred per window", async function () {
+    const volumeLimitModule = await (await ethers.getContractFactory("VolumeLimitModule")).deploy();
+    await modularCompliance.addModule(await volumeLimitModule.getAddress());
+    await configure(volumeLimitModule, "setVolumeLimit", [86400, ethers.parseEther("50")]);
+
+    await realEstateToken.mint(investor1.address, ethers.parseEther("100"));
+    await realEstateToken.connect(investor1).transfer(investor2.address, ethers.parseEther("30"));
+    expect(
+      await volumeLimitModule.currentVolume(await modularCompliance.getAddress(), investor1.address)
+    ).to.equal(ethers.parseEther("30"));
+
+    await expect(
+      realEstateToken.connect(investor1).transfer(investor2.address, ethers.parseEther("30"))
+    ).to.be.revertedWith("Transfer volume limit reached");
+
+    await time.increase(86400);
+    await realEstateToken.connect(investor1).transfer(investor2.address, ethers.parseEther("30"));
+    expect(await realEstateToken.balanceOf(investor2.address)).to.equal(ethers.parseEther("60"));
+  });
+});
@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("Offering", function () {
+  let identityRegistry, compliance, realEstateToken, mockUSDC, offering;
+  let owner, sponsor, investor1, investor2, outsider;
+  let deadline;
+
+  // 1,000 USDC per whole token
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+  // Offerings run until a deadline; rewind the chain clock for the suites that follow
+  let snapshot;
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [owner, sponsor, investor1, investor2, outsider] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+    deadline = (await time.latest()) + 7 * 86400;
+    const Offering = await ethers.getContractFactory("Offering");
+    offering = await Offering.deploy(
+      await realEstateToken.getAddress(),
+      await mockUSDC.getAddress(),
+      sponsor.address,
+      usdc("10000"),
+      usdc("50000"),
+      usdc("1000"),
+      usdc("30000"),
+      deadline
+    );
+    await realEstateToken.addAgent(await offering.getAddress());
+
+    await identityRegistry.registerIdentity(investor1.address, investor1.address, 840);
+    await identityRegistry.registerIdentity(investor2.address, investor2.address, 826);
+
+    for (const investor of [investor1, investor2, outsider]) {
+      await mockUSDC.mint(investor.address, usdc("100000"));
+      await mockUSDC.connect(investor).approve(await offering.getAddress(), usdc("100000"));
+    }
+  });
+
+  it("Should price tokens from the property value", async function () {
+    expect(await offering.price()).to.equal(usdc("1000"));
+    expect(await offering.tokensFor(usdc("2500"))).to.equal(ethers.parseEther("2.5"));
+  });
+
+  it("Should take subscriptions from verified investors", async function () {
+    await expect(offering.connect(investor1).subscribe(usdc("5000")))
+      .to.emit(offering, "Subscribed")
+      .withArgs(investor1.address, usdc("5000"), ethers.parseEther("5"));
+    await offering.connect(investor1).subscribe(usdc("1000"));
+
+    expect(await offering.subscriptions(investor1.address)).to.equal(usdc("6000"));
+    expect(await offering.totalSubscribed()).to.equal(usdc("6000"));
+    expect(await offering.getInvestors()).to.deep.equal([investor1.address]);
+    expect(await mockUSDC.balanceOf(await offering.getAddress())).to.equal(usdc("6000"));
+  });
+
+  it("Should enforce ticket sizes and the hard cap", async function () {
+    await expect(offering.connect(investor1).subscribe(usdc("999")))
+      .to.be.revertedWith("Below minimum ticket");
+    await expect(offering.connect(investor1).subscribe(usdc("30001")))
+      .to.be.revertedWith("Exceeds maximum ticket");
+
+    await offering.connect(investor1).subscribe(usdc("30000"));
+    await expect(offering.connect(investor2).subscribe(usdc("20001")))
+      .to.be.revertedWith("Exceeds hard cap");
+  });
+
+  it("Should check compliance at subscription", async function () {
+    await expect(offering.connect(outsider).subscribe(usdc("1000")))
+      .to.be.revertedWith("Investor not verified");
+
+    await compliance.addCountryRestriction(826);
+    await expect(offering.connect(investor2).subscribe(usdc("1000")))
+      .to.be.revertedWith("Sender or recipient country is restricted");
+
+    // The whole subscription must fit under the balance cap
+    await compliance.setMaxBalancePerInvestor(ethers.parseEther("5"));
+    await offering.connect(investor1).subscribe(usdc("5000"));
+    await expect(offering.connect(investor1).subscribe(usdc("1000")))
+      .to.be.revertedWith("Exceeds max balance per investor");
+  });
+
+  it("Should not accept subscriptions after the deadline", async function () {
+    await time.increaseTo(deadline + 1);
+    await expect(offering.connect(investor1).subscribe(usdc("1000")))
+      .to.be.revertedWith("Offering not open");
+  });
+
+  it("Should issue tokens and pay the sponsor when the soft cap is reached", async function () {
+    await offering.connect(investor1).subscribe(usdc("8000"));
+    await offering.connect(investor2).subscribe(usdc("4000"));
+
+    await expect(offering.close()).to.be.revertedWith("Offering still open");
+    await time.increaseTo(deadline + 1);
+
+    await expect(offering.connect(outsider).close())
+      .to.emit(offering, "OfferingClosed")
+      .withArgs(true, usdc("12000"));
+    expect(await mockUSDC.balanceOf(sponsor.address)).to.equal(0);
+    await expect(offering.connect(investor1).refund()).to.be.revertedWith("Subscription can still be issued");
+
+    await expect(offering.issueTokens([investor1.address, investor2.address]))
+      .to.emit(offering, "TokensIssued")
+      .withArgs(investor1.address, usdc("8000"), ethers.parseEther("8"));
+    expect(await realEstateToken.balanceOf(investor1.address)).to.equal(ethers.parseEther("8"));
+    expect(await realEstateToken.balanceOf(investor2.address)).to.equal(ethers.parseEther("4"));
+    expect(await mockUSDC.balanceOf(sponsor.address)).to.equal(usdc("12000"));
+    expect(await offering.totalIssued()).to.equal(usdc("12000"));
+
+    // Issued subscriptions are cleared, so repeating does nothing
+    await offering.issueTokens([investor1.address]);
+    expect(await realEstateToken.balanceOf(investor1.address)).to.equal(ethers.parseEther("8"));
+    await expect(offering.connect(investor1).refund()).to.be.revertedWith("Nothing to refund");
+  });
+
+  it("Should skip and refund subscriptions that can no longer be issued", async function () {
+    await offering.connect(investor1).subscribe(usdc("8000"));
+    await offering.connect(investor2).subscribe(usdc("4000"));
+    await time.increaseTo(deadline + 1);
+    await offering.close();
+
+    // Each investor passed compliance alone, but the holder cap only fits one of them
+    await compliance.setMaxHolders(1);
+    await expect(offering.issueTokens([investor1.address, investor2.address]))
+      .to.emit(offering, "IssuanceSkipped")
+      .withArgs(investor2.address, usdc("4000"), 4); // HOLDER_LIMIT
+    expect(await realEstateToken.balanceOf(investor1.address)).to.equal(ethers.parseEther("8"));
+
+    // Only issued subscriptions are paid out; the rest stays with the offering
+    expect(await mockUSDC.balanceOf(sponsor.address)).to.equal(usdc("8000"));
+    expect(await mockUSDC.balanceOf(await offering.getAddress())).to.equal(usdc("4000"));
+    expect(await offering.subscriptions(investor2.address)).to.equal(usdc("4000"));
+    expect(await offering.issuanceSkipped(investor2.address)).to.be.true;
+    expect(await offering.issuanceSkipped(investor1.address)).to.be.false;
+
+    await expect(offering.connect(investor2).refund())
+      .to.emit(offering, "Refunded")
+      .withArgs(investor2.address, usdc("4000"));
+    expect(await mockUSDC.balanceOf(investor2.address)).to.equal(usdc("100000"));
+    expect(await mockUSDC.balanceOf(await offering.getAddress())).to.equal(0);
+  });
+
+  it("Should hold a frozen investor's subscription until it can be issued", async function () {
+    await offering.connect(investor1).subscribe(usdc("8000"));
+    await offering.connect(investor2).subscribe(usdc("4000"));
+    await time.increaseTo(deadline + 1);
+    await offering.close();
+
+    await realEstateToken.setAddressFrozen(investor2.address, true);
+    expect(await offering.issuanceRestriction(investor2.address)).to.equal(6); // FROZEN
+
+    // Being restricted is not enough for a refund, issueTokens must have skipped the subscription
+    await expect(offering.connect(investor2).refund()).to.be.revertedWith("Subscription can still be issued");
+    await offering.issueTokens([investor2.address]);
+    expect(await offering.issuanceSkipped(investor2.address)).to.be.true;
+    expect(await realEstateToken.balanceOf(investor2.address)).to.equal(0);
+    expect(await mockUSDC.balanceOf(sponsor.address)).to.equal(0);
+
+    // Once unfrozen the tokens can be issued as usual
+    await realEstateToken.setAddressFrozen(investor2.address, false);
+    await offering.issueTokens([investor2.address]);
+    expect(await realEstateToken.balanceOf(investor2.address)).to.equal(ethers.parseEther("4"));
+    expect(await mockUSDC.balanceOf(sponsor.address)).to.equal(usdc("4000"));
+  });
+
+  it("Should close early once the hard cap is reached", async function () {
+    await offering.connect(investor1).subscribe(usdc("30000"));
+    await offering.connect(investor2).subscribe(usdc("20000"));
+
+    await offering.close();
+    expect(await offering.status()).to.equal(1); // Succeeded
+  });
+
+  it("Should refund subscriptions when the soft cap is missed", async function () {
+    await offering.connect(investor1).subscribe(usdc("5000"));
+    await time.increaseTo(deadline + 1);
+
+    await expect(offering.close())
+      .to.emit(offering, "OfferingClosed")
+      .withArgs(false, usdc("5000"));
+    await expect(offering.issueTokens([investor1.address])).to.be.revertedWith("Offering not successful");
+
+    await expect(offering.connect(investor1).refund())
+      .to.emit(offering, "Refunded")
+      .withArgs(investor1.address, usdc("5000"));
+    expect(await mockUSDC.balanceOf(investor1.address)).to.equal(usdc("100000"));
+    await expect(offering.connect(investor1).refund()).to.be.revertedWith("Nothing to refund");
+  });
+
+  it("Should let only the owner cancel the offering", async function () {
+    await offering.connect(investor1).subscribe(usdc("5000"));
+
+    await expect(offering.connect(sponsor).cancel())
+      .to.be.revertedWithCustomError(offering, "OwnableUnauthorizedAccount");
+    await offering.cancel();
+
+    await expect(offering.connect(investor1).subscribe(usdc("1000"))).to.be.revertedWith("Offering not open");
+    await offering.connect(investor1).refund();
+    expect(await mockUSDC.balanceOf(investor1.address)).to.equal(usdc("100000"));
+  });
+});
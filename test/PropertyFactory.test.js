@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("PropertyFactory", function () {
+  let identityStorage, identityRegistry, propertyFactory;
+  let owner, sponsor, investor;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  beforeEach(async function () {
+    [owner, sponsor, investor] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    identityStorage = await IdentityRegistryStorage.deploy();
+    await identityStorage.waitForDeployment();
+
+    // Portfolio-level registry used to onboard investors
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityRegistry.waitForDeployment();
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const RealEstateTokenUpgradeable = await getLinkedContractFactory("RealEstateTokenUpgradeable");
+    const tokenImplementation = await RealEstateTokenUpgradeable.deploy();
+    const ComplianceUpgradeable = await ethers.getContractFactory("ComplianceUpgradeable");
+    const complianceImplementation = await ComplianceUpgradeable.deploy();
+    const IdentityRegistryUpgradeable = await ethers.getContractFactory("IdentityRegistryUpgradeable");
+    const identityRegistryImplementation = await IdentityRegistryUpgradeable.deploy();
+
+    const PropertyFactory = await ethers.getContractFactory("PropertyFactory");
+    propertyFactory = await PropertyFactory.deploy(
+      await identityStorage.getAddress(),
+      await tokenImplementation.getAddress(),
+      await complianceImplementation.getAddress(),
+      await identityRegistryImplementation.getAddress()
+    );
+    await propertyFactory.waitForDeployment();
+    await identityStorage.addAgent(await propertyFactory.getAddress());
+
+    await identityRegistry.registerIdentity(investor.address, investor.address, 840); // USA
+  });
+
+  it("Should deploy and list a property", async function () {
+    await expect(propertyFactory.createProperty("Test Property Token", "TPT", propertyInfo))
+      .to.emit(propertyFactory, "PropertyListed");
+
+    expect(await propertyFactory.propertyCount()).to.equal(1);
+
+    const property = await propertyFactory.getProperty(0);
+    expect(property.sponsor).to.equal(owner.address);
+    expect(await propertyFactory.isListed(property.token)).to.be.true;
+    expect(await propertyFactory.propertyIdOf(property.token)).to.equal(0);
+
+    const info = await propertyFactory.getPropertyInfo(0);
+    expect(info.propertyAddress).to.equal(propertyInfo.propertyAddress);
+    expect(info.totalValue).to.equal(propertyInfo.totalValue);
+  });
+
+  it("Should hand token ownership and roles to the sponsor", async function () {
+    await propertyFactory.createProperty("Test Property Token", "TPT", propertyInfo);
+    const property = await propertyFactory.getProperty(0);
+
+    const token = await ethers.getContractAt("RealEstateToken", property.token);
+    const compliance = await ethers.getContractAt("Compliance", property.compliance);
+    const propertyRegistry = await ethers.getContractAt("IdentityRegistry", property.identityRegistry);
+
+    expect(await token.owner()).to.equal(owner.address);
+    expect(await compliance.owner()).to.equal(owner.address);
+    expect(await propertyRegistry.owner()).to.equal(owner.address);
+    expect(await propertyRegistry.isAgent(property.token)).to.be.true;
+    expect(await token.hasRole(await token.AGENT_ROLE(), owner.address)).to.be.true;
+    expect(await token.hasRole(await token.AGENT_ROLE(), await propertyFactory.getAddress())).to.be.false;
+    expect(await token.identityRegistry()).to.equal(property.identityRegistry);
+    expect(await compliance.identityRegistry()).to.equal(property.identityRegistry);
+
+    await token.mint(investor.address, ethers.parseEther("10"));
+    expect(await token.balanceOf(investor.address)).to.equal(ethers.parseEther("10"));
+  });
+
+  it("Should share identities across the properties' registries", async function () {
+    await propertyFactory.createProperty("Property One", "PONE", propertyInfo);
+    await propertyFactory.createProperty("Property Two", "PTWO", propertyInfo);
+
+    const properties = await propertyFactory.getProperties();
+    expect(properties.length).to.equal(2);
+    expect(properties[0].identityRegistry).to.not.equal(properties[1].identityRegistry);
+    expect(await identityStorage.linkedIdentityRegistries()).to.have.lengthOf(3);
+
+    // The investor registered once through the portfolio registry can hold every property
+    for (const property of properties) {
+      const propertyRegistry = await ethers.getContractAt("IdentityRegistry", property.identityRegistry);
+      expect(await propertyRegistry.isVerified(investor.address)).to.be.true;
+
+      const token = await ethers.getContractAt("RealEstateToken", property.token);
+      await token.mint(investor.address, ethers.parseEther("1"));
+      expect(await token.balanceOf(investor.address)).to.equal(ethers.parseEther("1"));
+    }
+
+    // A country change made through one property's registry is seen by all of them
+    const registryOne = await ethers.getContractAt("IdentityRegistry", properties[0].identityRegistry);
+    await registryOne.updateCountry(investor.address, 826);
+    expect(await identityRegistry.investorCountry(investor.address)).to.equal(826);
+  });
+
+  it("Should let the secondary market trade the properties it lists", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+    const SecondaryMarket = await ethers.getContractFactory("SecondaryMarket");
+    const market = await SecondaryMarket.deploy(await mockUSDC.getAddress(), await propertyFactory.getAddress());
+
+    await propertyFactory.createProperty("Test Property Token", "TPT", propertyInfo);
+    const token = await ethers.getContractAt("RealEstateToken", (await propertyFactory.getProperty(0)).token);
+    await token.mint(investor.address, ethers.parseEther("10"));
+    await token.connect(investor).approve(await market.getAddress(), ethers.parseEther("10"));
+
+    expect(await market.isTradable(await token.getAddress())).to.be.true;
+    await expect(
+      market.connect(investor).list(await token.getAddress(), ethers.parseEther("10"), 50000000, ethers.ZeroAddress)
+    ).to.emit(market, "OrderListed");
+
+    // Tokens the factory did not deploy cannot be listed
+    await expect(
+      market.connect(investor).list(await mockUSDC.getAddress(), 1, 1, ethers.ZeroAddress)
+    ).to.be.revertedWith("Token not listed");
+  });
+
+  it("Should deploy upgradeable proxies administered by the sponsor", async function () {
+    await propertyFactory.createProperty("Test Property Token", "TPT", propertyInfo);
+    const property = await propertyFactory.getProperty(0);
+
+    const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+    const adminAddress = ethers.getAddress("0x" + (await ethers.provider.getStorage(property.token, ADMIN_SLOT)).slice(-40));
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", adminAddress);
+    expect(await proxyAdmin.owner()).to.equal(owner.address);
+
+    // Implementations cannot be initialized directly
+    const implementation = await ethers.getContractAt("RealEstateTokenUpgradeable", await propertyFactory.tokenImplementation());
+    await expect(
+      implementation.initialize("X", "X", 18, await identityRegistry.getAddress(), property.compliance, propertyInfo)
+    ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+  });
+
+  it("Should register new tokens with the rent distributor", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+    const RentDistributor = await ethers.getContractFactory("RentDistributor");
+    const rentDistributor = await RentDistributor.deploy(await mockUSDC.getAddress());
+
+    await propertyFactory.setRentDistributor(await rentDistributor.getAddress());
+    await expect(propertyFactory.createProperty("Test Property Token", "TPT", propertyInfo))
+      .to.be.revertedWith("Not authorized to register");
+
+    await rentDistributor.setPropertyFactory(await propertyFactory.getAddress());
+    await propertyFactory.createProperty("Test Property Token", "TPT", propertyInfo);
+
+    const token = await ethers.getContractAt("RealEstateTokenUpgradeable", (await propertyFactory.getProperty(0)).token);
+    expect(await token.rentDistributor()).to.equal(await rentDistributor.getAddress());
+    expect(await rentDistributor.isRegistered(await token.getAddress())).to.be.true;
+  });
+
+  it("Should only allow the owner to list properties", async function () {
+    await expect(
+      propertyFactory.connect(sponsor).createProperty("Test Property Token", "TPT", propertyInfo)
+    ).to.be.revertedWithCustomError(propertyFactory, "OwnableUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("PropertyGovernor", function () {
+  let identityRegistry, compliance, realEstateToken, timelock, governor;
+  let owner, holder1, holder2, holder3, outsider;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const tokens = (amount) => ethers.parseEther(amount);
+  const VOTING_PERIOD = 3 * 86400;
+  const TIMELOCK_DELAY = 2 * 86400;
+  const AGAINST = 0, FOR = 1, ABSTAIN = 2;
+  // PropertyGovernor.ProposalState
+  const STATE = { Active: 0, Defeated: 1, Succeeded: 2, Queued: 3, Executed: 4, Canceled: 5 };
+
+  // Propose renaming the property's description, returning the proposal ID
+  async function proposeDescription(description, proposer = holder1) {
+    const calldata = realEstateToken.interface.encodeFunctionData("updatePropertyInfo", [
+      { ...propertyInfo, description }
+    ]);
+    const tx = await governor.connect(proposer).propose(
+      [await realEstateToken.getAddress()],
+      [0],
+      [calldata],
+      `Update description to "${description}"`
+    );
+    const receipt = await tx.wait();
+    return receipt.logs.find(log => log.fragment && log.fragment.name === 'ProposalCreated').args[0];
+  }
+
+  // Proposals run for a voting period and a timelock delay; rewind the chain clock for the suites that follow
+  let snapshot;
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [owner, holder1, holder2, holder3, outsider] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+
+    const PropertyTimelock = await ethers.getContractFactory("PropertyTimelock");
+    timelock = await PropertyTimelock.deploy(TIMELOCK_DELAY, [], [], owner.address);
+
+    const PropertyGovernor = await ethers.getContractFactory("PropertyGovernor");
+    governor = await PropertyGovernor.deploy(
+      await realEstateToken.getAddress(),
+      await timelock.getAddress(),
+      VOTING_PERIOD,
+      2000, // 20% quorum
+      5000, // simple majority
+      tokens("1")
+    );
+
+    // Only the governor schedules, executes and cancels; the timelock owns the token
+    for (const role of [await timelock.PROPOSER_ROLE(), await timelock.EXECUTOR_ROLE(), await timelock.CANCELLER_ROLE()]) {
+      await timelock.grantRole(role, await governor.getAddress());
+    }
+    await timelock.renounceRole(await timelock.DEFAULT_ADMIN_ROLE(), owner.address);
+    await realEstateToken.addAgent(await governor.getAddress());
+
+    for (const holder of [holder1, holder2, holder3]) {
+      await identityRegistry.registerIdentity(holder.address, holder.address, 840);
+    }
+    await realEstateToken.mint(holder1.address, tokens("60"));
+    await realEstateToken.mint(holder2.address, tokens("30"));
+    await realEstateToken.mint(holder3.address, tokens("10"));
+
+    await realEstateToken.transferOwnership(await timelock.getAddress());
+  });
+
+  describe("Proposals", function () {
+    it("Should create a proposal with a snapshot of balances", async function () {
+      await expect(governor.connect(holder1).propose(
+        [await realEstateToken.getAddress()], [0], ["0x"], "Refinance the mortgage"
+      )).to.emit(governor, "ProposalCreated");
+
+      expect(await governor.proposalCount()).to.equal(1);
+      expect(await governor.state(0)).to.equal(STATE.Active);
+      const proposal = await governor.getProposal(0);
+      expect(proposal.proposer).to.equal(holder1.address);
+      expect(await realEstateToken.currentSnapshotId()).to.equal(proposal.snapshotId);
+      expect(await governor.quorum(0)).to.equal(tokens("20"));
+    });
+
+    it("Should require the proposal threshold", async function () {
+      await expect(governor.connect(outsider).propose(
+        [await realEstateToken.getAddress()], [0], ["0x"], "Sell the building"
+      )).to.be.revertedWith("Below proposal threshold");
+    });
+  });
+
+  describe("Voting", function () {
+    it("Should weight votes by balance at the snapshot", async function () {
+      const proposalId = await proposeDescription("Renovated");
+      await realEstateToken.connect(holder1).transfer(holder2.address, tokens("50"));
+
+      await expect(governor.connect(holder1).castVote(proposalId, FOR, [holder1.address]))
+        .to.emit(governor, "VoteCast")
+        .withArgs(proposalId, holder1.address, holder1.address, FOR, tokens("60"));
+      await governor.connect(holder2).castVote(proposalId, AGAINST, [holder2.address]);
+
+      const proposal = await governor.getProposal(proposalId);
+      expect(proposal.forVotes).to.equal(tokens("60"));
+      expect(proposal.againstVotes).to.equal(tokens("30"));
+
+      await expect(governor.connect(holder1).castVote(proposalId, FOR, [holder1.address]))
+        .to.be.revertedWith("No votes to cast");
+    });
+
+    it("Should let delegates cast the votes delegated at the snapshot", async function () {
+      await expect(governor.connect(holder2).delegate(holder3.address))
+        .to.emit(governor, "DelegateChanged")
+        .withArgs(holder2.address, holder2.address, holder3.address);
+      expect(await governor.getDelegators(holder3.address)).to.deep.equal([holder2.address]);
+
+      const proposalId = await proposeDescription("Renovated");
+
+      // Delegating back now does not change who votes on this proposal
+      await governor.connect(holder2).delegate(holder2.address);
+      await expect(governor.connect(holder2).castVote(proposalId, AGAINST, [holder2.address]))
+        .to.be.revertedWith("No votes to cast");
+
+      await governor.connect(holder3).castVote(proposalId, ABSTAIN, [holder3.address, holder2.address]);
+      expect((await governor.getProposal(proposalId)).abstainVotes).to.equal(tokens("40"));
+      expect(await governor.hasVoted(proposalId, holder2.address)).to.be.true;
+    });
+
+    it("Should require the quorum and the approval threshold", async function () {
+      // 10% participation is below the 20% quorum
+      const lowTurnout = await proposeDescription("Low turnout");
+      await governor.connect(holder3).castVote(lowTurnout, FOR, [holder3.address]);
+
+      // A majority against
+      const rejected = await proposeDescription("Rejected");
+      await governor.connect(holder1).castVote(rejected, AGAINST, [holder1.address]);
+      await governor.connect(holder2).castVote(rejected, FOR, [holder2.address]);
+
+      await time.increase(VOTING_PERIOD + 1);
+      expect(await governor.state(lowTurnout)).to.equal(STATE.Defeated);
+      expect(await governor.state(rejected)).to.equal(STATE.Defeated);
+      await expect(governor.connect(holder3).castVote(rejected, FOR, [holder3.address]))
+        .to.be.revertedWith("Voting closed");
+      await expect(governor.queue(rejected)).to.be.revertedWith("Proposal not successful");
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should execute passed proposals through the timelock after its delay", async function () {
+      const proposalId = await proposeDescription("Renovated");
+      await governor.connect(holder1).castVote(proposalId, FOR, [holder1.address]);
+      await time.increase(VOTING_PERIOD + 1);
+      expect(await governor.state(proposalId)).to.equal(STATE.Succeeded);
+
+      await expect(governor.connect(outsider).queue(proposalId)).to.emit(governor, "ProposalQueued");
+      await expect(governor.execute(proposalId))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(governor.connect(outsider).execute(proposalId))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId)
+        .and.to.emit(realEstateToken, "PropertyInfoUpdated")
+        .withArgs(await timelock.getAddress(), propertyInfo.totalValue, 1000, true);
+
+      expect((await realEstateToken.propertyInfo()).description).to.equal("Renovated");
+      expect(await governor.state(proposalId)).to.equal(STATE.Executed);
+    });
+
+    it("Should let the proposer cancel a queued proposal", async function () {
+      const proposalId = await proposeDescription("Renovated");
+      await governor.connect(holder1).castVote(proposalId, FOR, [holder1.address]);
+      await time.increase(VOTING_PERIOD + 1);
+      await governor.queue(proposalId);
+
+      await expect(governor.connect(holder2).cancel(proposalId)).to.be.revertedWith("Only proposer can cancel");
+      await expect(governor.connect(holder1).cancel(proposalId))
+        .to.emit(governor, "ProposalCanceled")
+        .withArgs(proposalId);
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(governor.execute(proposalId)).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should only change voting settings through a proposal", async function () {
+      await expect(governor.updateVotingSettings(86400, 1000, 6000, 0)).to.be.revertedWith("Only timelock");
+
+      const calldata = governor.interface.encodeFunctionData("updateVotingSettings", [86400, 1000, 6000, 0]);
+      await governor.connect(holder1).propose([await governor.getAddress()], [0], [calldata], "Shorter votes");
+      await governor.connect(holder1).castVote(0, FOR, [holder1.address]);
+      await time.increase(VOTING_PERIOD + 1);
+      await governor.queue(0);
+      await time.increase(TIMELOCK_DELAY);
+      await governor.execute(0);
+
+      expect(await governor.votingPeriod()).to.equal(86400);
+      expect(await governor.approvalBps()).to.equal(6000);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("PropertySale", function () {
+  let identityRegistry, compliance, realEstateToken, mockUSDC, redemption, sale;
+  let owner, agent, holder1, holder2, custodian, outsider;
+  let token, claimDeadline;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("100000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const usdc = (amount) => ethers.parseUnits(amount, 6);
+  const tokens = (amount) => ethers.parseEther(amount);
+
+  // Mark the property sold, which stops trading
+  async function deactivate() {
+    await realEstateToken.updatePropertyInfo({ ...propertyInfo, isActive: false });
+  }
+
+  // Claims run until a deadline; rewind the chain clock for the suites that follow
+  let snapshot;
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [owner, agent, holder1, holder2, custodian, outsider] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+    token = await realEstateToken.getAddress();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+    const Redemption = await ethers.getContractFactory("Redemption");
+    redemption = await Redemption.deploy(await mockUSDC.getAddress());
+
+    const PropertySale = await ethers.getContractFactory("PropertySale");
+    sale = await PropertySale.deploy(await mockUSDC.getAddress(), await redemption.getAddress());
+
+    // The sale contract burns the tokens it pays out for; redemption windows freeze and burn them too
+    await realEstateToken.addAgent(await sale.getAddress());
+    await realEstateToken.addAgent(await redemption.getAddress());
+    await realEstateToken.addComplianceOfficer(await redemption.getAddress());
+    await realEstateToken.addAgent(agent.address);
+
+    await identityRegistry.registerIdentity(holder1.address, holder1.address, 840);
+    await identityRegistry.registerIdentity(holder2.address, holder2.address, 840);
+    await realEstateToken.mint(holder1.address, tokens("60"));
+    await realEstateToken.mint(holder2.address, tokens("40"));
+
+    await mockUSDC.mint(agent.address, usdc("150000"));
+    await mockUSDC.connect(agent).approve(await sale.getAddress(), usdc("150000"));
+
+    claimDeadline = (await time.latest()) + 90 * 86400;
+  });
+
+  describe("Wind-down", function () {
+    it("Should stop trading and issuance once the property is inactive", async function () {
+      await deactivate();
+
+      expect(await realEstateToken.detectTransferRestriction(holder1.address, holder2.address, tokens("1"))).to.equal(13);
+      await expect(realEstateToken.connect(holder1).transfer(holder2.address, tokens("1")))
+        .to.be.revertedWith("Property is no longer active");
+      await expect(realEstateToken.mint(holder1.address, tokens("1")))
+        .to.be.revertedWith("Property is no longer active");
+    });
+
+    it("Should only take proceeds for an inactive property from its agents", async function () {
+      await expect(sale.connect(agent).depositProceeds(token, usdc("150000"), claimDeadline, custodian.address))
+        .to.be.revertedWith("Property still active");
+
+      await deactivate();
+      await expect(sale.connect(outsider).depositProceeds(token, usdc("150000"), claimDeadline, custodian.address))
+        .to.be.revertedWith("Not authorized agent");
+
+      await expect(sale.connect(agent).depositProceeds(token, usdc("150000"), claimDeadline, custodian.address))
+        .to.emit(sale, "ProceedsDeposited")
+        .withArgs(token, agent.address, usdc("150000"), tokens("100"), claimDeadline, custodian.address);
+      expect(await mockUSDC.balanceOf(await sale.getAddress())).to.equal(usdc("150000"));
+
+      await expect(sale.connect(agent).depositProceeds(token, usdc("1"), claimDeadline, custodian.address))
+        .to.be.revertedWith("Proceeds already deposited");
+    });
+
+    it("Should wait for redemption windows to settle before taking proceeds", async function () {
+      await mockUSDC.mint(agent.address, usdc("2500"));
+      await mockUSDC.connect(agent).approve(await redemption.getAddress(), usdc("2500"));
+      const windowDeadline = (await time.latest()) + 7 * 86400;
+      await redemption.connect(agent).openWindow(token, usdc("100"), usdc("2500"), windowDeadline);
+      await redemption.connect(holder1).requestRedemption(0, tokens("25"));
+
+      await deactivate();
+      await expect(redemption.connect(agent).openWindow(token, usdc("100"), usdc("1000"), windowDeadline))
+        .to.be.revertedWith("Property is not active");
+      await expect(sale.connect(agent).depositProceeds(token, usdc("150000"), claimDeadline, custodian.address))
+        .to.be.revertedWith("Redemption window not settled");
+
+      // Closed but not yet settled, the request still holds frozen tokens
+      await time.increaseTo(windowDeadline + 1);
+      await redemption.closeWindow(0);
+      expect(await redemption.unsettledWindows(token)).to.equal(1);
+      await expect(sale.connect(agent).depositProceeds(token, usdc("150000"), claimDeadline, custodian.address))
+        .to.be.revertedWith("Redemption window not settled");
+
+      await redemption.settle(0, [holder1.address]);
+      expect(await redemption.unsettledWindows(token)).to.equal(0);
+      await sale.connect(agent).depositProceeds(token, usdc("150000"), claimDeadline, custodian.address);
+
+      // The 75 tokens left share the proceeds
+      await sale.claim(token, [holder1.address, holder2.address]);
+      expect(await mockUSDC.balanceOf(holder1.address)).to.equal(usdc("2500") + usdc("70000"));
+      expect(await mockUSDC.balanceOf(holder2.address)).to.equal(usdc("80000"));
+    });
+  });
+
+  describe("Claims", function () {
+    beforeEach(async function () {
+      await deactivate();
+      await sale.connect(agent).depositProceeds(token, usdc("150000"), claimDeadline, custodian.address);
+    });
+
+    it("Should burn every token for a pro-rata share of the proceeds", async function () {
+      expect(await sale.proceedsOf(token, holder1.address)).to.equal(usdc("90000"));
+
+      await expect(sale.connect(outsider).claim(token, [holder1.address, outsider.address]))
+        .to.emit(sale, "ProceedsClaimed")
+        .withArgs(token, holder1.address, tokens("60"), usdc("90000"));
+      await sale.connect(holder2).claim(token, [holder2.address]);
+
+      expect(await realEstateToken.totalSupply()).to.equal(0);
+      expect(await mockUSDC.balanceOf(holder1.address)).to.equal(usdc("90000"));
+      expect(await mockUSDC.balanceOf(holder2.address)).to.equal(usdc("60000"));
+      expect((await sale.getSale(token)).claimed).to.equal(usdc("150000"));
+    });
+
+    it("Should hold the share of frozen wallets and tokens until an agent releases them", async function () {
+      await realEstateToken.freezePartialTokens(holder1.address, tokens("10"));
+      await realEstateToken.setAddressFrozen(holder2.address, true);
+      expect(await sale.proceedsOf(token, holder1.address)).to.equal(usdc("75000"));
+      expect(await sale.proceedsOf(token, holder2.address)).to.equal(0);
+
+      await expect(sale.claim(token, [holder1.address, holder2.address]))
+        .to.emit(sale, "ProceedsClaimed")
+        .withArgs(token, holder1.address, tokens("50"), usdc("75000"));
+      expect(await realEstateToken.balanceOf(holder1.address)).to.equal(tokens("10"));
+      expect(await realEstateToken.getFrozenTokens(holder1.address)).to.equal(tokens("10"));
+      expect(await realEstateToken.balanceOf(holder2.address)).to.equal(tokens("40"));
+
+      await realEstateToken.unfreezePartialTokens(holder1.address, tokens("10"));
+      await realEstateToken.setAddressFrozen(holder2.address, false);
+      await sale.claim(token, [holder1.address, holder2.address]);
+
+      expect(await realEstateToken.totalSupply()).to.equal(0);
+      expect(await mockUSDC.balanceOf(holder1.address)).to.equal(usdc("90000"));
+      expect(await mockUSDC.balanceOf(holder2.address)).to.equal(usdc("60000"));
+    });
+
+    it("Should send unclaimed proceeds to the recipient after the deadline", async function () {
+      await sale.claim(token, [holder1.address]);
+      await expect(sale.sweepUnclaimed(token)).to.be.revertedWith("Claim period not over");
+
+      await time.increaseTo(claimDeadline + 1);
+      await expect(sale.claim(token, [holder2.address])).to.be.revertedWith("Claim period over");
+      await expect(sale.connect(outsider).sweepUnclaimed(token))
+        .to.emit(sale, "UnclaimedSwept")
+        .withArgs(token, custodian.address, usdc("60000"));
+
+      expect(await mockUSDC.balanceOf(custodian.address)).to.equal(usdc("60000"));
+      await expect(sale.sweepUnclaimed(token)).to.be.revertedWith("Already swept");
+    });
+  });
+});
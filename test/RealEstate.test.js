@@ -1,8 +1,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
 
 describe("Real Estate dApp", function () {
-  let identityRegistry, compliance, realEstateToken, mockUSDC, leaseManager;
+  let identityStorage, identityRegistry, compliance, realEstateToken, mockUSDC, leaseManager;
   let owner, landlord, tenant, agent;
 
   const propertyInfo = {
@@ -16,10 +18,15 @@ describe("Real Estate dApp", function () {
   beforeEach(async function () {
     [owner, landlord, tenant, agent] = await ethers.getSigners();
 
-    // Deploy Identity Registry
+    // Deploy Identity Registry Storage and an Identity Registry bound to it
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    identityStorage = await IdentityRegistryStorage.deploy();
+    await identityStorage.waitForDeployment();
+
     const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
-    identityRegistry = await IdentityRegistry.deploy();
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
     await identityRegistry.waitForDeployment();
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
 
     // Deploy Compliance
     const Compliance = await ethers.getContractFactory("Compliance");
@@ -27,7 +34,7 @@ describe("Real Estate dApp", function () {
     await compliance.waitForDeployment();
 
     // Deploy Real Estate Token
-    const RealEstateToken = await ethers.getContractFactory("RealEstateToken");
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
     realEstateToken = await RealEstateToken.deploy(
       "Test Property Token",
       "TPT",
@@ -37,6 +44,7 @@ describe("Real Estate dApp", function () {
       propertyInfo
     );
     await realEstateToken.waitForDeployment();
+    await compliance.bindToken(await realEstateToken.getAddress());
 
     // Deploy Mock USDC
     const MockERC20 = await ethers.getContractFactory("MockERC20");
@@ -77,6 +85,86 @@ describe("Real Estate dApp", function () {
     });
   });
 
+  describe("Country Policy", function () {
+    const SENDER_SIDE = 1;
+    const RECIPIENT_SIDE = 2;
+    const BOTH_SIDES = 3;
+    const EEA = ethers.encodeBytes32String("EEA");
+
+    beforeEach(async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      await identityRegistry.updateCountry(tenant.address, 276); // Germany
+    });
+
+    it("Should restrict senders and recipients separately", async function () {
+      await expect(compliance.setCountryRestriction(276, SENDER_SIDE))
+        .to.emit(compliance, "CountryRestrictionSet")
+        .withArgs(276, SENDER_SIDE);
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"));
+      await expect(
+        realEstateToken.connect(tenant).transfer(landlord.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Sender or recipient country is restricted");
+
+      await expect(compliance.addCountryRestriction(840))
+        .to.emit(compliance, "CountryRestrictionSet")
+        .withArgs(840, BOTH_SIDES);
+      await expect(compliance.removeCountryRestriction(840))
+        .to.emit(compliance, "CountryRestrictionSet")
+        .withArgs(840, 0);
+    });
+
+    it("Should only admit allowed countries in allowlist mode", async function () {
+      await compliance.setCountryGroup(EEA, [250, 276]);
+      await compliance.setCountryGroupAllowance(EEA, RECIPIENT_SIDE);
+      await expect(compliance.setCountryAllowlistMode(true))
+        .to.emit(compliance, "CountryAllowlistModeSet")
+        .withArgs(true);
+
+      // US senders are not allowed yet
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Sender or recipient country is restricted");
+
+      await compliance.setCountryAllowance(840, SENDER_SIDE);
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"));
+      await expect(
+        realEstateToken.connect(landlord).transfer(agent.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Sender or recipient country is restricted");
+
+      // Restrictions take precedence over allowances
+      await compliance.setCountryRestriction(276, RECIPIENT_SIDE);
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Sender or recipient country is restricted");
+    });
+
+    it("Should list country groups and the active country policy", async function () {
+      await expect(compliance.setCountryGroup(EEA, [250, 276]))
+        .to.emit(compliance, "CountryGroupSet")
+        .withArgs(EEA, [250, 276]);
+      expect(await compliance.getCountryGroups()).to.deep.equal([EEA]);
+      expect(await compliance.getCountryGroup(EEA)).to.deep.equal([250n, 276n]);
+
+      await compliance.setCountryGroupRestriction(EEA, BOTH_SIDES);
+      await compliance.setCountryAllowance(840, BOTH_SIDES);
+      let [countries, restrictedSides, allowedSides] = await compliance.getCountryPolicy();
+      expect(countries).to.deep.equal([250n, 276n, 840n]);
+      expect(restrictedSides).to.deep.equal([3n, 3n, 0n]);
+      expect(allowedSides).to.deep.equal([0n, 0n, 3n]);
+
+      await compliance.setCountryGroupRestriction(EEA, 0);
+      [countries] = await compliance.getCountryPolicy();
+      expect(countries).to.deep.equal([840n]);
+
+      await compliance.removeCountryGroup(EEA);
+      expect(await compliance.getCountryGroups()).to.deep.equal([]);
+      await expect(
+        compliance.setCountryGroupRestriction(EEA, BOTH_SIDES)
+      ).to.be.revertedWith("Country group not found");
+      await expect(compliance.setCountryRestriction(276, 4)).to.be.revertedWith("Invalid sides");
+    });
+  });
+
   describe("Real Estate Token", function () {
     it("Should mint tokens to verified users", async function () {
       await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
@@ -98,6 +186,553 @@ describe("Real Estate dApp", function () {
     });
   });
 
+  describe("Snapshots", function () {
+    it("Should record balances at a snapshot", async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      await realEstateToken.snapshot();
+      const snapshotId = await realEstateToken.currentSnapshotId();
+
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("40"));
+      await realEstateToken.mint(tenant.address, ethers.parseEther("10"));
+
+      expect(await realEstateToken.balanceOfAt(landlord.address, snapshotId)).to.equal(ethers.parseEther("100"));
+      expect(await realEstateToken.balanceOfAt(tenant.address, snapshotId)).to.equal(0);
+      expect(await realEstateToken.totalSupplyAt(snapshotId)).to.equal(ethers.parseEther("100"));
+      expect(await realEstateToken.balanceOf(tenant.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should query balances by block", async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      await realEstateToken.burn(landlord.address, ethers.parseEther("30"));
+
+      expect(await realEstateToken.balanceOfAtBlock(landlord.address, blockNumber)).to.equal(ethers.parseEther("100"));
+      expect(await realEstateToken.totalSupplyAtBlock(blockNumber)).to.equal(ethers.parseEther("100"));
+      expect(await realEstateToken.totalSupply()).to.equal(ethers.parseEther("70"));
+    });
+
+    it("Should only allow agents to take snapshots", async function () {
+      await expect(realEstateToken.connect(tenant).snapshot()).to.be.revertedWith("Not authorized agent");
+      await expect(realEstateToken.balanceOfAt(landlord.address, 1)).to.be.revertedWith("Invalid snapshot ID");
+    });
+  });
+
+  describe("Freezing", function () {
+    beforeEach(async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+    });
+
+    it("Should block transfers from and to a frozen wallet", async function () {
+      await expect(realEstateToken.setAddressFrozen(landlord.address, true))
+        .to.emit(realEstateToken, "AddressFrozen")
+        .withArgs(landlord.address, true, owner.address);
+
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Wallet or tokens are frozen");
+
+      await realEstateToken.setAddressFrozen(landlord.address, false);
+      await realEstateToken.setAddressFrozen(tenant.address, true);
+      expect(await realEstateToken.canTransfer(landlord.address, tenant.address, ethers.parseEther("1"))).to.be.false;
+    });
+
+    it("Should only allow spending the unfrozen balance", async function () {
+      await realEstateToken.freezePartialTokens(landlord.address, ethers.parseEther("60"));
+      expect(await realEstateToken.getFrozenTokens(landlord.address)).to.equal(ethers.parseEther("60"));
+
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("41"))
+      ).to.be.revertedWith("Wallet or tokens are frozen");
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("40"));
+
+      await realEstateToken.unfreezePartialTokens(landlord.address, ethers.parseEther("60"));
+      expect(await realEstateToken.getFrozenTokens(landlord.address)).to.equal(0);
+    });
+
+    it("Should unfreeze tokens as needed on forced transfer", async function () {
+      await realEstateToken.freezePartialTokens(landlord.address, ethers.parseEther("80"));
+
+      await expect(realEstateToken.forcedTransfer(landlord.address, tenant.address, ethers.parseEther("50")))
+        .to.emit(realEstateToken, "TokensUnfrozen")
+        .withArgs(landlord.address, ethers.parseEther("30"));
+
+      expect(await realEstateToken.getFrozenTokens(landlord.address)).to.equal(ethers.parseEther("50"));
+      expect(await realEstateToken.balanceOf(tenant.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should only allow compliance officers to freeze", async function () {
+      await expect(
+        realEstateToken.connect(tenant).setAddressFrozen(landlord.address, true)
+      ).to.be.revertedWith("Not authorized compliance officer");
+      await expect(
+        realEstateToken.freezePartialTokens(landlord.address, ethers.parseEther("101"))
+      ).to.be.revertedWith("Amount exceeds available balance");
+    });
+  });
+
+  describe("Recovery", function () {
+    let newWallet;
+
+    beforeEach(async function () {
+      newWallet = ethers.Wallet.createRandom().address;
+      await identityRegistry.addAgent(await realEstateToken.getAddress());
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+    });
+
+    it("Should move balance, frozen state and identity to the new wallet", async function () {
+      await realEstateToken.freezePartialTokens(landlord.address, ethers.parseEther("30"));
+      await realEstateToken.setAddressFrozen(landlord.address, true);
+      await identityRegistry.updateInvestorCategory(landlord.address, 2, 0); // Accredited
+
+      await expect(realEstateToken.recoveryAddress(landlord.address, newWallet, landlord.address))
+        .to.emit(realEstateToken, "RecoverySuccess")
+        .withArgs(landlord.address, newWallet, landlord.address);
+
+      expect(await realEstateToken.balanceOf(landlord.address)).to.equal(0);
+      expect(await realEstateToken.balanceOf(newWallet)).to.equal(ethers.parseEther("100"));
+      expect(await realEstateToken.getFrozenTokens(landlord.address)).to.equal(0);
+      expect(await realEstateToken.getFrozenTokens(newWallet)).to.equal(ethers.parseEther("30"));
+      expect(await realEstateToken.isFrozen(landlord.address)).to.be.false;
+      expect(await realEstateToken.isFrozen(newWallet)).to.be.true;
+
+      expect(await identityRegistry.contains(landlord.address)).to.be.false;
+      expect(await identityRegistry.identity(newWallet)).to.equal(landlord.address);
+      expect(await identityRegistry.investorCountry(newWallet)).to.equal(840);
+      expect(await identityRegistry.investorCategory(newWallet)).to.equal(2);
+    });
+
+    it("Should reject invalid recoveries", async function () {
+      await expect(
+        realEstateToken.connect(tenant).recoveryAddress(landlord.address, newWallet, landlord.address)
+      ).to.be.revertedWith("Not authorized agent");
+      await expect(
+        realEstateToken.recoveryAddress(landlord.address, newWallet, tenant.address)
+      ).to.be.revertedWith("Onchain ID mismatch");
+      await expect(
+        realEstateToken.recoveryAddress(tenant.address, newWallet, tenant.address)
+      ).to.be.revertedWith("No tokens to recover");
+    });
+
+    it("Should not recover to a wallet registered to another identity", async function () {
+      await expect(
+        realEstateToken.recoveryAddress(landlord.address, tenant.address, landlord.address)
+      ).to.be.revertedWith("New wallet ID mismatch");
+
+      // A wallet already registered to the same identity is accepted
+      await identityRegistry.registerIdentity(newWallet, landlord.address, 840);
+      await realEstateToken.recoveryAddress(landlord.address, newWallet, landlord.address);
+      expect(await realEstateToken.balanceOf(newWallet)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should require the token to be an identity registry agent", async function () {
+      await identityRegistry.removeAgent(await realEstateToken.getAddress());
+      await expect(
+        realEstateToken.recoveryAddress(landlord.address, newWallet, landlord.address)
+      ).to.be.revertedWith("Not authorized agent");
+    });
+  });
+
+  describe("Holder Registry", function () {
+    it("Should list holders and drop them when their balance reaches zero", async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      await realEstateToken.mint(tenant.address, ethers.parseEther("50"));
+      expect(await compliance.currentHolders()).to.equal(2);
+      expect(await compliance.getHolders(0, 10)).to.deep.equal([landlord.address, tenant.address]);
+
+      // Selling out entirely removes the seller
+      await expect(realEstateToken.connect(landlord).transfer(agent.address, ethers.parseEther("100")))
+        .to.emit(compliance, "HolderRemoved")
+        .withArgs(landlord.address);
+      expect(await compliance.isHolder(landlord.address)).to.be.false;
+      expect(await compliance.getHolders(0, 10)).to.deep.equal([agent.address, tenant.address]);
+
+      await realEstateToken.burn(tenant.address, ethers.parseEther("50"));
+      expect(await compliance.currentHolders()).to.equal(1);
+      expect(await compliance.getHolders(0, 10)).to.deep.equal([agent.address]);
+    });
+
+    it("Should page through holders and record the holder count history", async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("10"));
+      const firstBlock = await ethers.provider.getBlockNumber();
+      await realEstateToken.mint(tenant.address, ethers.parseEther("10"));
+      await realEstateToken.mint(agent.address, ethers.parseEther("10"));
+      const secondBlock = await ethers.provider.getBlockNumber();
+      await realEstateToken.burn(agent.address, ethers.parseEther("10"));
+
+      expect(await compliance.getHolders(1, 1)).to.deep.equal([tenant.address]);
+      expect(await compliance.getHolders(1, 5)).to.deep.equal([tenant.address]);
+      expect(await compliance.getHolders(5, 5)).to.deep.equal([]);
+
+      expect(await compliance.holderCountAtBlock(firstBlock)).to.equal(1);
+      expect(await compliance.holderCountAtBlock(secondBlock)).to.equal(3);
+      expect(await compliance.currentHolders()).to.equal(2);
+    });
+
+    it("Should free a holder slot when a holder sells out", async function () {
+      await compliance.setMaxHolders(2);
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      await realEstateToken.mint(tenant.address, ethers.parseEther("50"));
+
+      await expect(
+        realEstateToken.mint(agent.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Maximum number of holders reached");
+      await expect(
+        realEstateToken.connect(tenant).transfer(agent.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Maximum number of holders reached");
+
+      await realEstateToken.connect(tenant).transfer(agent.address, ethers.parseEther("50"));
+      await realEstateToken.burn(agent.address, ethers.parseEther("50"));
+      await realEstateToken.mint(tenant.address, ethers.parseEther("10"));
+      expect(await compliance.currentHolders()).to.equal(2);
+    });
+  });
+
+  describe("Max Balance Per Investor", function () {
+    let secondWallet;
+
+    beforeEach(async function () {
+      // A second wallet linked to the landlord's onchain identity
+      secondWallet = ethers.Wallet.createRandom().address;
+      await identityRegistry.registerIdentity(secondWallet, landlord.address, 840);
+      await compliance.setMaxBalancePerInvestor(ethers.parseEther("100"));
+      await realEstateToken.mint(landlord.address, ethers.parseEther("60"));
+    });
+
+    it("Should count the balance across all wallets of an identity", async function () {
+      await realEstateToken.mint(secondWallet, ethers.parseEther("30"));
+      expect(await compliance.investorBalance(landlord.address)).to.equal(ethers.parseEther("90"));
+      expect(await compliance.investorBalance(secondWallet)).to.equal(ethers.parseEther("90"));
+
+      await expect(
+        realEstateToken.mint(secondWallet, ethers.parseEther("20"))
+      ).to.be.revertedWith("Exceeds max balance per investor");
+      expect(await realEstateToken.canTransfer(tenant.address, secondWallet, ethers.parseEther("20"))).to.be.false;
+
+      // Moving tokens between the investor's own wallets does not change its total
+      await realEstateToken.connect(landlord).transfer(secondWallet, ethers.parseEther("60"));
+      expect(await compliance.investorBalance(landlord.address)).to.equal(ethers.parseEther("90"));
+    });
+
+    it("Should enforce the limit on transfers and forced transfers", async function () {
+      await realEstateToken.mint(tenant.address, ethers.parseEther("50"));
+
+      await expect(
+        realEstateToken.connect(tenant).transfer(secondWallet, ethers.parseEther("50"))
+      ).to.be.revertedWith("Exceeds max balance per investor");
+      await expect(
+        realEstateToken.forcedTransfer(tenant.address, secondWallet, ethers.parseEther("50"))
+      ).to.be.revertedWith("Exceeds max balance per investor");
+
+      await realEstateToken.connect(tenant).transfer(secondWallet, ethers.parseEther("40"));
+      expect(await compliance.investorBalance(landlord.address)).to.equal(ethers.parseEther("100"));
+      expect(await compliance.investorBalance(tenant.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should only accept balance changes from the bound token", async function () {
+      await expect(
+        compliance.created(landlord.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only bound token");
+      await expect(
+        compliance.bindToken(owner.address)
+      ).to.be.revertedWith("Token already bound");
+    });
+  });
+
+  describe("Transfer Restrictions", function () {
+    beforeEach(async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+    });
+
+    it("Should report the first rule a transfer breaks", async function () {
+      const unverified = ethers.Wallet.createRandom().address;
+      const detect = (to, amount) =>
+        realEstateToken.detectTransferRestriction(landlord.address, to, ethers.parseEther(amount));
+
+      expect(await detect(tenant.address, "10")).to.equal(0);
+      expect(await detect(tenant.address, "101")).to.equal(9); // INSUFFICIENT_BALANCE
+      expect(await detect(unverified, "10")).to.equal(2); // NOT_VERIFIED
+
+      await compliance.setMaxBalancePerInvestor(ethers.parseEther("50"));
+      expect(await detect(tenant.address, "60")).to.equal(5); // BALANCE_LIMIT
+
+      await compliance.addToBlacklist(tenant.address);
+      expect(await detect(tenant.address, "10")).to.equal(1); // BLACKLISTED
+
+      await realEstateToken.setAddressFrozen(landlord.address, true);
+      expect(await detect(tenant.address, "10")).to.equal(6); // FROZEN
+    });
+
+    it("Should explain restriction codes and revert with the explanation", async function () {
+      expect(await realEstateToken.messageForTransferRestriction(0)).to.equal("No restriction");
+      expect(await realEstateToken.messageForTransferRestriction(3)).to.equal("Sender or recipient country is restricted");
+      expect(await compliance.messageForTransferRestriction(255)).to.equal("Transfer not compliant");
+
+      await compliance.addCountryRestriction(124); // Canada
+      await identityRegistry.updateCountry(tenant.address, 124);
+      expect(await realEstateToken.detectTransferRestriction(landlord.address, tenant.address, 1)).to.equal(3);
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, 1)
+      ).to.be.revertedWith("Sender or recipient country is restricted");
+    });
+  });
+
+  describe("Investor Categories", function () {
+    const RETAIL = 1;
+    const ACCREDITED = 2;
+    const QUALIFIED_INSTITUTIONAL = 3;
+
+    // Expiring categories move the chain clock; rewind it for the suites that follow
+    let snapshot;
+    before(async function () {
+      snapshot = await takeSnapshot();
+    });
+    after(async function () {
+      await snapshot.restore();
+    });
+
+    it("Should record categories that lapse at their expiry", async function () {
+      const expiry = (await time.latest()) + 365 * 86400;
+      await expect(identityRegistry.updateInvestorCategory(landlord.address, ACCREDITED, expiry))
+        .to.emit(identityRegistry, "InvestorCategoryUpdated")
+        .withArgs(landlord.address, ACCREDITED, expiry);
+      expect(await identityRegistry.investorCategory(landlord.address)).to.equal(ACCREDITED);
+      expect(await identityRegistry.investorCategoryExpiry(landlord.address)).to.equal(expiry);
+
+      await time.increaseTo(expiry);
+      expect(await identityRegistry.investorCategory(landlord.address)).to.equal(0);
+
+      await expect(
+        identityRegistry.updateInvestorCategory(landlord.address, 5, 0)
+      ).to.be.revertedWith("Invalid investor category");
+      await expect(
+        identityRegistry.updateInvestorCategory(landlord.address, ACCREDITED, expiry)
+      ).to.be.revertedWith("Invalid category expiry");
+      await expect(
+        identityRegistry.connect(landlord).updateInvestorCategory(landlord.address, ACCREDITED, 0)
+      ).to.be.revertedWith("Not authorized agent");
+    });
+
+    it("Should only let allowed categories receive the token", async function () {
+      await identityRegistry.updateInvestorCategory(landlord.address, ACCREDITED, 0);
+      await identityRegistry.updateInvestorCategory(tenant.address, RETAIL, 0);
+      await compliance.addAllowedCategory(ACCREDITED);
+      await compliance.addAllowedCategory(QUALIFIED_INSTITUTIONAL);
+      expect(await compliance.isCategoryAllowed(RETAIL)).to.be.false;
+
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      await expect(
+        realEstateToken.mint(tenant.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Recipient investor category is not eligible");
+      expect(
+        await realEstateToken.detectTransferRestriction(landlord.address, tenant.address, ethers.parseEther("10"))
+      ).to.equal(12);
+
+      await identityRegistry.updateInvestorCategory(tenant.address, QUALIFIED_INSTITUTIONAL, (await time.latest()) + 86400);
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"));
+
+      // An expired category no longer qualifies
+      await time.increase(86400);
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Recipient investor category is not eligible");
+
+      await compliance.removeAllowedCategory(ACCREDITED);
+      await compliance.removeAllowedCategory(QUALIFIED_INSTITUTIONAL);
+      expect(await compliance.isCategoryAllowed(RETAIL)).to.be.true;
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"));
+    });
+  });
+
+  describe("Volume and Country Limits", function () {
+    const DAY = 86400;
+
+    // Volume windows move the chain clock; rewind it for the suites that follow
+    let snapshot;
+    before(async function () {
+      snapshot = await takeSnapshot();
+    });
+    after(async function () {
+      await snapshot.restore();
+    });
+
+    it("Should cap outbound volume per rolling day and month", async function () {
+      await compliance.setCountryVolumeLimits(840, ethers.parseEther("30"), ethers.parseEther("50"));
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("30"));
+      expect(await compliance.transferredVolume(landlord.address, DAY)).to.equal(ethers.parseEther("30"));
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, 1)
+      ).to.be.revertedWith("Transfer volume limit reached");
+
+      await time.increase(DAY);
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("20"));
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, 1)
+      ).to.be.revertedWith("Transfer volume limit reached");
+
+      await time.increase(30 * DAY);
+      expect(await compliance.transferredVolume(landlord.address, 30 * DAY)).to.equal(0);
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"));
+    });
+
+    it("Should apply the stricter of the country and category limits", async function () {
+      await compliance.setCountryVolumeLimits(840, ethers.parseEther("50"), 0);
+      await compliance.setCategoryVolumeLimits(1, ethers.parseEther("10"), 0);
+      await identityRegistry.updateInvestorCategory(landlord.address, 1, 0);
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+
+      const [daily, monthly] = await compliance.volumeLimitsOf(landlord.address);
+      expect(daily).to.equal(ethers.parseEther("10"));
+      expect(monthly).to.equal(0);
+      expect(
+        await realEstateToken.detectTransferRestriction(landlord.address, tenant.address, ethers.parseEther("11"))
+      ).to.equal(8);
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"));
+    });
+
+    it("Should cap the number of holders per country", async function () {
+      await identityRegistry.updateCountry(agent.address, 826); // UK
+      await compliance.setCountryHolderLimit(840, 1);
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      expect(await compliance.countryHolderCount(840)).to.equal(1);
+
+      await expect(
+        realEstateToken.mint(tenant.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("Maximum number of holders reached");
+      await realEstateToken.mint(agent.address, ethers.parseEther("10"));
+
+      // Selling out frees the country slot for the buyer
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("100"));
+      expect(await compliance.countryHolderCount(840)).to.equal(1);
+      expect(await compliance.countryHolderCount(826)).to.equal(1);
+    });
+  });
+
+  describe("Lock-up and Vesting", function () {
+    const DAY = 86400;
+
+    // Schedules move the chain clock; rewind it for the suites that follow
+    let snapshot;
+    before(async function () {
+      snapshot = await takeSnapshot();
+    });
+    after(async function () {
+      await snapshot.restore();
+    });
+
+    it("Should keep locked-up tokens until the release date", async function () {
+      const releaseDate = (await time.latest()) + 30 * DAY;
+      await expect(
+        realEstateToken.mintWithVesting(landlord.address, ethers.parseEther("100"), releaseDate, releaseDate, releaseDate)
+      ).to.emit(realEstateToken, "VestingScheduleAdded");
+
+      expect(await realEstateToken.lockedBalanceOf(landlord.address)).to.equal(ethers.parseEther("100"));
+      expect(await realEstateToken.transferableBalanceOf(landlord.address)).to.equal(0);
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Tokens are locked");
+
+      await time.increaseTo(releaseDate);
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("100"));
+      expect(await realEstateToken.balanceOf(tenant.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should release vested tokens linearly after the cliff", async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      const start = await time.latest();
+      await realEstateToken.addVestingSchedule(
+        landlord.address, ethers.parseEther("100"), start, start + 90 * DAY, start + 360 * DAY
+      );
+
+      await time.increaseTo(start + 60 * DAY);
+      expect(await realEstateToken.lockedBalanceOf(landlord.address)).to.equal(ethers.parseEther("100"));
+
+      await time.increaseTo(start + 180 * DAY);
+      expect(await realEstateToken.lockedBalanceOf(landlord.address)).to.be.closeTo(ethers.parseEther("50"), ethers.parseEther("0.01"));
+      await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("40"));
+      await expect(
+        realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("20"))
+      ).to.be.revertedWith("Tokens are locked");
+      expect(await realEstateToken.getVestingSchedules(landlord.address)).to.have.lengthOf(1);
+    });
+
+    it("Should only let agents add valid schedules over unlocked tokens", async function () {
+      await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+      const now = await time.latest();
+
+      await expect(
+        realEstateToken.connect(landlord).addVestingSchedule(landlord.address, ethers.parseEther("10"), now, now, now + DAY)
+      ).to.be.revertedWith("Not authorized agent");
+      await expect(
+        realEstateToken.addVestingSchedule(landlord.address, ethers.parseEther("10"), now, now + 2 * DAY, now + DAY)
+      ).to.be.revertedWith("Invalid vesting schedule");
+
+      await realEstateToken.addVestingSchedule(landlord.address, ethers.parseEther("80"), now, now + DAY, now + DAY);
+      await expect(
+        realEstateToken.addVestingSchedule(landlord.address, ethers.parseEther("30"), now, now + DAY, now + DAY)
+      ).to.be.revertedWith("Amount exceeds unlocked balance");
+    });
+  });
+
+  describe("Batch Operations", function () {
+    it("Should register and update identities in batch", async function () {
+      const wallets = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+
+      await expect(identityRegistry.batchRegisterIdentity(wallets, wallets, [840, 826]))
+        .to.emit(identityRegistry, "IdentityRegistered")
+        .withArgs(wallets[1], wallets[1]);
+      expect(await identityRegistry.isVerified(wallets[0])).to.be.true;
+
+      await identityRegistry.batchUpdateCountry(wallets, [276, 276]);
+      expect(await identityRegistry.investorCountry(wallets[1])).to.equal(276);
+
+      await expect(
+        identityRegistry.connect(tenant).batchRegisterIdentity(wallets, wallets, [840, 826])
+      ).to.be.revertedWith("Not authorized agent");
+    });
+
+    it("Should mint, transfer and burn in batch", async function () {
+      await realEstateToken.batchMint(
+        [landlord.address, tenant.address],
+        [ethers.parseEther("100"), ethers.parseEther("50")]
+      );
+      expect(await realEstateToken.balanceOf(tenant.address)).to.equal(ethers.parseEther("50"));
+
+      await expect(
+        realEstateToken.batchForcedTransfer(
+          [landlord.address, tenant.address],
+          [agent.address, agent.address],
+          [ethers.parseEther("10"), ethers.parseEther("20")]
+        )
+      ).to.emit(realEstateToken, "ForcedTransfer")
+        .withArgs(tenant.address, agent.address, ethers.parseEther("20"));
+      expect(await realEstateToken.balanceOf(agent.address)).to.equal(ethers.parseEther("30"));
+
+      await realEstateToken.batchBurn([landlord.address, agent.address], [ethers.parseEther("90"), ethers.parseEther("30")]);
+      expect(await realEstateToken.totalSupply()).to.equal(ethers.parseEther("30"));
+
+      await realEstateToken.batchFreeze([landlord.address, tenant.address], [true, true]);
+      expect(await realEstateToken.isFrozen(tenant.address)).to.be.true;
+    });
+
+    it("Should revert the whole batch if one entry fails", async function () {
+      const unverified = ethers.Wallet.createRandom().address;
+      await expect(
+        realEstateToken.batchMint([landlord.address, unverified], [ethers.parseEther("1"), ethers.parseEther("1")])
+      ).to.be.revertedWith("Recipient not verified");
+      expect(await realEstateToken.totalSupply()).to.equal(0);
+
+      await expect(
+        realEstateToken.batchMint([landlord.address], [])
+      ).to.be.revertedWith("Array length mismatch");
+      await expect(
+        realEstateToken.connect(tenant).batchMint([landlord.address], [ethers.parseEther("1")])
+      ).to.be.revertedWith("Not authorized agent");
+    });
+  });
+
   describe("Lease Manager", function () {
     beforeEach(async function () {
       // Mint property tokens to landlord
@@ -132,6 +767,22 @@ describe("Real Estate dApp", function () {
       expect(lease.monthlyRent).to.equal(ethers.parseUnits("1000", 6));
     });
 
+    it("Should refuse new leases once the property is inactive", async function () {
+      await realEstateToken.updatePropertyInfo({ ...propertyInfo, isActive: false });
+      const startDate = Math.floor(Date.now() / 1000) + 86400;
+
+      await expect(leaseManager.connect(landlord).createLease(
+        tenant.address,
+        await realEstateToken.getAddress(),
+        ethers.parseUnits("1000", 6),
+        ethers.parseUnits("2000", 6),
+        startDate,
+        startDate + (365 * 86400),
+        "123 Test Property, Test City",
+        "Standard lease terms"
+      )).to.be.revertedWith("Property is not active");
+    });
+
     it("Should allow tenant to pay security deposit", async function () {
       const startDate = Math.floor(Date.now() / 1000) + 86400;
       const endDate = startDate + (365 * 86400);
@@ -0,0 +1,252 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("Redemption", function () {
+  let identityRegistry, compliance, realEstateToken, mockUSDC, redemption;
+  let owner, agent, holder1, holder2, outsider;
+  let deadline;
+
+  // 100 USDC per whole token
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("100000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const usdc = (amount) => ethers.parseUnits(amount, 6);
+  const tokens = (amount) => ethers.parseEther(amount);
+
+  // Open a window as the agent, returning its ID
+  async function openWindow(price, budget) {
+    const tx = await redemption.connect(agent).openWindow(await realEstateToken.getAddress(), price, budget, deadline);
+    const receipt = await tx.wait();
+    return receipt.logs.find(log => log.fragment && log.fragment.name === 'WindowOpened').args[0];
+  }
+
+  // Windows run until a deadline; rewind the chain clock for the suites that follow
+  let snapshot;
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [owner, agent, holder1, holder2, outsider] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+    const Redemption = await ethers.getContractFactory("Redemption");
+    redemption = await Redemption.deploy(await mockUSDC.getAddress());
+
+    // The redemption contract freezes requested tokens and burns redeemed ones
+    await realEstateToken.addAgent(await redemption.getAddress());
+    await realEstateToken.addComplianceOfficer(await redemption.getAddress());
+    await realEstateToken.addAgent(agent.address);
+
+    await identityRegistry.registerIdentity(holder1.address, holder1.address, 840);
+    await identityRegistry.registerIdentity(holder2.address, holder2.address, 840);
+    await realEstateToken.mint(holder1.address, tokens("60"));
+    await realEstateToken.mint(holder2.address, tokens("40"));
+
+    await mockUSDC.mint(agent.address, usdc("100000"));
+    await mockUSDC.connect(agent).approve(await redemption.getAddress(), usdc("100000"));
+
+    deadline = (await time.latest()) + 7 * 86400;
+  });
+
+  describe("Windows", function () {
+    it("Should open a window with the agent's budget", async function () {
+      await expect(redemption.connect(agent).openWindow(await realEstateToken.getAddress(), usdc("90"), usdc("5000"), deadline))
+        .to.emit(redemption, "WindowOpened")
+        .withArgs(0, await realEstateToken.getAddress(), agent.address, usdc("90"), usdc("5000"), deadline);
+
+      expect(await mockUSDC.balanceOf(await redemption.getAddress())).to.equal(usdc("5000"));
+      expect(await redemption.getTokenWindows(await realEstateToken.getAddress())).to.deep.equal([0n]);
+    });
+
+    it("Should default the price to the value per token", async function () {
+      const windowId = await openWindow(0, usdc("5000"));
+      expect((await redemption.getWindow(windowId)).price).to.equal(usdc("100"));
+    });
+
+    it("Should only let agents open windows", async function () {
+      await mockUSDC.mint(outsider.address, usdc("5000"));
+      await mockUSDC.connect(outsider).approve(await redemption.getAddress(), usdc("5000"));
+
+      await expect(
+        redemption.connect(outsider).openWindow(await realEstateToken.getAddress(), usdc("90"), usdc("5000"), deadline)
+      ).to.be.revertedWith("Not authorized agent");
+    });
+  });
+
+  describe("Requests", function () {
+    it("Should freeze requested tokens until settlement", async function () {
+      const windowId = await openWindow(usdc("100"), usdc("5000"));
+
+      await expect(redemption.connect(holder1).requestRedemption(windowId, tokens("20")))
+        .to.emit(redemption, "RedemptionRequested")
+        .withArgs(windowId, holder1.address, tokens("20"));
+
+      expect(await redemption.requests(windowId, holder1.address)).to.equal(tokens("20"));
+      expect(await realEstateToken.getFrozenTokens(holder1.address)).to.equal(tokens("20"));
+      expect(await realEstateToken.transferableBalanceOf(holder1.address)).to.equal(tokens("40"));
+    });
+
+    it("Should only take transferable tokens", async function () {
+      const windowId = await openWindow(usdc("100"), usdc("5000"));
+      await realEstateToken.freezePartialTokens(holder1.address, tokens("50"));
+
+      await expect(redemption.connect(holder1).requestRedemption(windowId, tokens("20")))
+        .to.be.revertedWith("Insufficient transferable balance");
+    });
+
+    it("Should let holders withdraw requests while the window is open", async function () {
+      const windowId = await openWindow(usdc("100"), usdc("5000"));
+      await redemption.connect(holder1).requestRedemption(windowId, tokens("20"));
+
+      await expect(redemption.connect(holder1).withdrawRequest(windowId))
+        .to.emit(redemption, "RedemptionWithdrawn")
+        .withArgs(windowId, holder1.address, tokens("20"));
+      expect(await realEstateToken.getFrozenTokens(holder1.address)).to.equal(0);
+      expect((await redemption.getWindow(windowId)).totalRequested).to.equal(0);
+
+      await time.increaseTo(deadline + 1);
+      await expect(redemption.connect(holder1).requestRedemption(windowId, tokens("1")))
+        .to.be.revertedWith("Window not open");
+    });
+  });
+
+  describe("Settlement", function () {
+    it("Should burn and pay for every request within budget", async function () {
+      const windowId = await openWindow(usdc("100"), usdc("5000"));
+      await redemption.connect(holder1).requestRedemption(windowId, tokens("20"));
+      await redemption.connect(holder2).requestRedemption(windowId, tokens("10"));
+
+      await expect(redemption.closeWindow(windowId)).to.be.revertedWith("Window still open");
+      await time.increaseTo(deadline + 1);
+
+      // 30 tokens cost 3,000 USDC, so 2,000 goes back to the agent
+      await expect(redemption.connect(outsider).closeWindow(windowId))
+        .to.emit(redemption, "WindowClosed")
+        .withArgs(windowId, tokens("30"), tokens("30"), usdc("2000"));
+      expect(await mockUSDC.balanceOf(agent.address)).to.equal(usdc("97000"));
+
+      await expect(redemption.settle(windowId, [holder1.address, holder2.address]))
+        .to.emit(redemption, "RedemptionSettled")
+        .withArgs(windowId, holder1.address, tokens("20"), 0, usdc("2000"));
+
+      expect(await realEstateToken.balanceOf(holder1.address)).to.equal(tokens("40"));
+      expect(await realEstateToken.balanceOf(holder2.address)).to.equal(tokens("30"));
+      expect(await realEstateToken.getFrozenTokens(holder1.address)).to.equal(0);
+      expect(await realEstateToken.totalSupply()).to.equal(tokens("70"));
+      expect(await mockUSDC.balanceOf(holder1.address)).to.equal(usdc("2000"));
+      expect(await mockUSDC.balanceOf(holder2.address)).to.equal(usdc("1000"));
+    });
+
+    it("Should fill oversubscribed windows pro rata", async function () {
+      // 2,000 USDC buys 20 of the 40 tokens requested
+      const windowId = await openWindow(usdc("100"), usdc("2000"));
+      await redemption.connect(holder1).requestRedemption(windowId, tokens("30"));
+      await redemption.connect(holder2).requestRedemption(windowId, tokens("10"));
+
+      await time.increaseTo(deadline + 1);
+      await expect(redemption.closeWindow(windowId))
+        .to.emit(redemption, "WindowClosed")
+        .withArgs(windowId, tokens("40"), tokens("20"), 0);
+
+      await expect(redemption.settle(windowId, [holder1.address]))
+        .to.emit(redemption, "RedemptionSettled")
+        .withArgs(windowId, holder1.address, tokens("15"), tokens("15"), usdc("1500"));
+      await redemption.connect(holder2).settle(windowId, [holder2.address]);
+
+      expect(await realEstateToken.balanceOf(holder1.address)).to.equal(tokens("45"));
+      expect(await realEstateToken.transferableBalanceOf(holder1.address)).to.equal(tokens("45"));
+      expect(await realEstateToken.balanceOf(holder2.address)).to.equal(tokens("35"));
+      expect(await mockUSDC.balanceOf(holder2.address)).to.equal(usdc("500"));
+      expect(await mockUSDC.balanceOf(await redemption.getAddress())).to.equal(0);
+
+      // Settling again does nothing
+      await redemption.settle(windowId, [holder1.address]);
+      expect(await realEstateToken.balanceOf(holder1.address)).to.equal(tokens("45"));
+    });
+
+    it("Should settle requests an agent changed after they were made", async function () {
+      const windowId = await openWindow(usdc("100"), usdc("5000"));
+      await redemption.connect(holder1).requestRedemption(windowId, tokens("20"));
+      await redemption.connect(holder2).requestRedemption(windowId, tokens("10"));
+      await time.increaseTo(deadline + 1);
+      await redemption.closeWindow(windowId);
+
+      // holder1's request is released and most of the tokens moved away; part of holder2's is released
+      await realEstateToken.unfreezePartialTokens(holder1.address, tokens("20"));
+      await realEstateToken.forcedTransfer(holder1.address, holder2.address, tokens("55"));
+      await realEstateToken.unfreezePartialTokens(holder2.address, tokens("4"));
+
+      // Only the tokens still held are burned and paid for
+      await expect(redemption.settle(windowId, [holder1.address, holder2.address]))
+        .to.emit(redemption, "RedemptionSettled")
+        .withArgs(windowId, holder1.address, tokens("5"), 0, usdc("500"))
+        .and.to.emit(redemption, "RedemptionSettled")
+        .withArgs(windowId, holder2.address, tokens("10"), 0, usdc("1000"));
+
+      expect(await realEstateToken.balanceOf(holder1.address)).to.equal(0);
+      expect(await realEstateToken.balanceOf(holder2.address)).to.equal(tokens("85"));
+      expect(await realEstateToken.getFrozenTokens(holder2.address)).to.equal(0);
+      expect((await redemption.getWindow(windowId)).pendingRequests).to.equal(0);
+
+      // The payment of the tokens no longer held goes back to the agent
+      await expect(redemption.withdrawRemainder(windowId))
+        .to.emit(redemption, "RemainderWithdrawn")
+        .withArgs(windowId, usdc("1500"));
+    });
+
+    it("Should return rounding left over once every request is settled", async function () {
+      // 1,000 USDC at 300 USDC per token fills 3.333... of the 6 tokens requested
+      const windowId = await openWindow(usdc("300"), usdc("1000"));
+      await redemption.connect(holder1).requestRedemption(windowId, tokens("3"));
+      await redemption.connect(holder2).requestRedemption(windowId, tokens("3"));
+
+      await time.increaseTo(deadline + 1);
+      await redemption.closeWindow(windowId);
+
+      await redemption.settle(windowId, [holder1.address]);
+      await expect(redemption.withdrawRemainder(windowId)).to.be.revertedWith("Requests still pending");
+      await redemption.settle(windowId, [holder2.address]);
+
+      // Each holder is paid 499.999999 USDC, rounded down
+      expect(await mockUSDC.balanceOf(holder1.address)).to.equal(499999999);
+      await expect(redemption.withdrawRemainder(windowId))
+        .to.emit(redemption, "RemainderWithdrawn")
+        .withArgs(windowId, 2);
+      expect(await mockUSDC.balanceOf(await redemption.getAddress())).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("RentDistributor", function () {
+  let identityRegistry, compliance, realEstateToken, mockUSDC, leaseManager, rentDistributor;
+  let owner, landlord, tenant, investor, attacker;
+  let leaseId;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+  beforeEach(async function () {
+    [owner, landlord, tenant, investor, attacker] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+    const RentDistributor = await ethers.getContractFactory("RentDistributor");
+    rentDistributor = await RentDistributor.deploy(await mockUSDC.getAddress());
+
+    const LeaseManager = await ethers.getContractFactory("LeaseManager");
+    leaseManager = await LeaseManager.deploy(await mockUSDC.getAddress());
+
+    await realEstateToken.setRentDistributor(await rentDistributor.getAddress());
+    await rentDistributor.registerToken(await realEstateToken.getAddress());
+    await leaseManager.setRentDistributor(await rentDistributor.getAddress());
+
+    await identityRegistry.registerIdentity(landlord.address, landlord.address, 840);
+    await identityRegistry.registerIdentity(tenant.address, tenant.address, 840);
+    await identityRegistry.registerIdentity(investor.address, investor.address, 840);
+
+    // Landlord holds 75%, investor 25%
+    await realEstateToken.mint(landlord.address, ethers.parseEther("75"));
+    await realEstateToken.mint(investor.address, ethers.parseEther("25"));
+
+    await mockUSDC.mint(tenant.address, usdc("10000"));
+
+    const startDate = Math.floor(Date.now() / 1000) + 86400;
+    const tx = await leaseManager.connect(landlord).createLease(
+      tenant.address,
+      await realEstateToken.getAddress(),
+      usdc("1000"),
+      usdc("2000"),
+      startDate,
+      startDate + (365 * 86400),
+      "123 Test Property, Test City",
+      "Standard lease terms"
+    );
+    const receipt = await tx.wait();
+    leaseId = receipt.logs.find(log => log.fragment && log.fragment.name === 'LeaseCreated').args[0];
+
+    await mockUSDC.connect(tenant).approve(await leaseManager.getAddress(), usdc("10000"));
+    await leaseManager.connect(tenant).paySecurityDeposit(leaseId);
+  });
+
+  it("Should accrue rent to holders pro rata", async function () {
+    await leaseManager.connect(tenant).payRent(leaseId, 1, 2024);
+
+    // Accrued amounts may be rounded down by one unit
+    const token = await realEstateToken.getAddress();
+    expect(await rentDistributor.claimableRent(token, landlord.address)).to.be.closeTo(usdc("750"), 1);
+    expect(await rentDistributor.claimableRent(token, investor.address)).to.be.closeTo(usdc("250"), 1);
+
+    await rentDistributor.connect(investor).claim(token);
+    expect(await mockUSDC.balanceOf(investor.address)).to.be.closeTo(usdc("250"), 1);
+    expect(await rentDistributor.claimableRent(token, investor.address)).to.equal(0);
+  });
+
+  it("Should keep accrued rent when balances move", async function () {
+    const token = await realEstateToken.getAddress();
+    await leaseManager.connect(tenant).payRent(leaseId, 1, 2024);
+
+    // Investor sells out, landlord's share is forcibly moved, and new tokens are minted and burned
+    await realEstateToken.connect(investor).transfer(tenant.address, ethers.parseEther("25"));
+    await realEstateToken.forcedTransfer(landlord.address, investor.address, ethers.parseEther("25"));
+    await realEstateToken.mint(tenant.address, ethers.parseEther("50"));
+    await realEstateToken.burn(landlord.address, ethers.parseEther("50"));
+
+    // Balances: investor 25, tenant 75, landlord 0
+    expect(await rentDistributor.claimableRent(token, landlord.address)).to.be.closeTo(usdc("750"), 1);
+    expect(await rentDistributor.claimableRent(token, investor.address)).to.be.closeTo(usdc("250"), 1);
+    expect(await rentDistributor.claimableRent(token, tenant.address)).to.equal(0);
+
+    await leaseManager.connect(tenant).payRent(leaseId, 2, 2024);
+
+    expect(await rentDistributor.claimableRent(token, landlord.address)).to.be.closeTo(usdc("750"), 1);
+    expect(await rentDistributor.claimableRent(token, investor.address)).to.be.closeTo(usdc("500"), 1);
+    expect(await rentDistributor.claimableRent(token, tenant.address)).to.be.closeTo(usdc("750"), 1);
+  });
+
+  it("Should distribute forfeited deposits to holders", async function () {
+    await leaseManager.connect(landlord).terminateLease(leaseId);
+    await leaseManager.connect(landlord).returnSecurityDeposit(leaseId, usdc("1200"));
+
+    const token = await realEstateToken.getAddress();
+    expect(await mockUSDC.balanceOf(tenant.address)).to.equal(usdc("9200"));
+    expect(await rentDistributor.claimableRent(token, landlord.address)).to.be.closeTo(usdc("600"), 1);
+    expect(await rentDistributor.claimableRent(token, investor.address)).to.be.closeTo(usdc("200"), 1);
+  });
+
+  it("Should not let another token draw on a property's rent", async function () {
+    await leaseManager.connect(tenant).payRent(leaseId, 1, 2024);
+
+    // An attacker-controlled token with a tiny supply cannot be distributed to
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const fake = await MockERC20.connect(attacker).deploy("Fake Property", "FAKE", 18);
+    const fakeToken = await fake.getAddress();
+    await fake.connect(attacker).mint(attacker.address, 1);
+    await mockUSDC.mint(attacker.address, 1);
+    await mockUSDC.connect(attacker).approve(await rentDistributor.getAddress(), 1);
+
+    await expect(rentDistributor.connect(attacker).distribute(fakeToken, 1))
+      .to.be.revertedWith("Token not registered");
+    await expect(rentDistributor.connect(attacker).registerToken(fakeToken))
+      .to.be.revertedWith("Not authorized to register");
+
+    // Even registered, its claims are capped at the rent distributed to it
+    await rentDistributor.registerToken(fakeToken);
+    await rentDistributor.connect(attacker).distribute(fakeToken, 1);
+    await fake.connect(attacker).mint(attacker.address, ethers.parseEther("1000000"));
+    await rentDistributor.connect(attacker).claim(fakeToken);
+    expect(await mockUSDC.balanceOf(attacker.address)).to.equal(1);
+    await expect(rentDistributor.connect(attacker).claim(fakeToken)).to.be.revertedWith("Nothing to claim");
+
+    const token = await realEstateToken.getAddress();
+    await rentDistributor.connect(landlord).claim(token);
+    await rentDistributor.connect(investor).claim(token);
+    expect(await mockUSDC.balanceOf(landlord.address)).to.be.closeTo(usdc("750"), 1);
+    expect(await mockUSDC.balanceOf(investor.address)).to.be.closeTo(usdc("250"), 1);
+  });
+
+  it("Should pay the landlord directly when the token cannot take a distribution", async function () {
+    const RentDistributor = await ethers.getContractFactory("RentDistributor");
+    const otherDistributor = await RentDistributor.deploy(await mockUSDC.getAddress());
+    await leaseManager.setRentDistributor(await otherDistributor.getAddress());
+
+    // Not registered with the distributor
+    await leaseManager.connect(tenant).payRent(leaseId, 1, 2024);
+    expect(await mockUSDC.balanceOf(landlord.address)).to.equal(usdc("1000"));
+
+    // Registered, but without holders
+    await otherDistributor.registerToken(await realEstateToken.getAddress());
+    await realEstateToken.burn(landlord.address, ethers.parseEther("75"));
+    await realEstateToken.burn(investor.address, ethers.parseEther("25"));
+    await leaseManager.connect(tenant).payRent(leaseId, 2, 2024);
+    expect(await mockUSDC.balanceOf(landlord.address)).to.equal(usdc("2000"));
+    expect(await otherDistributor.totalDistributed(await realEstateToken.getAddress())).to.equal(0);
+  });
+
+  it("Should pay the landlord directly without a distributor", async function () {
+    await leaseManager.setRentDistributor(ethers.ZeroAddress);
+    await leaseManager.connect(tenant).payRent(leaseId, 1, 2024);
+
+    expect(await mockUSDC.balanceOf(landlord.address)).to.equal(usdc("1000"));
+    expect(await rentDistributor.totalDistributed(await realEstateToken.getAddress())).to.equal(0);
+  });
+});
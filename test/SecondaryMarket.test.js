@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("SecondaryMarket", function () {
+  let identityRegistry, compliance, realEstateToken, mockUSDC, market;
+  let owner, seller, buyer, other, outsider;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const usdc = (amount) => ethers.parseUnits(amount, 6);
+  const tokens = (amount) => ethers.parseEther(amount);
+
+  // List `amount` tokens from the seller at `price` USDC per token, returning the order ID
+  async function list(amount, price, reservedFor = ethers.ZeroAddress) {
+    const tx = await market.connect(seller).list(await realEstateToken.getAddress(), amount, price, reservedFor);
+    const receipt = await tx.wait();
+    return receipt.logs.find(log => log.fragment && log.fragment.name === 'OrderListed').args[0];
+  }
+
+  beforeEach(async function () {
+    [owner, seller, buyer, other, outsider] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+    const SecondaryMarket = await ethers.getContractFactory("SecondaryMarket");
+    market = await SecondaryMarket.deploy(await mockUSDC.getAddress(), ethers.ZeroAddress);
+    await market.setTokenAllowed(await realEstateToken.getAddress(), true);
+
+    await identityRegistry.registerIdentity(seller.address, seller.address, 840);
+    await identityRegistry.registerIdentity(buyer.address, buyer.address, 840);
+    await identityRegistry.registerIdentity(other.address, other.address, 826);
+
+    await realEstateToken.mint(seller.address, tokens("100"));
+    await realEstateToken.connect(seller).approve(await market.getAddress(), tokens("100"));
+
+    for (const account of [buyer, other, outsider]) {
+      await mockUSDC.mint(account.address, usdc("10000"));
+      await mockUSDC.connect(account).approve(await market.getAddress(), usdc("10000"));
+    }
+  });
+
+  describe("Listing", function () {
+    it("Should list tokens without taking custody", async function () {
+      await expect(market.connect(seller).list(await realEstateToken.getAddress(), tokens("10"), usdc("50"), ethers.ZeroAddress))
+        .to.emit(market, "OrderListed")
+        .withArgs(0, await realEstateToken.getAddress(), seller.address, ethers.ZeroAddress, tokens("10"), usdc("50"));
+
+      const order = await market.getOrder(0);
+      expect(order.amount).to.equal(tokens("10"));
+      expect(order.active).to.be.true;
+      expect(await realEstateToken.balanceOf(seller.address)).to.equal(tokens("100"));
+      expect(await market.orderCount(await realEstateToken.getAddress())).to.equal(1);
+    });
+
+    it("Should only list tokens the owner allowed", async function () {
+      const token = await realEstateToken.getAddress();
+      await expect(market.connect(seller).setTokenAllowed(token, false))
+        .to.be.revertedWithCustomError(market, "OwnableUnauthorizedAccount");
+
+      await expect(market.setTokenAllowed(token, false))
+        .to.emit(market, "TokenAllowedSet")
+        .withArgs(token, false);
+      expect(await market.isTradable(token)).to.be.false;
+      await expect(market.connect(seller).list(token, tokens("10"), usdc("50"), ethers.ZeroAddress))
+        .to.be.revertedWith("Token not listed");
+    });
+
+    it("Should require an allowance and a transferable balance", async function () {
+      const token = await realEstateToken.getAddress();
+      await expect(market.connect(seller).list(token, tokens("101"), usdc("50"), ethers.ZeroAddress))
+        .to.be.revertedWith("Insufficient token allowance");
+
+      await realEstateToken.freezePartialTokens(seller.address, tokens("95"));
+      await expect(market.connect(seller).list(token, tokens("10"), usdc("50"), ethers.ZeroAddress))
+        .to.be.revertedWith("Insufficient transferable balance");
+
+      await realEstateToken.setAddressFrozen(seller.address, true);
+      await expect(market.connect(seller).list(token, tokens("1"), usdc("50"), ethers.ZeroAddress))
+        .to.be.revertedWith("Wallet or tokens are frozen");
+    });
+
+    it("Should check compliance against the reserved buyer when listing", async function () {
+      await compliance.addCountryRestriction(826);
+      await expect(list(tokens("10"), usdc("50"), other.address))
+        .to.be.revertedWith("Sender or recipient country is restricted");
+      await expect(list(tokens("10"), usdc("50"), outsider.address))
+        .to.be.revertedWith("Sender or recipient is not verified");
+
+      await list(tokens("10"), usdc("50"), buyer.address);
+    });
+  });
+
+  describe("Filling", function () {
+    it("Should settle tokens and USDC atomically", async function () {
+      const orderId = await list(tokens("10"), usdc("50"));
+
+      await expect(market.connect(buyer).fill(orderId, tokens("4")))
+        .to.emit(market, "OrderFilled")
+        .withArgs(orderId, buyer.address, tokens("4"), usdc("200"));
+
+      expect(await realEstateToken.balanceOf(buyer.address)).to.equal(tokens("4"));
+      expect(await realEstateToken.balanceOf(seller.address)).to.equal(tokens("96"));
+      expect(await mockUSDC.balanceOf(seller.address)).to.equal(usdc("200"));
+      expect((await market.getOrder(orderId)).amount).to.equal(tokens("6"));
+
+      await market.connect(buyer).fill(orderId, tokens("6"));
+      expect((await market.getOrder(orderId)).active).to.be.false;
+      await expect(market.connect(buyer).fill(orderId, 1)).to.be.revertedWith("Order not active");
+    });
+
+    it("Should round partial payments up in the seller's favour", async function () {
+      const orderId = await list(tokens("10"), usdc("50"));
+      expect(await market.costOf(orderId, 1)).to.equal(1);
+    });
+
+    it("Should check compliance when filling", async function () {
+      const orderId = await list(tokens("10"), usdc("50"));
+
+      await expect(market.connect(outsider).fill(orderId, tokens("1")))
+        .to.be.revertedWith("Sender or recipient is not verified");
+
+      await compliance.addCountryRestriction(826);
+      await expect(market.connect(other).fill(orderId, tokens("1")))
+        .to.be.revertedWith("Sender or recipient country is restricted");
+
+      await compliance.setMaxBalancePerInvestor(tokens("5"));
+      await expect(market.connect(buyer).fill(orderId, tokens("6")))
+        .to.be.revertedWith("Exceeds max balance per investor");
+    });
+
+    it("Should settle nothing when the payment fails", async function () {
+      const orderId = await list(tokens("10"), usdc("5000"));
+      await mockUSDC.connect(buyer).approve(await market.getAddress(), usdc("100"));
+
+      await expect(market.connect(buyer).fill(orderId, tokens("1"))).to.be.reverted;
+      expect(await realEstateToken.balanceOf(buyer.address)).to.equal(0);
+      expect((await market.getOrder(orderId)).amount).to.equal(tokens("10"));
+    });
+
+    it("Should only let the reserved buyer fill a quote", async function () {
+      const orderId = await list(tokens("10"), usdc("50"), buyer.address);
+
+      await expect(market.connect(other).fill(orderId, tokens("1")))
+        .to.be.revertedWith("Order reserved for another buyer");
+      await market.connect(buyer).fill(orderId, tokens("10"));
+    });
+  });
+
+  describe("Cancelling", function () {
+    it("Should let only the seller cancel", async function () {
+      const orderId = await list(tokens("10"), usdc("50"));
+
+      await expect(market.connect(buyer).cancel(orderId)).to.be.revertedWith("Only seller can cancel");
+      await expect(market.connect(seller).cancel(orderId))
+        .to.emit(market, "OrderCancelled")
+        .withArgs(orderId);
+      await expect(market.connect(buyer).fill(orderId, tokens("1"))).to.be.revertedWith("Order not active");
+    });
+
+    it("Should page through a token's orders", async function () {
+      await list(tokens("10"), usdc("50"));
+      await list(tokens("20"), usdc("55"));
+      await list(tokens("30"), usdc("60"));
+
+      const token = await realEstateToken.getAddress();
+      const page = await market.getOrders(token, 1, 5);
+      expect(page.map(order => order.amount)).to.deep.equal([tokens("20"), tokens("30")]);
+      expect(await market.getOrders(token, 3, 5)).to.be.empty;
+    });
+  });
+});
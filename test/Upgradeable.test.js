@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("Upgradeable contracts", function () {
+  let identityStorage, identityRegistry, compliance, realEstateToken, mockUSDC, leaseManager;
+  let owner, landlord, tenant;
+
+  // EIP-170 limit on deployed contract code
+  const MAX_CONTRACT_SIZE = 24576;
+
+  const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+  const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+  // ERC-7201 slot of Initializable, holding the initialized version
+  const INITIALIZABLE_SLOT = "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00";
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const readSlotAddress = async (contract, slot) =>
+    ethers.getAddress("0x" + (await ethers.provider.getStorage(await contract.getAddress(), slot)).slice(-40));
+
+  async function deployProxy(name, args) {
+    const Implementation = await getLinkedContractFactory(`${name}Upgradeable`);
+    const implementation = await Implementation.deploy();
+    const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+    const proxy = await Proxy.deploy(
+      await implementation.getAddress(),
+      owner.address,
+      Implementation.interface.encodeFunctionData("initialize", args)
+    );
+    return ethers.getContractAt(`${name}Upgradeable`, await proxy.getAddress());
+  }
+
+  async function upgrade(proxy, name, data = "0x") {
+    const Implementation = await getLinkedContractFactory(`${name}Upgradeable`);
+    const implementation = await Implementation.deploy();
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await readSlotAddress(proxy, ADMIN_SLOT));
+    await proxyAdmin.upgradeAndCall(await proxy.getAddress(), await implementation.getAddress(), data);
+    return implementation.getAddress();
+  }
+
+  beforeEach(async function () {
+    [owner, landlord, tenant] = await ethers.getSigners();
+
+    identityStorage = await deployProxy("IdentityRegistryStorage", []);
+    identityRegistry = await deployProxy("IdentityRegistry", [await identityStorage.getAddress()]);
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+    compliance = await deployProxy("Compliance", [await identityRegistry.getAddress()]);
+    realEstateToken = await deployProxy("RealEstateToken", [
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    ]);
+    await compliance.bindToken(await realEstateToken.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockUSDC = await MockERC20.deploy("Mock USDC", "USDC", 6);
+    leaseManager = await deployProxy("LeaseManager", [await mockUSDC.getAddress()]);
+
+    await identityRegistry.registerIdentity(landlord.address, landlord.address, 840);
+    await identityRegistry.registerIdentity(tenant.address, tenant.address, 840);
+  });
+
+  it("Should initialize proxies with the deployer as owner", async function () {
+    expect(await identityRegistry.owner()).to.equal(owner.address);
+    expect(await compliance.identityRegistry()).to.equal(await identityRegistry.getAddress());
+    expect(await realEstateToken.name()).to.equal("Test Property Token");
+    expect(await realEstateToken.hasRole(await realEstateToken.AGENT_ROLE(), owner.address)).to.be.true;
+    expect(await leaseManager.nextLeaseId()).to.equal(1);
+
+    await expect(
+      realEstateToken.initialize("X", "X", 18, await identityRegistry.getAddress(), await compliance.getAddress(), propertyInfo)
+    ).to.be.revertedWithCustomError(realEstateToken, "InvalidInitialization");
+  });
+
+  it("Should preserve state across an upgrade", async function () {
+    await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+    await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("25"));
+    await realEstateToken.freezePartialTokens(landlord.address, ethers.parseEther("10"));
+    await compliance.addCountryRestriction(408);
+
+    const startDate = (await ethers.provider.getBlock("latest")).timestamp + 86400;
+    await leaseManager.connect(landlord).createLease(
+      tenant.address,
+      await realEstateToken.getAddress(),
+      ethers.parseUnits("1000", 6),
+      ethers.parseUnits("2000", 6),
+      startDate,
+      startDate + (365 * 86400),
+      "123 Test Property, Test City",
+      "Standard lease terms"
+    );
+
+    for (const [proxy, name] of [
+      [identityStorage, "IdentityRegistryStorage"],
+      [identityRegistry, "IdentityRegistry"],
+      [compliance, "Compliance"],
+      [realEstateToken, "RealEstateToken"],
+      [leaseManager, "LeaseManager"]
+    ]) {
+      const newImplementation = await upgrade(proxy, name);
+      expect(await readSlotAddress(proxy, IMPLEMENTATION_SLOT)).to.equal(newImplementation);
+    }
+
+    expect(await identityRegistry.isVerified(landlord.address)).to.be.true;
+    expect(await identityRegistry.investorCountry(tenant.address)).to.equal(840);
+    expect(await compliance.isCountryRestricted(408)).to.be.true;
+    expect(await realEstateToken.balanceOf(landlord.address)).to.equal(ethers.parseEther("75"));
+    expect(await realEstateToken.balanceOf(tenant.address)).to.equal(ethers.parseEther("25"));
+    expect(await realEstateToken.getFrozenTokens(landlord.address)).to.equal(ethers.parseEther("10"));
+    expect(await realEstateToken.owner()).to.equal(owner.address);
+    expect((await leaseManager.leases(1)).tenant).to.equal(tenant.address);
+    expect(await leaseManager.nextLeaseId()).to.equal(2);
+
+    // The upgraded token keeps working
+    await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("65"));
+    expect(await realEstateToken.balanceOf(tenant.address)).to.equal(ethers.parseEther("90"));
+  });
+
+  it("Should migrate identities registered before the shared identity storage", async function () {
+    // Lay a registry out as it was before: identities, countries and registrations in slots 0-2,
+    // agents in slot 3 and no identity storage (slot 9)
+    const registry = await deployProxy("IdentityRegistry", [await identityStorage.getAddress()]);
+    const registryAddress = await registry.getAddress();
+    const mappingSlot = (key, slot) =>
+      ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [key, slot]));
+    const investor = ethers.Wallet.createRandom().address;
+
+    await setStorageAt(registryAddress, mappingSlot(investor, 0), ethers.zeroPadValue(investor, 32));
+    await setStorageAt(registryAddress, mappingSlot(investor, 1), 840);
+    await setStorageAt(registryAddress, mappingSlot(investor, 2), 1);
+    await setStorageAt(registryAddress, mappingSlot(landlord.address, 3), 1);
+    await setStorageAt(registryAddress, 9, 0);
+
+    await upgrade(registry, "IdentityRegistry");
+    expect(await registry.isAgent(landlord.address)).to.be.true;
+    expect(await registry.owner()).to.equal(owner.address);
+
+    await identityStorage.bindIdentityRegistry(registryAddress);
+    await registry.setIdentityRegistryStorage(await identityStorage.getAddress());
+    await expect(registry.connect(landlord).migrateLegacyIdentities([investor]))
+      .to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount");
+    await expect(registry.migrateLegacyIdentities([investor, tenant.address]))
+      .to.emit(registry, "IdentityRegistered")
+      .withArgs(investor, investor);
+
+    expect(await registry.identity(investor)).to.equal(investor);
+    expect(await registry.investorCountry(investor)).to.equal(840);
+    expect(await identityRegistry.contains(investor)).to.be.true;
+    expect(await registry.identity(tenant.address)).to.equal(tenant.address);
+  });
+
+  it("Should bind the token and tally balances when upgrading a compliance from before token binding", async function () {
+    await realEstateToken.mint(landlord.address, ethers.parseEther("100"));
+    await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("25"));
+
+    // Lay the compliance out as it was before: version 1, holders flagged and counted (slots 6-7) but no
+    // investor tallies (slot 8), bound token (slot 9) or holder list (slots 10-11)
+    const complianceAddress = await compliance.getAddress();
+    const mappingSlot = (key, slot) =>
+      ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [key, slot]));
+    await setStorageAt(complianceAddress, INITIALIZABLE_SLOT, 1);
+    await setStorageAt(complianceAddress, 9, 0);
+    await setStorageAt(complianceAddress, 10, 0);
+    for (const wallet of [landlord.address, tenant.address]) {
+      await setStorageAt(complianceAddress, mappingSlot(wallet, 8), 0);
+      await setStorageAt(complianceAddress, mappingSlot(wallet, 11), 0);
+    }
+    await expect(
+      realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("1"))
+    ).to.be.revertedWith("Only bound token");
+
+    const tokenAddress = await realEstateToken.getAddress();
+    await upgrade(compliance, "Compliance", compliance.interface.encodeFunctionData("initializeV2", [
+      tokenAddress,
+      [landlord.address, tenant.address, tenant.address, owner.address]
+    ]));
+
+    expect(await compliance.tokenBound()).to.equal(tokenAddress);
+    expect(await compliance.investorBalance(landlord.address)).to.equal(ethers.parseEther("75"));
+    expect(await compliance.investorBalance(tenant.address)).to.equal(ethers.parseEther("25"));
+    expect(await compliance.currentHolders()).to.equal(2);
+    expect(await compliance.getHolders(0, 10)).to.deep.equal([landlord.address, tenant.address]);
+    await expect(compliance.initializeV2(tokenAddress, []))
+      .to.be.revertedWithCustomError(compliance, "InvalidInitialization");
+
+    // Tallies carry on from the seeded balances
+    await compliance.setMaxBalancePerInvestor(ethers.parseEther("30"));
+    await expect(
+      realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("10"))
+    ).to.be.revertedWith("Exceeds max balance per investor");
+    await realEstateToken.connect(landlord).transfer(tenant.address, ethers.parseEther("5"));
+    expect(await compliance.investorBalance(tenant.address)).to.equal(ethers.parseEther("30"));
+  });
+
+  it("Should carry over country restrictions from before sided country rules", async function () {
+    // Lay the compliance out as it was before: restricted countries as booleans in slot 3
+    const complianceAddress = await compliance.getAddress();
+    const countrySlot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint16", "uint256"], [408, 3]));
+    await setStorageAt(complianceAddress, countrySlot, 1);
+    await upgrade(compliance, "Compliance");
+
+    // Enforced on both sides before and after migrating
+    await identityRegistry.registerIdentity(owner.address, owner.address, 408);
+    expect(await compliance.isCountryRestricted(408)).to.be.true;
+    await expect(
+      realEstateToken.mint(owner.address, ethers.parseEther("10"))
+    ).to.be.revertedWith("Sender or recipient country is restricted");
+    expect((await compliance.getCountryPolicy())[0]).to.deep.equal([]);
+
+    await expect(compliance.connect(landlord).migrateLegacyCountryRestrictions([408]))
+      .to.be.revertedWithCustomError(compliance, "OwnableUnauthorizedAccount");
+    await expect(compliance.migrateLegacyCountryRestrictions([408, 840]))
+      .to.emit(compliance, "CountryRestrictionSet")
+      .withArgs(408, 3);
+
+    const [countries, restrictedSides] = await compliance.getCountryPolicy();
+    expect(countries).to.deep.equal([408n]);
+    expect(restrictedSides).to.deep.equal([3n]);
+    expect(await compliance.isCountryRestricted(840)).to.be.false;
+
+    // Migrated restrictions are sided rules like any other
+    await compliance.setCountryRestriction(408, 1);
+    await realEstateToken.mint(owner.address, ethers.parseEther("10"));
+    expect(await realEstateToken.balanceOf(owner.address)).to.equal(ethers.parseEther("10"));
+  });
+
+  it("Should not let new compliance proxies run the token binding upgrade", async function () {
+    const fresh = await deployProxy("Compliance", [await identityRegistry.getAddress()]);
+    await expect(fresh.initializeV2(await realEstateToken.getAddress(), []))
+      .to.be.revertedWithCustomError(fresh, "InvalidInitialization");
+  });
+
+  it("Should only let the proxy admin owner upgrade", async function () {
+    const Implementation = await getLinkedContractFactory("RealEstateTokenUpgradeable");
+    const implementation = await Implementation.deploy();
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", await readSlotAddress(realEstateToken, ADMIN_SLOT));
+
+    await expect(
+      proxyAdmin.connect(landlord).upgradeAndCall(
+        await realEstateToken.getAddress(),
+        await implementation.getAddress(),
+        "0x"
+      )
+    ).to.be.revertedWithCustomError(proxyAdmin, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should keep the token implementations under the contract size limit", async function () {
+    for (const name of ["RealEstateToken", "RealEstateTokenUpgradeable"]) {
+      const { deployedBytecode } = await artifacts.readArtifact(name);
+      // Leave room for fixes without having to move more code out of the token
+      expect((deployedBytecode.length - 2) / 2, name).to.be.below(MAX_CONTRACT_SIZE - 1024);
+    }
+  });
+});
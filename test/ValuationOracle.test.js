@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { getLinkedContractFactory } = require("../scripts/linked-factory");
+
+describe("ValuationOracle", function () {
+  let identityRegistry, compliance, realEstateToken, oracle;
+  let owner, appraiser1, appraiser2, appraiser3, outsider;
+  let token;
+
+  const propertyInfo = {
+    propertyAddress: "123 Test Street, Test City, TC 12345",
+    totalValue: ethers.parseEther("1000000"),
+    totalShares: 1000,
+    description: "Test property for tokenization",
+    isActive: true
+  };
+
+  const value = (amount) => ethers.parseEther(amount);
+  const documentHash = ethers.id("appraisal-report.pdf");
+
+  // Submit a valuation dated now
+  async function submit(appraiser, amount, method = "income") {
+    return oracle.connect(appraiser).submitValuation(token, value(amount), await time.latest(), documentHash, method);
+  }
+
+  // Valuations turn stale over time; rewind the chain clock for the suites that follow
+  let snapshot;
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [owner, appraiser1, appraiser2, appraiser3, outsider] = await ethers.getSigners();
+
+    const IdentityRegistryStorage = await ethers.getContractFactory("IdentityRegistryStorage");
+    const identityStorage = await IdentityRegistryStorage.deploy();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy(await identityStorage.getAddress());
+    await identityStorage.bindIdentityRegistry(await identityRegistry.getAddress());
+
+    const Compliance = await ethers.getContractFactory("Compliance");
+    compliance = await Compliance.deploy(await identityRegistry.getAddress());
+
+    const RealEstateToken = await getLinkedContractFactory("RealEstateToken");
+    realEstateToken = await RealEstateToken.deploy(
+      "Test Property Token",
+      "TPT",
+      18,
+      await identityRegistry.getAddress(),
+      await compliance.getAddress(),
+      propertyInfo
+    );
+    await compliance.bindToken(await realEstateToken.getAddress());
+    token = await realEstateToken.getAddress();
+
+    const ValuationOracle = await ethers.getContractFactory("ValuationOracle");
+    oracle = await ValuationOracle.deploy();
+
+    await realEstateToken.setValuationOracle(await oracle.getAddress());
+    for (const appraiser of [appraiser1, appraiser2, appraiser3]) {
+      await oracle.addAppraiser(token, appraiser.address);
+    }
+  });
+
+  describe("Appraisers", function () {
+    it("Should let only the token owner manage appraisers", async function () {
+      await expect(oracle.connect(outsider).addAppraiser(token, outsider.address))
+        .to.be.revertedWith("Only token owner");
+
+      await expect(oracle.removeAppraiser(token, appraiser3.address))
+        .to.emit(oracle, "AppraiserRemoved")
+        .withArgs(token, appraiser3.address);
+      expect(await oracle.getAppraisers(token)).to.deep.equal([appraiser1.address, appraiser2.address]);
+    });
+
+    it("Should only take valuations from appraisers", async function () {
+      await expect(submit(outsider, "1100000")).to.be.revertedWith("Not an appraiser");
+      await expect(
+        oracle.connect(appraiser1).submitValuation(token, value("1100000"), (await time.latest()) + 3600, documentHash, "income")
+      ).to.be.revertedWith("Valuation date in the future");
+    });
+  });
+
+  describe("Valuations", function () {
+    it("Should record the valuation and update the property value", async function () {
+      const date = await time.latest();
+      await expect(oracle.connect(appraiser1).submitValuation(token, value("1100000"), date, documentHash, "income"))
+        .to.emit(oracle, "ValuationSubmitted")
+        .withArgs(token, 0, appraiser1.address, value("1100000"), date, documentHash, "income")
+        .and.to.emit(realEstateToken, "PropertyInfoUpdated")
+        .withArgs(await oracle.getAddress(), value("1100000"), 1000, true);
+
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(value("1100000"));
+      expect((await oracle.latestNav(token)).value).to.equal(value("1100000"));
+    });
+
+    it("Should keep the full valuation history", async function () {
+      await submit(appraiser1, "1100000", "income");
+      await submit(appraiser2, "1050000", "sales comparison");
+      await submit(appraiser1, "1200000", "income");
+
+      expect(await oracle.valuationCount(token)).to.equal(3);
+      const page = await oracle.getValuations(token, 1, 5);
+      expect(page.map(valuation => valuation.appraiser)).to.deep.equal([appraiser2.address, appraiser1.address]);
+      expect(page[0].method).to.equal("sales comparison");
+      expect(page[0].documentHash).to.equal(documentHash);
+
+      const history = await oracle.getNavHistory(token);
+      expect(history.map(point => point.value)).to.deep.equal([value("1100000"), value("1050000"), value("1200000")]);
+    });
+
+    it("Should keep a backdated valuation without rolling the value back", async function () {
+      const date = await time.latest();
+      await submit(appraiser1, "1100000");
+
+      await expect(oracle.connect(appraiser2).submitValuation(token, value("900000"), date - 86400, documentHash, "cost"))
+        .to.emit(oracle, "ValuationSubmitted")
+        .and.not.to.emit(oracle, "NavUpdated");
+
+      expect(await oracle.valuationCount(token)).to.equal(2);
+      expect((await oracle.latestNav(token)).value).to.equal(value("1100000"));
+      expect((await oracle.getNavHistory(token)).length).to.equal(1);
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(value("1100000"));
+    });
+
+    it("Should leave the value to the oracle once set", async function () {
+      await expect(realEstateToken.updatePropertyInfo({ ...propertyInfo, totalValue: value("2000000") }))
+        .to.be.revertedWith("Value set by valuation oracle");
+      await expect(realEstateToken.setPropertyValue(value("2000000")))
+        .to.be.revertedWith("Only valuation oracle");
+
+      // Other details can still be changed
+      await expect(realEstateToken.updatePropertyInfo({ ...propertyInfo, description: "Renovated" }))
+        .to.emit(realEstateToken, "PropertyInfoUpdated")
+        .withArgs(owner.address, propertyInfo.totalValue, 1000, true);
+    });
+  });
+
+  describe("Aggregation", function () {
+    it("Should wait for the quorum and use the median", async function () {
+      await oracle.setAggregation(token, 2, 0);
+
+      await submit(appraiser1, "1300000");
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(propertyInfo.totalValue);
+
+      // Two valuations: the average of both
+      await submit(appraiser2, "1100000");
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(value("1200000"));
+
+      // Three valuations: the middle one
+      await submit(appraiser3, "900000");
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(value("1100000"));
+
+      // Only each appraiser's latest valuation counts
+      await submit(appraiser3, "1250000");
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(value("1250000"));
+    });
+
+    it("Should keep updating after switching to a quorum", async function () {
+      // Appraised a month apart under single valuations, so the NAV is dated after appraiser1's valuation
+      const monthAgo = (await time.latest()) - 30 * 86400;
+      await oracle.connect(appraiser1).submitValuation(token, value("1000000"), monthAgo, documentHash, "income");
+      await submit(appraiser2, "1200000");
+
+      // The median is dated by its oldest valuation, before the current NAV, and still applies
+      await oracle.setAggregation(token, 2, 0);
+      await expect(submit(appraiser3, "1100000"))
+        .to.emit(oracle, "NavUpdated")
+        .withArgs(token, value("1100000"), monthAgo);
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(value("1100000"));
+    });
+
+    it("Should not let a backdated valuation replace an appraiser's later one", async function () {
+      await oracle.setAggregation(token, 2, 0);
+      await submit(appraiser1, "1300000");
+      await submit(appraiser2, "1100000");
+
+      await expect(
+        oracle.connect(appraiser1).submitValuation(token, value("500000"), (await time.latest()) - 86400, documentHash, "cost")
+      ).to.emit(oracle, "ValuationSubmitted").and.not.to.emit(oracle, "NavUpdated");
+      expect(await oracle.valuationCount(token)).to.equal(3);
+      expect((await oracle.aggregatedValue(token))[0]).to.equal(value("1200000"));
+    });
+
+    it("Should leave stale valuations out", async function () {
+      await oracle.setAggregation(token, 2, 30 * 86400);
+
+      await submit(appraiser1, "1300000");
+      await submit(appraiser2, "1100000");
+      expect(await oracle.isStale(token)).to.be.false;
+
+      await time.increase(31 * 86400);
+      expect(await oracle.isStale(token)).to.be.true;
+
+      // The fresh valuation alone does not reach the quorum
+      await submit(appraiser3, "900000");
+      const [median, count] = await oracle.aggregatedValue(token);
+      expect(median).to.equal(value("900000"));
+      expect(count).to.equal(1);
+      expect((await realEstateToken.propertyInfo()).totalValue).to.equal(value("1200000"));
+
+      await expect(
+        oracle.connect(appraiser1).submitValuation(token, value("1000000"), (await time.latest()) - 31 * 86400, documentHash, "income")
+      ).to.be.revertedWith("Valuation is stale");
+    });
+  });
+});